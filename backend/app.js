@@ -0,0 +1,531 @@
+// app.js – Builds the backend: storage, services, routes and the Socket.IO server
+//
+// createApp() wires everything without listening, so index.js can start it and
+// tests can drive the Express app in-process (usually with the memory store).
+// init() loads state in dependency order; close() stops every timer and listener.
+
+const http = require("http");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const express = require("express");
+const cors = require("cors");
+const { createStore } = require("./lib/storage");
+const { asyncRoute, requestLogger } = require("./lib/http");
+const { logger, configureLogger } = require("./lib/logger");
+const { createMetrics, registerProcessMetrics } = require("./lib/metrics");
+const { attachRealtime } = require("./lib/realtime");
+const { createIngestService, parseNdjson } = require("./lib/ingest");
+const { parseNmea } = require("./lib/nmea");
+const { parseHistoryQuery, queryHistory } = require("./lib/history");
+const { createDeviceAuth } = require("./lib/deviceAuth");
+const { createOperatorAuth } = require("./lib/operatorAuth");
+const { createAdminRouter } = require("./routes/admin");
+const { createAuthRouter } = require("./routes/auth");
+const { createGeofenceService } = require("./lib/geofences");
+const { createGeofenceRouter } = require("./routes/geofences");
+const { createIncidentService } = require("./lib/incidents");
+const { createIncidentRouter } = require("./routes/incidents");
+const { createTrackFilter, optionsFromEnv, parseCleaningQuery } = require("./lib/trackFilter");
+const { exportTrack, FORMATS } = require("./lib/export");
+const { segmentTrips, tripOptionsFromEnv } = require("./lib/trips");
+const { loadShared, shared } = require("./lib/shared");
+const { createDeviceMonitor } = require("./lib/monitor");
+const { createAlertRouter } = require("./routes/alerts");
+const { createWebhookService } = require("./lib/webhooks");
+const { createWebhookRouter } = require("./routes/webhooks");
+const { createRetentionService, policyFromEnv } = require("./lib/retention");
+const { createRetentionRouter } = require("./routes/retention");
+const { createDeviceRegistry } = require("./lib/registry");
+const { createRegistryRouter } = require("./routes/registry");
+
+const log = logger.child({ component: "http" });
+
+// /health gives up on a storage check that takes longer than this
+const HEALTH_TIMEOUT_MS = 2000;
+
+/**
+ * createApp
+ * Options:
+ *   env   – configuration (default process.env)
+ *   store – durable point storage (default STORAGE_DRIVER: jsonl, or "memory" for tests)
+ * Returns { app, server, bus, store, metrics, ingest, deviceAuth, operatorAuth,
+ * registry, geofences, incidents, monitor, webhooks, retention, init, close }.
+ */
+function createApp({ env = process.env, store = createStore({ driver: env.STORAGE_DRIVER, dataDir: env.DATA_DIR }) } = {}) {
+  configureLogger({ level: env.LOG_LEVEL, format: env.LOG_FORMAT });
+
+  const app = express();
+  const server = http.createServer(app);
+
+  // Prometheus registry behind /metrics; services register their own series
+  const metrics = createMetrics();
+  registerProcessMetrics(metrics);
+
+  // Stored points are announced here ("point") for live subscribers
+  const bus = new EventEmitter();
+
+  // Shared track cleaning pipeline, at ingest and/or history query time (TRACK_FILTER)
+  const trackFilter = createTrackFilter({
+    stages: env.TRACK_FILTER || "ingest,query",
+    options: optionsFromEnv(env),
+  });
+
+  // Names, callsigns and groups of known devices (DEVICE_REGISTRY=required rejects unknown ones)
+  const registry = createDeviceRegistry({ store, required: env.DEVICE_REGISTRY === "required" });
+
+  // Validation + storage shared by HTTP and MQTT ingest
+  const ingest = createIngestService({ store, bus, trackFilter, isAllowed: (id) => registry.isAllowed(id), metrics });
+
+  // Per-device ingest credentials (DEVICE_AUTH=required to enforce)
+  const deviceAuth = createDeviceAuth({
+    store,
+    mode: env.DEVICE_AUTH || "off",
+    replayWindowSec: Number(env.DEVICE_AUTH_WINDOW_SEC || 300),
+    metrics,
+  });
+
+  // Operator accounts + roles for the dashboard and read APIs (OPERATOR_AUTH=required to enforce)
+  const operatorAuth = createOperatorAuth({
+    store,
+    mode: env.OPERATOR_AUTH || "off",
+    sessionTtlSec: Number(env.SESSION_TTL_SEC || 12 * 3600),
+    extraGroupsForDevice: (deviceId) => registry.groupsFor(deviceId),
+  });
+  const { requireRole, requireDeviceAccess } = operatorAuth;
+
+  // Zones evaluated against every stored point ("geofence" events on the bus)
+  const geofences = createGeofenceService({
+    store,
+    bus,
+    groupsForDevice: (deviceId) => operatorAuth.getGroupsForDevice(deviceId),
+  });
+
+  // SOS incidents opened by the first SOS fix ("incident" events on the bus)
+  const incidents = createIncidentService({
+    store,
+    bus,
+    escalateAfterSec: Number(env.SOS_ESCALATE_AFTER_SEC ?? 120),
+  });
+
+  // Battery and silence alerts, online / stale / offline status ("alert" / "device_status" on the bus)
+  const monitor = createDeviceMonitor({
+    store,
+    bus,
+    intervalSec: Number(env.MONITOR_INTERVAL_SEC || 60),
+    staleFactor: Number(env.MONITOR_STALE_FACTOR || 2),
+    offlineFactor: Number(env.MONITOR_OFFLINE_FACTOR || 10),
+    batteryThresholds: String(env.MONITOR_BATTERY_THRESHOLDS || "20,10")
+      .split(",")
+      .map(Number)
+      .filter((t) => t > 0 && t < 100),
+    checkIntervalMs: Number(env.MONITOR_CHECK_SEC || 15) * 1000,
+    intervalForDevice: (deviceId) => registry.intervalFor(deviceId),
+  });
+
+  // Signed POSTs of SOS, geofence, status and alert events to subscribed URLs
+  const webhooks = createWebhookService({
+    store,
+    bus,
+    groupsForDevice: (deviceId) => operatorAuth.getGroupsForDevice(deviceId),
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS || 6),
+    baseDelayMs: Number(env.WEBHOOK_RETRY_BASE_SEC || 10) * 1000,
+    maxDelayMs: Number(env.WEBHOOK_RETRY_MAX_SEC || 3600) * 1000,
+    timeoutMs: Number(env.WEBHOOK_TIMEOUT_SEC || 5) * 1000,
+  });
+
+  // Downsamples / expires old history on a schedule (RETENTION_*)
+  const retention = createRetentionService({
+    store,
+    defaults: policyFromEnv(env),
+    compactEveryMs: Number(env.RETENTION_COMPACT_HOURS ?? 6) * 3600 * 1000,
+  });
+
+  // Request id + one log line and a latency sample per request
+  const requestDuration = metrics.histogram({
+    name: "mmtt_http_request_duration_seconds",
+    help: "HTTP request latency by route template",
+    labelNames: ["method", "route", "status"],
+  });
+  app.use(
+    requestLogger({
+      log,
+      quietPaths: ["/health", "/metrics"],
+      onFinish: ({ req, res, route, seconds }) =>
+        requestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds),
+    })
+  );
+
+  // Content-Disposition carries the export file name to the dashboard
+  app.use(cors({ exposedHeaders: ["Content-Disposition", "X-Request-Id"] }));
+
+  // keep the exact bytes for HMAC signature checks
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  };
+  const BODY_LIMIT = env.BODY_LIMIT || "2mb";
+  const BATCH_MAX = Number(env.INGEST_BATCH_MAX || 1000);
+
+  app.use(express.json({ limit: BODY_LIMIT, verify: keepRawBody }));
+
+  app.use(operatorAuth.authenticate());
+
+  // ---------- / ----------
+  app.get("/", (req, res) => {
+    res.send("MMTT GPS Backend Running");
+  });
+
+  // ---------- /ingest ----------
+  app.post("/ingest", asyncRoute(async (req, res) => {
+    const auth = deviceAuth.verifyRequest(req.body?.device_id, req.headers, req.rawBody);
+    if (!auth.ok) {
+      return res.status(401).json({ error: auth.error, reason: auth.reason });
+    }
+
+    const result = await ingest.ingestPoint(req.body, { source: "http", log: req.log });
+    if (!result.ok) {
+      return res.status(result.status || 400).json({ error: result.error, errors: result.errors });
+    }
+
+    if (result.duplicate) return res.json({ status: "ok", duplicate: true });
+    res.json(result.rejected ? { status: "ok", rejected: result.rejected } : { status: "ok" });
+  }));
+
+  // ---------- /ingest/batch ----------
+  // JSON array (or { "points": [...] }) or NDJSON, e.g. a unit replaying its offline buffer
+  app.post(
+    "/ingest/batch",
+    express.text({ type: ["application/x-ndjson", "application/ndjson"], limit: BODY_LIMIT, verify: keepRawBody }),
+    asyncRoute(async (req, res) => {
+      let items;
+      if (typeof req.body === "string") items = parseNdjson(req.body);
+      else if (Array.isArray(req.body)) items = req.body;
+      else if (Array.isArray(req.body?.points)) items = req.body.points;
+      else {
+        return res.status(400).json({ error: "Expected a JSON array, { \"points\": [...] } or NDJSON" });
+      }
+
+      if (items.length === 0) return res.status(400).json({ error: "Batch is empty" });
+      if (items.length > BATCH_MAX) {
+        return res.status(413).json({ error: `Batch too large (max ${BATCH_MAX} points)` });
+      }
+
+      // signed batches come from one unit: ?device_id= or the first item
+      const firstDevice = items.find((item) => item && !(item instanceof Error))?.device_id;
+      const claimedDevice = req.query.device_id || firstDevice;
+      const auth = deviceAuth.verifyRequest(claimedDevice, req.headers, req.rawBody);
+      if (!auth.ok) {
+        return res.status(401).json({ error: auth.error, reason: auth.reason });
+      }
+
+      const { summary, results } = await ingest.ingestBatch(items, {
+        source: "http-batch",
+        deviceId: deviceAuth.enforced ? claimedDevice : null,
+        log: req.log,
+      });
+      res.json({ status: "ok", ...summary, results });
+    })
+  );
+
+  // ---------- /ingest/nmea ----------
+  // Raw NMEA sentences (text/plain, one per line) from units without JSON firmware;
+  // the device is X-Device-Id or ?device_id=
+  app.post(
+    "/ingest/nmea",
+    express.text({ type: ["text/plain", "application/nmea"], limit: BODY_LIMIT, verify: keepRawBody }),
+    asyncRoute(async (req, res) => {
+      const deviceId = req.get("x-device-id") || req.query.device_id;
+      if (!deviceId) return res.status(400).json({ error: "Send the device id in X-Device-Id or ?device_id=" });
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({ error: "Expected NMEA sentences as text/plain" });
+      }
+
+      const auth = deviceAuth.verifyRequest(deviceId, req.headers, req.rawBody);
+      if (!auth.ok) {
+        return res.status(401).json({ error: auth.error, reason: auth.reason });
+      }
+
+      const { fixes, stats, errors } = parseNmea(req.body);
+      if (fixes.length > BATCH_MAX) {
+        return res.status(413).json({ error: `Too many fixes (max ${BATCH_MAX})` });
+      }
+
+      const { summary, results } = fixes.length
+        ? await ingest.ingestBatch(fixes, { source: "nmea", deviceId, log: req.log })
+        : { summary: { stored: 0, duplicate: 0, rejected: 0, invalid: 0 }, results: [] };
+      res.json({ status: "ok", sentences: stats, ...summary, results, errors });
+    })
+  );
+
+  // ---------- /auth ----------
+  app.use("/auth", createAuthRouter({ operatorAuth }));
+
+  // ---------- /devices ----------
+  // Registry metadata the dashboard shows next to a device (nulls when unregistered)
+  const displayInfo = (deviceId) => {
+    const entry = registry.get(deviceId);
+    return {
+      name: entry?.name ?? null,
+      callsign: entry?.callsign ?? null,
+      group: entry?.group ?? null,
+      icon: entry?.icon ?? null,
+      color: entry?.color ?? null,
+    };
+  };
+
+  app.get("/devices", requireRole("viewer"), asyncRoute(async (req, res) => {
+    const latestByDevice = await store.getLatestByDevice();
+    const historyCounts = await store.getHistoryCounts();
+
+    const devices = Object.values(latestByDevice)
+      .filter((point) => operatorAuth.canViewDevice(req.user, point.device_id))
+      .map((point) => ({
+        device_id: point.device_id,
+        ...displayInfo(point.device_id),
+        lat: point.lat,
+        lon: point.lon,
+        speed: point.speed,
+        battery: point.battery,
+        sos: point.sos,
+        timestamp: point.timestamp,
+        last_seen: point.received_at ?? null,
+        status: monitor.statusFor(point.device_id),
+        points: historyCounts[point.device_id] || 0,
+      }))
+      .sort((a, b) => a.device_id.localeCompare(b.device_id));
+
+    res.json({ devices });
+  }));
+
+  // ---------- /device/:id/latest ----------
+  app.get("/device/:id/latest", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const data = await store.getLatest(req.params.id);
+    if (!data) return res.status(404).json({ error: "No data" });
+    res.json(data);
+  }));
+
+  // ---------- /device/:id/history ----------
+  app.get("/device/:id/history", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const parsed = parseHistoryQuery(req.query);
+    const cleaning = parseCleaningQuery(req.query);
+    if (!parsed.ok || !cleaning.ok) {
+      return res.status(400).json({ error: (parsed.ok ? cleaning : parsed).error });
+    }
+
+    const history = await store.getHistory(req.params.id);
+    const cleaned = trackFilter.cleanHistory(history, cleaning.query);
+    const page = queryHistory(cleaned.points, parsed.query);
+    req.log.debug("history served", { device_id: req.params.id, count: page.count, total: page.total, rejected: cleaned.rejected });
+    res.json({ ...page, rejected: cleaned.rejected });
+  }));
+
+  // ---------- /device/:id/export ----------
+  app.get("/device/:id/export", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const format = String(req.query.format || "gpx").toLowerCase();
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `'format' must be one of ${Object.keys(FORMATS).join(", ")}` });
+    }
+    const parsed = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+    const cleaning = parseCleaningQuery(req.query);
+    if (!parsed.ok || !cleaning.ok) {
+      return res.status(400).json({ error: (parsed.ok ? cleaning : parsed).error });
+    }
+
+    const history = await store.getHistory(req.params.id);
+    const cleaned = trackFilter.cleanHistory(history, { ...cleaning.query, includeRejected: false });
+    const { coordinates } = queryHistory(cleaned.points, { ...parsed.query, limit: Infinity });
+    if (coordinates.length === 0) {
+      return res.status(404).json({ error: "No points in this time window" });
+    }
+
+    const file = exportTrack(format, req.params.id, coordinates, parsed.query);
+    req.log.info("track exported", { device_id: req.params.id, format, points: coordinates.length });
+    res.set("Content-Type", `${file.contentType}; charset=utf-8`);
+    res.attachment(file.filename);
+    res.send(file.body);
+  }));
+
+  // ---------- /device/:id/trips ----------
+  const tripOptions = tripOptionsFromEnv(env);
+
+  app.get("/device/:id/trips", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const parsed = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+    const cleaning = parseCleaningQuery(req.query);
+    if (!parsed.ok || !cleaning.ok) {
+      return res.status(400).json({ error: (parsed.ok ? cleaning : parsed).error });
+    }
+
+    const history = await store.getHistory(req.params.id);
+    const cleaned = trackFilter.cleanHistory(history, { ...cleaning.query, includeRejected: false });
+    const { coordinates } = queryHistory(cleaned.points, { ...parsed.query, limit: Infinity });
+    const { trips, stops } = segmentTrips(coordinates, tripOptions);
+    req.log.debug("trips segmented", { device_id: req.params.id, trips: trips.length, stops: stops.length, points: coordinates.length });
+    res.json({ device_id: req.params.id, from: parsed.query.from, to: parsed.query.to, trips, stops });
+  }));
+
+  // ---------- /device/:id/stats ----------
+  app.get("/device/:id/stats", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const parsed = parseHistoryQuery({ from: req.query.from, to: req.query.to });
+    const cleaning = parseCleaningQuery(req.query);
+    if (!parsed.ok || !cleaning.ok) {
+      return res.status(400).json({ error: (parsed.ok ? cleaning : parsed).error });
+    }
+    const timeZone = req.query.tz || "UTC";
+    try {
+      new Intl.DateTimeFormat("en-CA", { timeZone });
+    } catch {
+      return res.status(400).json({ error: `Unknown time zone '${timeZone}'` });
+    }
+
+    const history = await store.getHistory(req.params.id);
+    const cleaned = trackFilter.cleanHistory(history, { ...cleaning.query, includeRejected: false });
+    const { coordinates } = queryHistory(cleaned.points, { ...parsed.query, limit: Infinity });
+    // the moving threshold and gap rule are the trip detector's, so both views agree
+    const stats = shared("trackStats").trackStats(coordinates, {
+      movingSpeedKmh: tripOptions.stopSpeedKmh,
+      maxGapSec: tripOptions.maxGapSec,
+      timeZone,
+    });
+    res.json({ device_id: req.params.id, from: parsed.query.from, to: parsed.query.to, time_zone: timeZone, ...stats });
+  }));
+
+  // ---------- /geofences ----------
+  app.use("/geofences", createGeofenceRouter({ geofences, operatorAuth }));
+
+  // ---------- /incidents ----------
+  app.use("/incidents", createIncidentRouter({ incidents, operatorAuth }));
+
+  // ---------- /alerts ----------
+  app.use("/alerts", createAlertRouter({ monitor, operatorAuth }));
+
+  // ---------- /registry ----------
+  app.use("/registry", createRegistryRouter({ registry, store, monitor, operatorAuth, adminToken: env.ADMIN_TOKEN }));
+
+  // ---------- /webhooks ----------
+  app.use("/webhooks", createWebhookRouter({ webhooks, operatorAuth, adminToken: env.ADMIN_TOKEN }));
+
+  // ---------- /retention ----------
+  app.use("/retention", createRetentionRouter({ retention, operatorAuth, adminToken: env.ADMIN_TOKEN }));
+
+  // ---------- /health ----------
+  // Readiness: 200 once init() has finished and the storage backend answers, else 503
+  let ready = false;
+
+  async function checkStorage() {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, HEALTH_TIMEOUT_MS, { ok: false, error: "Timed out" });
+    });
+    try {
+      return await Promise.race([store.check().catch((err) => ({ ok: false, error: err.message })), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  app.get("/health", asyncRoute(async (req, res) => {
+    const started = Date.now();
+    const storage = ready ? await checkStorage() : { ok: false, error: "Not initialised" };
+    const healthy = ready && storage.ok;
+    if (!healthy) req.log.warn("health check failed", { ready, storage_error: storage.error });
+
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? "ok" : "unavailable",
+      ready,
+      uptime_sec: Math.round(process.uptime()),
+      storage: { driver: store.name, ...storage, latency_ms: Date.now() - started },
+    });
+  }));
+
+  // ---------- /metrics ----------
+  // Prometheus scrape target; with METRICS_TOKEN set it needs "Authorization: Bearer <METRICS_TOKEN>"
+  metrics.gauge({
+    name: "mmtt_history_points",
+    help: "Stored history points per device",
+    labelNames: ["device_id"],
+    collect: async () =>
+      Object.entries(await store.getHistoryCounts()).map(([deviceId, value]) => ({ labels: { device_id: deviceId }, value })),
+  });
+
+  const metricsToken = env.METRICS_TOKEN ? crypto.createHash("sha256").update(env.METRICS_TOKEN).digest() : null;
+
+  app.get("/metrics", asyncRoute(async (req, res) => {
+    if (metricsToken) {
+      const [scheme, token] = (req.get("authorization") || "").split(" ");
+      const presented = crypto.createHash("sha256").update(token || "").digest();
+      if (scheme !== "Bearer" || !crypto.timingSafeEqual(presented, metricsToken)) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+    }
+    res.set("Content-Type", metrics.contentType);
+    res.send(await metrics.render());
+  }));
+
+  // ---------- /debug (OPTIONAL - shows current state) ----------
+  app.get("/debug", requireRole("admin"), asyncRoute(async (req, res) => {
+    const devices = await store.listDeviceIds();
+    res.json({
+      storage: store.name,
+      totalDevices: devices.length,
+      devices,
+      latestData: await store.getLatestByDevice(),
+      historyCounts: await store.getHistoryCounts(),
+    });
+  }));
+
+  // ---------- /admin ----------
+  app.use("/admin", createAdminRouter({ deviceAuth, operatorAuth, adminToken: env.ADMIN_TOKEN }));
+
+  // ---------- errors ----------
+  app.use((err, req, res, next) => {
+    (req.log || log).error("unhandled error", { err });
+    res.status(500).json({ error: "Internal error" });
+  });
+
+  // ---------- Socket.IO ----------
+  const realtime = attachRealtime(server, { bus, operatorAuth, metrics });
+
+  async function init() {
+    await loadShared();
+    await store.init();
+    await trackFilter.init(store);
+    await deviceAuth.init();
+    await registry.init();
+    await operatorAuth.init({
+      bootstrapAdmin: { username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD },
+    });
+    await geofences.init();
+    await incidents.init();
+    await webhooks.init();
+    await monitor.init();
+    await retention.init();
+    ready = true;
+  }
+
+  async function close() {
+    ready = false;
+    for (const service of [retention, monitor, webhooks, incidents, geofences]) service.close();
+    realtime.close();
+    await store.close();
+  }
+
+  return {
+    app,
+    server,
+    bus,
+    store,
+    metrics,
+    ingest,
+    deviceAuth,
+    operatorAuth,
+    registry,
+    geofences,
+    incidents,
+    monitor,
+    webhooks,
+    retention,
+    init,
+    close,
+  };
+}
+
+module.exports = { createApp };
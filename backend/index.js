@@ -1,109 +1,49 @@
 // server.js – Minimal Render-Compatible GPS Backend with LOGGING
+//
+// The app itself is built by app.js; this file starts it: HTTP + Socket.IO,
+// the embedded MQTT broker and the optional NMEA TCP listener.
 
-const express = require("express");
-const cors = require("cors");
+const { createApp } = require("./app");
+const { startMqttBroker } = require("./lib/mqtt");
+const { startNmeaListener } = require("./lib/nmeaTcp");
+const { logger } = require("./lib/logger");
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const log = logger.child({ component: "server" });
 
-// In-memory stores (reset on redeploy)
-const latestByDevice = {};
-const historyByDevice = {};
-
-app.use(cors());
-app.use(express.json());
-
-// Add request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// ---------- / ----------
-app.get("/", (req, res) => {
-  res.send("MMTT GPS Backend Running");
-});
-
-// ---------- /ingest ----------
-app.post("/ingest", (req, res) => {
-  console.log("📥 RECEIVED DATA:");
-  console.log("  Raw body:", JSON.stringify(req.body));
-  
-  const { device_id, lat, lon, speed, battery, sos, timestamp } = req.body;
-
-  if (!device_id || typeof lat !== "number" || typeof lon !== "number") {
-    console.log("❌ VALIDATION FAILED:", { device_id, lat, lon });
-    return res.status(400).json({ error: "Invalid data" });
-  }
-
-  const point = {
-    device_id,
-    lat,
-    lon,
-    speed: speed ?? null,
-    battery: battery ?? null,
-    sos: !!sos,
-    timestamp: timestamp || Date.now(),
-  };
-
-  latestByDevice[device_id] = point;
-
-  if (!historyByDevice[device_id]) historyByDevice[device_id] = [];
-  historyByDevice[device_id].push(point);
-
-  console.log("✅ DATA STORED:");
-  console.log(`  Device: ${device_id}`);
-  console.log(`  Location: ${lat}, ${lon}`);
-  console.log(`  Total points for ${device_id}: ${historyByDevice[device_id].length}`);
-  console.log(`  Total devices tracked: ${Object.keys(latestByDevice).length}`);
-
-  res.json({ status: "ok" });
-});
-
-// ---------- /device/:id/latest ----------
-app.get("/device/:id/latest", (req, res) => {
-  console.log(`📍 Fetching latest for device: ${req.params.id}`);
-  const data = latestByDevice[req.params.id];
-  if (!data) {
-    console.log(`❌ No data found for device: ${req.params.id}`);
-    return res.status(404).json({ error: "No data" });
-  }
-  console.log(`✅ Returning latest data for ${req.params.id}`);
-  res.json(data);
-});
-
-// ---------- /device/:id/history ----------
-app.get("/device/:id/history", (req, res) => {
-  console.log(`📜 Fetching history for device: ${req.params.id}`);
-  const history = historyByDevice[req.params.id] || [];
-  console.log(`✅ Returning ${history.length} points for ${req.params.id}`);
-  res.json({
-    coordinates: history,
-  });
-});
-
-// ---------- /health ----------
-app.get("/health", (req, res) => {
-  res.json({ status: "ok" });
-});
-
-// ---------- /debug (OPTIONAL - shows current state) ----------
-app.get("/debug", (req, res) => {
-  res.json({
-    totalDevices: Object.keys(latestByDevice).length,
-    devices: Object.keys(latestByDevice),
-    latestData: latestByDevice,
-    historyCounts: Object.keys(historyByDevice).reduce((acc, key) => {
-      acc[key] = historyByDevice[key].length;
-      return acc;
-      
-    }, {})
-  });
-});
+const { server, bus, store, metrics, ingest, deviceAuth, init } = createApp();
 
 // ---------- START ----------
-app.listen(PORT, () => {
-  console.log(`🚀 Backend running on port ${PORT}`);
-  console.log(`📡 Ready to receive GPS data`);
-});
-                  
\ No newline at end of file
+init()
+  .then(() => {
+    // ---------- MQTT ----------
+    if (process.env.MQTT_ENABLED !== "false") {
+      startMqttBroker({
+        ingest,
+        bus,
+        deviceAuth,
+        port: Number(process.env.MQTT_PORT ?? 1883),
+        httpServer: server,
+        wsPath: process.env.MQTT_WS_PATH || "/mqtt",
+        retainLatest: process.env.MQTT_RETAIN_LATEST === "true",
+        metrics,
+      });
+    }
+
+    // ---------- NMEA over TCP ----------
+    if (process.env.NMEA_TCP_PORT) {
+      startNmeaListener({
+        ingest,
+        deviceAuth,
+        port: Number(process.env.NMEA_TCP_PORT),
+        idleTimeoutMs: Number(process.env.NMEA_TCP_IDLE_SEC || 300) * 1000,
+        metrics,
+      });
+    }
+
+    server.listen(PORT, () => log.info("backend listening", { port: Number(PORT), storage: store.name }));
+  })
+  .catch((err) => {
+    log.error("failed to initialise", { err });
+    process.exit(1);
+  });
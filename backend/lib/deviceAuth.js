@@ -0,0 +1,252 @@
+// lib/deviceAuth.js – Per-device credentials for ingest
+//
+// A device authenticates each /ingest request with either
+//   X-Device-Key: <secret>                                   (API key, use over TLS)
+// or an HMAC signature with replay protection:
+//   X-Timestamp: <unix seconds>
+//   X-Signature: hex(HMAC-SHA256(secret, "<timestamp>.<raw body>"))
+// MQTT clients use username = device_id, password = secret.
+//
+// Keys live in the "device-keys" storage document. Secrets are stored as-is
+// because HMAC verification needs them, so treat DATA_DIR as sensitive.
+
+const crypto = require("crypto");
+const { toEpochSeconds } = require("./history");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+const log = logger.child({ component: "device-auth" });
+
+const DOCUMENT = "device-keys";
+const DEFAULT_REPLAY_WINDOW_SEC = 300;
+
+const newKeyId = () => `k_${crypto.randomBytes(4).toString("hex")}`;
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+// Constant-time string comparison (hashing first equalizes the lengths)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+const signPayload = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+const isKeyActive = (key, nowMs = Date.now()) =>
+  !key.revoked_at && (!key.expires_at || key.expires_at > nowMs);
+
+// Never hand secrets back after creation
+const publicKey = (key) => ({
+  key_id: key.key_id,
+  created_at: key.created_at,
+  expires_at: key.expires_at ?? null,
+  revoked_at: key.revoked_at ?? null,
+  active: isKeyActive(key),
+});
+
+/**
+ * createDeviceAuth
+ * mode: "off" (accept everything) | "required" (reject unauthenticated ingest)
+ */
+function createDeviceAuth({ store, mode = "off", replayWindowSec = DEFAULT_REPLAY_WINDOW_SEC, metrics = createMetrics() }) {
+  const failureCounter = metrics.counter({
+    name: "mmtt_device_auth_failures_total",
+    help: "Ingest requests turned away by device authentication",
+    labelNames: ["reason"],
+  });
+  // Maps, not objects: device ids come off the wire ("constructor", "__proto__", …)
+  let keysByDevice = new Map(); // device_id -> [key]
+  const lastUsedAt = new Map(); // "<device_id>/<key_id>" -> ms
+  const failures = new Map(); // device_id -> { count, by_reason, last_reason, last_at }
+  const seenSignatures = new Map(); // signature -> expiry (ms)
+
+  async function persist() {
+    await store.saveDocument(DOCUMENT, Object.fromEntries(keysByDevice));
+  }
+
+  const keysFor = (deviceId) => keysByDevice.get(deviceId) || [];
+
+  function activeKeys(deviceId) {
+    return keysFor(deviceId).filter((k) => isKeyActive(k));
+  }
+
+  function issueKey(deviceId) {
+    const key = { key_id: newKeyId(), secret: newSecret(), created_at: Date.now() };
+    if (!keysByDevice.has(deviceId)) keysByDevice.set(deviceId, []);
+    keysByDevice.get(deviceId).push(key);
+    return key;
+  }
+
+  function verifyKey(deviceId, secret, missingError) {
+    if (mode !== "required") return { ok: true };
+    if (!deviceId || !secret) return fail(deviceId, "missing_credentials", missingError);
+    if (activeKeys(deviceId).length === 0) {
+      return fail(deviceId, "unknown_device", "No active key registered for this device");
+    }
+    return matchKey(deviceId, (k) => safeEqual(k.secret, secret))
+      ? { ok: true }
+      : fail(deviceId, "invalid_key", "Invalid device key");
+  }
+
+  function recordFailure(deviceId, reason) {
+    const id = deviceId || "(unknown)";
+    const entry = failures.get(id) || { count: 0, by_reason: {} };
+    entry.count += 1;
+    entry.by_reason[reason] = (entry.by_reason[reason] || 0) + 1;
+    entry.last_reason = reason;
+    entry.last_at = Date.now();
+    failures.set(id, entry);
+    failureCounter.inc({ reason });
+    log.warn("device auth failed", { device_id: id, reason });
+  }
+
+  function pruneSeenSignatures(nowMs) {
+    for (const [sig, expiry] of seenSignatures) {
+      if (expiry <= nowMs) seenSignatures.delete(sig);
+    }
+  }
+
+  function fail(deviceId, reason, error) {
+    recordFailure(deviceId, reason);
+    return { ok: false, reason, error };
+  }
+
+  function matchKey(deviceId, predicate) {
+    const key = activeKeys(deviceId).find(predicate);
+    if (key) lastUsedAt.set(`${deviceId}/${key.key_id}`, Date.now());
+    return key || null;
+  }
+
+  return {
+    mode,
+
+    async init() {
+      keysByDevice = new Map(Object.entries((await store.loadDocument(DOCUMENT, {})) || {}));
+      log.info("device auth loaded", { mode, devices_with_keys: keysByDevice.size });
+    },
+
+    get enforced() {
+      return mode === "required";
+    },
+
+    // ---------- admin ----------
+
+    async registerDevice(deviceId) {
+      if (activeKeys(deviceId).length > 0) {
+        return { ok: false, error: "Device already has an active key; rotate it instead" };
+      }
+      const key = issueKey(deviceId);
+      await persist();
+      return { ok: true, key: { ...publicKey(key), secret: key.secret } };
+    },
+
+    // New key now; existing keys stay valid for graceSeconds (0 = revoke immediately)
+    async rotateKey(deviceId, { graceSeconds = 0 } = {}) {
+      const now = Date.now();
+      for (const key of activeKeys(deviceId)) {
+        if (graceSeconds > 0) key.expires_at = now + graceSeconds * 1000;
+        else key.revoked_at = now;
+      }
+      const key = issueKey(deviceId);
+      await persist();
+      return { ok: true, key: { ...publicKey(key), secret: key.secret } };
+    },
+
+    async revokeKey(deviceId, keyId) {
+      const keys = keysFor(deviceId).filter(
+        (k) => !k.revoked_at && (keyId == null || k.key_id === keyId)
+      );
+      if (keys.length === 0) return { ok: false, error: "No matching active key" };
+      const now = Date.now();
+      keys.forEach((k) => {
+        k.revoked_at = now;
+      });
+      await persist();
+      return { ok: true, revoked: keys.map((k) => k.key_id) };
+    },
+
+    listKeys(deviceId) {
+      return keysFor(deviceId).map((k) => ({
+        ...publicKey(k),
+        last_used_at: lastUsedAt.get(`${deviceId}/${k.key_id}`) ?? null,
+      }));
+    },
+
+    getFailures() {
+      return Object.fromEntries(failures);
+    },
+
+    getFailure(deviceId) {
+      return failures.get(deviceId) || null;
+    },
+
+    // ---------- verification ----------
+
+    /**
+     * verifyRequest
+     * Checks headers + raw body of an ingest request for deviceId.
+     * Returns { ok: true } or { ok: false, reason, error } (failure is counted).
+     */
+    verifyRequest(deviceId, headers, rawBody = "") {
+      if (mode !== "required") return { ok: true };
+      if (!deviceId) return fail(deviceId, "missing_device_id", "device_id is required");
+
+      const apiKey = headers["x-device-key"];
+      const signature = headers["x-signature"];
+      const timestampHeader = headers["x-timestamp"];
+
+      if (!apiKey && !signature) {
+        return fail(deviceId, "missing_credentials", "Send X-Device-Key or X-Signature + X-Timestamp");
+      }
+      if (activeKeys(deviceId).length === 0) {
+        return fail(deviceId, "unknown_device", "No active key registered for this device");
+      }
+
+      if (apiKey) {
+        return matchKey(deviceId, (k) => safeEqual(k.secret, apiKey))
+          ? { ok: true }
+          : fail(deviceId, "invalid_key", "Invalid device key");
+      }
+
+      const ts = toEpochSeconds(timestampHeader);
+      if (ts == null) return fail(deviceId, "missing_timestamp", "X-Timestamp is required with X-Signature");
+
+      const nowMs = Date.now();
+      if (Math.abs(nowMs / 1000 - ts) > replayWindowSec) {
+        return fail(deviceId, "stale_timestamp", `X-Timestamp outside the ${replayWindowSec}s window`);
+      }
+
+      pruneSeenSignatures(nowMs);
+      if (seenSignatures.has(signature)) {
+        return fail(deviceId, "replayed", "Signature already used");
+      }
+
+      const key = matchKey(deviceId, (k) => safeEqual(signPayload(k.secret, timestampHeader, rawBody), signature));
+      if (!key) return fail(deviceId, "bad_signature", "Signature does not match");
+
+      seenSignatures.set(signature, nowMs + replayWindowSec * 1000);
+      return { ok: true };
+    },
+
+    /**
+     * verifyMqtt
+     * username = device_id, password = device secret.
+     */
+    verifyMqtt(username, password) {
+      return verifyKey(username, password, "MQTT username/password required");
+    },
+
+    /**
+     * verifyKey
+     * A device id + secret sent in-band, e.g. the NMEA TCP handshake.
+     */
+    verifyKey(deviceId, secret) {
+      return verifyKey(deviceId, secret, "Device id and key required");
+    },
+
+    recordFailure,
+  };
+}
+
+module.exports = { createDeviceAuth, signPayload };
@@ -0,0 +1,192 @@
+// lib/export.js – Track export as GPX 1.1, KML 2.2, GeoJSON and CSV
+//
+// Every formatter takes the device id and its points (oldest first, as stored:
+// timestamp in seconds or ms, speed in m/s, battery in %, sos boolean) and
+// returns the file body as a string.
+
+const { toEpochSeconds } = require("./history");
+
+const FORMATS = {
+  gpx: { extension: "gpx", contentType: "application/gpx+xml" },
+  kml: { extension: "kml", contentType: "application/vnd.google-earth.kml+xml" },
+  geojson: { extension: "geojson", contentType: "application/geo+json" },
+  csv: { extension: "csv", contentType: "text/csv" },
+};
+
+// Namespace of our GPX <extensions> (speed / battery / sos per trackpoint)
+const GPX_EXT_NS = "urn:mmtt:gpx:telemetry:1";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const isoTime = (point) => {
+  const ts = toEpochSeconds(point.timestamp);
+  return ts == null ? null : new Date(ts * 1000).toISOString();
+};
+
+function toGpx(deviceId, points) {
+  const trkpts = points.map((p) => {
+    const time = isoTime(p);
+    const ext = [
+      p.speed != null ? `<mmtt:speed>${p.speed}</mmtt:speed>` : "",
+      p.battery != null ? `<mmtt:battery>${p.battery}</mmtt:battery>` : "",
+      `<mmtt:sos>${p.sos ? "true" : "false"}</mmtt:sos>`,
+    ].join("");
+    return [
+      `      <trkpt lat="${p.lat}" lon="${p.lon}">`,
+      time ? `        <time>${time}</time>` : null,
+      `        <extensions>${ext}</extensions>`,
+      "      </trkpt>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="MMTT GPS Backend" xmlns="http://www.topografix.com/GPX/1/1" xmlns:mmtt="${GPX_EXT_NS}">`,
+    "  <metadata>",
+    `    <name>${escapeXml(deviceId)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    "  </metadata>",
+    "  <trk>",
+    `    <name>${escapeXml(deviceId)}</name>`,
+    "    <trkseg>",
+    ...trkpts,
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+// gx:Track keeps a time and the telemetry for every coordinate
+function toKml(deviceId, points) {
+  const timed = points.filter((p) => isoTime(p));
+  const arrayData = (name, pick) =>
+    [
+      `          <gx:SimpleArrayData name="${name}">`,
+      ...timed.map((p) => `            <gx:value>${pick(p) ?? ""}</gx:value>`),
+      "          </gx:SimpleArrayData>",
+    ].join("\n");
+
+  const sosPlacemarks = points
+    .filter((p) => p.sos)
+    .map((p) =>
+      [
+        "    <Placemark>",
+        `      <name>SOS ${escapeXml(deviceId)}</name>`,
+        isoTime(p) ? `      <TimeStamp><when>${isoTime(p)}</when></TimeStamp>` : null,
+        "      <styleUrl>#sos</styleUrl>",
+        `      <Point><coordinates>${p.lon},${p.lat},0</coordinates></Point>`,
+        "    </Placemark>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(deviceId)}</name>`,
+    '    <Style id="track"><LineStyle><color>ff008cff</color><width>4</width></LineStyle></Style>',
+    '    <Style id="sos"><IconStyle><color>ff0000ff</color></IconStyle></Style>',
+    '    <Schema id="telemetry">',
+    '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="battery" type="float"><displayName>Battery (%)</displayName></gx:SimpleArrayField>',
+    '      <gx:SimpleArrayField name="sos" type="bool"><displayName>SOS</displayName></gx:SimpleArrayField>',
+    "    </Schema>",
+    "    <Placemark>",
+    `      <name>${escapeXml(deviceId)} track</name>`,
+    "      <styleUrl>#track</styleUrl>",
+    "      <gx:Track>",
+    ...timed.map((p) => `        <when>${isoTime(p)}</when>`),
+    ...timed.map((p) => `        <gx:coord>${p.lon} ${p.lat} 0</gx:coord>`),
+    "        <ExtendedData>",
+    '          <SchemaData schemaUrl="#telemetry">',
+    arrayData("speed", (p) => p.speed),
+    arrayData("battery", (p) => p.battery),
+    arrayData("sos", (p) => (p.sos ? 1 : 0)),
+    "          </SchemaData>",
+    "        </ExtendedData>",
+    "      </gx:Track>",
+    "    </Placemark>",
+    ...sosPlacemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+// One LineString for the whole track plus a Point feature per fix
+function toGeoJson(deviceId, points) {
+  const line = {
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: points.map((p) => [p.lon, p.lat]) },
+    properties: {
+      device_id: deviceId,
+      kind: "track",
+      start: points.length ? isoTime(points[0]) : null,
+      end: points.length ? isoTime(points[points.length - 1]) : null,
+      point_count: points.length,
+      coord_times: points.map(isoTime),
+    },
+  };
+
+  const fixes = points.map((p) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+    properties: {
+      device_id: deviceId,
+      kind: "fix",
+      time: isoTime(p),
+      speed: p.speed ?? null,
+      battery: p.battery ?? null,
+      sos: !!p.sos,
+    },
+  }));
+
+  return JSON.stringify({ type: "FeatureCollection", features: [line, ...fixes] });
+}
+
+const CSV_COLUMNS = ["device_id", "timestamp", "time", "lat", "lon", "speed", "battery", "sos"];
+
+const csvCell = (value) => {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(deviceId, points) {
+  const rows = points.map((p) =>
+    [deviceId, toEpochSeconds(p.timestamp), isoTime(p), p.lat, p.lon, p.speed, p.battery, p.sos ? 1 : 0]
+      .map(csvCell)
+      .join(",")
+  );
+  return `${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+const FORMATTERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson, csv: toCsv };
+
+/**
+ * exportTrack
+ * Returns { body, contentType, filename } for one of FORMATS.
+ */
+function exportTrack(format, deviceId, points, { from = null, to = null } = {}) {
+  const spec = FORMATS[format];
+  const range = [from, to].filter((v) => v != null).join("-");
+  const base = `${deviceId}${range ? `_${range}` : ""}`.replace(/[^\w.-]+/g, "_");
+  return {
+    body: FORMATTERS[format](deviceId, points),
+    contentType: spec.contentType,
+    filename: `${base}.${spec.extension}`,
+  };
+}
+
+module.exports = { exportTrack, FORMATS, toGpx, toKml, toGeoJson, toCsv };
@@ -0,0 +1,11 @@
+// lib/geo.js – Geodesy helpers for the backend (the math lives in ../../shared/geo.js)
+
+const { shared } = require("./shared");
+
+const haversineMeters = (lat1, lon1, lat2, lon2) => shared("geo").haversineMeters(lat1, lon1, lat2, lon2);
+const pointInPolygon = (lat, lon, polygon) => shared("geo").pointInPolygon(lat, lon, polygon);
+const isLat = (v) => shared("geo").isLat(v);
+const isLon = (v) => shared("geo").isLon(v);
+const simplifyPath = (points, toleranceM) => shared("geo").simplifyPath(points, toleranceM);
+
+module.exports = { haversineMeters, pointInPolygon, isLat, isLon, simplifyPath };
@@ -0,0 +1,288 @@
+// lib/geofences.js – Circle / polygon zones with entry, exit and dwell events
+//
+// Every stored point (bus "point") is checked against the fences that apply to
+// its device. Transitions are written to the "geofence-events" log and
+// announced on the bus as "geofence" events:
+//   enter – first fix inside the fence
+//   exit  – first fix outside after being inside
+//   dwell – still inside dwell_seconds after entering (once per visit)
+//
+// A fence applies to the devices in `devices`, the members of `groups`, or to
+// every device when both are empty. Per-device inside/outside state is kept in
+// the "geofence-state" document so a restart doesn't re-trigger entries.
+
+const crypto = require("crypto");
+const { haversineMeters, pointInPolygon, isLat, isLon } = require("./geo");
+const { toEpochSeconds } = require("./history");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "geofences" });
+
+const FENCES_DOC = "geofences";
+const STATE_DOC = "geofence-state";
+const EVENTS_LOG = "geofence-events";
+const DEFAULT_DWELL_SECONDS = 300;
+
+/**
+ * validateFence
+ * Normalizes a create/update body. Returns { ok, fence } or { ok: false, error }.
+ */
+function validateFence(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const { name, type, center, radius_m, polygon, devices = [], groups = [], dwell_seconds } = input;
+
+  if (typeof name !== "string" || !name.trim()) return { ok: false, error: "name is required" };
+  if (type !== "circle" && type !== "polygon") return { ok: false, error: "type must be 'circle' or 'polygon'" };
+
+  const fence = {
+    name: name.trim(),
+    type,
+    devices,
+    groups,
+    dwell_seconds: dwell_seconds == null ? DEFAULT_DWELL_SECONDS : Number(dwell_seconds),
+    active: input.active !== false,
+  };
+
+  if (type === "circle") {
+    if (!center || !isLat(center.lat) || !isLon(center.lon)) {
+      return { ok: false, error: "circle needs center { lat, lon }" };
+    }
+    if (typeof radius_m !== "number" || !(radius_m > 0)) {
+      return { ok: false, error: "circle needs a positive radius_m" };
+    }
+    fence.center = { lat: center.lat, lon: center.lon };
+    fence.radius_m = radius_m;
+  } else {
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      return { ok: false, error: "polygon needs at least 3 [lat, lon] vertices" };
+    }
+    if (polygon.some((v) => !Array.isArray(v) || !isLat(v[0]) || !isLon(v[1]))) {
+      return { ok: false, error: "polygon vertices must be [lat, lon] pairs" };
+    }
+    fence.polygon = polygon.map(([lat, lon]) => [lat, lon]);
+  }
+
+  for (const [key, list] of [["devices", devices], ["groups", groups]]) {
+    if (!Array.isArray(list) || list.some((x) => typeof x !== "string")) {
+      return { ok: false, error: `${key} must be an array of strings` };
+    }
+  }
+  if (!Number.isFinite(fence.dwell_seconds) || fence.dwell_seconds < 0) {
+    return { ok: false, error: "dwell_seconds must be a non-negative number" };
+  }
+
+  return { ok: true, fence };
+}
+
+function containsPoint(fence, lat, lon) {
+  if (fence.type === "circle") {
+    return haversineMeters(fence.center.lat, fence.center.lon, lat, lon) <= fence.radius_m;
+  }
+  return pointInPolygon(lat, lon, fence.polygon);
+}
+
+const geometryKey = (fence) => JSON.stringify([fence.type, fence.center, fence.radius_m, fence.polygon]);
+
+/**
+ * createGeofenceService
+ * groupsForDevice(deviceId) → group names (from the operator groups / registry)
+ */
+function createGeofenceService({ store, bus, groupsForDevice = () => [] }) {
+  let fences = new Map(); // id -> fence
+  let state = new Map(); // `${fenceId}|${deviceId}` -> { inside, since, dwell_sent }
+  let stateDirty = false;
+  let stateTimer = null;
+
+  async function persistFences() {
+    await store.saveDocument(FENCES_DOC, Object.fromEntries(fences));
+  }
+
+  // Point traffic can be heavy; state is flushed at most once a second
+  function scheduleStateFlush() {
+    stateDirty = true;
+    if (stateTimer) return;
+    stateTimer = setTimeout(async () => {
+      stateTimer = null;
+      if (!stateDirty) return;
+      stateDirty = false;
+      try {
+        await store.saveDocument(STATE_DOC, Object.fromEntries(state));
+      } catch (err) {
+        log.error("failed to save geofence state", { err });
+      }
+    }, 1000);
+    stateTimer.unref?.();
+  }
+
+  function dropState(fenceId) {
+    for (const key of state.keys()) {
+      if (key.startsWith(`${fenceId}|`)) state.delete(key);
+    }
+    scheduleStateFlush();
+  }
+
+  function appliesTo(fence, deviceId) {
+    if (!fence.active) return false;
+    if (fence.devices.length === 0 && fence.groups.length === 0) return true;
+    if (fence.devices.includes(deviceId)) return true;
+    const deviceGroups = groupsForDevice(deviceId);
+    return fence.groups.some((g) => deviceGroups.includes(g));
+  }
+
+  async function recordEvent(type, fence, point, ts) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      fence_id: fence.id,
+      fence_name: fence.name,
+      device_id: point.device_id,
+      lat: point.lat,
+      lon: point.lon,
+      timestamp: ts,
+      recorded_at: Date.now(),
+    };
+    await store.appendLog(EVENTS_LOG, event);
+    log.info("geofence event", { type, device_id: point.device_id, fence_id: fence.id, fence: fence.name });
+    bus.emit("geofence", event);
+    return event;
+  }
+
+  /**
+   * evaluatePoint
+   * Checks one stored point against every applicable fence; returns the events raised.
+   */
+  async function evaluatePoint(point) {
+    if (point.rejected) return [];
+    const ts = toEpochSeconds(point.timestamp) ?? Math.floor(Date.now() / 1000);
+    const events = [];
+
+    for (const fence of fences.values()) {
+      if (!appliesTo(fence, point.device_id)) continue;
+
+      const key = `${fence.id}|${point.device_id}`;
+      const prev = state.get(key);
+      const inside = containsPoint(fence, point.lat, point.lon);
+
+      if (inside && !prev?.inside) {
+        state.set(key, { inside: true, since: ts, dwell_sent: false });
+        events.push(await recordEvent("enter", fence, point, ts));
+      } else if (!inside && prev?.inside) {
+        state.set(key, { inside: false, since: ts, dwell_sent: false });
+        events.push(await recordEvent("exit", fence, point, ts));
+      } else if (inside && !prev.dwell_sent && fence.dwell_seconds > 0 && ts - prev.since >= fence.dwell_seconds) {
+        prev.dwell_sent = true;
+        events.push(await recordEvent("dwell", fence, point, ts));
+      } else if (!prev) {
+        state.set(key, { inside: false, since: ts, dwell_sent: false });
+      } else {
+        continue;
+      }
+      scheduleStateFlush();
+    }
+
+    return events;
+  }
+
+  // Points are evaluated one at a time so transitions stay in arrival order.
+  // Late (back-filled) fixes are skipped: they would replay transitions out of order.
+  let queue = Promise.resolve();
+  const onPoint = (point, meta = {}) => {
+    if (meta.late) return;
+    queue = queue
+      .then(() => evaluatePoint(point))
+      .catch((err) => log.error("geofence evaluation failed", { device_id: point.device_id, err }));
+  };
+
+  return {
+    async init() {
+      fences = new Map(Object.entries((await store.loadDocument(FENCES_DOC, {})) || {}));
+      state = new Map(Object.entries((await store.loadDocument(STATE_DOC, {})) || {}));
+      bus.on("point", onPoint);
+      log.info("geofences loaded", { fences: fences.size });
+    },
+
+    close() {
+      bus.off("point", onPoint);
+      if (stateTimer) clearTimeout(stateTimer);
+    },
+
+    evaluatePoint,
+    appliesTo,
+
+    list() {
+      return [...fences.values()];
+    },
+
+    get(id) {
+      return fences.get(id) || null;
+    },
+
+    async create(body, { createdBy = null } = {}) {
+      const result = validateFence(body);
+      if (!result.ok) return result;
+      const now = Date.now();
+      const fence = { id: crypto.randomUUID(), ...result.fence, created_by: createdBy, created_at: now, updated_at: now };
+      fences.set(fence.id, fence);
+      await persistFences();
+      return { ok: true, fence };
+    },
+
+    async update(id, body) {
+      const existing = fences.get(id);
+      if (!existing) return { ok: false, status: 404, error: "Geofence not found" };
+      const result = validateFence(body, existing);
+      if (!result.ok) return result;
+      const fence = { ...existing, ...result.fence, updated_at: Date.now() };
+      if (fence.type === "circle") delete fence.polygon;
+      else {
+        delete fence.center;
+        delete fence.radius_m;
+      }
+      // a moved or reshaped fence starts over: the next fix decides inside/outside
+      if (geometryKey(fence) !== geometryKey(existing)) dropState(id);
+      fences.set(id, fence);
+      await persistFences();
+      return { ok: true, fence };
+    },
+
+    async remove(id) {
+      if (!fences.delete(id)) return { ok: false, status: 404, error: "Geofence not found" };
+      dropState(id);
+      await persistFences();
+      return { ok: true };
+    },
+
+    /**
+     * listEvents
+     * Filters: device_id, fence_id, type, from/to (epoch seconds), limit (newest first).
+     */
+    async listEvents({ deviceId, fenceId, type, from, to, limit = 200, canView = () => true } = {}) {
+      const all = await store.readLog(EVENTS_LOG);
+      const out = [];
+      for (let i = all.length - 1; i >= 0 && out.length < limit; i -= 1) {
+        const e = all[i];
+        if (deviceId && e.device_id !== deviceId) continue;
+        if (fenceId && e.fence_id !== fenceId) continue;
+        if (type && e.type !== type) continue;
+        if (from != null && e.timestamp < from) continue;
+        if (to != null && e.timestamp > to) continue;
+        if (!canView(e.device_id)) continue;
+        out.push(e);
+      }
+      return out;
+    },
+
+    // Devices currently inside each fence
+    occupancy() {
+      return [...state].reduce((acc, [key, s]) => {
+        if (!s.inside) return acc;
+        const [fenceId, deviceId] = key.split("|");
+        if (!acc[fenceId]) acc[fenceId] = [];
+        acc[fenceId].push({ device_id: deviceId, since: s.since });
+        return acc;
+      }, {});
+    },
+  };
+}
+
+module.exports = { createGeofenceService, validateFence, containsPoint };
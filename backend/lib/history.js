@@ -0,0 +1,137 @@
+// lib/history.js – Time-window filtering and cursor pagination for history
+//
+// Stored timestamps may be unix seconds (device clock) or milliseconds (server
+// fallback), so every comparison is done on normalized epoch seconds.
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+
+/**
+ * toEpochSeconds
+ * Accepts seconds, milliseconds, numeric strings or ISO strings.
+ * Returns null when the value can't be interpreted.
+ */
+function toEpochSeconds(val) {
+  if (val == null || val === "") return null;
+  if (typeof val === "string" && /^\d+(\.\d+)?$/.test(val)) val = Number(val);
+
+  if (typeof val === "number") {
+    if (!Number.isFinite(val)) return null;
+    return val > 1e12 ? Math.floor(val / 1000) : Math.floor(val);
+  }
+
+  if (typeof val === "string") {
+    const ms = Date.parse(val);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+
+  return null;
+}
+
+/**
+ * toEpochMs
+ * Like toEpochSeconds but keeps millisecond precision (used to order and dedupe points).
+ */
+function toEpochMs(val) {
+  if (val == null || val === "") return null;
+  if (typeof val === "string" && /^\d+(\.\d+)?$/.test(val)) val = Number(val);
+
+  if (typeof val === "number") {
+    if (!Number.isFinite(val)) return null;
+    return val > 1e12 ? Math.floor(val) : Math.floor(val * 1000);
+  }
+
+  if (typeof val === "string") {
+    const ms = Date.parse(val);
+    return Number.isNaN(ms) ? null : ms;
+  }
+
+  return null;
+}
+
+// Cursor = last returned timestamp + how many points at that timestamp were already sent
+function encodeCursor(ts, skip) {
+  return Buffer.from(JSON.stringify({ ts, skip })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { ts, skip } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isFinite(ts) || !Number.isSafeInteger(skip) || skip < 0) return null;
+    return { ts, skip };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * parseHistoryQuery
+ * Validates ?from=&to=&limit=&cursor= and returns { ok, query } or { ok: false, error }.
+ */
+function parseHistoryQuery(q = {}) {
+  const from = toEpochSeconds(q.from);
+  const to = toEpochSeconds(q.to);
+
+  if (q.from != null && q.from !== "" && from == null) return { ok: false, error: "Invalid 'from' timestamp" };
+  if (q.to != null && q.to !== "" && to == null) return { ok: false, error: "Invalid 'to' timestamp" };
+  if (from != null && to != null && from > to) return { ok: false, error: "'from' must not be after 'to'" };
+
+  let limit = DEFAULT_LIMIT;
+  if (q.limit != null && q.limit !== "") {
+    limit = Number(q.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { ok: false, error: "'limit' must be a positive integer" };
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (q.cursor) {
+    cursor = decodeCursor(q.cursor);
+    if (!cursor) return { ok: false, error: "Invalid cursor" };
+  }
+
+  return { ok: true, query: { from, to, limit, cursor } };
+}
+
+/**
+ * queryHistory
+ * Filters points to [from, to] (inclusive, epoch seconds), orders them by time
+ * and returns one page plus the cursor for the next one (null when done).
+ */
+function queryHistory(points, { from = null, to = null, limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  const inWindow = points
+    .map((point) => ({ point, ts: toEpochSeconds(point.timestamp) }))
+    .filter(({ ts }) => {
+      if (ts == null) return from == null && to == null;
+      if (from != null && ts < from) return false;
+      if (to != null && ts > to) return false;
+      return true;
+    })
+    .sort((a, b) => (a.ts ?? 0) - (b.ts ?? 0));
+
+  let start = 0;
+  if (cursor) {
+    while (start < inWindow.length && (inWindow[start].ts ?? 0) < cursor.ts) start += 1;
+    start += cursor.skip;
+  }
+
+  const page = inWindow.slice(start, start + limit);
+  const hasMore = start + page.length < inWindow.length;
+
+  let nextCursor = null;
+  if (hasMore && page.length > 0) {
+    const lastTs = page[page.length - 1].ts ?? 0;
+    // count every point at lastTs up to the end of this page (including earlier pages)
+    let firstAtTs = start + page.length - 1;
+    while (firstAtTs > 0 && (inWindow[firstAtTs - 1].ts ?? 0) === lastTs) firstAtTs -= 1;
+    nextCursor = encodeCursor(lastTs, start + page.length - firstAtTs);
+  }
+
+  return {
+    coordinates: page.map(({ point }) => point),
+    count: page.length,
+    total: inWindow.length,
+    next_cursor: nextCursor,
+  };
+}
+
+module.exports = { toEpochSeconds, toEpochMs, parseHistoryQuery, queryHistory, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,55 @@
+// lib/http.js – Small Express helpers shared by the routes
+
+const crypto = require("crypto");
+
+/**
+ * asyncRoute
+ * Wraps an async handler so a rejected promise reaches Express' error middleware.
+ */
+const asyncRoute = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// An incoming X-Request-Id is kept when it's a sane token (e.g. from a proxy)
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// The route template ("/device/:id/history") keeps metric labels bounded
+const routeLabel = (req) => (req.route ? `${req.baseUrl || ""}${String(req.route.path)}` : "unmatched");
+
+/**
+ * requestLogger
+ * Gives every request an id (X-Request-Id, echoed on the response) and req.log,
+ * a logger that carries it. Once the response is sent it logs one "request" line
+ * (debug for `quietPaths`, error for 5xx) and calls onFinish({ req, res, route, seconds }).
+ * Only method, path, route and status are logged – never the query or body.
+ */
+function requestLogger({ log, quietPaths = [], onFinish = () => {} }) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    const incoming = req.get("x-request-id");
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = log.child({ request_id: req.id });
+    res.set("X-Request-Id", req.id);
+
+    // routers rewrite req.url while they run, so take the path now
+    const { method, path } = req;
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req);
+      onFinish({ req, res, route, seconds });
+
+      const level = res.statusCode >= 500 ? "error" : quietPaths.includes(path) ? "debug" : "info";
+      req.log[level]("request", {
+        method,
+        path,
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 10000) / 10,
+        user: req.user?.username,
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { asyncRoute, requestLogger };
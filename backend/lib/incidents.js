@@ -0,0 +1,237 @@
+// lib/incidents.js – SOS incidents: open, acknowledge, assign, resolve, escalate
+//
+// The first SOS fix of a device opens an incident. Until the incident is
+// resolved every further fix of that device is added to its trail, so
+// responders can see where the unit went after raising the alarm.
+//
+// Lifecycle: open → acknowledged → resolved (acknowledging is optional).
+// An incident nobody acknowledges is escalated every `escalateAfterSec`
+// (escalation_level 1, 2, …). Each change is announced on the bus as
+// "incident" with { action, incident } where action is one of
+// opened | acknowledged | assigned | escalated | resolved | updated.
+
+const crypto = require("crypto");
+const { toEpochSeconds } = require("./history");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "incidents" });
+
+const INCIDENTS_DOC = "incidents";
+const MAX_TRAIL_POINTS = 2000;
+const CHECK_INTERVAL_MS = 5000;
+
+const isActive = (incident) => incident.status !== "resolved";
+
+// List view: everything but the (possibly long) trail
+const summarize = ({ trail, ...incident }) => ({
+  ...incident,
+  trail_points: trail.length,
+  last_position: trail[trail.length - 1] || null,
+});
+
+/**
+ * createIncidentService
+ * escalateAfterSec – seconds an incident may stay unacknowledged (0 disables escalation)
+ */
+function createIncidentService({ store, bus, escalateAfterSec = 120 }) {
+  let incidents = new Map(); // id -> incident
+  let saveTimer = null;
+  let escalationTimer = null;
+
+  async function persist() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    await store.saveDocument(INCIDENTS_DOC, Object.fromEntries(incidents));
+  }
+
+  // Trail appends are frequent; they are flushed at most once a second
+  function schedulePersist() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      store.saveDocument(INCIDENTS_DOC, Object.fromEntries(incidents)).catch((err) => log.error("failed to save incidents", { err }));
+    }, 1000);
+    saveTimer.unref?.();
+  }
+
+  function announce(action, incident) {
+    bus.emit("incident", { action, incident: summarize(incident) });
+  }
+
+  function activeFor(deviceId) {
+    return [...incidents.values()].find((i) => i.device_id === deviceId && isActive(i)) || null;
+  }
+
+  function logEntry(incident, action, by, extra = {}) {
+    incident.log.push({ action, by: by || null, at: Date.now(), ...extra });
+  }
+
+  async function onPoint(point, { late = false } = {}) {
+    const active = activeFor(point.device_id);
+    const fix = {
+      lat: point.lat,
+      lon: point.lon,
+      sos: point.sos,
+      timestamp: toEpochSeconds(point.timestamp) ?? Math.floor(Date.now() / 1000),
+    };
+
+    if (active) {
+      if (point.rejected || late) return;
+      active.trail.push(fix);
+      if (active.trail.length > MAX_TRAIL_POINTS) active.trail.splice(0, active.trail.length - MAX_TRAIL_POINTS);
+      if (point.sos) active.last_sos_at = Date.now();
+      schedulePersist();
+      announce("updated", active);
+      return;
+    }
+    // an SOS always opens an incident, even if the track filter doubts its position
+    if (!point.sos) return;
+
+    const now = Date.now();
+    const incident = {
+      id: crypto.randomUUID(),
+      device_id: point.device_id,
+      status: "open",
+      opened_at: now,
+      last_sos_at: now,
+      lat: point.lat,
+      lon: point.lon,
+      acknowledged_at: null,
+      acknowledged_by: null,
+      assigned_to: null,
+      escalation_level: 0,
+      escalated_at: null,
+      resolved_at: null,
+      resolved_by: null,
+      resolution: null,
+      trail: [fix],
+      log: [],
+    };
+    logEntry(incident, "opened", null);
+    incidents.set(incident.id, incident);
+    await persist();
+    log.warn("sos incident opened", { device_id: point.device_id, incident_id: incident.id });
+    announce("opened", incident);
+  }
+
+  async function checkEscalations() {
+    if (!(escalateAfterSec > 0)) return;
+    const now = Date.now();
+    let changed = false;
+
+    for (const incident of incidents.values()) {
+      if (incident.status !== "open") continue;
+      const since = incident.escalated_at || incident.opened_at;
+      if (now - since < escalateAfterSec * 1000) continue;
+
+      incident.escalation_level += 1;
+      incident.escalated_at = now;
+      logEntry(incident, "escalated", null, { level: incident.escalation_level });
+      changed = true;
+      log.warn("sos incident escalated", { device_id: incident.device_id, incident_id: incident.id, level: incident.escalation_level });
+      announce("escalated", incident);
+    }
+
+    if (changed) await persist();
+  }
+
+  // Shared by acknowledge / assign / resolve: 404 for unknown, 409 once resolved
+  function findActive(id) {
+    const incident = incidents.get(id);
+    if (!incident) return { ok: false, status: 404, error: "Incident not found" };
+    if (!isActive(incident)) return { ok: false, status: 409, error: "Incident already resolved" };
+    return { ok: true, incident };
+  }
+
+  const onPointListener = (point, meta) => {
+    onPoint(point, meta).catch((err) => log.error("incident update failed", { device_id: point.device_id, err }));
+  };
+
+  return {
+    async init() {
+      incidents = new Map(Object.entries((await store.loadDocument(INCIDENTS_DOC, {})) || {}));
+      bus.on("point", onPointListener);
+      escalationTimer = setInterval(() => {
+        checkEscalations().catch((err) => log.error("incident escalation failed", { err }));
+      }, CHECK_INTERVAL_MS);
+      escalationTimer.unref?.();
+      const active = [...incidents.values()].filter(isActive).length;
+      log.info("incidents loaded", { incidents: incidents.size, active });
+    },
+
+    close() {
+      bus.off("point", onPointListener);
+      clearInterval(escalationTimer);
+      if (saveTimer) clearTimeout(saveTimer);
+    },
+
+    checkEscalations,
+
+    /**
+     * list
+     * status: "active" (open + acknowledged, default) | "open" | "acknowledged" | "resolved" | "all"
+     */
+    list({ status = "active", deviceId, canView = () => true } = {}) {
+      return [...incidents.values()]
+        .filter((i) => {
+          if (status === "active" && !isActive(i)) return false;
+          if (status !== "active" && status !== "all" && i.status !== status) return false;
+          if (deviceId && i.device_id !== deviceId) return false;
+          return canView(i.device_id);
+        })
+        .sort((a, b) => b.opened_at - a.opened_at)
+        .map(summarize);
+    },
+
+    get(id) {
+      return incidents.get(id) || null;
+    },
+
+    async acknowledge(id, { by, note } = {}) {
+      const found = findActive(id);
+      if (!found.ok) return found;
+      const { incident } = found;
+      if (incident.status === "acknowledged") return { ok: false, status: 409, error: "Incident already acknowledged" };
+
+      incident.status = "acknowledged";
+      incident.acknowledged_at = Date.now();
+      incident.acknowledged_by = by || null;
+      logEntry(incident, "acknowledged", by, note ? { note } : {});
+      await persist();
+      announce("acknowledged", incident);
+      return { ok: true, incident };
+    },
+
+    async assign(id, { by, assignee } = {}) {
+      const found = findActive(id);
+      if (!found.ok) return found;
+      const { incident } = found;
+
+      incident.assigned_to = assignee || null;
+      logEntry(incident, "assigned", by, { assignee: assignee || null });
+      await persist();
+      announce("assigned", incident);
+      return { ok: true, incident };
+    },
+
+    async resolve(id, { by, note } = {}) {
+      const found = findActive(id);
+      if (!found.ok) return found;
+      const { incident } = found;
+
+      incident.status = "resolved";
+      incident.resolved_at = Date.now();
+      incident.resolved_by = by || null;
+      incident.resolution = note || null;
+      logEntry(incident, "resolved", by, note ? { note } : {});
+      await persist();
+      log.info("sos incident resolved", { device_id: incident.device_id, incident_id: incident.id });
+      announce("resolved", incident);
+      return { ok: true, incident };
+    },
+  };
+}
+
+module.exports = { createIncidentService, summarize };
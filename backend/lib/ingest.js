@@ -0,0 +1,177 @@
+// lib/ingest.js – Shared validation + storage path for every ingest transport
+//
+// HTTP /ingest and MQTT telemetry both end up in ingestPoint(), so a point is
+// validated, stored and announced on the bus the same way wherever it came from.
+// With the track filter's ingest stage on, implausible fixes are stored with a
+// `rejected` reason instead of being dropped.
+// Payloads are checked against the versioned telemetry schema (lib/schema.js).
+// Every outcome is counted per device and source for /metrics.
+
+const { toEpochMs } = require("./history");
+const { validateTelemetry } = require("./schema");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+const log = logger.child({ component: "ingest" });
+
+/**
+ * createIngestService
+ * ingestPoint(body, { source, log }) validates, dedupes, filters, stores and emits "point" on the bus
+ * (`log` is the caller's logger, e.g. one carrying the request id).
+ * Returns { ok, point, duplicate, late, rejected } (rejected = reject reason or null),
+ * or { ok: false, status?, error, errors? } – `errors` lists the fields that failed the
+ * schema, status 403 is for a device `isAllowed` turns away.
+ *
+ * ingestBatch(items, { source, deviceId }) does the same for many points and
+ * returns one result per item (items that failed to parse are passed in as
+ * Error objects and reported as invalid). Items are stored oldest first so the track
+ * filter sees them in order; late points are inserted into history in place
+ * and never replace a newer "latest" fix.
+ */
+function createIngestService({ store, bus, trackFilter = null, isAllowed = () => true, metrics = createMetrics() }) {
+  const pointsCounter = metrics.counter({
+    name: "mmtt_ingest_points_total",
+    help: "Points received per device, by transport and outcome (stored, duplicate, rejected)",
+    labelNames: ["device_id", "source", "result"],
+  });
+  const validationCounter = metrics.counter({
+    name: "mmtt_ingest_validation_failures_total",
+    help: "Schema failures per field and error code",
+    labelNames: ["source", "field", "code"],
+  });
+  const refusedCounter = metrics.counter({
+    name: "mmtt_ingest_unknown_device_total",
+    help: "Valid points from devices the registry turned away",
+    labelNames: ["source"],
+  });
+
+  // One point per device at a time: the duplicate check, track filter and append
+  // are separate awaits, and two copies of a replayed fix must not both pass the check
+  const deviceQueues = new Map(); // device_id -> tail of the chain
+
+  function serialize(deviceId, task) {
+    const next = (deviceQueues.get(deviceId) || Promise.resolve()).then(task);
+    const tail = next.catch(() => {});
+    deviceQueues.set(deviceId, tail);
+    tail.then(() => {
+      if (deviceQueues.get(deviceId) === tail) deviceQueues.delete(deviceId);
+    });
+    return next;
+  }
+
+  async function ingestPoint(body, { source = "http", quiet = false, log: reqLog = log } = {}) {
+    const result = validateTelemetry(body);
+
+    if (!result.ok) {
+      for (const e of result.errors) validationCounter.inc({ source, field: e.field ?? "", code: e.code });
+      if (!quiet) {
+        reqLog.info("validation failed", {
+          source,
+          device_id: typeof body?.device_id === "string" ? body.device_id : undefined,
+          errors: result.errors.map((e) => `${e.field}: ${e.code}`),
+        });
+      }
+      return result;
+    }
+
+    const { point } = result;
+
+    if (!isAllowed(point.device_id)) {
+      refusedCounter.inc({ source });
+      if (!quiet) reqLog.warn("unknown device", { source, device_id: point.device_id });
+      return { ok: false, status: 403, error: "Unknown device" };
+    }
+
+    return serialize(point.device_id, () => storePoint(result, { source, quiet, reqLog }));
+  }
+
+  async function storePoint(result, { source, quiet, reqLog }) {
+    const { point } = result;
+
+    // a unit replaying its buffer may resend fixes we already have
+    if (await store.hasPoint(point.device_id, point.timestamp)) {
+      pointsCounter.inc({ device_id: point.device_id, source, result: "duplicate" });
+      if (!quiet) reqLog.debug("duplicate point", { source, device_id: point.device_id, timestamp: point.timestamp });
+      return { ...result, duplicate: true, late: false, rejected: null };
+    }
+
+    const latest = await store.getLatest(point.device_id);
+    const late = Boolean(latest) && (toEpochMs(point.timestamp) ?? 0) < (toEpochMs(latest.timestamp) ?? 0);
+
+    const rejected = trackFilter ? trackFilter.checkIngest(point) : null;
+    if (rejected) {
+      point.rejected = rejected;
+      reqLog.info("point rejected", { source, device_id: point.device_id, lat: point.lat, lon: point.lon, reason: rejected });
+    }
+
+    await store.appendPoint(point);
+    pointsCounter.inc({ device_id: point.device_id, source, result: rejected ? "rejected" : "stored" });
+    bus.emit("point", point, { source, late });
+
+    if (!quiet) {
+      reqLog.debug("point stored", { source, device_id: point.device_id, lat: point.lat, lon: point.lon, late });
+    }
+
+    return { ...result, duplicate: false, late, rejected };
+  }
+
+  async function ingestBatch(items, { source = "http", deviceId = null, log: reqLog = log } = {}) {
+    const results = new Array(items.length);
+    const queue = [];
+
+    items.forEach((item, index) => {
+      if (item instanceof Error) {
+        results[index] = { index, status: "invalid", error: item.message };
+      } else if (deviceId && item?.device_id && item.device_id !== deviceId) {
+        results[index] = { index, status: "invalid", error: "device_id does not match the authenticated device" };
+      } else {
+        queue.push({ index, item: deviceId ? { ...item, device_id: deviceId } : item });
+      }
+    });
+
+    // oldest first; points without a usable timestamp are stamped "now", so they go last
+    const order = (entry) => toEpochMs(entry.item?.timestamp) ?? Infinity;
+    queue.sort((a, b) => order(a) - order(b) || a.index - b.index);
+
+    for (const { index, item } of queue) {
+      const r = await ingestPoint(item, { source, quiet: true, log: reqLog });
+      if (!r.ok) results[index] = { index, status: "invalid", error: r.error, ...(r.errors && { errors: r.errors }) };
+      else if (r.duplicate) results[index] = { index, status: "duplicate" };
+      else if (r.rejected) results[index] = { index, status: "rejected", reason: r.rejected, late: r.late };
+      else results[index] = { index, status: "stored", late: r.late };
+    }
+
+    const summary = results.reduce(
+      (acc, r) => {
+        acc[r.status] += 1;
+        return acc;
+      },
+      { stored: 0, duplicate: 0, rejected: 0, invalid: 0 }
+    );
+    reqLog.info("batch ingested", { source, items: items.length, ...summary });
+
+    return { summary, results };
+  }
+
+  return { ingestPoint, ingestBatch };
+}
+
+/**
+ * parseNdjson
+ * One JSON point per line; blank lines are skipped, unreadable lines become Errors.
+ */
+function parseNdjson(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return new Error(`Line ${number} is not valid JSON`);
+      }
+    });
+}
+
+module.exports = { createIngestService, parseNdjson };
@@ -0,0 +1,88 @@
+// lib/logger.js – Structured, leveled logging: one JSON object per line
+//
+//   LOG_LEVEL  – debug | info | warn | error | silent (default info)
+//   LOG_FORMAT – json (default, for Render / log pipelines) or pretty
+//                ("12:00:00 INFO  [ingest] point stored device_id=…", for a terminal)
+//
+// Every line carries time, level, the logger's bound fields (component,
+// request_id, …), msg and the call's own fields. Request and payload bodies are
+// never logged; log the fields you need (device_id, error codes) instead.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const FORMATS = ["json", "pretty"];
+
+const settings = {
+  level: "info",
+  format: "json",
+  // warn / error go to stderr so they survive stdout being filtered
+  write: (level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+};
+
+/**
+ * configureLogger
+ * Changes the level / format of every logger (unknown values throw).
+ * `write(level, line)` replaces the output, e.g. to capture logs in tests.
+ */
+function configureLogger({ level, format, write } = {}) {
+  if (level != null && level !== "") {
+    if (!(level in LEVELS)) throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(", ")}`);
+    settings.level = level;
+  }
+  if (format != null && format !== "") {
+    if (!FORMATS.includes(format)) throw new Error(`LOG_FORMAT must be one of ${FORMATS.join(", ")}`);
+    settings.format = format;
+  }
+  if (write) settings.write = write;
+}
+
+// Errors don't survive JSON.stringify; keep what's useful for debugging
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  return value;
+}
+
+function prettyLine({ time, level, component, msg, ...fields }) {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => {
+      if (value && typeof value === "object") {
+        return `${key}=${value.stack && key === "err" ? `\n${value.stack}` : JSON.stringify(value)}`;
+      }
+      return `${key}=${value}`;
+    })
+    .join(" ");
+  return `${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ""}${msg}${
+    extras ? ` ${extras}` : ""
+  }`;
+}
+
+/**
+ * createLogger
+ * debug / info / warn / error(msg, fields) and child(fields) for a logger
+ * with more bound fields. Fields with undefined values are left out.
+ */
+function createLogger(bindings = {}) {
+  function emit(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[settings.level]) return;
+    const entry = { time: new Date().toISOString(), level, ...bindings, msg };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = serialize(value);
+    }
+    settings.write(level, settings.format === "pretty" ? prettyLine(entry) : JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    child: (fields) => createLogger({ ...bindings, ...fields }),
+    isLevelEnabled: (level) => LEVELS[level] >= LEVELS[settings.level],
+  };
+}
+
+const logger = createLogger();
+configureLogger({ level: process.env.LOG_LEVEL, format: process.env.LOG_FORMAT });
+
+module.exports = { logger, createLogger, configureLogger };
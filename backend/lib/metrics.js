@@ -0,0 +1,155 @@
+// lib/metrics.js – Prometheus metrics in the text exposition format (0.0.4)
+//
+// A small registry instead of a client library: counters, gauges and
+// histograms with labels. A gauge can take collect(), evaluated on every
+// scrape, for values that already live elsewhere (connection counts, history
+// sizes); it returns a number or [{ labels, value }].
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; covers everything from an in-memory read to a slow disk rewrite
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const escapeHelp = (text) => String(text).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+/**
+ * createMetrics
+ * counter / gauge / histogram({ name, help, labelNames, … }) register a metric
+ * and return it; render() returns the whole scrape body.
+ */
+function createMetrics() {
+  const metrics = new Map(); // name -> { type, help, render }
+
+  function register(name, type, help, render) {
+    if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name ${name}`);
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.set(name, { type, help, render });
+  }
+
+  // label values in labelNames order; missing labels are "" so series stay comparable
+  const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+  const labelsFromKey = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = new Map();
+    register(name, "counter", help, () =>
+      [...values].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`)
+    );
+    return {
+      inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`Counter ${name} can only go up`);
+        const key = seriesKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + value);
+      },
+    };
+  }
+
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const values = new Map();
+    register(name, "gauge", help, async () => {
+      if (collect) {
+        const collected = await collect();
+        const series = typeof collected === "number" ? [{ labels: {}, value: collected }] : collected || [];
+        return series.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      }
+      return [...values].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${formatValue(value)}`);
+    });
+    return {
+      set(labels = {}, value) {
+        values.set(seriesKey(labelNames, labels), value);
+      },
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + value);
+      },
+      dec(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) - value);
+      },
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+
+    register(name, "histogram", help, () =>
+      [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = labelsFromKey(labelNames, key);
+        let cumulative = 0;
+        const lines = bounds.map((le, i) => {
+          cumulative += counts[i];
+          return `${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${cumulative}`;
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        return lines;
+      })
+    );
+
+    return {
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+        const entry = series.get(key);
+        const i = bounds.findIndex((le) => value <= le);
+        if (i >= 0) entry.counts[i] += 1;
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+    counter,
+    gauge,
+    histogram,
+
+    async render() {
+      const blocks = [];
+      for (const [name, { type, help, render }] of metrics) {
+        const lines = await render();
+        blocks.push(`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`, ...lines);
+      }
+      return `${blocks.join("\n")}\n`;
+    },
+  };
+}
+
+/**
+ * registerProcessMetrics
+ * Memory, uptime and start time of this Node.js process.
+ */
+function registerProcessMetrics(metrics) {
+  const startTime = Math.floor(Date.now() / 1000 - process.uptime());
+  metrics.gauge({ name: "process_start_time_seconds", help: "Start time of the process (epoch seconds)", collect: () => startTime });
+  metrics.gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+    collect: () => process.memoryUsage().rss,
+  });
+  metrics.gauge({
+    name: "nodejs_heap_used_bytes",
+    help: "V8 heap in use in bytes",
+    collect: () => process.memoryUsage().heapUsed,
+  });
+}
+
+module.exports = { createMetrics, registerProcessMetrics };
@@ -0,0 +1,340 @@
+// lib/monitor.js – Device health: online / stale / offline status and alerts
+//
+// Every device is expected to report every `intervalSec` (per-device override
+// in the "monitor-settings" document, else the device registry). Measured from the last time the server
+// heard from it:
+//   online  – within staleFactor × interval
+//   stale   – silent longer than that
+//   offline – silent longer than offlineFactor × interval
+//
+// Alerts (document "alerts") open on a transition into a bad condition and
+// close on their own once it clears:
+//   battery_low – battery below the highest threshold ("warning"), below the
+//                 lowest one "critical"; closes at highest + BATTERY_HYSTERESIS
+//   no_fix      – stale ("warning") or offline ("critical"); closes on the next fix
+// An operator may close an alert by hand; it only opens again after the
+// condition has cleared and come back.
+//
+// Bus events: "alert" { action: opened | updated | closed, alert } and
+// "device_status" { device_id, status, previous, last_seen }.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "monitor" });
+
+const ALERTS_DOC = "alerts";
+const SETTINGS_DOC = "monitor-settings";
+const BATTERY_HYSTERESIS = 5; // % above the threshold before battery_low closes
+const MAX_CLOSED_ALERTS = 1000;
+
+const STATUSES = ["online", "stale", "offline"];
+const ALERT_TYPES = ["battery_low", "no_fix"];
+
+/**
+ * validateSettings
+ * Per-device override body: { interval_sec, battery_thresholds } (null resets a field).
+ */
+function validateSettings(body) {
+  const { interval_sec: interval, battery_thresholds: thresholds } = body || {};
+  const settings = {};
+
+  if (interval !== undefined && interval !== null) {
+    if (typeof interval !== "number" || !(interval > 0)) return { ok: false, error: "interval_sec must be a positive number" };
+    settings.interval_sec = interval;
+  }
+  if (thresholds !== undefined && thresholds !== null) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0 || thresholds.some((t) => typeof t !== "number" || t <= 0 || t >= 100)) {
+      return { ok: false, error: "battery_thresholds must be a non-empty array of percentages (0-100)" };
+    }
+    settings.battery_thresholds = [...new Set(thresholds)].sort((a, b) => b - a);
+  }
+
+  return { ok: true, settings };
+}
+
+/**
+ * createDeviceMonitor
+ * intervalSec       – default expected reporting interval
+ * staleFactor       – silent for more than this many intervals = stale
+ * offlineFactor     – … = offline
+ * batteryThresholds – percentages, e.g. [20, 10]
+ * checkIntervalMs   – how often silence is checked
+ * intervalForDevice – registry interval for a device (null = none)
+ */
+function createDeviceMonitor({
+  store,
+  bus,
+  intervalSec = 60,
+  staleFactor = 2,
+  offlineFactor = 10,
+  batteryThresholds = [20, 10],
+  checkIntervalMs = 15000,
+  intervalForDevice = () => null,
+}) {
+  const defaultThresholds = [...batteryThresholds].sort((a, b) => b - a);
+  let alerts = new Map(); // id -> alert
+  let settings = new Map(); // deviceId -> { interval_sec, battery_thresholds }
+  const devices = new Map(); // deviceId -> { lastSeen (ms), battery, status }
+  let timer = null;
+
+  const settingsFor = (deviceId) => ({
+    interval_sec: settings.get(deviceId)?.interval_sec ?? intervalForDevice(deviceId) ?? intervalSec,
+    battery_thresholds: settings.get(deviceId)?.battery_thresholds ?? defaultThresholds,
+  });
+
+  const getSettings = (deviceId) => ({ device_id: deviceId, ...settingsFor(deviceId), custom: settings.has(deviceId) });
+
+  function statusFor(deviceId, now = Date.now()) {
+    const device = devices.get(deviceId);
+    if (!device) return null;
+    const silentSec = (now - device.lastSeen) / 1000;
+    const { interval_sec: interval } = settingsFor(deviceId);
+    if (silentSec > interval * offlineFactor) return "offline";
+    if (silentSec > interval * staleFactor) return "stale";
+    return "online";
+  }
+
+  async function persist() {
+    // keep every open alert, but only the newest closed ones
+    const closed = [...alerts.values()]
+      .filter((a) => a.status === "closed")
+      .sort((a, b) => b.closed_at - a.closed_at);
+    for (const alert of closed.slice(MAX_CLOSED_ALERTS)) alerts.delete(alert.id);
+    await store.saveDocument(ALERTS_DOC, Object.fromEntries(alerts));
+  }
+
+  const openAlertFor = (deviceId, type) =>
+    [...alerts.values()].find((a) => a.device_id === deviceId && a.type === type && a.status === "open") || null;
+
+  function announce(action, alert) {
+    bus.emit("alert", { action, alert });
+  }
+
+  async function openAlert(deviceId, type, { severity, message, value, threshold }) {
+    const now = Date.now();
+    const alert = {
+      id: crypto.randomUUID(),
+      type,
+      device_id: deviceId,
+      status: "open",
+      severity,
+      message,
+      value,
+      threshold,
+      opened_at: now,
+      updated_at: now,
+      closed_at: null,
+      closed_by: null,
+      close_reason: null,
+    };
+    alerts.set(alert.id, alert);
+    await persist();
+    log.warn("alert opened", { type, severity, device_id: deviceId, alert_id: alert.id, message });
+    announce("opened", alert);
+    return alert;
+  }
+
+  async function updateAlert(alert, changes) {
+    Object.assign(alert, changes, { updated_at: Date.now() });
+    await persist();
+    announce("updated", alert);
+  }
+
+  async function markClosed(alert, { by = null, reason = "recovered" } = {}) {
+    alert.status = "closed";
+    alert.closed_at = Date.now();
+    alert.updated_at = alert.closed_at;
+    alert.closed_by = by;
+    alert.close_reason = reason;
+    await persist();
+    log.info("alert closed", { type: alert.type, device_id: alert.device_id, alert_id: alert.id, reason });
+    announce("closed", alert);
+  }
+
+  // Conditions (`${deviceId}|${type}`) that are currently true; an alert opens only on false -> true
+  const active = new Set();
+
+  async function setCondition(deviceId, type, isActive, details) {
+    const key = `${deviceId}|${type}`;
+    const open = openAlertFor(deviceId, type);
+
+    if (!isActive) {
+      active.delete(key);
+      if (open) await markClosed(open);
+      return;
+    }
+    if (!active.has(key)) {
+      active.add(key);
+      if (!open) await openAlert(deviceId, type, details);
+      return;
+    }
+    if (open && (open.severity !== details.severity || open.threshold !== details.threshold)) {
+      await updateAlert(open, details);
+    }
+  }
+
+  async function checkBattery(deviceId, battery) {
+    const thresholds = settingsFor(deviceId).battery_thresholds;
+    const crossed = thresholds.filter((t) => battery < t);
+    const key = `${deviceId}|battery_low`;
+
+    if (crossed.length === 0) {
+      // hysteresis: a battery hovering around the threshold doesn't flap the alert
+      if (active.has(key) && battery < thresholds[0] + BATTERY_HYSTERESIS) return;
+      await setCondition(deviceId, "battery_low", false);
+      return;
+    }
+
+    const threshold = crossed[crossed.length - 1];
+    await setCondition(deviceId, "battery_low", true, {
+      severity: threshold === thresholds[thresholds.length - 1] && thresholds.length > 1 ? "critical" : "warning",
+      message: `Battery at ${battery}% (below ${threshold}%)`,
+      value: battery,
+      threshold,
+    });
+  }
+
+  function emitStatus(deviceId, status, previous) {
+    const device = devices.get(deviceId);
+    bus.emit("device_status", { device_id: deviceId, status, previous, last_seen: device.lastSeen });
+  }
+
+  async function checkDevice(deviceId, now = Date.now()) {
+    const device = devices.get(deviceId);
+    const status = statusFor(deviceId, now);
+    if (status !== device.status) {
+      const previous = device.status;
+      device.status = status;
+      if (previous) log.info("device status changed", { device_id: deviceId, status, previous });
+      emitStatus(deviceId, status, previous);
+    }
+
+    const silentSec = Math.round((now - device.lastSeen) / 1000);
+    const { interval_sec: interval } = settingsFor(deviceId);
+    await setCondition(deviceId, "no_fix", status !== "online", {
+      severity: status === "offline" ? "critical" : "warning",
+      message: `No fix for ${silentSec}s (expected every ${interval}s)`,
+      value: silentSec,
+      threshold: interval * (status === "offline" ? offlineFactor : staleFactor),
+    });
+  }
+
+  async function checkAll() {
+    const now = Date.now();
+    for (const deviceId of devices.keys()) await checkDevice(deviceId, now);
+  }
+
+  // Every stored fix proves the unit is alive; only current ones carry its battery level
+  let queue = Promise.resolve();
+  const onPoint = (point, meta = {}) => {
+    queue = queue
+      .then(async () => {
+        const device = devices.get(point.device_id) || { lastSeen: 0, battery: null, status: null };
+        device.lastSeen = Date.now();
+        if (!meta.late && typeof point.battery === "number") device.battery = point.battery;
+        devices.set(point.device_id, device);
+
+        await checkDevice(point.device_id);
+        if (!meta.late && typeof point.battery === "number") await checkBattery(point.device_id, point.battery);
+      })
+      .catch((err) => log.error("device monitor update failed", { err }));
+  };
+
+  return {
+    async init() {
+      alerts = new Map(Object.entries((await store.loadDocument(ALERTS_DOC, {})) || {}));
+      settings = new Map(Object.entries((await store.loadDocument(SETTINGS_DOC, {})) || {}));
+
+      for (const alert of alerts.values()) {
+        if (alert.status === "open") active.add(`${alert.device_id}|${alert.type}`);
+      }
+      const latest = await store.getLatestByDevice();
+      for (const point of Object.values(latest)) {
+        devices.set(point.device_id, {
+          lastSeen: point.received_at ?? Date.now(),
+          battery: typeof point.battery === "number" ? point.battery : null,
+          status: null,
+        });
+      }
+
+      bus.on("point", onPoint);
+      await checkAll();
+      timer = setInterval(() => {
+        checkAll().catch((err) => log.error("device monitor check failed", { err }));
+      }, checkIntervalMs);
+      timer.unref?.();
+
+      const open = [...alerts.values()].filter((a) => a.status === "open").length;
+      log.info("device monitor started", { devices: devices.size, open_alerts: open });
+    },
+
+    close() {
+      bus.off("point", onPoint);
+      clearInterval(timer);
+    },
+
+    checkAll,
+    statusFor,
+
+    // [{ device_id, status, last_seen, battery, interval_sec, battery_thresholds }]
+    deviceStatuses({ canView = () => true } = {}) {
+      return [...devices.entries()]
+        .filter(([deviceId]) => canView(deviceId))
+        .map(([deviceId, device]) => ({
+          device_id: deviceId,
+          status: statusFor(deviceId),
+          last_seen: device.lastSeen,
+          battery: device.battery,
+          ...settingsFor(deviceId),
+        }))
+        .sort((a, b) => a.device_id.localeCompare(b.device_id));
+    },
+
+    /**
+     * list
+     * status: "open" (default) | "closed" | "all"; newest first.
+     */
+    list({ status = "open", deviceId, type, canView = () => true } = {}) {
+      return [...alerts.values()]
+        .filter((a) => {
+          if (status !== "all" && a.status !== status) return false;
+          if (deviceId && a.device_id !== deviceId) return false;
+          if (type && a.type !== type) return false;
+          return canView(a.device_id);
+        })
+        .sort((a, b) => b.opened_at - a.opened_at);
+    },
+
+    get(id) {
+      return alerts.get(id) || null;
+    },
+
+    async closeAlert(id, { by } = {}) {
+      const alert = alerts.get(id);
+      if (!alert) return { ok: false, status: 404, error: "Alert not found" };
+      if (alert.status === "closed") return { ok: false, status: 409, error: "Alert already closed" };
+      await markClosed(alert, { by, reason: "manual" });
+      return { ok: true, alert };
+    },
+
+    getSettings,
+
+    async updateSettings(deviceId, body) {
+      const result = validateSettings(body);
+      if (!result.ok) return result;
+      const merged = { ...settings.get(deviceId) };
+      for (const key of ["interval_sec", "battery_thresholds"]) {
+        if (body?.[key] === null) delete merged[key];
+        else if (result.settings[key] !== undefined) merged[key] = result.settings[key];
+      }
+      if (Object.keys(merged).length) settings.set(deviceId, merged);
+      else settings.delete(deviceId);
+      await store.saveDocument(SETTINGS_DOC, Object.fromEntries(settings));
+      if (devices.has(deviceId)) await checkDevice(deviceId);
+      return { ok: true, settings: getSettings(deviceId) };
+    },
+  };
+}
+
+module.exports = { createDeviceMonitor, validateSettings, STATUSES, ALERT_TYPES };
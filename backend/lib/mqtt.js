@@ -0,0 +1,170 @@
+// lib/mqtt.js – Embedded MQTT broker (aedes) for field units
+//
+// Units publish JSON fixes to devices/<device_id>/telemetry over plain TCP or
+// MQTT-over-WebSocket. Payloads go through the same ingest path as POST /ingest.
+// Validation errors are published back on devices/<device_id>/errors and,
+// when enabled, every stored point is retained on devices/<device_id>/latest.
+// With device auth enforced, clients log in as username = device_id,
+// password = device secret and may only publish / subscribe to their own
+// devices/<device_id>/… topics.
+
+const net = require("net");
+const { URL } = require("url");
+const aedesFactory = require("aedes");
+const websocketStream = require("websocket-stream");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+const log = logger.child({ component: "mqtt" });
+
+const TELEMETRY_TOPIC = /^devices\/([^/]+)\/telemetry$/;
+const SERVER_ONLY_TOPIC = /^devices\/[^/]+\/(latest|errors)$/;
+
+const latestTopic = (deviceId) => `devices/${deviceId}/latest`;
+const errorsTopic = (deviceId) => `devices/${deviceId}/errors`;
+
+/**
+ * startMqttBroker
+ * Options:
+ *   port         – TCP port (falsy disables the TCP listener)
+ *   httpServer   – HTTP server to share for MQTT-over-WebSocket
+ *   wsPath       – upgrade path for WebSocket clients (default "/mqtt")
+ *   retainLatest – publish a retained devices/<id>/latest message per point
+ *   metrics      – registry for the mmtt_mqtt_connections gauge
+ */
+function startMqttBroker({
+  ingest,
+  bus,
+  deviceAuth,
+  port,
+  httpServer,
+  wsPath = "/mqtt",
+  retainLatest = false,
+  metrics = createMetrics(),
+}) {
+  const broker = aedesFactory();
+  metrics.gauge({
+    name: "mmtt_mqtt_connections",
+    help: "Connected MQTT clients (TCP and WebSocket)",
+    collect: () => broker.connectedClients,
+  });
+  let tcpServer = null;
+  let wss = null;
+
+  broker.authenticate = (client, username, password, callback) => {
+    const result = deviceAuth ? deviceAuth.verifyMqtt(username, password?.toString("utf8")) : { ok: true };
+    if (!result.ok) {
+      const err = new Error(result.error);
+      err.returnCode = 4; // bad user name or password
+      return callback(err, false);
+    }
+    client.deviceId = username || null;
+    callback(null, true);
+  };
+
+  // Only the broker itself may publish latest/error topics
+  broker.authorizePublish = (client, packet, callback) => {
+    if (client && SERVER_ONLY_TOPIC.test(packet.topic)) {
+      return callback(new Error(`Topic ${packet.topic} is read-only`));
+    }
+
+    const match = TELEMETRY_TOPIC.exec(packet.topic);
+    if (client && match && deviceAuth?.enforced && match[1] !== client.deviceId) {
+      deviceAuth.recordFailure(match[1], "foreign_topic");
+      return callback(new Error(`Client ${client.deviceId} may not publish for ${match[1]}`));
+    }
+
+    callback(null);
+  };
+
+  broker.authorizeSubscribe = (client, sub, callback) => {
+    if (deviceAuth?.enforced && !sub.topic.startsWith(`devices/${client.deviceId}/`)) {
+      return callback(new Error(`Client ${client.deviceId} may not subscribe to ${sub.topic}`));
+    }
+    callback(null, sub);
+  };
+
+  broker.on("publish", (packet, client) => {
+    if (!client) return;
+
+    const match = TELEMETRY_TOPIC.exec(packet.topic);
+    if (!match) return;
+
+    const deviceId = match[1];
+    handleTelemetry(deviceId, packet.payload, client).catch((err) => {
+      log.error("mqtt ingest failed", { device_id: deviceId, client_id: client.id, err });
+    });
+  });
+
+  async function handleTelemetry(deviceId, payload, client) {
+    log.debug("mqtt telemetry", { device_id: deviceId, client_id: client.id, bytes: payload.length });
+
+    let body;
+    try {
+      body = JSON.parse(payload.toString("utf8"));
+    } catch {
+      publishError(deviceId, "Payload is not valid JSON");
+      return;
+    }
+
+    // An array replays a buffer of fixes; the topic is authoritative for the device id
+    if (Array.isArray(body)) {
+      const { results } = await ingest.ingestBatch(body, { source: "mqtt", deviceId });
+      const invalid = results.filter((r) => r.status === "invalid");
+      if (invalid.length) publishError(deviceId, "Invalid items in batch", { items: invalid });
+      return;
+    }
+
+    const result = await ingest.ingestPoint({ ...body, device_id: deviceId }, { source: "mqtt" });
+    if (!result.ok) publishError(deviceId, result.error, result.errors ? { errors: result.errors } : {});
+  }
+
+  function publishError(deviceId, error, extra = {}) {
+    broker.publish(
+      { topic: errorsTopic(deviceId), payload: JSON.stringify({ error, ...extra }), qos: 0, retain: false },
+      () => {}
+    );
+  }
+
+  const onPoint = (point, meta) => {
+    if (point.rejected || meta?.late) return;
+    broker.publish(
+      { topic: latestTopic(point.device_id), payload: JSON.stringify(point), qos: 0, retain: true },
+      () => {}
+    );
+  };
+  if (retainLatest) bus.on("point", onPoint);
+
+  broker.on("client", (client) => log.info("mqtt client connected", { client_id: client.id, device_id: client.deviceId }));
+  broker.on("clientDisconnect", (client) => log.info("mqtt client disconnected", { client_id: client.id }));
+
+  if (port) {
+    tcpServer = net.createServer(broker.handle);
+    tcpServer.listen(port, () => log.info("mqtt broker listening", { port }));
+  }
+
+  if (httpServer) {
+    // noServer: Socket.IO shares the same upgrade event, so only claim our path
+    wss = websocketStream.createServer({ noServer: true, perMessageDeflate: false }, broker.handle);
+    httpServer.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname !== wsPath) return;
+      wss.handleUpgrade(req, socket, head, (conn) => wss.emit("connection", conn, req));
+    });
+    log.info("mqtt over websocket enabled", { path: wsPath });
+  }
+
+  return {
+    broker,
+    close() {
+      return new Promise((resolve) => {
+        bus.off("point", onPoint);
+        if (tcpServer) tcpServer.close();
+        if (wss) wss.close();
+        broker.close(resolve);
+      });
+    },
+  };
+}
+
+module.exports = { startMqttBroker, latestTopic, errorsTopic };
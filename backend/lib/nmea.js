@@ -0,0 +1,238 @@
+// lib/nmea.js – NMEA 0183 parsing for units that can only forward raw GPS sentences
+//
+// Understood sentences (any talker – GP, GN, GL, GA, BD…):
+//   RMC – UTC date + time, validity, position, speed over ground, course
+//   GGA – UTC time, position, fix quality, satellites, HDOP, altitude
+//   VTG – course and speed (no time: it belongs to the fix being assembled)
+// Other sentence types are counted as ignored. Every sentence must carry a
+// valid *hh checksum.
+//
+// Sentences with the same UTC time make up one fix; createNmeaAssembler()
+// turns them into payloads for the telemetry schema (v2), which then go
+// through the normal ingest path.
+
+const KNOTS_TO_MS = 1852 / 3600;
+
+// GGA fix quality -> schema fix_type (1 = plain GPS: 3D when there's an altitude)
+const GGA_FIX_TYPES = { 0: "none", 2: "dgps", 3: "3d", 4: "rtk_fixed", 5: "rtk_float", 6: "estimated", 7: "estimated", 8: "estimated" };
+
+// RMC / VTG mode indicator (NMEA 2.3+) -> fix_type; "A" (autonomous) says nothing about 2D / 3D
+const MODE_FIX_TYPES = { D: "dgps", E: "estimated", F: "rtk_float", R: "rtk_fixed", N: "none" };
+
+const SENTENCE_PATTERN = /^\$([A-Z0-9]{2,6}),([^*]*)\*([0-9A-Fa-f]{2})$/;
+const MAX_SENTENCE_LENGTH = 120; // the standard says 82; some modules run longer
+
+/**
+ * nmeaChecksum
+ * XOR of every character between "$" and "*", as two uppercase hex digits.
+ */
+function nmeaChecksum(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i += 1) sum ^= body.charCodeAt(i);
+  return sum.toString(16).toUpperCase().padStart(2, "0");
+}
+
+// "4807.038" + "N" -> 48.1173 (ddmm.mmmm / dddmm.mmmm)
+function parseCoordinate(value, hemisphere, degreeDigits) {
+  if (!value || !hemisphere) return null;
+  if (!new RegExp(`^\\d{${degreeDigits}}\\d{2}(\\.\\d+)?$`).test(value)) return NaN;
+  const degrees = Number(value.slice(0, degreeDigits));
+  const minutes = Number(value.slice(degreeDigits));
+  if (minutes >= 60) return NaN;
+  const decimal = degrees + minutes / 60;
+  if (hemisphere === "S" || hemisphere === "W") return -decimal;
+  if (hemisphere === "N" || hemisphere === "E") return decimal;
+  return NaN;
+}
+
+// "hhmmss.ss" -> ms since midnight UTC
+function parseTime(value) {
+  const m = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(value || "");
+  if (!m) return null;
+  const [h, min, s] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (h > 23 || min > 59 || s >= 61) return null;
+  return Math.round(((h * 60 + min) * 60 + s) * 1000);
+}
+
+// "ddmmyy" -> ms at midnight UTC (years 80-99 are 19xx)
+function parseDate(value) {
+  const m = /^(\d{2})(\d{2})(\d{2})$/.exec(value || "");
+  if (!m) return null;
+  const yy = Number(m[3]);
+  const ms = Date.UTC(yy < 80 ? 2000 + yy : 1900 + yy, Number(m[2]) - 1, Number(m[1]));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+const numberOrNull = (value) => (value === "" || value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+
+const PARSERS = {
+  RMC(f) {
+    return {
+      time: parseTime(f[0]),
+      valid: f[1] === "A" && f[11] !== "N",
+      lat: parseCoordinate(f[2], f[3], 2),
+      lon: parseCoordinate(f[4], f[5], 3),
+      speed: numberOrNull(f[6]) == null ? null : numberOrNull(f[6]) * KNOTS_TO_MS,
+      heading: numberOrNull(f[7]),
+      date: parseDate(f[8]),
+      fix_type: MODE_FIX_TYPES[f[11]] ?? null,
+    };
+  },
+  GGA(f) {
+    const quality = numberOrNull(f[5]);
+    const altitude = numberOrNull(f[8]);
+    return {
+      time: parseTime(f[0]),
+      valid: quality != null && quality > 0,
+      lat: parseCoordinate(f[1], f[2], 2),
+      lon: parseCoordinate(f[3], f[4], 3),
+      fix_type: quality === 1 ? (altitude != null ? "3d" : "2d") : GGA_FIX_TYPES[quality] ?? null,
+      satellites: numberOrNull(f[6]),
+      hdop: numberOrNull(f[7]),
+      altitude,
+    };
+  },
+  VTG(f) {
+    const kmh = numberOrNull(f[6]);
+    const knots = numberOrNull(f[4]);
+    return {
+      heading: numberOrNull(f[0]),
+      speed: kmh != null ? kmh / 3.6 : knots != null ? knots * KNOTS_TO_MS : null,
+      fix_type: MODE_FIX_TYPES[f[8]] ?? null,
+    };
+  },
+};
+
+/**
+ * parseSentence
+ * One line -> { ok: true, type, talker, data } | { ok: true, ignored: true, type }
+ * | { ok: false, error }.
+ */
+function parseSentence(line) {
+  const sentence = String(line).trim();
+  if (sentence.length > MAX_SENTENCE_LENGTH) return { ok: false, error: "Sentence too long" };
+  if (!sentence.startsWith("$")) return { ok: false, error: "Not an NMEA sentence" };
+  if (!sentence.includes("*")) return { ok: false, error: "Missing checksum" };
+
+  const match = SENTENCE_PATTERN.exec(sentence);
+  if (!match) return { ok: false, error: "Malformed sentence" };
+  const [, address, fields, checksum] = match;
+  if (nmeaChecksum(`${address},${fields}`) !== checksum.toUpperCase()) return { ok: false, error: "Bad checksum" };
+
+  // proprietary sentences ($P…) have no talker
+  const type = address.startsWith("P") ? address : address.slice(2);
+  const parser = PARSERS[type];
+  if (!parser) return { ok: true, ignored: true, type };
+
+  const data = parser(fields.split(","));
+  if (Number.isNaN(data.lat) || Number.isNaN(data.lon)) return { ok: false, error: `Invalid position in ${type}` };
+  return { ok: true, type, talker: address.slice(0, 2), data };
+}
+
+// Date for a GGA-only fix: today (UTC), or yesterday when that would put it in the future
+function impliedDate(timeOfDayMs, nowMs) {
+  const today = Date.UTC(new Date(nowMs).getUTCFullYear(), new Date(nowMs).getUTCMonth(), new Date(nowMs).getUTCDate());
+  return today + timeOfDayMs > nowMs + 12 * 3600 * 1000 ? today - 86400 * 1000 : today;
+}
+
+/**
+ * createNmeaAssembler
+ * push(line) feeds one sentence; fixes come out through onFix(payload) as soon
+ * as a sentence for a newer time arrives, or on flush(). A payload is a
+ * schema v2 body without device_id: { v, lat, lon, timestamp, speed, heading,
+ * altitude, hdop, satellites, fix_type } (fields the sentences didn't carry are left out).
+ * Fixes without a valid position (RMC status V, GGA quality 0) are counted as
+ * `no_fix` and not emitted.
+ */
+function createNmeaAssembler({ onFix, now = () => Date.now() }) {
+  const stats = { sentences: 0, fixes: 0, no_fix: 0, ignored: 0, invalid: 0 };
+  const errors = [];
+  let current = null; // { time, parts: { RMC, GGA, VTG } }
+
+  function emit() {
+    if (!current) return;
+    const { time, parts } = current;
+    current = null;
+    const { RMC: rmc, GGA: gga, VTG: vtg } = parts;
+    const position = [rmc, gga].find((p) => p && p.valid && p.lat != null && p.lon != null);
+    if (!position) {
+      if (rmc || gga) stats.no_fix += 1;
+      return;
+    }
+
+    const date = rmc?.date ?? impliedDate(time, now());
+    const payload = {
+      v: 2,
+      lat: Number(position.lat.toFixed(7)),
+      lon: Number(position.lon.toFixed(7)),
+      timestamp: date + time,
+      speed: rmc?.speed ?? vtg?.speed ?? null,
+      heading: rmc?.heading ?? vtg?.heading ?? null,
+      altitude: gga?.altitude ?? null,
+      hdop: gga?.hdop ?? null,
+      satellites: gga?.satellites ?? null,
+      fix_type: gga?.fix_type ?? rmc?.fix_type ?? vtg?.fix_type ?? null,
+    };
+    if (payload.speed != null) payload.speed = Number(payload.speed.toFixed(3));
+    if (payload.heading === 360) payload.heading = 0;
+    for (const key of Object.keys(payload)) if (payload[key] == null) delete payload[key];
+
+    stats.fixes += 1;
+    onFix(payload);
+  }
+
+  return {
+    stats,
+    errors,
+
+    push(line, lineNumber = null) {
+      if (!String(line).trim()) return;
+      stats.sentences += 1;
+      const parsed = parseSentence(line);
+      if (!parsed.ok) {
+        stats.invalid += 1;
+        if (errors.length < 100) errors.push({ line: lineNumber, error: parsed.error });
+        return;
+      }
+      if (parsed.ignored) {
+        stats.ignored += 1;
+        return;
+      }
+
+      const { type, data } = parsed;
+      // VTG carries no time: it joins the fix being assembled
+      if (type === "VTG") {
+        if (current) current.parts.VTG = data;
+        return;
+      }
+      if (data.time == null) {
+        stats.invalid += 1;
+        if (errors.length < 100) errors.push({ line: lineNumber, error: `Missing time in ${type}` });
+        return;
+      }
+      if (current && current.time !== data.time) emit();
+      if (!current) current = { time: data.time, parts: {} };
+      current.parts[type] = data;
+    },
+
+    flush() {
+      emit();
+    },
+  };
+}
+
+/**
+ * parseNmea
+ * A block of text (one sentence per line) -> { fixes, stats, errors }.
+ */
+function parseNmea(text, { now } = {}) {
+  const fixes = [];
+  const assembler = createNmeaAssembler({ onFix: (fix) => fixes.push(fix), now });
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line, i) => assembler.push(line, i + 1));
+  assembler.flush();
+  return { fixes, stats: assembler.stats, errors: assembler.errors };
+}
+
+module.exports = { parseNmea, parseSentence, createNmeaAssembler, nmeaChecksum };
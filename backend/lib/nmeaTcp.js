@@ -0,0 +1,139 @@
+// lib/nmeaTcp.js – Raw TCP listener for units that stream NMEA (e.g. through a serial-to-TCP bridge)
+//
+// Protocol, one line at a time (\n or \r\n):
+//   unit:   DEVICE <device_id> [<key>]     handshake, must be the first line
+//   server: OK | ERR <reason>              ERR closes the connection
+//   unit:   $GPRMC,…*hh / $GPGGA,…*hh / …  sentences, parsed by lib/nmea.js
+//
+// The key is the device's ingest secret and is only checked with
+// DEVICE_AUTH=required. Each assembled fix goes through the same ingest path as
+// POST /ingest; a fix the server turns away as "Unknown device" ends the session.
+
+const net = require("net");
+const { createNmeaAssembler } = require("./nmea");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+const log = logger.child({ component: "nmea-tcp" });
+
+const HANDSHAKE = /^DEVICE\s+(\S+)(?:\s+(\S+))?$/i;
+const MAX_LINE_BYTES = 1024; // no sentence comes close; guards against binary garbage
+const FLUSH_AFTER_MS = 1500; // emit the last fix when the unit goes quiet
+
+/**
+ * startNmeaListener
+ * Options:
+ *   port          – TCP port
+ *   idleTimeoutMs – close connections silent for this long
+ *   metrics       – registry for the mmtt_nmea_connections gauge
+ */
+function startNmeaListener({ ingest, deviceAuth, port, idleTimeoutMs = 300000, metrics = createMetrics() }) {
+  const sockets = new Set();
+  metrics.gauge({ name: "mmtt_nmea_connections", help: "Open NMEA TCP connections", collect: () => sockets.size });
+
+  const server = net.createServer((socket) => {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    let deviceId = null;
+    let buffer = "";
+    let lineNumber = 0;
+    let flushTimer = null;
+    let queue = Promise.resolve();
+
+    sockets.add(socket);
+    socket.setEncoding("ascii");
+    socket.setTimeout(idleTimeoutMs);
+
+    const refuse = (reason) => {
+      log.info("nmea connection refused", { peer, device_id: deviceId ?? undefined, reason });
+      socket.end(`ERR ${reason}\r\n`);
+    };
+
+    // A bug in auth, parsing or storage ends this session only, never the process
+    const abort = (err) => {
+      log.error("nmea session failed", { peer, device_id: deviceId ?? undefined, err });
+      if (socket.destroyed) return;
+      if (socket.writableEnded) socket.destroy();
+      else socket.end("ERR Internal error\r\n", () => socket.destroy());
+    };
+    const guard = (fn) => (...args) => {
+      try {
+        fn(...args);
+      } catch (err) {
+        abort(err);
+      }
+    };
+
+    // fixes are stored in the order they were assembled
+    const assembler = createNmeaAssembler({
+      onFix: (fix) => {
+        const id = deviceId;
+        queue = queue
+          .then(async () => {
+            const result = await ingest.ingestPoint({ ...fix, device_id: id }, { source: "nmea-tcp", quiet: true });
+            if (!result.ok && result.status === 403) refuse(result.error);
+            else if (!result.ok) log.info("nmea fix not stored", { device_id: id, error: result.error });
+          })
+          .catch(abort);
+      },
+    });
+
+    const handleLine = (line) => {
+      lineNumber += 1;
+      if (!deviceId) {
+        const match = HANDSHAKE.exec(line.trim());
+        if (!match) return refuse("Expected 'DEVICE <device_id> [<key>]' first");
+        const auth = deviceAuth.verifyKey(match[1], match[2]);
+        if (!auth.ok) return refuse(auth.error);
+        deviceId = match[1];
+        log.info("nmea unit connected", { device_id: deviceId, peer });
+        socket.write("OK\r\n");
+        return;
+      }
+
+      assembler.push(line, lineNumber);
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(guard(() => assembler.flush()), FLUSH_AFTER_MS);
+    };
+
+    socket.on(
+      "data",
+      guard((chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        if (buffer.length > MAX_LINE_BYTES) return refuse("Line too long");
+        for (const line of lines) {
+          if (socket.writableEnded) return;
+          if (line.trim()) handleLine(line);
+        }
+      })
+    );
+
+    socket.on("timeout", () => refuse("Idle timeout"));
+    socket.on("error", (err) => log.info("nmea socket error", { peer, error: err.message }));
+    socket.on(
+      "close",
+      guard(() => {
+        clearTimeout(flushTimer);
+        sockets.delete(socket);
+        if (!deviceId) return;
+        assembler.flush();
+        log.info("nmea unit disconnected", { device_id: deviceId, ...assembler.stats });
+      })
+    );
+  });
+
+  server.listen(port, () => log.info("nmea listener started", { port }));
+
+  return {
+    server,
+    close() {
+      return new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(() => resolve());
+      });
+    },
+  };
+}
+
+module.exports = { startNmeaListener };
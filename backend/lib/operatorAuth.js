@@ -0,0 +1,312 @@
+// lib/operatorAuth.js – Operator accounts, sessions and role-based access
+//
+// Roles (each includes the ones before it):
+//   viewer   – read positions of the devices it may see
+//   operator – viewer + act on incidents/alerts
+//   admin    – everything, including /debug and /admin
+//
+// Visibility: admins see every device. Other operators see the devices listed
+// in `devices` ("*" = all) plus every device of the groups listed in `groups`.
+// Groups are kept in the "device-groups" document ({ name: [device ids] });
+// a device also belongs to the groups `extraGroupsForDevice` reports (its
+// registry group).
+//
+// Sessions are opaque bearer tokens; only their SHA-256 is stored.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "operator-auth" });
+
+const OPERATORS_DOC = "operators";
+const GROUPS_DOC = "device-groups";
+const SESSIONS_DOC = "sessions";
+
+const ROLES = ["viewer", "operator", "admin"];
+const DEFAULT_SESSION_TTL_SEC = 12 * 3600;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// What we hand out: never the password hash
+const publicOperator = (op) => ({
+  username: op.username,
+  role: op.role,
+  devices: op.devices || [],
+  groups: op.groups || [],
+  created_at: op.created_at,
+});
+
+/**
+ * validateOperatorInput
+ * Checks role / devices / groups (and password when required) of an admin request.
+ */
+function validateOperatorInput(body, { requirePassword }) {
+  const { password, role, devices, groups } = body || {};
+
+  if (requirePassword && (typeof password !== "string" || password.length < 8)) {
+    return { ok: false, error: "password must be at least 8 characters" };
+  }
+  if (!requirePassword && password != null && (typeof password !== "string" || password.length < 8)) {
+    return { ok: false, error: "password must be at least 8 characters" };
+  }
+  if (role != null && !ROLES.includes(role)) {
+    return { ok: false, error: `role must be one of ${ROLES.join(", ")}` };
+  }
+  for (const [name, list] of [["devices", devices], ["groups", groups]]) {
+    if (list != null && (!Array.isArray(list) || list.some((x) => typeof x !== "string"))) {
+      return { ok: false, error: `${name} must be an array of strings` };
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * createOperatorAuth
+ * mode: "off" (legacy open API) | "required"
+ * extraGroupsForDevice(deviceId) → further group names (e.g. from the device registry)
+ */
+function createOperatorAuth({
+  store,
+  mode = "off",
+  sessionTtlSec = DEFAULT_SESSION_TTL_SEC,
+  extraGroupsForDevice = () => [],
+}) {
+  let operators = new Map(); // username -> operator
+  let groups = new Map(); // group name -> [device ids]
+  let sessions = new Map(); // token hash -> session
+
+  const enforced = mode === "required";
+
+  async function persistOperators() {
+    await store.saveDocument(OPERATORS_DOC, Object.fromEntries(operators));
+  }
+
+  async function persistSessions() {
+    await store.saveDocument(SESSIONS_DOC, Object.fromEntries(sessions));
+  }
+
+  function pruneSessions(nowMs = Date.now()) {
+    let removed = false;
+    for (const [key, session] of sessions) {
+      if (session.expires_at <= nowMs || !operators.has(session.username)) {
+        sessions.delete(key);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  function userFromToken(token) {
+    if (!token) return null;
+    const session = sessions.get(hashToken(token));
+    if (!session || session.expires_at <= Date.now()) return null;
+    const op = operators.get(session.username);
+    return op ? publicOperator(op) : null;
+  }
+
+  function canViewDevice(user, deviceId) {
+    if (!enforced) return true;
+    if (!user) return false;
+    if (user.role === "admin") return true;
+    if (user.devices.includes("*") || user.devices.includes(deviceId)) return true;
+    return user.groups.some((g) => (groups.get(g) || []).includes(deviceId) || extraGroupsForDevice(deviceId).includes(g));
+  }
+
+  function canViewGroup(user, group) {
+    if (!enforced) return true;
+    if (!user) return false;
+    if (user.role === "admin" || user.devices.includes("*")) return true;
+    return user.groups.includes(group);
+  }
+
+  // Bearer token from "Authorization: Bearer …"
+  const tokenFromRequest = (req) => {
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    return scheme === "Bearer" ? token : null;
+  };
+
+  return {
+    mode,
+    enforced,
+    ROLES,
+
+    async init({ bootstrapAdmin } = {}) {
+      operators = new Map(Object.entries((await store.loadDocument(OPERATORS_DOC, {})) || {}));
+      groups = new Map(Object.entries((await store.loadDocument(GROUPS_DOC, {})) || {}));
+      sessions = new Map(Object.entries((await store.loadDocument(SESSIONS_DOC, {})) || {}));
+      if (pruneSessions()) await persistSessions();
+
+      // First admin comes from ADMIN_USERNAME / ADMIN_PASSWORD when nobody exists yet
+      if (operators.size === 0 && bootstrapAdmin?.username && bootstrapAdmin?.password) {
+        operators.set(bootstrapAdmin.username, {
+          username: bootstrapAdmin.username,
+          password_hash: hashPassword(bootstrapAdmin.password),
+          role: "admin",
+          devices: [],
+          groups: [],
+          created_at: Date.now(),
+        });
+        await persistOperators();
+        log.info("bootstrap admin created", { username: bootstrapAdmin.username });
+      }
+
+      log.info("operator auth loaded", { mode, operators: operators.size });
+      if (enforced && operators.size === 0) {
+        log.warn("OPERATOR_AUTH=required but no operators exist; set ADMIN_USERNAME / ADMIN_PASSWORD");
+      }
+    },
+
+    // ---------- sessions ----------
+
+    async login(username, password) {
+      const op = operators.get(username);
+      // run scrypt even for unknown users so timing doesn't reveal them
+      const ok = verifyPassword(String(password || ""), op?.password_hash || "0:00");
+      if (!op || !ok) return { ok: false, error: "Invalid username or password" };
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = Date.now() + sessionTtlSec * 1000;
+      pruneSessions();
+      sessions.set(hashToken(token), { username, created_at: Date.now(), expires_at: expiresAt });
+      await persistSessions();
+
+      return { ok: true, token, expires_at: expiresAt, user: publicOperator(op) };
+    },
+
+    async logout(token) {
+      if (!token) return;
+      sessions.delete(hashToken(token));
+      await persistSessions();
+    },
+
+    userFromToken,
+    tokenFromRequest,
+    canViewDevice,
+    canViewGroup,
+
+    // ---------- middleware ----------
+
+    // Attaches req.user (null when anonymous); never rejects
+    authenticate() {
+      return (req, res, next) => {
+        req.user = userFromToken(tokenFromRequest(req));
+        next();
+      };
+    },
+
+    // Rejects anonymous (401) and under-privileged (403) requests when enforced
+    requireRole(minRole = "viewer") {
+      return (req, res, next) => {
+        if (!enforced) return next();
+        if (!req.user) return res.status(401).json({ error: "Authentication required" });
+        if (roleRank(req.user.role) < roleRank(minRole)) {
+          return res.status(403).json({ error: `Requires ${minRole} role` });
+        }
+        next();
+      };
+    },
+
+    // 403 unless req.user may see req.params.id
+    requireDeviceAccess(param = "id") {
+      return (req, res, next) => {
+        if (!canViewDevice(req.user, req.params[param])) {
+          return res.status(403).json({ error: "Not allowed to view this device" });
+        }
+        next();
+      };
+    },
+
+    // ---------- admin ----------
+
+    listOperators() {
+      return [...operators.values()].map(publicOperator);
+    },
+
+    async createOperator(body) {
+      const check = validateOperatorInput(body, { requirePassword: true });
+      if (!check.ok) return check;
+      const { username } = body;
+      if (typeof username !== "string" || !/^[\w.@-]{3,64}$/.test(username)) {
+        return { ok: false, error: "username must be 3-64 characters of letters, digits, . _ @ -" };
+      }
+      if (operators.has(username)) return { ok: false, status: 409, error: "Operator already exists" };
+
+      const op = {
+        username,
+        password_hash: hashPassword(body.password),
+        role: body.role || "viewer",
+        devices: body.devices || [],
+        groups: body.groups || [],
+        created_at: Date.now(),
+      };
+      operators.set(username, op);
+      await persistOperators();
+      return { ok: true, operator: publicOperator(op) };
+    },
+
+    async updateOperator(username, body) {
+      const op = operators.get(username);
+      if (!op) return { ok: false, status: 404, error: "Operator not found" };
+      const check = validateOperatorInput(body, { requirePassword: false });
+      if (!check.ok) return check;
+
+      if (body.password != null) op.password_hash = hashPassword(body.password);
+      if (body.role != null) op.role = body.role;
+      if (body.devices != null) op.devices = body.devices;
+      if (body.groups != null) op.groups = body.groups;
+      await persistOperators();
+      return { ok: true, operator: publicOperator(op) };
+    },
+
+    async deleteOperator(username) {
+      if (!operators.delete(username)) return { ok: false, status: 404, error: "Operator not found" };
+      pruneSessions();
+      await persistOperators();
+      await persistSessions();
+      return { ok: true };
+    },
+
+    listGroups() {
+      return Object.fromEntries(groups);
+    },
+
+    getGroupsForDevice(deviceId) {
+      const listed = [...groups].filter(([, deviceIds]) => deviceIds.includes(deviceId)).map(([g]) => g);
+      return [...new Set([...listed, ...extraGroupsForDevice(deviceId)])];
+    },
+
+    async setGroup(name, deviceIds) {
+      if (!Array.isArray(deviceIds) || deviceIds.some((x) => typeof x !== "string")) {
+        return { ok: false, error: "devices must be an array of strings" };
+      }
+      const devices = [...new Set(deviceIds)];
+      groups.set(name, devices);
+      await store.saveDocument(GROUPS_DOC, Object.fromEntries(groups));
+      return { ok: true, group: { name, devices } };
+    },
+
+    async deleteGroup(name) {
+      if (!groups.delete(name)) return { ok: false, status: 404, error: "Group not found" };
+      await store.saveDocument(GROUPS_DOC, Object.fromEntries(groups));
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createOperatorAuth, ROLES };
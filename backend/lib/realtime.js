@@ -0,0 +1,134 @@
+// lib/realtime.js – Socket.IO live push of newly stored points
+//
+// Clients emit "subscribe" / "unsubscribe" with a device id and receive a
+// "point" event for every fix stored for that device afterwards.
+// "subscribe_fleet" / "unsubscribe_fleet" do the same for every device.
+// Geofence transitions reach the same subscribers as "geofence_event".
+// SOS incident changes ("incident") go to every connected client that may
+// view the device, whatever it is subscribed to.
+// With operator auth enforced, clients pass their session token as
+// io(url, { auth: { token } }) and only receive devices they may view. The
+// token is checked again for every event, so a logout, an expired session or
+// a change to the operator's role, devices or groups applies to open sockets;
+// a socket whose session has ended is disconnected.
+
+const { Server } = require("socket.io");
+const { logger } = require("./logger");
+const { createMetrics } = require("./metrics");
+
+const log = logger.child({ component: "realtime" });
+
+const deviceRoom = (deviceId) => `device:${deviceId}`;
+const FLEET_ROOM = "fleet";
+
+/**
+ * attachRealtime
+ * Mounts Socket.IO on the HTTP server and forwards bus events to subscribers.
+ */
+function attachRealtime(httpServer, { bus, operatorAuth, metrics = createMetrics() }) {
+  const io = new Server(httpServer, {
+    cors: { origin: "*" },
+  });
+
+  metrics.gauge({
+    name: "mmtt_websocket_connections",
+    help: "Connected Socket.IO clients",
+    collect: () => io.engine.clientsCount,
+  });
+
+  io.use((socket, next) => {
+    socket.data.token = socket.handshake.auth?.token;
+    socket.data.user = operatorAuth ? operatorAuth.userFromToken(socket.data.token) : null;
+    if (operatorAuth?.enforced && !socket.data.user) return next(new Error("Authentication required"));
+    next();
+  });
+
+  // Looks the operator up again; false (and the socket is dropped) once the session is gone
+  const refreshUser = (socket) => {
+    if (!operatorAuth) return true;
+    socket.data.user = operatorAuth.userFromToken(socket.data.token);
+    if (!operatorAuth.enforced || socket.data.user) return true;
+    log.info("socket session ended", { socket_id: socket.id });
+    socket.disconnect(true);
+    return false;
+  };
+
+  const canView = (socket, deviceId) =>
+    refreshUser(socket) && (!operatorAuth || operatorAuth.canViewDevice(socket.data.user, deviceId));
+
+  io.on("connection", (socket) => {
+    log.debug("socket connected", { socket_id: socket.id, user: socket.data.user?.username });
+
+    socket.on("subscribe", (deviceId, ack) => {
+      if (typeof deviceId !== "string" || !deviceId) {
+        if (typeof ack === "function") ack({ error: "Invalid device_id" });
+        return;
+      }
+      if (!canView(socket, deviceId)) {
+        if (typeof ack === "function") ack({ error: "Not allowed to view this device" });
+        return;
+      }
+      socket.join(deviceRoom(deviceId));
+      log.debug("socket subscribed", { socket_id: socket.id, device_id: deviceId });
+      if (typeof ack === "function") ack({ status: "ok" });
+    });
+
+    socket.on("unsubscribe", (deviceId, ack) => {
+      if (typeof deviceId === "string") socket.leave(deviceRoom(deviceId));
+      if (typeof ack === "function") ack({ status: "ok" });
+    });
+
+    socket.on("subscribe_fleet", (ack) => {
+      if (!refreshUser(socket)) return;
+      socket.join(FLEET_ROOM);
+      log.debug("socket subscribed to fleet", { socket_id: socket.id });
+      if (typeof ack === "function") ack({ status: "ok" });
+    });
+
+    socket.on("unsubscribe_fleet", (ack) => {
+      socket.leave(FLEET_ROOM);
+      if (typeof ack === "function") ack({ status: "ok" });
+    });
+
+    socket.on("disconnect", (reason) => {
+      log.debug("socket disconnected", { socket_id: socket.id, reason });
+    });
+  });
+
+  // Sends a device-scoped event to the sockets in its room or the fleet room
+  // that may (still) view the device; a socket in both rooms receives it once
+  const broadcast = (event, payload) => {
+    const room = deviceRoom(payload.device_id);
+    for (const socket of io.sockets.sockets.values()) {
+      if (!socket.rooms.has(room) && !socket.rooms.has(FLEET_ROOM)) continue;
+      if (canView(socket, payload.device_id)) socket.emit(event, payload);
+    }
+  };
+
+  // Sends to every connected socket that may view the device
+  const broadcastToViewers = (event, deviceId, payload) => {
+    for (const socket of io.sockets.sockets.values()) {
+      if (canView(socket, deviceId)) socket.emit(event, payload);
+    }
+  };
+
+  const forwarded = {
+    // rejected fixes stay in history but are not streamed; late ones are flagged
+    point: (point, meta) => !point.rejected && broadcast("point", meta?.late ? { ...point, late: true } : point),
+    geofence: (event) => broadcast("geofence_event", event),
+    incident: (event) => broadcastToViewers("incident", event.incident.device_id, event),
+    alert: (event) => broadcastToViewers("alert", event.alert.device_id, event),
+    device_status: (event) => broadcastToViewers("device_status", event.device_id, event),
+  };
+  for (const [name, handler] of Object.entries(forwarded)) bus.on(name, handler);
+
+  return {
+    io,
+    close() {
+      for (const [name, handler] of Object.entries(forwarded)) bus.off(name, handler);
+      io.close();
+    },
+  };
+}
+
+module.exports = { attachRealtime, deviceRoom, FLEET_ROOM };
@@ -0,0 +1,145 @@
+// lib/registry.js – Device registry: names, callsigns, groups and display settings
+//
+// Devices still appear on their first fix; registering one adds the metadata
+// the dashboard shows instead of the raw id. With `required` on, ingest only
+// accepts registered devices (HTTP 403 / MQTT error "Unknown device").
+//
+// A device's `group` counts as a device group wherever groups are used
+// (operator access, geofences, webhooks), alongside the admin-defined groups.
+// Its `interval_sec` is the expected reporting interval the monitor uses
+// unless the monitor settings override it.
+//
+// Entries live in the "device-registry" document, keyed by device id.
+
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "registry" });
+
+const DOCUMENT = "device-registry";
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// field -> max length, for the free-text fields
+const TEXT_FIELDS = { name: 80, callsign: 32, group: 64, icon: 16, notes: 2000 };
+
+/**
+ * validateDevice
+ * Normalizes a create/update body (null or "" clears a field).
+ * Returns { ok, device } or { ok: false, error }.
+ */
+function validateDevice(body, existing = null) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { ok: false, error: "Body must be an object" };
+  const device = {};
+
+  for (const [field, max] of Object.entries(TEXT_FIELDS)) {
+    const value = field in body ? body[field] : existing?.[field] ?? null;
+    if (value === null || value === "") {
+      device[field] = null;
+      continue;
+    }
+    if (typeof value !== "string" || value.trim().length > max) {
+      return { ok: false, error: `${field} must be a string of at most ${max} characters` };
+    }
+    device[field] = value.trim() || null;
+  }
+
+  const color = "color" in body ? body.color : existing?.color ?? null;
+  if (color !== null && color !== "" && (typeof color !== "string" || !COLOR_PATTERN.test(color))) {
+    return { ok: false, error: "color must be a hex color like #ff9b31" };
+  }
+  device.color = color ? color.toLowerCase() : null;
+
+  const interval = "interval_sec" in body ? body.interval_sec : existing?.interval_sec ?? null;
+  if (interval !== null && (typeof interval !== "number" || !(interval > 0))) {
+    return { ok: false, error: "interval_sec must be a positive number" };
+  }
+  device.interval_sec = interval;
+
+  return { ok: true, device };
+}
+
+/**
+ * createDeviceRegistry
+ * required – reject ingest from unregistered devices
+ */
+function createDeviceRegistry({ store, required = false }) {
+  let devices = new Map(); // device_id -> entry
+
+  async function persist() {
+    await store.saveDocument(DOCUMENT, Object.fromEntries(devices));
+  }
+
+  return {
+    required,
+
+    async init() {
+      devices = new Map(Object.entries((await store.loadDocument(DOCUMENT, {})) || {}));
+      log.info("device registry loaded", { devices: devices.size, required });
+    },
+
+    // Ingest gate: everything passes unless registration is required
+    isAllowed(deviceId) {
+      return !required || devices.has(deviceId);
+    },
+
+    list({ canView = () => true } = {}) {
+      return [...devices.values()]
+        .filter((d) => canView(d.device_id))
+        .sort((a, b) => (a.name || a.device_id).localeCompare(b.name || b.device_id));
+    },
+
+    get(deviceId) {
+      return devices.get(deviceId) || null;
+    },
+
+    groupsFor(deviceId) {
+      const group = devices.get(deviceId)?.group;
+      return group ? [group] : [];
+    },
+
+    intervalFor(deviceId) {
+      return devices.get(deviceId)?.interval_sec ?? null;
+    },
+
+    async create(body, { createdBy = null } = {}) {
+      const deviceId = body?.device_id;
+      if (typeof deviceId !== "string" || !DEVICE_ID_PATTERN.test(deviceId)) {
+        return { ok: false, error: "device_id must be 1-64 letters, digits or _ . : -" };
+      }
+      if (devices.has(deviceId)) return { ok: false, status: 409, error: "Device already registered" };
+      const result = validateDevice(body);
+      if (!result.ok) return result;
+
+      const now = Date.now();
+      const device = { device_id: deviceId, ...result.device, created_by: createdBy, created_at: now, updated_at: now };
+      devices.set(deviceId, device);
+      await persist();
+      return { ok: true, device };
+    },
+
+    async update(deviceId, body) {
+      const existing = devices.get(deviceId);
+      if (!existing) return { ok: false, status: 404, error: "Device not registered" };
+      if (body?.device_id !== undefined && body.device_id !== deviceId) {
+        return { ok: false, error: "device_id cannot be changed" };
+      }
+      const result = validateDevice(body, existing);
+      if (!result.ok) return result;
+
+      const device = { ...existing, ...result.device, updated_at: Date.now() };
+      devices.set(deviceId, device);
+      await persist();
+      return { ok: true, device };
+    },
+
+    // Only the metadata goes; stored history is kept
+    async remove(deviceId) {
+      if (!devices.delete(deviceId)) return { ok: false, status: 404, error: "Device not registered" };
+      await persist();
+      return { ok: true };
+    },
+  };
+}
+
+module.exports = { createDeviceRegistry, validateDevice, DEVICE_ID_PATTERN };
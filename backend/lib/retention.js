@@ -0,0 +1,309 @@
+// lib/retention.js – History retention: downsampling and compaction
+//
+// A policy keeps every point of the last `full_resolution_days`. Older points
+// are thinned out:
+//   douglas-peucker – drop points within `tolerance_m` of the simplified line
+//   interval        – keep the first point of every `interval_sec` bucket
+//   none            – keep them all
+// and anything older than `max_age_days` (0 = never) is deleted. Beyond the
+// full-resolution window, fixes the track filter rejected are deleted too.
+// SOS points and the newest point of a device are never removed.
+//
+// The global policy and per-device overrides live in the "retention-policies"
+// document. A compaction run applies them to every device and appends a report
+// to the "retention-runs" log.
+
+const crypto = require("crypto");
+const { simplifyPath } = require("./geo");
+const { toEpochSeconds } = require("./history");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "retention" });
+
+const POLICIES_DOC = "retention-policies";
+const RUNS_LOG = "retention-runs";
+const DAY_SEC = 86400;
+
+const DOWNSAMPLE_MODES = ["douglas-peucker", "interval", "none"];
+
+const DEFAULT_POLICY = {
+  full_resolution_days: 30,
+  downsample: "douglas-peucker",
+  tolerance_m: 10,
+  interval_sec: 60,
+  max_age_days: 0,
+};
+
+// RETENTION_* environment variables -> policy (unset = default)
+function policyFromEnv(env = process.env) {
+  const num = (name) => (env[name] != null && env[name] !== "" ? Number(env[name]) : undefined);
+  const policy = { ...DEFAULT_POLICY };
+  const fromEnv = {
+    full_resolution_days: num("RETENTION_FULL_DAYS"),
+    downsample: env.RETENTION_DOWNSAMPLE || undefined,
+    tolerance_m: num("RETENTION_TOLERANCE_M"),
+    interval_sec: num("RETENTION_INTERVAL_SEC"),
+    max_age_days: num("RETENTION_MAX_AGE_DAYS"),
+  };
+  for (const [key, value] of Object.entries(fromEnv)) if (value !== undefined) policy[key] = value;
+
+  const result = validatePolicy(policy);
+  if (!result.ok) throw new Error(`Invalid retention settings: ${result.error}`);
+  return { ...DEFAULT_POLICY, ...result.policy };
+}
+
+/**
+ * validatePolicy
+ * Checks the fields present in `body`. A null value means "use the default"
+ * and is passed through. Returns { ok, policy } or { ok: false, error }.
+ */
+function validatePolicy(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { ok: false, error: "Policy must be an object" };
+  const policy = {};
+
+  for (const key of Object.keys(body)) {
+    if (!(key in DEFAULT_POLICY)) return { ok: false, error: `Unknown policy field: ${key}` };
+  }
+  for (const key of ["full_resolution_days", "max_age_days"]) {
+    const v = body[key];
+    if (v === undefined) continue;
+    if (v !== null && !(typeof v === "number" && v >= 0)) return { ok: false, error: `${key} must be a non-negative number` };
+    policy[key] = v;
+  }
+  if (body.downsample !== undefined) {
+    if (body.downsample !== null && !DOWNSAMPLE_MODES.includes(body.downsample)) {
+      return { ok: false, error: `downsample must be one of ${DOWNSAMPLE_MODES.join(", ")}` };
+    }
+    policy.downsample = body.downsample;
+  }
+  for (const key of ["tolerance_m", "interval_sec"]) {
+    const v = body[key];
+    if (v === undefined) continue;
+    if (v !== null && !(typeof v === "number" && v > 0)) return { ok: false, error: `${key} must be a positive number` };
+    policy[key] = v;
+  }
+
+  const { full_resolution_days: full, max_age_days: maxAge } = policy;
+  if (typeof full === "number" && maxAge > 0 && maxAge < full) {
+    return { ok: false, error: "max_age_days must not be shorter than full_resolution_days" };
+  }
+  return { ok: true, policy };
+}
+
+/**
+ * planCompaction
+ * points – one device's stored history (ordered)
+ * Returns { kept, downsampled, expired, rejected } – the points to keep (same
+ * order) and how many were dropped for each reason.
+ */
+function planCompaction(points, policy, nowSec = Math.floor(Date.now() / 1000)) {
+  const fullCutoff = nowSec - policy.full_resolution_days * DAY_SEC;
+  const ageCutoff = policy.max_age_days > 0 ? nowSec - policy.max_age_days * DAY_SEC : null;
+  const keep = new Set();
+  const candidates = [];
+  let expired = 0;
+  let rejected = 0;
+
+  let newest = null;
+  for (let i = points.length - 1; i >= 0 && !newest; i -= 1) if (!points[i].rejected) newest = points[i];
+
+  for (const point of points) {
+    const ts = toEpochSeconds(point.timestamp);
+    if (ts == null || ts >= fullCutoff || point.sos || point === newest) keep.add(point);
+    else if (ageCutoff != null && ts < ageCutoff) expired += 1;
+    else if (point.rejected) rejected += 1;
+    else candidates.push({ point, ts, lat: point.lat, lon: point.lon });
+  }
+
+  let thinned = candidates;
+  if (policy.downsample === "douglas-peucker") {
+    thinned = simplifyPath(candidates, policy.tolerance_m);
+  } else if (policy.downsample === "interval") {
+    let bucket = null;
+    thinned = candidates.filter(({ ts }) => {
+      const b = Math.floor(ts / policy.interval_sec);
+      if (b === bucket) return false;
+      bucket = b;
+      return true;
+    });
+  }
+  for (const { point } of thinned) keep.add(point);
+
+  return {
+    kept: points.filter((point) => keep.has(point)),
+    downsampled: candidates.length - thinned.length,
+    expired,
+    rejected,
+  };
+}
+
+/**
+ * createRetentionService
+ * defaults        – global policy before any stored override (see policyFromEnv)
+ * compactEveryMs  – interval of the scheduled compaction (0 = manual only)
+ */
+function createRetentionService({ store, defaults = DEFAULT_POLICY, compactEveryMs = 6 * 3600 * 1000 }) {
+  let policies = { global: {}, devices: new Map() }; // devices: deviceId -> override
+  let timer = null;
+  let running = null;
+
+  const policyFor = (deviceId) => ({ ...defaults, ...policies.global, ...policies.devices.get(deviceId) });
+
+  async function persist() {
+    await store.saveDocument(POLICIES_DOC, { global: policies.global, devices: Object.fromEntries(policies.devices) });
+  }
+
+  // Merge a validated patch into an override (null removes the field)
+  function mergeOverride(current, patch) {
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(patch)) {
+      if (value === null) delete merged[key];
+      else merged[key] = value;
+    }
+    return merged;
+  }
+
+  async function updateOverride(current, body, save) {
+    const result = validatePolicy(body);
+    if (!result.ok) return result;
+    const merged = mergeOverride(current, result.policy);
+    const check = validatePolicy({ ...defaults, ...policies.global, ...merged });
+    if (!check.ok) return check;
+    save(merged);
+    await persist();
+    return { ok: true };
+  }
+
+  async function compactDevice(deviceId, { dryRun, nowSec }) {
+    const policy = policyFor(deviceId);
+    const history = await store.getHistory(deviceId);
+    let before = history.length;
+    let plan = planCompaction(history, policy, nowSec);
+    if (!dryRun && plan.kept.length < before) {
+      // planned again inside the write, so points that arrived meanwhile are kept
+      await store.rewriteHistory(deviceId, (points) => {
+        before = points.length;
+        plan = planCompaction(points, policy, nowSec);
+        return plan.kept;
+      });
+    }
+    return {
+      device_id: deviceId,
+      before,
+      after: plan.kept.length,
+      removed: before - plan.kept.length,
+      downsampled: plan.downsampled,
+      expired: plan.expired,
+      rejected: plan.rejected,
+    };
+  }
+
+  /**
+   * compact
+   * Applies the policies to one device (deviceId) or all of them and returns
+   * the run report. A dry run only counts what would go.
+   */
+  async function compact({ deviceId = null, dryRun = false, trigger = "manual" } = {}) {
+    if (running) return { ok: false, status: 409, error: "A compaction is already running" };
+
+    running = (async () => {
+      const startedAt = Date.now();
+      const nowSec = Math.floor(startedAt / 1000);
+      const ids = deviceId ? [deviceId] : await store.listDeviceIds();
+      const devices = [];
+      for (const id of ids) devices.push(await compactDevice(id, { dryRun, nowSec }));
+
+      const report = {
+        id: crypto.randomUUID(),
+        trigger,
+        dry_run: dryRun,
+        started_at: startedAt,
+        finished_at: Date.now(),
+        devices_checked: devices.length,
+        points_before: devices.reduce((sum, d) => sum + d.before, 0),
+        points_removed: devices.reduce((sum, d) => sum + d.removed, 0),
+        devices: devices.filter((d) => d.removed > 0),
+      };
+      if (!dryRun) await store.appendLog(RUNS_LOG, report);
+      log.info(dryRun ? "dry-run compaction finished" : "compaction finished", {
+        trigger,
+        points_before: report.points_before,
+        points_removed: report.points_removed,
+        devices: report.devices.length,
+        duration_ms: report.finished_at - startedAt,
+      });
+      return report;
+    })();
+
+    try {
+      return { ok: true, report: await running };
+    } finally {
+      running = null;
+    }
+  }
+
+  return {
+    async init() {
+      const stored = (await store.loadDocument(POLICIES_DOC, null)) || {};
+      policies = { global: stored.global || {}, devices: new Map(Object.entries(stored.devices || {})) };
+
+      if (compactEveryMs > 0) {
+        timer = setInterval(() => {
+          compact({ trigger: "schedule" }).catch((err) => log.error("compaction failed", { err }));
+        }, compactEveryMs);
+        timer.unref?.();
+      }
+      log.info("retention loaded", {
+        full_resolution_days: policyFor(null).full_resolution_days,
+        compact_every_min: compactEveryMs > 0 ? Math.round(compactEveryMs / 60000) : null,
+      });
+    },
+
+    close() {
+      clearInterval(timer);
+    },
+
+    compact,
+    policyFor,
+
+    getPolicies() {
+      return { defaults, global: policyFor(null), overrides: policies.global, devices: Object.fromEntries(policies.devices) };
+    },
+
+    async updateGlobal(body) {
+      const result = await updateOverride(policies.global, body, (merged) => {
+        policies.global = merged;
+      });
+      return result.ok ? { ok: true, policy: policyFor(null) } : result;
+    },
+
+    async updateDevice(deviceId, body) {
+      const result = await updateOverride(policies.devices.get(deviceId) || {}, body, (merged) => {
+        if (Object.keys(merged).length) policies.devices.set(deviceId, merged);
+        else policies.devices.delete(deviceId);
+      });
+      return result.ok ? { ok: true, policy: policyFor(deviceId) } : result;
+    },
+
+    async resetDevice(deviceId) {
+      policies.devices.delete(deviceId);
+      await persist();
+      return { ok: true, policy: policyFor(deviceId) };
+    },
+
+    // Newest first
+    async listRuns({ limit = 20 } = {}) {
+      const runs = await store.readLog(RUNS_LOG);
+      return runs.slice(-limit).reverse();
+    },
+  };
+}
+
+module.exports = {
+  createRetentionService,
+  planCompaction,
+  validatePolicy,
+  policyFromEnv,
+  DEFAULT_POLICY,
+  DOWNSAMPLE_MODES,
+};
@@ -0,0 +1,167 @@
+// lib/schema.js – Versioned telemetry payload schema, enforced on every ingest transport
+//
+//   v1 (no "v", or "v": 1) – the original payload: device_id, lat, lon, speed,
+//                            battery, sos, timestamp. Other fields are ignored,
+//                            so older firmware keeps working.
+//   v2 ("v": 2)            – adds the optional GNSS / radio fields (altitude,
+//                            heading, hdop, satellites, fix_type, rssi). Unknown
+//                            fields are an error.
+//
+// Every field is type- and range-checked; a failure lists each bad field as
+// { field, code, message }. Timestamps may be epoch seconds, epoch milliseconds
+// or ISO-8601 and are stored as epoch milliseconds.
+
+const { toEpochMs } = require("./history");
+const { DEVICE_ID_PATTERN } = require("./registry");
+
+const SCHEMA_VERSIONS = [1, 2];
+const CURRENT_VERSION = 2;
+
+// "none" = the receiver reported no fix; the rest follow NMEA GGA / GSA
+const FIX_TYPES = ["none", "2d", "3d", "dgps", "rtk_float", "rtk_fixed", "estimated"];
+
+const ERROR_CODES = {
+  REQUIRED: "required",
+  TYPE: "type",
+  RANGE: "range",
+  FORMAT: "format",
+  UNKNOWN_FIELD: "unknown_field",
+  UNSUPPORTED_VERSION: "unsupported_version",
+};
+
+// field -> rule; `since` is the first schema version that knows the field
+const FIELDS = {
+  device_id: { since: 1, type: "device_id", required: true },
+  lat: { since: 1, type: "number", required: true, min: -90, max: 90 },
+  lon: { since: 1, type: "number", required: true, min: -180, max: 180 },
+  speed: { since: 1, type: "number", min: 0, max: 1000 }, // m/s
+  battery: { since: 1, type: "number", min: 0, max: 100 }, // %
+  sos: { since: 1, type: "boolean" },
+  timestamp: { since: 1, type: "timestamp" },
+  altitude: { since: 2, type: "number", min: -1000, max: 100000 }, // m above sea level
+  heading: { since: 2, type: "number", min: 0, max: 360 }, // degrees from true north
+  hdop: { since: 2, type: "number", min: 0, max: 100 },
+  satellites: { since: 2, type: "integer", min: 0, max: 255 },
+  fix_type: { since: 2, type: "enum", values: FIX_TYPES },
+  rssi: { since: 2, type: "number", min: -150, max: 0 }, // dBm
+};
+
+// ISO-8601 date-time with an explicit time part, e.g. 2024-12-10T16:16:31Z
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+// One field's value -> { value } or { error }
+function checkField(field, rule, value) {
+  switch (rule.type) {
+    case "device_id":
+      if (typeof value !== "string") return { error: fieldError(field, ERROR_CODES.TYPE, `${field} must be a string`) };
+      if (!DEVICE_ID_PATTERN.test(value)) {
+        return { error: fieldError(field, ERROR_CODES.FORMAT, `${field} must be 1-64 letters, digits or _ . : -`) };
+      }
+      return { value };
+
+    case "number":
+    case "integer": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: fieldError(field, ERROR_CODES.TYPE, `${field} must be a finite number`) };
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        return { error: fieldError(field, ERROR_CODES.TYPE, `${field} must be an integer`) };
+      }
+      if (value < rule.min || value > rule.max) {
+        return { error: fieldError(field, ERROR_CODES.RANGE, `${field} must be between ${rule.min} and ${rule.max}`) };
+      }
+      return { value };
+    }
+
+    // firmware often sends 0 / 1
+    case "boolean":
+      if (typeof value === "boolean") return { value };
+      if (value === 0 || value === 1) return { value: value === 1 };
+      return { error: fieldError(field, ERROR_CODES.TYPE, `${field} must be true or false`) };
+
+    case "enum":
+      if (!rule.values.includes(value)) {
+        return { error: fieldError(field, ERROR_CODES.FORMAT, `${field} must be one of ${rule.values.join(", ")}`) };
+      }
+      return { value };
+
+    case "timestamp": {
+      const numeric = typeof value === "number" || (typeof value === "string" && /^\d+(\.\d+)?$/.test(value));
+      if (!numeric && !(typeof value === "string" && ISO_PATTERN.test(value))) {
+        return {
+          error: fieldError(field, ERROR_CODES.TYPE, `${field} must be epoch seconds, epoch milliseconds or ISO-8601`),
+        };
+      }
+      const ms = toEpochMs(value);
+      if (ms == null || ms < 0) return { error: fieldError(field, ERROR_CODES.RANGE, `${field} is not a valid time`) };
+      return { value: ms };
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${rule.type}`);
+  }
+}
+
+/**
+ * validateTelemetry
+ * Checks a payload against its schema version and normalizes it.
+ * Returns { ok: true, version, point } or { ok: false, error, errors: [{ field, code, message }] }.
+ * Optional fields that are absent or null are left out of `point`
+ * (except the v1 ones, which stay null as before).
+ */
+function validateTelemetry(body, { now = Date.now() } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      ok: false,
+      error: "Invalid payload",
+      errors: [fieldError(null, ERROR_CODES.TYPE, "Payload must be a JSON object")],
+    };
+  }
+
+  const version = body.v ?? 1;
+  if (!SCHEMA_VERSIONS.includes(version)) {
+    return {
+      ok: false,
+      error: "Invalid payload",
+      errors: [
+        fieldError("v", ERROR_CODES.UNSUPPORTED_VERSION, `v must be one of ${SCHEMA_VERSIONS.join(", ")}`),
+      ],
+    };
+  }
+
+  const errors = [];
+  const point = {};
+
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (rule.since > version) continue;
+    const value = body[field];
+    if (value == null) {
+      if (rule.required) errors.push(fieldError(field, ERROR_CODES.REQUIRED, `${field} is required`));
+      continue;
+    }
+    const checked = checkField(field, rule, value);
+    if (checked.error) errors.push(checked.error);
+    else point[field] = checked.value;
+  }
+
+  if (version >= 2) {
+    for (const field of Object.keys(body)) {
+      if (field !== "v" && !FIELDS[field]) {
+        errors.push(fieldError(field, ERROR_CODES.UNKNOWN_FIELD, `${field} is not part of schema v${version}`));
+      }
+    }
+  }
+
+  if (errors.length > 0) return { ok: false, error: "Invalid payload", errors };
+
+  const { device_id, lat, lon, speed = null, battery = null, sos = false, timestamp = now, ...extra } = point;
+  return {
+    ok: true,
+    version,
+    point: { device_id, lat, lon, speed, battery, sos, timestamp, ...extra, received_at: now },
+  };
+}
+
+module.exports = { validateTelemetry, SCHEMA_VERSIONS, CURRENT_VERSION, FIX_TYPES, ERROR_CODES, FIELDS };
@@ -0,0 +1,34 @@
+// lib/shared.js – Loads the ESM modules in ../../shared for the CommonJS backend
+//
+// The modules are imported once at startup (loadShared() in index.js). After
+// that, shared(name) hands them out synchronously.
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const MODULES = {
+  geo: "geo.js",
+  trackFilter: "trackFilter.js",
+  trackStats: "trackStats.js",
+};
+
+const loaded = {};
+let loading = null;
+
+function loadShared() {
+  if (!loading) {
+    loading = Promise.all(
+      Object.entries(MODULES).map(async ([name, file]) => {
+        loaded[name] = await import(pathToFileURL(path.join(__dirname, "..", "..", "shared", file)).href);
+      })
+    );
+  }
+  return loading;
+}
+
+function shared(name) {
+  if (!loaded[name]) throw new Error(`shared/${MODULES[name] || name} is not loaded; await loadShared() first`);
+  return loaded[name];
+}
+
+module.exports = { loadShared, shared };
@@ -0,0 +1,389 @@
+// lib/simulator.js – Virtual GPS units for demos and load tests
+//
+// Each virtual device drives along a route – a GPX track replayed with its own
+// timing, or a generated patrol loop around a center point – and reports a
+// schema v2 fix every `intervalSec` (± jitter). On top of the route it can add
+// GPS noise, dropouts (optionally replayed as a batch when the unit is back,
+// like real firmware with an offline buffer), battery drain and SOS presses.
+//
+// Fixes go out through a transport: HTTP (POST /ingest, /ingest/batch) or
+// MQTT (devices/<id>/telemetry; needs the optional `mqtt` package).
+// scripts/simulate.js is the command-line front end.
+
+const { haversineMeters } = require("./geo");
+
+const METERS_PER_DEG_LAT = 111320;
+const MIN_DELAY_MS = 1000;
+
+const DEFAULT_OPTIONS = {
+  intervalSec: 5, // seconds between fixes
+  jitter: 0.2, // ± fraction of the interval
+  speedMs: 8, // patrol speed (GPX tracks with times keep their own)
+  noiseM: 4, // standard deviation of the GPS error, in meters
+  dropoutChance: 0.01, // chance per fix that the unit goes silent
+  dropoutSec: 60, // how long a dropout lasts
+  bufferDropouts: false, // replay fixes missed during a dropout via /ingest/batch
+  batteryDrainPerHour: 4, // % per hour
+  sosChance: 0, // chance per fix of an SOS press
+  sosFixes: 6, // fixes an SOS stays on
+};
+
+/**
+ * createRng
+ * Seeded PRNG (mulberry32) so a run can be repeated; no seed = Math.random.
+ */
+function createRng(seed) {
+  if (seed == null) return Math.random;
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Move a point by meters east / north (fine for the few km a route spans)
+function offsetMeters({ lat, lon }, east, north) {
+  return {
+    lat: lat + north / METERS_PER_DEG_LAT,
+    lon: lon + east / (METERS_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180)),
+  };
+}
+
+function bearingDeg(a, b) {
+  const east = (b.lon - a.lon) * Math.cos((a.lat * Math.PI) / 180);
+  const north = b.lat - a.lat;
+  return ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * parseGpx
+ * Track points (or route points) of a GPX file: [{ lat, lon, ele, time }]
+ * (time in epoch ms or null). Only what a replay needs – no XML dependency.
+ */
+function parseGpx(xml) {
+  const points = [];
+  const pattern = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = pattern.exec(xml))) {
+    const attrs = match[2];
+    const body = match[4] || "";
+    const lat = Number(/\blat\s*=\s*["']([^"']+)["']/.exec(attrs)?.[1]);
+    const lon = Number(/\blon\s*=\s*["']([^"']+)["']/.exec(attrs)?.[1]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    const ele = Number(/<ele>([^<]+)<\/ele>/.exec(body)?.[1]);
+    const time = Date.parse(/<time>([^<]+)<\/time>/.exec(body)?.[1] ?? "");
+    points.push({ lat, lon, ele: Number.isFinite(ele) ? ele : null, time: Number.isNaN(time) ? null : time });
+  }
+  return points;
+}
+
+/**
+ * buildRoute
+ * Points -> { stops: [{ lat, lon, ele, t }], durationSec, loop } where t is the
+ * second the route reaches that point. GPX times are kept when every point
+ * has one; otherwise the route is driven at `speedMs`. A loop returns to its start.
+ */
+function buildRoute(points, { speedMs = DEFAULT_OPTIONS.speedMs, loop = false } = {}) {
+  if (points.length === 0) throw new Error("Route has no points");
+  const path = loop && points.length > 1 ? [...points, points[0]] : points;
+  const timed = !loop && path.every((p) => p.time != null) && path[path.length - 1].time > path[0].time;
+
+  let t = 0;
+  const stops = path.map((p, i) => {
+    if (i > 0) {
+      const prev = path[i - 1];
+      t += timed ? (p.time - prev.time) / 1000 : haversineMeters(prev.lat, prev.lon, p.lat, p.lon) / speedMs;
+    }
+    return { lat: p.lat, lon: p.lon, ele: p.ele ?? null, t };
+  });
+  return { stops, durationSec: t, loop };
+}
+
+/**
+ * patrolRoute
+ * A random closed patrol of `waypoints` points within `radiusM` of the center.
+ */
+function patrolRoute({ center, radiusM = 1500, waypoints = 8, rng = Math.random }) {
+  const points = [];
+  for (let i = 0; i < waypoints; i += 1) {
+    const angle = (2 * Math.PI * (i + rng() * 0.6)) / waypoints;
+    const distance = radiusM * (0.4 + 0.6 * rng());
+    points.push(offsetMeters(center, Math.sin(angle) * distance, Math.cos(angle) * distance));
+  }
+  return points;
+}
+
+// Position on the route `elapsedSec` after the start. Loops go round; other
+// routes are driven out and back, so a replay never jumps from its end to its start.
+function positionAt(route, elapsedSec) {
+  const { stops, durationSec, loop } = route;
+  if (stops.length === 1 || durationSec <= 0) return { ...stops[0], heading: null, speed: 0 };
+  let t = elapsedSec % (loop ? durationSec : 2 * durationSec);
+  const back = t > durationSec;
+  if (back) t = 2 * durationSec - t;
+  let i = 1;
+  while (i < stops.length - 1 && stops[i].t < t) i += 1;
+  const a = stops[i - 1];
+  const b = stops[i];
+  const span = b.t - a.t;
+  const f = span > 0 ? (t - a.t) / span : 0;
+  return {
+    lat: a.lat + (b.lat - a.lat) * f,
+    lon: a.lon + (b.lon - a.lon) * f,
+    ele: a.ele != null && b.ele != null ? a.ele + (b.ele - a.ele) * f : a.ele,
+    heading: back ? bearingDeg(b, a) : bearingDeg(a, b),
+    speed: span > 0 ? haversineMeters(a.lat, a.lon, b.lat, b.lon) / span : 0,
+  };
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * createVirtualDevice
+ * fix(nowMs) -> { payload, buffered } for the next report, or null while the
+ * unit is in a dropout. `buffered` holds the fixes missed during a dropout
+ * that just ended (only with bufferDropouts).
+ */
+function createVirtualDevice({ deviceId, route, startOffsetSec = 0, options = {}, rng = Math.random }) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  let startedAt = null;
+  let battery = 60 + rng() * 40;
+  let lastAt = null;
+  let dropoutUntil = 0;
+  let sosLeft = 0;
+  const missed = [];
+
+  function makePayload(nowMs) {
+    const elapsed = (nowMs - startedAt) / 1000 + startOffsetSec;
+    const pos = positionAt(route, elapsed);
+    const noisy = offsetMeters(pos, gaussian(rng) * opts.noiseM, gaussian(rng) * opts.noiseM);
+    const satellites = 6 + Math.floor(rng() * 9);
+
+    if (sosLeft > 0) sosLeft -= 1;
+    else if (rng() < opts.sosChance) sosLeft = opts.sosFixes;
+
+    return {
+      v: 2,
+      device_id: deviceId,
+      lat: round(noisy.lat, 7),
+      lon: round(noisy.lon, 7),
+      speed: round(Math.max(0, pos.speed + gaussian(rng) * 0.3), 2),
+      battery: Math.round(battery),
+      sos: sosLeft > 0,
+      timestamp: nowMs,
+      ...(pos.heading != null && { heading: Math.round(pos.heading) % 360 }),
+      ...(pos.ele != null && { altitude: round(pos.ele, 1) }),
+      satellites,
+      hdop: round(0.6 + (14 - satellites) * 0.15 + rng() * 0.3, 1),
+      fix_type: "3d",
+      rssi: Math.round(-60 - rng() * 40),
+    };
+  }
+
+  return {
+    deviceId,
+    options: opts,
+
+    fix(nowMs) {
+      if (startedAt == null) startedAt = nowMs;
+      if (lastAt != null) battery = Math.max(0, battery - (opts.batteryDrainPerHour * (nowMs - lastAt)) / 3600000);
+      lastAt = nowMs;
+
+      if (nowMs < dropoutUntil) {
+        if (opts.bufferDropouts) missed.push(makePayload(nowMs));
+        return null;
+      }
+      if (rng() < opts.dropoutChance) {
+        dropoutUntil = nowMs + opts.dropoutSec * 1000;
+        if (opts.bufferDropouts) missed.push(makePayload(nowMs));
+        return null;
+      }
+      return { payload: makePayload(nowMs), buffered: missed.splice(0) };
+    },
+
+    // Delay until the next report: the interval ± jitter, never under a second
+    // (the server keeps fix times to the second; closer fixes look like a jump)
+    nextDelayMs() {
+      const factor = 1 + (rng() * 2 - 1) * opts.jitter;
+      return Math.max(MIN_DELAY_MS, opts.intervalSec * 1000 * factor);
+    },
+  };
+}
+
+/**
+ * createHttpTransport
+ * POSTs to <baseUrl>/ingest and /ingest/batch. keys: { [device_id]: secret }
+ * sent as X-Device-Key for DEVICE_AUTH=required.
+ */
+function createHttpTransport({ baseUrl, keys = {}, timeoutMs = 10000, fetchImpl = fetch }) {
+  const base = baseUrl.replace(/\/+$/, "");
+
+  async function post(path, deviceId, body) {
+    const headers = { "Content-Type": "application/json" };
+    if (keys[deviceId]) headers["X-Device-Key"] = keys[deviceId];
+    const res = await fetchImpl(`${base}${path}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) {
+      const json = await res.json().catch(() => null);
+      const detail = json?.errors?.map((e) => `${e.field}: ${e.code}`).join(", ") || json?.error || res.statusText;
+      throw new Error(`HTTP ${res.status} ${detail}`);
+    }
+  }
+
+  return {
+    name: `http ${base}`,
+    send: (payload) => post("/ingest", payload.device_id, payload),
+    sendBatch: (deviceId, payloads) => post(`/ingest/batch?device_id=${encodeURIComponent(deviceId)}`, deviceId, payloads),
+    async close() {},
+  };
+}
+
+/**
+ * createMqttTransport
+ * One MQTT connection per device (username = device id, password = its key),
+ * publishing to devices/<id>/telemetry. Needs the `mqtt` package. Connection
+ * errors go to the log that connect() is given (the simulator's).
+ */
+function createMqttTransport({ url, keys = {} }) {
+  let mqtt;
+  try {
+    mqtt = require("mqtt");
+  } catch {
+    throw new Error("The MQTT transport needs the mqtt package (npm install mqtt)");
+  }
+  const clients = new Map();
+  let log = console.log;
+
+  function clientFor(deviceId) {
+    if (!clients.has(deviceId)) {
+      const client = mqtt.connect(url, {
+        clientId: `sim-${deviceId}`,
+        username: deviceId,
+        password: keys[deviceId],
+        reconnectPeriod: 2000,
+      });
+      client.on("error", (err) => log(`🛰️ MQTT ${deviceId}: ${err.message}`));
+      clients.set(deviceId, client);
+    }
+    return clients.get(deviceId);
+  }
+
+  const publish = (deviceId, body) =>
+    new Promise((resolve, reject) => {
+      const client = clientFor(deviceId);
+      if (!client.connected) return reject(new Error("MQTT not connected"));
+      client.publish(`devices/${deviceId}/telemetry`, JSON.stringify(body), { qos: 0 }, (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
+
+  return {
+    name: `mqtt ${url}`,
+    // the topic carries the device id
+    send: ({ device_id: deviceId, ...payload }) => publish(deviceId, payload),
+    sendBatch: (deviceId, payloads) => publish(deviceId, payloads.map(({ device_id, ...p }) => p)),
+    // open every connection up front so the first fixes aren't lost
+    async connect(deviceIds, { log: connectLog } = {}) {
+      if (connectLog) log = connectLog;
+      await Promise.all(
+        deviceIds.map(
+          (id) =>
+            new Promise((resolve) => {
+              const client = clientFor(id);
+              if (client.connected) return resolve();
+              client.once("connect", resolve);
+              setTimeout(resolve, 5000);
+            })
+        )
+      );
+    },
+    async close() {
+      await Promise.all([...clients.values()].map((c) => new Promise((resolve) => c.end(false, {}, resolve))));
+    },
+  };
+}
+
+/**
+ * createSimulator
+ * Runs every device on its own timer until stop(). stats counts sent / failed /
+ * dropped fixes, buffered replays and SOS fixes.
+ */
+function createSimulator({ devices, transport, log = console.log }) {
+  const stats = { sent: 0, failed: 0, dropped: 0, replayed: 0, sos: 0 };
+  const timers = new Map();
+  const lastErrors = new Map();
+  let running = false;
+
+  async function tick(device) {
+    if (!running) return;
+    const result = device.fix(Date.now());
+    if (!result) {
+      stats.dropped += 1;
+    } else {
+      try {
+        if (result.buffered.length) {
+          await transport.sendBatch(device.deviceId, result.buffered);
+          stats.replayed += result.buffered.length;
+        }
+        await transport.send(result.payload);
+        stats.sent += 1;
+        if (result.payload.sos) stats.sos += 1;
+        lastErrors.delete(device.deviceId);
+      } catch (err) {
+        stats.failed += 1;
+        // log each new error once per device, not on every tick
+        if (lastErrors.get(device.deviceId) !== err.message) log(`⚠️ ${device.deviceId}: ${err.message}`);
+        lastErrors.set(device.deviceId, err.message);
+      }
+    }
+    if (running) timers.set(device.deviceId, setTimeout(() => tick(device), device.nextDelayMs()));
+  }
+
+  return {
+    stats,
+
+    async start() {
+      running = true;
+      if (transport.connect) await transport.connect(devices.map((d) => d.deviceId), { log });
+      // spread the first fixes over one interval instead of a burst
+      for (const device of devices) {
+        const delay = Math.random() * device.options.intervalSec * 1000;
+        timers.set(device.deviceId, setTimeout(() => tick(device), delay));
+      }
+    },
+
+    async stop() {
+      running = false;
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      await transport.close();
+    },
+  };
+}
+
+module.exports = {
+  createSimulator,
+  createVirtualDevice,
+  createHttpTransport,
+  createMqttTransport,
+  createRng,
+  parseGpx,
+  buildRoute,
+  patrolRoute,
+  positionAt,
+  DEFAULT_OPTIONS,
+};
@@ -0,0 +1,38 @@
+// lib/storage/index.js – Pluggable storage for device points
+//
+// Drivers share one async interface:
+//   init(), appendPoint(point), getLatest(id), getHistory(id), hasPoint(id, timestamp),
+//   rewriteHistory(id, transform),
+//   listDeviceIds(), getLatestByDevice(), getHistoryCounts(),
+//   loadDocument(name, fallback), saveDocument(name, value),
+//   appendLog(name, entry), readLog(name), check(), close()
+// check() is the readiness probe behind GET /health: { ok, error? }.
+// getLatestByDevice() / getHistoryCounts() return records without a prototype,
+// so record[deviceId] is undefined for any device id that isn't stored.
+
+const path = require("path");
+const { createMemoryStore } = require("./memory");
+const { createJsonlStore } = require("./jsonl");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+/**
+ * createStore
+ * Picks a driver from options or the STORAGE_DRIVER env var ("jsonl" | "memory").
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || "jsonl";
+
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "jsonl":
+      return createJsonlStore({
+        dataDir: options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,169 @@
+// lib/storage/jsonl.js – Append-only JSONL point store backed by fs-extra
+//
+// Layout: <dataDir>/history/<encoded device id>.jsonl, one point per line.
+// On startup every log is replayed into an in-memory index so reads stay fast
+// and the latest-point index survives redeploys and crashes.
+// Named documents live next to it as <dataDir>/<name>.json and append-only
+// event logs as <dataDir>/logs/<name>.jsonl (loaded lazily, then cached).
+
+const path = require("path");
+const fs = require("fs-extra");
+const { createMemoryStore } = require("./memory");
+const { logger } = require("../logger");
+
+const log = logger.child({ component: "storage" });
+
+const deviceFileName = (deviceId) => `${encodeURIComponent(deviceId)}.jsonl`;
+const documentFileName = (name) => `${encodeURIComponent(name)}.json`;
+
+function createJsonlStore({ dataDir }) {
+  const historyDir = path.join(dataDir, "history");
+  const logsDir = path.join(dataDir, "logs");
+  const index = createMemoryStore();
+  const logCache = new Map(); // name -> Promise<entries[]>
+
+  // Per-device write chains keep appends for one device in arrival order
+  const writeQueues = new Map(); // device id (or "doc:<name>" / "log:<name>") -> tail of the chain
+
+  function enqueueWrite(deviceId, task) {
+    const prev = writeQueues.get(deviceId) || Promise.resolve();
+    const next = prev.then(task, task);
+    writeQueues.set(deviceId, next.catch(() => {}));
+    return next;
+  }
+
+  function loadLog(name) {
+    if (!logCache.has(name)) {
+      const file = path.join(logsDir, `${encodeURIComponent(name)}.jsonl`);
+      logCache.set(
+        name,
+        fs.pathExists(file).then(async (exists) => {
+          if (!exists) return [];
+          const raw = await fs.readFile(file, "utf8");
+          return raw
+            .split("\n")
+            .filter((line) => line.trim())
+            .flatMap((line) => {
+              try {
+                return [JSON.parse(line)];
+              } catch {
+                return [];
+              }
+            });
+        })
+      );
+    }
+    return logCache.get(name);
+  }
+
+  async function replayFile(file) {
+    const raw = await fs.readFile(path.join(historyDir, file), "utf8");
+    let loaded = 0;
+    let skipped = 0;
+
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const point = JSON.parse(line);
+        if (!point || !point.device_id) throw new Error("missing device_id");
+        index.indexPoint(point);
+        loaded += 1;
+      } catch {
+        // A torn final line after a crash is expected; skip it
+        skipped += 1;
+      }
+    }
+
+    return { loaded, skipped };
+  }
+
+  return {
+    ...index,
+    name: "jsonl",
+    dataDir,
+
+    async init() {
+      await fs.ensureDir(historyDir);
+      const files = (await fs.readdir(historyDir)).filter((f) => f.endsWith(".jsonl"));
+
+      let points = 0;
+      for (const file of files) {
+        const { loaded, skipped } = await replayFile(file);
+        points += loaded;
+        if (skipped) log.warn("skipped unreadable lines", { file, skipped });
+      }
+
+      log.info("history loaded", { points, devices: files.length, dir: historyDir });
+    },
+
+    async appendPoint(point) {
+      const file = path.join(historyDir, deviceFileName(point.device_id));
+      // indexed inside the write chain so a concurrent rewrite can't miss it
+      await enqueueWrite(point.device_id, async () => {
+        await fs.appendFile(file, `${JSON.stringify(point)}\n`, "utf8");
+        index.indexPoint(point);
+      });
+      return point;
+    },
+
+    // The whole log is rewritten (write-then-rename) in the device's write chain
+    async rewriteHistory(deviceId, transform) {
+      const file = path.join(historyDir, deviceFileName(deviceId));
+      const tmp = `${file}.tmp`;
+      return enqueueWrite(deviceId, async () => {
+        const kept = transform(await index.getHistory(deviceId));
+        await fs.writeFile(tmp, kept.map((point) => `${JSON.stringify(point)}\n`).join(""), "utf8");
+        await fs.move(tmp, file, { overwrite: true });
+        index.replaceHistory(deviceId, kept);
+        return kept;
+      });
+    },
+
+    async loadDocument(name, fallback = null) {
+      const file = path.join(dataDir, documentFileName(name));
+      if (!(await fs.pathExists(file))) return fallback;
+      return fs.readJson(file);
+    },
+
+    async saveDocument(name, value) {
+      // write-then-rename so a crash never leaves a half-written document
+      const file = path.join(dataDir, documentFileName(name));
+      const tmp = `${file}.tmp`;
+      await enqueueWrite(`doc:${name}`, async () => {
+        await fs.outputJson(tmp, value, { spaces: 2 });
+        await fs.move(tmp, file, { overwrite: true });
+      });
+    },
+
+    async appendLog(name, entry) {
+      const entries = await loadLog(name);
+      const file = path.join(logsDir, `${encodeURIComponent(name)}.jsonl`);
+      await enqueueWrite(`log:${name}`, async () => {
+        await fs.ensureDir(logsDir);
+        await fs.appendFile(file, `${JSON.stringify(entry)}\n`, "utf8");
+      });
+      entries.push(entry);
+      return entry;
+    },
+
+    async readLog(name) {
+      return loadLog(name);
+    },
+
+    // Readiness: the history directory must still be readable and writable
+    async check() {
+      try {
+        await fs.access(historyDir, fs.constants.R_OK | fs.constants.W_OK);
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, error: err.code || err.message };
+      }
+    },
+
+    async close() {
+      await Promise.all(writeQueues.values());
+    },
+  };
+}
+
+module.exports = { createJsonlStore };
@@ -0,0 +1,139 @@
+// lib/storage/memory.js – In-memory point store (reset on restart, used for tests)
+
+const { toEpochMs } = require("../history");
+
+// Snapshot of a per-device Map as a plain record; no prototype, so looking up
+// an unknown device id ("constructor", …) gives undefined
+function toRecord(map, value = (v) => v) {
+  const record = Object.create(null);
+  for (const [key, v] of map) record[key] = value(v);
+  return record;
+}
+
+/**
+ * createMemoryStore
+ * Keeps the latest point and full history per device in Maps (device ids are
+ * untrusted input). Every method is async so drivers are interchangeable.
+ */
+function createMemoryStore() {
+  const latestByDevice = new Map();
+  const historyByDevice = new Map();
+  const timestampsByDevice = new Map(); // device -> Set of epoch ms (duplicate detection)
+  const documents = new Map();
+  const logs = new Map();
+
+  // Index a point without any I/O (also used by file drivers while loading).
+  // History stays ordered by timestamp, so late points are inserted in place.
+  // "latest" only moves forward in time, and never to a point rejected by the track filter.
+  function indexPoint(point) {
+    const id = point.device_id;
+    const ms = toEpochMs(point.timestamp);
+    if (!historyByDevice.has(id)) historyByDevice.set(id, []);
+    const history = historyByDevice.get(id);
+
+    if (ms == null || history.length === 0 || (toEpochMs(history[history.length - 1].timestamp) ?? 0) <= ms) {
+      history.push(point);
+    } else {
+      // first position whose timestamp is greater (keeps arrival order for equal times)
+      let lo = 0;
+      let hi = history.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if ((toEpochMs(history[mid].timestamp) ?? 0) <= ms) lo = mid + 1;
+        else hi = mid;
+      }
+      history.splice(lo, 0, point);
+    }
+
+    if (ms != null) {
+      if (!timestampsByDevice.has(id)) timestampsByDevice.set(id, new Set());
+      timestampsByDevice.get(id).add(ms);
+    }
+
+    const current = latestByDevice.get(id);
+    if (!point.rejected && (!current || ms == null || ms >= (toEpochMs(current.timestamp) ?? 0))) {
+      latestByDevice.set(id, point);
+    }
+  }
+
+  // Swap a device's history for a compacted copy (still ordered). "latest" is
+  // left alone; compaction never drops the newest point.
+  function replaceHistory(deviceId, points) {
+    historyByDevice.set(deviceId, points);
+    timestampsByDevice.set(deviceId, new Set(points.map((p) => toEpochMs(p.timestamp)).filter((ms) => ms != null)));
+  }
+
+  return {
+    name: "memory",
+    indexPoint,
+    replaceHistory,
+
+    async init() {},
+
+    async appendPoint(point) {
+      indexPoint(point);
+      return point;
+    },
+
+    async getLatest(deviceId) {
+      return latestByDevice.get(deviceId) || null;
+    },
+
+    async getHistory(deviceId) {
+      return historyByDevice.get(deviceId) || [];
+    },
+
+    // transform(history) -> the points to keep (retention / compaction)
+    async rewriteHistory(deviceId, transform) {
+      const kept = transform(historyByDevice.get(deviceId) || []);
+      replaceHistory(deviceId, kept);
+      return kept;
+    },
+
+    // Whether a point with this device + timestamp is already stored
+    async hasPoint(deviceId, timestamp) {
+      const ms = toEpochMs(timestamp);
+      return ms != null && Boolean(timestampsByDevice.get(deviceId)?.has(ms));
+    },
+
+    async listDeviceIds() {
+      return [...latestByDevice.keys()];
+    },
+
+    async getLatestByDevice() {
+      return toRecord(latestByDevice);
+    },
+
+    async getHistoryCounts() {
+      return toRecord(historyByDevice, (history) => history.length);
+    },
+
+    // Small named JSON documents (device keys, settings, …)
+    async loadDocument(name, fallback = null) {
+      return documents.has(name) ? structuredClone(documents.get(name)) : fallback;
+    },
+
+    async saveDocument(name, value) {
+      documents.set(name, structuredClone(value));
+    },
+
+    // Append-only event logs (geofence events, deliveries, …)
+    async appendLog(name, entry) {
+      if (!logs.has(name)) logs.set(name, []);
+      logs.get(name).push(entry);
+      return entry;
+    },
+
+    async readLog(name) {
+      return logs.get(name) || [];
+    },
+
+    async check() {
+      return { ok: true };
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
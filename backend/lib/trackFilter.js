@@ -0,0 +1,112 @@
+// lib/trackFilter.js – Runs the shared track cleaning pipeline (../../shared/trackFilter.js)
+//
+// Stages are picked with TRACK_FILTER (comma separated, default "ingest,query"):
+//   ingest – every new fix is checked against the device's last accepted fix;
+//            rejects are still stored, marked with `rejected: <reason>`, and
+//            never become the device's latest position
+//   query  – /device/:id/history runs the full pipeline (sorting, duplicates,
+//            speed outliers, optional smoothing) before paginating
+//
+// The shared module is ESM, so it is loaded once by init().
+
+const { loadShared, shared: sharedModule } = require("./shared");
+
+const SMOOTHING = ["off", "median", "kalman"];
+
+// TRACK_* environment variables -> pipeline options (unset = shared default)
+function optionsFromEnv(env = process.env) {
+  const num = (name) => (env[name] != null && env[name] !== "" ? Number(env[name]) : undefined);
+  return {
+    maxSpeedKmh: num("TRACK_MAX_SPEED_KMH"),
+    duplicateMeters: num("TRACK_DUPLICATE_METERS"),
+    maxFutureSec: num("TRACK_MAX_FUTURE_SEC"),
+    outOfOrder: env.TRACK_OUT_OF_ORDER || undefined,
+    smoothing: env.TRACK_SMOOTHING || undefined,
+  };
+}
+
+/**
+ * createTrackFilter
+ * stages  – array or comma separated string of "ingest" / "query" ("off" disables both)
+ * options – pipeline overrides (see DEFAULT_TRACK_FILTER in the shared module)
+ */
+function createTrackFilter({ stages = "ingest,query", options = {} } = {}) {
+  const enabled = new Set((Array.isArray(stages) ? stages : String(stages).split(",")).map((s) => s.trim()));
+  let shared = null;
+  const deviceState = new Map(); // deviceId -> { last, streak }
+
+  return {
+    stages: [...enabled].filter((s) => s === "ingest" || s === "query"),
+    options,
+    get ready() {
+      return shared !== null;
+    },
+
+    /**
+     * init
+     * Loads the shared module and seeds each device's anchor from its latest accepted fix.
+     */
+    async init(store) {
+      await loadShared();
+      shared = sharedModule("trackFilter");
+      if (options.smoothing && !SMOOTHING.includes(options.smoothing)) {
+        throw new Error(`TRACK_SMOOTHING must be one of ${SMOOTHING.join(", ")}`);
+      }
+      const latest = store ? await store.getLatestByDevice() : {};
+      for (const point of Object.values(latest)) {
+        const ts = shared.pointTime(point);
+        if (ts != null) deviceState.set(point.device_id, { last: { lat: point.lat, lon: point.lon, ts }, streak: 0 });
+      }
+    },
+
+    /**
+     * checkIngest
+     * Returns the reject reason for a new fix (null = accepted) and advances the device state.
+     */
+    checkIngest(point) {
+      if (!enabled.has("ingest") || !shared) return null;
+      const { reason, state } = shared.checkPoint(point, deviceState.get(point.device_id), options);
+      deviceState.set(point.device_id, state);
+      return reason;
+    },
+
+    /**
+     * cleanHistory
+     * mode: "clean" (default when the query stage is on) or "raw" (stored points as-is)
+     * smoothing: per-request override ("off" | "median" | "kalman")
+     * includeRejected: keep rejected points (marked) in the result
+     * Returns { points, rejected } where rejected is the number of rejected points.
+     */
+    cleanHistory(points, { mode, smoothing, includeRejected = false } = {}) {
+      const resolvedMode = mode || (enabled.has("query") ? "clean" : "raw");
+      if (resolvedMode === "raw" || !shared) {
+        const rejected = points.filter((p) => p.rejected).length;
+        return { points: includeRejected ? points : points.filter((p) => !p.rejected), rejected };
+      }
+
+      const result = shared.filterTrack(points, { ...options, ...(smoothing ? { smoothing } : {}) });
+      return {
+        points: includeRejected ? [...result.accepted, ...result.rejected] : result.accepted,
+        rejected: result.rejected.length,
+      };
+    },
+  };
+}
+
+/**
+ * parseCleaningQuery
+ * Validates ?filter=clean|raw&smooth=…&include_rejected=true for history-style routes.
+ * Returns { ok, query: { mode, smoothing, includeRejected } } or { ok: false, error }.
+ */
+function parseCleaningQuery(q = {}) {
+  const { filter, smooth, include_rejected: includeRejected } = q;
+  if (filter != null && filter !== "clean" && filter !== "raw") {
+    return { ok: false, error: "'filter' must be 'clean' or 'raw'" };
+  }
+  if (smooth != null && !SMOOTHING.includes(smooth)) {
+    return { ok: false, error: `'smooth' must be one of ${SMOOTHING.join(", ")}` };
+  }
+  return { ok: true, query: { mode: filter, smoothing: smooth, includeRejected: includeRejected === "true" } };
+}
+
+module.exports = { createTrackFilter, optionsFromEnv, parseCleaningQuery, SMOOTHING };
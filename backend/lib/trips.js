@@ -0,0 +1,165 @@
+// lib/trips.js – Splits a device's track into trips and stops
+//
+// A stop is a run of fixes that stays within `stopRadiusM` of its first fix for
+// at least `minStopSec`, with no reported speed above `stopSpeedKmh`. A unit
+// that goes quiet and comes back in the same place (parked, powered off) is
+// therefore one long stop.
+//
+// Everything between two stops is a trip. It starts at the last fix of the
+// stop it leaves and ends at the first fix of the stop it reaches. A gap in
+// the data longer than `maxGapSec` where the unit did move also ends a trip,
+// since we can't tell what happened in between. Trips shorter than
+// `minTripMeters` are GPS jitter and are left out.
+
+const { haversineMeters } = require("./geo");
+const { toEpochSeconds } = require("./history");
+
+const DEFAULT_TRIP_OPTIONS = {
+  stopSpeedKmh: 3, // a reported speed above this is movement
+  stopRadiusM: 50, // fixes within this distance count as the same place
+  minStopSec: 180, // shortest stationary run that counts as a stop
+  maxGapSec: 900, // longer silence (while moving) ends a trip
+  minTripMeters: 100, // shorter trips are dropped
+};
+
+// TRIP_* environment variables -> options (unset = default)
+function tripOptionsFromEnv(env = process.env) {
+  const num = (name) => (env[name] != null && env[name] !== "" ? Number(env[name]) : undefined);
+  return resolveTripOptions({
+    stopSpeedKmh: num("TRIP_STOP_SPEED_KMH"),
+    stopRadiusM: num("TRIP_STOP_RADIUS_M"),
+    minStopSec: num("TRIP_MIN_STOP_SEC"),
+    maxGapSec: num("TRIP_MAX_GAP_SEC"),
+    minTripMeters: num("TRIP_MIN_DISTANCE_M"),
+  });
+}
+
+function resolveTripOptions(overrides = {}) {
+  const opts = { ...DEFAULT_TRIP_OPTIONS };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value != null && key in DEFAULT_TRIP_OPTIONS) opts[key] = value;
+  }
+  return opts;
+}
+
+const distance = (a, b) => haversineMeters(a.lat, a.lon, b.lat, b.lon);
+const reportedKmh = (p) => (typeof p.speed === "number" && Number.isFinite(p.speed) ? p.speed * 3.6 : null);
+
+// [{ start, end }] index ranges of stationary runs
+function findStops(fixes, opts) {
+  const stops = [];
+  let i = 0;
+
+  while (i < fixes.length) {
+    let j = i;
+    while (
+      j + 1 < fixes.length &&
+      distance(fixes[i], fixes[j + 1]) <= opts.stopRadiusM &&
+      !(reportedKmh(fixes[j + 1]) > opts.stopSpeedKmh)
+    ) {
+      j += 1;
+    }
+
+    if (j > i && fixes[j].ts - fixes[i].ts >= opts.minStopSec) {
+      stops.push({ start: i, end: j });
+      i = j + 1;
+    } else {
+      i += 1;
+    }
+  }
+
+  return stops;
+}
+
+function summarizeStop(fixes, { start, end }) {
+  const run = fixes.slice(start, end + 1);
+  return {
+    id: `stop-${fixes[start].ts}`,
+    lat: run.reduce((sum, p) => sum + p.lat, 0) / run.length,
+    lon: run.reduce((sum, p) => sum + p.lon, 0) / run.length,
+    arrived_at: fixes[start].ts,
+    departed_at: fixes[end].ts,
+    duration_sec: fixes[end].ts - fixes[start].ts,
+    point_count: run.length,
+  };
+}
+
+function summarizeTrip(run, fromStop, toStop) {
+  let distanceM = 0;
+  let maxKmh = 0;
+
+  for (let k = 1; k < run.length; k += 1) {
+    const meters = distance(run[k - 1], run[k]);
+    const dt = run[k].ts - run[k - 1].ts;
+    distanceM += meters;
+    // the implied speed over a single second is mostly noise, so it only counts
+    // when the device didn't report its own
+    const kmh = reportedKmh(run[k]) ?? (dt > 1 ? (meters / dt) * 3.6 : 0);
+    maxKmh = Math.max(maxKmh, kmh);
+  }
+
+  const first = run[0];
+  const last = run[run.length - 1];
+  const durationSec = last.ts - first.ts;
+
+  return {
+    id: `trip-${first.ts}`,
+    start_time: first.ts,
+    end_time: last.ts,
+    duration_sec: durationSec,
+    distance_m: Math.round(distanceM),
+    max_speed_kmh: Math.round(maxKmh * 10) / 10,
+    avg_speed_kmh: durationSec > 0 ? Math.round((distanceM / durationSec) * 36) / 10 : 0,
+    start: { lat: first.lat, lon: first.lon },
+    end: { lat: last.lat, lon: last.lon },
+    from_stop: fromStop,
+    to_stop: toStop,
+    point_count: run.length,
+  };
+}
+
+/**
+ * segmentTrips
+ * points – stored points (any order; `timestamp` or `ts`), already cleaned
+ * Returns { trips, stops }, both oldest first. A trip's from_stop / to_stop
+ * is the id of the stop it leaves / reaches, or null.
+ */
+function segmentTrips(points, options = {}) {
+  const opts = resolveTripOptions(options);
+  const fixes = points
+    .map((p) => ({ lat: p.lat, lon: p.lon, speed: p.speed, ts: toEpochSeconds(p.ts ?? p.timestamp) }))
+    .filter((p) => p.ts != null && Number.isFinite(p.lat) && Number.isFinite(p.lon))
+    .sort((a, b) => a.ts - b.ts);
+
+  const stopRanges = findStops(fixes, opts);
+  const stops = stopRanges.map((range) => summarizeStop(fixes, range));
+  const trips = [];
+
+  // moving stretch between stop k-1 and stop k (k = 0: before the first stop)
+  for (let k = 0; k <= stopRanges.length; k += 1) {
+    const prev = stopRanges[k - 1];
+    const next = stopRanges[k];
+    const start = prev ? prev.end : 0;
+    const end = next ? next.start : fixes.length - 1;
+    if (end <= start) continue;
+
+    let pieceStart = start;
+    for (let i = start + 1; i <= end + 1; i += 1) {
+      const gap = i <= end && fixes[i].ts - fixes[i - 1].ts > opts.maxGapSec;
+      if (i <= end && !gap) continue;
+
+      const run = fixes.slice(pieceStart, i);
+      if (run.length >= 2) {
+        const fromStop = pieceStart === start && prev ? stops[k - 1].id : null;
+        const toStop = i === end + 1 && next ? stops[k].id : null;
+        const trip = summarizeTrip(run, fromStop, toStop);
+        if (trip.distance_m >= opts.minTripMeters) trips.push(trip);
+      }
+      pieceStart = i;
+    }
+  }
+
+  return { trips, stops };
+}
+
+module.exports = { segmentTrips, tripOptionsFromEnv, resolveTripOptions, DEFAULT_TRIP_OPTIONS };
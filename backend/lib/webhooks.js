@@ -0,0 +1,431 @@
+// lib/webhooks.js – Outbound webhooks for SOS, geofence and device events
+//
+// Subscriptions ("webhooks" document) name a URL, the event types they want
+// ("sos.opened", "geofence.*", "*", …) and optionally the devices / groups they
+// care about (empty = every device). Bus events are turned into webhook events:
+//   incident       → sos.<action>       (trail "updated" events are not sent)
+//   geofence       → geofence.<type>    (enter | exit | dwell)
+//   device_status  → device.<status>    (online | stale | offline)
+//   alert          → alert.<action>     (opened | updated | closed)
+//
+// Each matching subscription gets its own delivery ("webhook-deliveries"
+// document). A delivery is a signed JSON POST:
+//   X-Webhook-Event:     <event type>
+//   X-Webhook-Delivery:  <delivery id>
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=hex(HMAC-SHA256(secret, "<timestamp>.<raw body>"))
+// Anything but a 2xx answer is retried with exponential backoff; after
+// `maxAttempts` the delivery is dead-lettered until someone replays it.
+
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+const log = logger.child({ component: "webhooks" });
+
+const WEBHOOKS_DOC = "webhooks";
+const DELIVERIES_DOC = "webhook-deliveries";
+const MAX_FINISHED_DELIVERIES = 1000; // delivered + replayed, newest kept
+const MAX_DEAD_LETTERS = 1000;
+const MAX_RESPONSE_CHARS = 500;
+
+const EVENT_TYPES = [
+  "sos.opened",
+  "sos.acknowledged",
+  "sos.assigned",
+  "sos.escalated",
+  "sos.resolved",
+  "geofence.enter",
+  "geofence.exit",
+  "geofence.dwell",
+  "device.online",
+  "device.stale",
+  "device.offline",
+  "alert.opened",
+  "alert.updated",
+  "alert.closed",
+  "ping",
+];
+const DELIVERY_STATUSES = ["pending", "delivered", "dead", "replayed"];
+
+const newSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const signPayload = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+// "*", an exact type, or a "prefix.*" wildcard
+const isPattern = (p) => p === "*" || EVENT_TYPES.includes(p) || EVENT_TYPES.some((t) => p.endsWith(".*") && t.startsWith(p.slice(0, -1)));
+
+const matchesEvent = (patterns, event) =>
+  patterns.some((p) => p === "*" || p === event || (p.endsWith(".*") && event.startsWith(p.slice(0, -1))));
+
+// Never hand secrets back after creation
+const publicWebhook = ({ secret, ...hook }) => hook;
+
+/**
+ * validateWebhook
+ * Normalizes a create/update body. Returns { ok, webhook } or { ok: false, error }.
+ */
+function validateWebhook(body, existing = null) {
+  const input = { ...(existing || {}), ...(body || {}) };
+  const { url, events, devices = [], groups = [], description = null } = input;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, error: "url must be an absolute http(s) URL" };
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return { ok: false, error: "url must be an absolute http(s) URL" };
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some((e) => typeof e !== "string")) {
+    return { ok: false, error: "events must be a non-empty array of event types" };
+  }
+  const unknown = events.find((e) => !isPattern(e));
+  if (unknown) return { ok: false, error: `Unknown event type: ${unknown}` };
+
+  for (const [key, list] of [["devices", devices], ["groups", groups]]) {
+    if (!Array.isArray(list) || list.some((x) => typeof x !== "string")) {
+      return { ok: false, error: `${key} must be an array of strings` };
+    }
+  }
+  if (description !== null && typeof description !== "string") {
+    return { ok: false, error: "description must be a string" };
+  }
+  if (body?.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < 16)) {
+    return { ok: false, error: "secret must be a string of at least 16 characters" };
+  }
+
+  return {
+    ok: true,
+    webhook: {
+      url: parsed.toString(),
+      events: [...new Set(events)],
+      devices,
+      groups,
+      description,
+      active: input.active !== false,
+    },
+  };
+}
+
+/**
+ * createWebhookService
+ * groupsForDevice(deviceId) → group names (from the operator groups / registry)
+ * maxAttempts – attempts before a delivery is dead-lettered
+ * baseDelayMs – wait before the first retry; doubles every attempt up to maxDelayMs
+ * timeoutMs   – per request
+ * fetchImpl   – injectable for tests (defaults to the global fetch)
+ */
+function createWebhookService({
+  store,
+  bus,
+  groupsForDevice = () => [],
+  maxAttempts = 6,
+  baseDelayMs = 10000,
+  maxDelayMs = 3600000,
+  timeoutMs = 5000,
+  fetchImpl = (...args) => fetch(...args),
+}) {
+  let webhooks = new Map(); // id -> subscription
+  let deliveries = new Map(); // id -> delivery
+  const timers = new Map(); // deliveryId -> retry timeout
+  const inFlight = new Set();
+  let closed = false;
+
+  const backoffMs = (attempt) => Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+
+  async function persistWebhooks() {
+    await store.saveDocument(WEBHOOKS_DOC, Object.fromEntries(webhooks));
+  }
+
+  async function persistDeliveries() {
+    // pending ones are always kept; finished ones and dead letters are capped
+    const newest = (status, max) =>
+      [...deliveries.values()]
+        .filter((d) => d.status === status)
+        .sort((a, b) => b.updated_at - a.updated_at)
+        .slice(max);
+    for (const d of [...newest("delivered", MAX_FINISHED_DELIVERIES), ...newest("replayed", MAX_FINISHED_DELIVERIES)]) {
+      deliveries.delete(d.id);
+    }
+    for (const d of newest("dead", MAX_DEAD_LETTERS)) deliveries.delete(d.id);
+    await store.saveDocument(DELIVERIES_DOC, Object.fromEntries(deliveries));
+  }
+
+  function appliesTo(hook, event, deviceId) {
+    if (!hook.active || !matchesEvent(hook.events, event)) return false;
+    if (!deviceId || (hook.devices.length === 0 && hook.groups.length === 0)) return true;
+    if (hook.devices.includes(deviceId)) return true;
+    const deviceGroups = groupsForDevice(deviceId);
+    return hook.groups.some((g) => deviceGroups.includes(g));
+  }
+
+  function schedule(delivery) {
+    if (closed) return;
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id).catch((err) => log.error("webhook delivery failed", { delivery_id: delivery.id, err }));
+    }, Math.max(0, delivery.next_attempt_at - Date.now()));
+    timer.unref?.();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(id) {
+    const delivery = deliveries.get(id);
+    if (!delivery || delivery.status !== "pending" || inFlight.has(id)) return;
+    const hook = webhooks.get(delivery.webhook_id);
+    inFlight.add(id);
+
+    const rawBody = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = { at: started, status_code: null, error: null, duration_ms: 0, response: null };
+
+    try {
+      if (!hook) throw new Error("Webhook was deleted");
+      const res = await fetchImpl(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mmtt-webhooks/1.0",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(hook.secret, timestamp, rawBody)}`,
+        },
+        body: rawBody,
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      result.status_code = res.status;
+      result.response = (await res.text().catch(() => "")).slice(0, MAX_RESPONSE_CHARS) || null;
+      if (res.status < 200 || res.status >= 300) result.error = `HTTP ${res.status}`;
+    } catch (err) {
+      result.error = err.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : err.cause?.message || err.message;
+    } finally {
+      result.duration_ms = Date.now() - started;
+      inFlight.delete(id);
+    }
+
+    delivery.attempts.push(result);
+    delivery.updated_at = Date.now();
+    const fields = { event: delivery.event, webhook_id: delivery.webhook_id, delivery_id: delivery.id, attempt: delivery.attempts.length };
+
+    if (!result.error) {
+      delivery.status = "delivered";
+      delivery.delivered_at = delivery.updated_at;
+      delivery.next_attempt_at = null;
+      log.info("webhook delivered", { ...fields, status_code: result.status_code });
+    } else if (hook && delivery.attempts.length < maxAttempts) {
+      delivery.next_attempt_at = Date.now() + backoffMs(delivery.attempts.length);
+      log.warn("webhook failed, retrying", { ...fields, max_attempts: maxAttempts, error: result.error });
+      schedule(delivery);
+    } else {
+      delivery.status = "dead";
+      delivery.dead_at = delivery.updated_at;
+      delivery.next_attempt_at = null;
+      log.error("webhook dead-lettered", { ...fields, error: result.error });
+    }
+    await persistDeliveries();
+  }
+
+  function newDelivery(hook, payload, extra = {}) {
+    const now = Date.now();
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhook_id: hook.id,
+      event: payload.event,
+      device_id: payload.device_id,
+      status: "pending",
+      payload,
+      attempts: [],
+      created_at: now,
+      updated_at: now,
+      next_attempt_at: now,
+      delivered_at: null,
+      dead_at: null,
+      ...extra,
+    };
+    deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  /**
+   * dispatch
+   * Queues `event` for every subscription that wants it; returns the deliveries.
+   */
+  async function dispatch(event, data, { deviceId = null, only = null } = {}) {
+    const payload = { id: crypto.randomUUID(), event, created_at: Date.now(), device_id: deviceId, data };
+    const hooks = only ? [only] : [...webhooks.values()].filter((hook) => appliesTo(hook, event, deviceId));
+    if (hooks.length === 0) return [];
+
+    const queued = hooks.map((hook) => newDelivery(hook, payload));
+    await persistDeliveries();
+    for (const delivery of queued) schedule(delivery);
+    return queued;
+  }
+
+  // Bus event → webhook event (null = not sent)
+  const fromBus = {
+    incident: ({ action, incident }) =>
+      action === "updated" ? null : [`sos.${action}`, incident, incident.device_id],
+    geofence: (event) => [`geofence.${event.type}`, event, event.device_id],
+    // the first status after a restart is not a change
+    device_status: (event) => (event.previous ? [`device.${event.status}`, event, event.device_id] : null),
+    alert: ({ action, alert }) => [`alert.${action}`, alert, alert.device_id],
+  };
+
+  // Events are queued in arrival order
+  let queue = Promise.resolve();
+  const listeners = Object.fromEntries(
+    Object.entries(fromBus).map(([name, map]) => [
+      name,
+      (payload) => {
+        const mapped = map(payload);
+        if (!mapped) return;
+        const [event, data, deviceId] = mapped;
+        queue = queue
+          .then(() => dispatch(event, data, { deviceId }))
+          .catch((err) => log.error("webhook dispatch failed", { err }));
+      },
+    ])
+  );
+
+  return {
+    async init() {
+      webhooks = new Map(Object.entries((await store.loadDocument(WEBHOOKS_DOC, {})) || {}));
+      deliveries = new Map(Object.entries((await store.loadDocument(DELIVERIES_DOC, {})) || {}));
+      for (const [name, listener] of Object.entries(listeners)) bus.on(name, listener);
+
+      // resume retries that were waiting when the server stopped
+      const pending = [...deliveries.values()].filter((d) => d.status === "pending");
+      for (const delivery of pending) schedule(delivery);
+      log.info("webhooks loaded", { webhooks: webhooks.size, pending_deliveries: pending.length });
+    },
+
+    close() {
+      closed = true;
+      for (const [name, listener] of Object.entries(listeners)) bus.off(name, listener);
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    },
+
+    dispatch,
+
+    list() {
+      return [...webhooks.values()].map(publicWebhook);
+    },
+
+    get(id) {
+      const hook = webhooks.get(id);
+      return hook ? publicWebhook(hook) : null;
+    },
+
+    // The only response that includes the secret
+    async create(body, { createdBy = null } = {}) {
+      const result = validateWebhook(body);
+      if (!result.ok) return result;
+      const now = Date.now();
+      const hook = {
+        id: crypto.randomUUID(),
+        ...result.webhook,
+        secret: body.secret || newSecret(),
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now,
+      };
+      webhooks.set(hook.id, hook);
+      await persistWebhooks();
+      return { ok: true, webhook: hook };
+    },
+
+    async update(id, body) {
+      const existing = webhooks.get(id);
+      if (!existing) return { ok: false, status: 404, error: "Webhook not found" };
+      const result = validateWebhook(body, existing);
+      if (!result.ok) return result;
+      const hook = { ...existing, ...result.webhook, updated_at: Date.now() };
+      if (body.secret) hook.secret = body.secret;
+      webhooks.set(id, hook);
+      await persistWebhooks();
+      return { ok: true, webhook: publicWebhook(hook) };
+    },
+
+    async rotateSecret(id) {
+      const hook = webhooks.get(id);
+      if (!hook) return { ok: false, status: 404, error: "Webhook not found" };
+      hook.secret = newSecret();
+      hook.updated_at = Date.now();
+      await persistWebhooks();
+      return { ok: true, secret: hook.secret };
+    },
+
+    // Pending deliveries of a removed webhook are dead-lettered on their next attempt
+    async remove(id) {
+      if (!webhooks.delete(id)) return { ok: false, status: 404, error: "Webhook not found" };
+      await persistWebhooks();
+      return { ok: true };
+    },
+
+    // Sends a "ping" to one webhook, even if it is inactive or doesn't subscribe to it
+    async ping(id) {
+      const hook = webhooks.get(id);
+      if (!hook) return { ok: false, status: 404, error: "Webhook not found" };
+      const [delivery] = await dispatch("ping", { webhook_id: id }, { only: hook });
+      return { ok: true, delivery };
+    },
+
+    /**
+     * listDeliveries
+     * Filters: webhook_id, status, event, device_id; newest first.
+     */
+    listDeliveries({ webhookId, status, event, deviceId, limit = 100 } = {}) {
+      return [...deliveries.values()]
+        .filter((d) => {
+          if (webhookId && d.webhook_id !== webhookId) return false;
+          if (status && d.status !== status) return false;
+          if (event && d.event !== event) return false;
+          if (deviceId && d.device_id !== deviceId) return false;
+          return true;
+        })
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, limit);
+    },
+
+    getDelivery(id) {
+      return deliveries.get(id) || null;
+    },
+
+    // Re-sends a dead (or delivered) payload as a fresh delivery with a new attempt budget
+    async redeliver(id) {
+      const original = deliveries.get(id);
+      if (!original) return { ok: false, status: 404, error: "Delivery not found" };
+      if (original.status === "pending") return { ok: false, status: 409, error: "Delivery is still pending" };
+      if (original.status === "replayed") return { ok: false, status: 409, error: "Delivery was already replayed" };
+      const hook = webhooks.get(original.webhook_id);
+      if (!hook) return { ok: false, status: 409, error: "Webhook was deleted" };
+
+      const delivery = newDelivery(hook, original.payload, { replay_of: original.id });
+      if (original.status === "dead") {
+        original.status = "replayed";
+        original.replayed_as = delivery.id;
+        original.updated_at = Date.now();
+      }
+      await persistDeliveries();
+      schedule(delivery);
+      return { ok: true, delivery };
+    },
+  };
+}
+
+module.exports = {
+  createWebhookService,
+  validateWebhook,
+  signPayload,
+  matchesEvent,
+  EVENT_TYPES,
+  DELIVERY_STATUSES,
+};
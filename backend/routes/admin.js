@@ -0,0 +1,125 @@
+// routes/admin.js – Admin API for device credentials, operators and groups
+//
+// Every route needs "Authorization: Bearer <ADMIN_TOKEN>" or the session token
+// of an operator with the admin role.
+
+const express = require("express");
+const crypto = require("crypto");
+const { asyncRoute } = require("../lib/http");
+
+// Admin gate: static ADMIN_TOKEN or an admin operator session (req.user)
+function requireAdmin({ adminToken, operatorAuth }) {
+  const expected = adminToken ? crypto.createHash("sha256").update(adminToken).digest() : null;
+
+  return (req, res, next) => {
+    if (req.user?.role === "admin") return next();
+
+    if (!expected && !operatorAuth?.enforced) {
+      return res.status(503).json({ error: "Admin API disabled (set ADMIN_TOKEN or OPERATOR_AUTH=required)" });
+    }
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    const presented = crypto.createHash("sha256").update(token || "").digest();
+    if (scheme !== "Bearer" || !expected || !crypto.timingSafeEqual(presented, expected)) {
+      return res.status(req.user ? 403 : 401).json({ error: req.user ? "Requires admin role" : "Unauthorized" });
+    }
+    next();
+  };
+}
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createAdminRouter({ deviceAuth, operatorAuth, adminToken }) {
+  const router = express.Router();
+  router.use(requireAdmin({ adminToken, operatorAuth }));
+
+  // ---------- /admin/devices/:id/keys ----------
+  router.get("/devices/:id/keys", (req, res) => {
+    res.json({
+      device_id: req.params.id,
+      keys: deviceAuth.listKeys(req.params.id),
+      failures: deviceAuth.getFailure(req.params.id),
+    });
+  });
+
+  router.post("/devices/:id/keys", asyncRoute(async (req, res) => {
+    const result = await deviceAuth.registerDevice(req.params.id);
+    if (!result.ok) return res.status(409).json({ error: result.error });
+    req.log.info("device key registered", { device_id: req.params.id, key_id: result.key.key_id });
+    res.status(201).json({ device_id: req.params.id, ...result.key });
+  }));
+
+  router.post("/devices/:id/keys/rotate", asyncRoute(async (req, res) => {
+    const graceSeconds = Number(req.body?.grace_seconds ?? 0);
+    if (!Number.isFinite(graceSeconds) || graceSeconds < 0) {
+      return res.status(400).json({ error: "grace_seconds must be a non-negative number" });
+    }
+    const result = await deviceAuth.rotateKey(req.params.id, { graceSeconds });
+    req.log.info("device key rotated", { device_id: req.params.id, key_id: result.key.key_id, grace_seconds: graceSeconds });
+    res.status(201).json({ device_id: req.params.id, ...result.key });
+  }));
+
+  router.delete("/devices/:id/keys/:keyId", asyncRoute(async (req, res) => {
+    const result = await deviceAuth.revokeKey(req.params.id, req.params.keyId);
+    if (!result.ok) return res.status(404).json({ error: result.error });
+    req.log.info("device key revoked", { device_id: req.params.id, key_ids: result.revoked });
+    res.json({ device_id: req.params.id, revoked: result.revoked });
+  }));
+
+  router.delete("/devices/:id/keys", asyncRoute(async (req, res) => {
+    const result = await deviceAuth.revokeKey(req.params.id, null);
+    if (!result.ok) return res.status(404).json({ error: result.error });
+    req.log.info("device keys revoked", { device_id: req.params.id, key_ids: result.revoked });
+    res.json({ device_id: req.params.id, revoked: result.revoked });
+  }));
+
+  // ---------- /admin/auth/failures ----------
+  router.get("/auth/failures", (req, res) => {
+    res.json({ failures: deviceAuth.getFailures() });
+  });
+
+  // ---------- /admin/operators ----------
+  router.get("/operators", (req, res) => {
+    res.json({ operators: operatorAuth.listOperators(), roles: operatorAuth.ROLES });
+  });
+
+  router.post("/operators", asyncRoute(async (req, res) => {
+    const result = await operatorAuth.createOperator(req.body);
+    sendResult(res, result, () => {
+      req.log.info("operator created", { username: result.operator.username, role: result.operator.role });
+      res.status(201).json(result.operator);
+    });
+  }));
+
+  router.patch("/operators/:username", asyncRoute(async (req, res) => {
+    const result = await operatorAuth.updateOperator(req.params.username, req.body);
+    sendResult(res, result, () => res.json(result.operator));
+  }));
+
+  router.delete("/operators/:username", asyncRoute(async (req, res) => {
+    const result = await operatorAuth.deleteOperator(req.params.username);
+    sendResult(res, result, () => res.json({ status: "ok" }));
+  }));
+
+  // ---------- /admin/groups ----------
+  router.get("/groups", (req, res) => {
+    res.json({ groups: operatorAuth.listGroups() });
+  });
+
+  router.put("/groups/:name", asyncRoute(async (req, res) => {
+    const result = await operatorAuth.setGroup(req.params.name, req.body?.devices);
+    sendResult(res, result, () => res.json(result.group));
+  }));
+
+  router.delete("/groups/:name", asyncRoute(async (req, res) => {
+    const result = await operatorAuth.deleteGroup(req.params.name);
+    sendResult(res, result, () => res.json({ status: "ok" }));
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdmin };
@@ -0,0 +1,77 @@
+// routes/alerts.js – Battery / silence alerts, device status and monitor settings
+//
+// Viewers can read alerts and statuses of the devices they may view; closing
+// an alert and changing a device's expected interval or battery thresholds
+// needs the operator role.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+const { ALERT_TYPES } = require("../lib/monitor");
+
+const STATUSES = ["open", "closed", "all"];
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createAlertRouter({ monitor, operatorAuth }) {
+  const router = express.Router();
+  const { requireRole, requireDeviceAccess } = operatorAuth;
+  const canViewFor = (req) => (id) => operatorAuth.canViewDevice(req.user, id);
+
+  // ---------- /alerts ----------
+  router.get("/", requireRole("viewer"), (req, res) => {
+    const status = req.query.status || "open";
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(", ")}` });
+    }
+    if (req.query.type && !ALERT_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ error: `type must be one of ${ALERT_TYPES.join(", ")}` });
+    }
+    const list = monitor.list({
+      status,
+      deviceId: req.query.device_id,
+      type: req.query.type,
+      canView: canViewFor(req),
+    });
+    res.json({ alerts: list, count: list.length });
+  });
+
+  // Online / stale / offline for every visible device
+  router.get("/status", requireRole("viewer"), (req, res) => {
+    res.json({ devices: monitor.deviceStatuses({ canView: canViewFor(req) }) });
+  });
+
+  router.get("/settings/:deviceId", requireRole("viewer"), requireDeviceAccess("deviceId"), (req, res) => {
+    res.json(monitor.getSettings(req.params.deviceId));
+  });
+
+  router.put("/settings/:deviceId", requireRole("operator"), requireDeviceAccess("deviceId"), asyncRoute(async (req, res) => {
+    const result = await monitor.updateSettings(req.params.deviceId, req.body);
+    sendResult(res, result, () => res.json(result.settings));
+  }));
+
+  router.get("/:id", requireRole("viewer"), (req, res) => {
+    const alert = monitor.get(req.params.id);
+    if (!alert) return res.status(404).json({ error: "Alert not found" });
+    if (!operatorAuth.canViewDevice(req.user, alert.device_id)) {
+      return res.status(403).json({ error: "Not allowed to view this device" });
+    }
+    res.json(alert);
+  });
+
+  router.post("/:id/close", requireRole("operator"), asyncRoute(async (req, res) => {
+    const alert = monitor.get(req.params.id);
+    if (alert && !operatorAuth.canViewDevice(req.user, alert.device_id)) {
+      return res.status(403).json({ error: "Not allowed to view this device" });
+    }
+    const result = await monitor.closeAlert(req.params.id, { by: req.user?.username || null });
+    sendResult(res, result, () => res.json(result.alert));
+  }));
+
+  return router;
+}
+
+module.exports = { createAlertRouter };
@@ -0,0 +1,38 @@
+// routes/auth.js – Operator login / logout / session info
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+
+function createAuthRouter({ operatorAuth }) {
+  const router = express.Router();
+
+  // ---------- /auth/login ----------
+  router.post("/login", asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+    const result = await operatorAuth.login(username, password);
+    if (!result.ok) {
+      req.log.warn("login failed", { username: typeof username === "string" ? username.slice(0, 64) : undefined });
+      return res.status(401).json({ error: result.error });
+    }
+    req.log.info("operator logged in", { username });
+    res.json({ token: result.token, expires_at: result.expires_at, user: result.user });
+  }));
+
+  // ---------- /auth/logout ----------
+  router.post("/logout", asyncRoute(async (req, res) => {
+    await operatorAuth.logout(operatorAuth.tokenFromRequest(req));
+    res.json({ status: "ok" });
+  }));
+
+  // ---------- /auth/me ----------
+  router.get("/me", (req, res) => {
+    if (operatorAuth.enforced && !req.user) {
+      return res.status(401).json({ error: "Authentication required", auth: operatorAuth.mode });
+    }
+    res.json({ auth: operatorAuth.mode, user: req.user || null });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
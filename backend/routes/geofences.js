@@ -0,0 +1,131 @@
+// routes/geofences.js – Geofence CRUD and entry/exit/dwell event queries
+//
+// Viewers see the fences that apply to every device or to a device or group
+// they may view, with the devices and groups they may not view left out of the
+// lists; events are limited the same way. Creating, editing and deleting
+// fences needs the operator role.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+const { toEpochSeconds } = require("../lib/history");
+
+const EVENT_TYPES = ["enter", "exit", "dwell"];
+const MAX_EVENTS = 1000;
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createGeofenceRouter({ geofences, operatorAuth }) {
+  const router = express.Router();
+  const { requireRole } = operatorAuth;
+
+  const hiddenFrom = (user, fence) => ({
+    devices: fence.devices.filter((id) => !operatorAuth.canViewDevice(user, id)),
+    groups: fence.groups.filter((g) => !operatorAuth.canViewGroup(user, g)),
+  });
+
+  // The fence as `user` may see it, or null when it only targets hidden devices and groups
+  const visibleFence = (user, fence) => {
+    if (fence.devices.length === 0 && fence.groups.length === 0) return fence;
+    const hidden = hiddenFrom(user, fence);
+    const devices = fence.devices.filter((id) => !hidden.devices.includes(id));
+    const groups = fence.groups.filter((g) => !hidden.groups.includes(g));
+    if (devices.length === 0 && groups.length === 0) return null;
+    return { ...fence, devices, groups };
+  };
+
+  // 404 for unknown fences, 403 when the fence only targets hidden devices and groups
+  const loadFence = (req, res, next) => {
+    const fence = geofences.get(req.params.id);
+    if (!fence) return res.status(404).json({ error: "Geofence not found" });
+    if (!visibleFence(req.user, fence)) return res.status(403).json({ error: "Not allowed to view this geofence" });
+    next();
+  };
+
+  // ---------- /geofences ----------
+  router.get("/", requireRole("viewer"), (req, res) => {
+    const occupancy = geofences.occupancy();
+    const canView = (id) => operatorAuth.canViewDevice(req.user, id);
+    res.json({
+      geofences: geofences
+        .list()
+        .map((fence) => visibleFence(req.user, fence))
+        .filter(Boolean)
+        .map((fence) => ({
+          ...fence,
+          inside: (occupancy[fence.id] || []).filter((o) => canView(o.device_id)),
+        })),
+    });
+  });
+
+  // ---------- /geofences/events ----------
+  router.get("/events", requireRole("viewer"), asyncRoute(async (req, res) => {
+    const { device_id, fence_id, type } = req.query;
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${EVENT_TYPES.join(", ")}` });
+    }
+    const from = req.query.from != null ? toEpochSeconds(req.query.from) : null;
+    const to = req.query.to != null ? toEpochSeconds(req.query.to) : null;
+    if ((req.query.from != null && from == null) || (req.query.to != null && to == null)) {
+      return res.status(400).json({ error: "from/to must be epoch seconds, epoch ms or ISO-8601" });
+    }
+    const limit = req.query.limit != null ? Number(req.query.limit) : 200;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENTS) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_EVENTS}` });
+    }
+
+    const events = await geofences.listEvents({
+      deviceId: device_id,
+      fenceId: fence_id,
+      type,
+      from,
+      to,
+      limit,
+      canView: (id) => operatorAuth.canViewDevice(req.user, id),
+    });
+    res.json({ events, count: events.length });
+  }));
+
+  router.get("/:id", requireRole("viewer"), loadFence, (req, res) => {
+    res.json(visibleFence(req.user, geofences.get(req.params.id)));
+  });
+
+  router.post("/", requireRole("operator"), asyncRoute(async (req, res) => {
+    const result = await geofences.create(req.body, { createdBy: req.user?.username || null });
+    sendResult(res, result, () => {
+      req.log.info("geofence created", { fence_id: result.fence.id, type: result.fence.type });
+      res.status(201).json(result.fence);
+    });
+  }));
+
+  // Lists sent back by the caller keep the devices and groups hidden from them
+  const update = asyncRoute(async (req, res) => {
+    const hidden = hiddenFrom(req.user, geofences.get(req.params.id));
+    const body = { ...req.body };
+    for (const key of ["devices", "groups"]) {
+      if (Array.isArray(body[key]) && hidden[key].length) body[key] = [...new Set([...body[key], ...hidden[key]])];
+    }
+    const result = await geofences.update(req.params.id, body);
+    sendResult(res, result, () => {
+      req.log.info("geofence updated", { fence_id: result.fence.id });
+      res.json(visibleFence(req.user, result.fence));
+    });
+  });
+  router.put("/:id", requireRole("operator"), loadFence, update);
+  router.patch("/:id", requireRole("operator"), loadFence, update);
+
+  router.delete("/:id", requireRole("operator"), loadFence, asyncRoute(async (req, res) => {
+    const result = await geofences.remove(req.params.id);
+    sendResult(res, result, () => {
+      req.log.info("geofence deleted", { fence_id: req.params.id });
+      res.json({ status: "ok" });
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createGeofenceRouter };
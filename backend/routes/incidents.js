@@ -0,0 +1,89 @@
+// routes/incidents.js – SOS incident list, details and operator actions
+//
+// Viewers can read incidents of the devices they may view; acknowledging,
+// assigning and resolving needs the operator role.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+
+const STATUSES = ["active", "open", "acknowledged", "resolved", "all"];
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+const optionalNote = (body) => {
+  const note = body?.note;
+  if (note == null || note === "") return { ok: true, note: null };
+  if (typeof note !== "string" || note.length > 2000) return { ok: false, error: "note must be a string (max 2000 chars)" };
+  return { ok: true, note };
+};
+
+function createIncidentRouter({ incidents, operatorAuth }) {
+  const router = express.Router();
+  const { requireRole } = operatorAuth;
+  const actor = (req) => req.user?.username || null;
+
+  // 404 for unknown incidents, 403 when the device is hidden from the caller
+  const loadIncident = (req, res, next) => {
+    const incident = incidents.get(req.params.id);
+    if (!incident) return res.status(404).json({ error: "Incident not found" });
+    if (!operatorAuth.canViewDevice(req.user, incident.device_id)) {
+      return res.status(403).json({ error: "Not allowed to view this device" });
+    }
+    next();
+  };
+
+  // ---------- /incidents ----------
+  router.get("/", requireRole("viewer"), (req, res) => {
+    const status = req.query.status || "active";
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(", ")}` });
+    }
+    const list = incidents.list({
+      status,
+      deviceId: req.query.device_id,
+      canView: (id) => operatorAuth.canViewDevice(req.user, id),
+    });
+    res.json({ incidents: list, count: list.length });
+  });
+
+  router.get("/:id", requireRole("viewer"), loadIncident, (req, res) => {
+    res.json(incidents.get(req.params.id));
+  });
+
+  router.post("/:id/acknowledge", requireRole("operator"), loadIncident, asyncRoute(async (req, res) => {
+    const check = optionalNote(req.body);
+    if (!check.ok) return res.status(400).json({ error: check.error });
+    const result = await incidents.acknowledge(req.params.id, { by: actor(req), note: check.note });
+    sendResult(res, result, () => {
+      req.log.info("incident acknowledged", { incident_id: req.params.id, by: actor(req) || "anonymous" });
+      res.json(result.incident);
+    });
+  }));
+
+  router.post("/:id/assign", requireRole("operator"), loadIncident, asyncRoute(async (req, res) => {
+    const assignee = req.body?.assignee ?? null;
+    if (assignee !== null && (typeof assignee !== "string" || !assignee.trim())) {
+      return res.status(400).json({ error: "assignee must be a username or null" });
+    }
+    if (assignee && operatorAuth.enforced && !operatorAuth.listOperators().some((op) => op.username === assignee)) {
+      return res.status(400).json({ error: `Unknown operator: ${assignee}` });
+    }
+    const result = await incidents.assign(req.params.id, { by: actor(req), assignee: assignee && assignee.trim() });
+    sendResult(res, result, () => res.json(result.incident));
+  }));
+
+  router.post("/:id/resolve", requireRole("operator"), loadIncident, asyncRoute(async (req, res) => {
+    const check = optionalNote(req.body);
+    if (!check.ok) return res.status(400).json({ error: check.error });
+    const result = await incidents.resolve(req.params.id, { by: actor(req), note: check.note });
+    sendResult(res, result, () => res.json(result.incident));
+  }));
+
+  return router;
+}
+
+module.exports = { createIncidentRouter };
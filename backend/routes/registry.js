@@ -0,0 +1,88 @@
+// routes/registry.js – Device registry CRUD
+//
+// Viewers can read the entries of the devices they may view. Operators may
+// edit an entry; registering and removing devices needs admin credentials
+// (ADMIN_TOKEN or an admin session, as for /admin), since with
+// DEVICE_REGISTRY=required that decides which devices may report. Changing an
+// entry's `group` needs them too: it decides which operators see the device.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+const { requireAdmin } = require("./admin");
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createRegistryRouter({ registry, store, monitor, operatorAuth, adminToken }) {
+  const router = express.Router();
+  const { requireRole, requireDeviceAccess } = operatorAuth;
+  const adminOnly = requireAdmin({ adminToken, operatorAuth });
+  const actor = (req) => req.user?.username || null;
+
+  // Registry entry + whether / when the device last reported
+  const withState = (entry, latest) => ({
+    registered: true,
+    ...entry,
+    last_seen: latest?.received_at ?? null,
+    status: monitor.statusFor(entry.device_id),
+  });
+
+  // ---------- /registry ----------
+  // ?include_unregistered=true adds devices that reported but aren't registered (metadata null)
+  router.get("/", requireRole("viewer"), asyncRoute(async (req, res) => {
+    const canView = (id) => operatorAuth.canViewDevice(req.user, id);
+    const latestByDevice = await store.getLatestByDevice();
+    const list = registry.list({ canView }).map((entry) => withState(entry, latestByDevice[entry.device_id]));
+
+    if (req.query.include_unregistered === "true") {
+      for (const deviceId of Object.keys(latestByDevice)) {
+        if (registry.get(deviceId) || !canView(deviceId)) continue;
+        list.push(withState({ device_id: deviceId, registered: false }, latestByDevice[deviceId]));
+      }
+    }
+    res.json({ devices: list, count: list.length, required: registry.required });
+  }));
+
+  router.get("/:id", requireRole("viewer"), requireDeviceAccess("id"), asyncRoute(async (req, res) => {
+    const entry = registry.get(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Device not registered" });
+    res.json(withState(entry, await store.getLatest(req.params.id)));
+  }));
+
+  router.post("/", adminOnly, asyncRoute(async (req, res) => {
+    const result = await registry.create(req.body, { createdBy: actor(req) });
+    sendResult(res, result, () => {
+      req.log.info("device registered", { device_id: result.device.device_id });
+      res.status(201).json(result.device);
+    });
+  }));
+
+  // Leaving `group` out (or sending the current one) keeps the operator route
+  const adminForGroupChange = (req, res, next) => {
+    const group = req.body?.group;
+    if (group === undefined || (group ?? null) === (registry.get(req.params.id)?.group ?? null)) return next();
+    return adminOnly(req, res, next);
+  };
+
+  const update = asyncRoute(async (req, res) => {
+    const result = await registry.update(req.params.id, req.body);
+    sendResult(res, result, () => res.json(result.device));
+  });
+  router.put("/:id", requireRole("operator"), requireDeviceAccess("id"), adminForGroupChange, update);
+  router.patch("/:id", requireRole("operator"), requireDeviceAccess("id"), adminForGroupChange, update);
+
+  router.delete("/:id", adminOnly, asyncRoute(async (req, res) => {
+    const result = await registry.remove(req.params.id);
+    sendResult(res, result, () => {
+      req.log.info("device removed from registry", { device_id: req.params.id });
+      res.json({ status: "ok" });
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createRegistryRouter };
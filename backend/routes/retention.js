@@ -0,0 +1,72 @@
+// routes/retention.js – History retention policies and compaction runs
+//
+// Admin only: compaction permanently removes stored points. Like /admin, that
+// means ADMIN_TOKEN or an admin session; without either the API is disabled.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+const { requireAdmin } = require("./admin");
+
+const MAX_RUNS = 200;
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createRetentionRouter({ retention, operatorAuth, adminToken }) {
+  const router = express.Router();
+  router.use(requireAdmin({ adminToken, operatorAuth }));
+
+  // ---------- /retention ----------
+  router.get("/", (req, res) => {
+    res.json(retention.getPolicies());
+  });
+
+  router.put("/global", asyncRoute(async (req, res) => {
+    const result = await retention.updateGlobal(req.body);
+    sendResult(res, result, () => res.json(result.policy));
+  }));
+
+  router.get("/devices/:id", (req, res) => {
+    res.json({ device_id: req.params.id, ...retention.policyFor(req.params.id) });
+  });
+
+  router.put("/devices/:id", asyncRoute(async (req, res) => {
+    const result = await retention.updateDevice(req.params.id, req.body);
+    sendResult(res, result, () => res.json({ device_id: req.params.id, ...result.policy }));
+  }));
+
+  router.delete("/devices/:id", asyncRoute(async (req, res) => {
+    const result = await retention.resetDevice(req.params.id);
+    sendResult(res, result, () => res.json({ device_id: req.params.id, ...result.policy }));
+  }));
+
+  // ---------- /retention/compact ----------
+  // { device_id, dry_run } – both optional
+  router.post("/compact", asyncRoute(async (req, res) => {
+    const deviceId = req.body?.device_id ?? null;
+    const dryRun = req.body?.dry_run ?? false;
+    if (deviceId !== null && typeof deviceId !== "string") {
+      return res.status(400).json({ error: "device_id must be a string" });
+    }
+    if (typeof dryRun !== "boolean") return res.status(400).json({ error: "dry_run must be a boolean" });
+
+    const result = await retention.compact({ deviceId, dryRun });
+    sendResult(res, result, () => res.json(result.report));
+  }));
+
+  router.get("/runs", asyncRoute(async (req, res) => {
+    const limit = req.query.limit != null ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_RUNS}` });
+    }
+    const runs = await retention.listRuns({ limit });
+    res.json({ runs, count: runs.length });
+  }));
+
+  return router;
+}
+
+module.exports = { createRetentionRouter };
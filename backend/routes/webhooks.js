@@ -0,0 +1,110 @@
+// routes/webhooks.js – Webhook subscriptions, delivery log and dead letters
+//
+// Admin only: subscriptions carry signing secrets and may send any device's
+// events to any URL. Like /admin, that means ADMIN_TOKEN or an admin session;
+// without either (the default config) the API is disabled.
+
+const express = require("express");
+const { asyncRoute } = require("../lib/http");
+const { DELIVERY_STATUSES, EVENT_TYPES } = require("../lib/webhooks");
+const { requireAdmin } = require("./admin");
+
+const MAX_DELIVERIES = 1000;
+
+// Map an { ok, status, error } result onto the response
+const sendResult = (res, result, onOk) => {
+  if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+  return onOk();
+};
+
+function createWebhookRouter({ webhooks, operatorAuth, adminToken }) {
+  const router = express.Router();
+  router.use(requireAdmin({ adminToken, operatorAuth }));
+
+  // ---------- /webhooks ----------
+  router.get("/", (req, res) => {
+    const list = webhooks.list();
+    res.json({ webhooks: list, count: list.length, event_types: EVENT_TYPES });
+  });
+
+  router.post("/", asyncRoute(async (req, res) => {
+    const result = await webhooks.create(req.body, { createdBy: req.user?.username || null });
+    sendResult(res, result, () => {
+      req.log.info("webhook created", { webhook_id: result.webhook.id, events: result.webhook.events });
+      res.status(201).json(result.webhook);
+    });
+  }));
+
+  // ---------- /webhooks/deliveries ----------
+  router.get("/deliveries", (req, res) => {
+    const { status, event } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(", ")}` });
+    }
+    const limit = req.query.limit != null ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERIES) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_DELIVERIES}` });
+    }
+    const list = webhooks.listDeliveries({
+      webhookId: req.query.webhook_id,
+      status,
+      event,
+      deviceId: req.query.device_id,
+      limit,
+    });
+    res.json({ deliveries: list, count: list.length });
+  });
+
+  // Deliveries that ran out of attempts
+  router.get("/dead-letters", (req, res) => {
+    const list = webhooks.listDeliveries({ webhookId: req.query.webhook_id, status: "dead", limit: MAX_DELIVERIES });
+    res.json({ deliveries: list, count: list.length });
+  });
+
+  router.get("/deliveries/:id", (req, res) => {
+    const delivery = webhooks.getDelivery(req.params.id);
+    if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+    res.json(delivery);
+  });
+
+  router.post("/deliveries/:id/retry", asyncRoute(async (req, res) => {
+    const result = await webhooks.redeliver(req.params.id);
+    sendResult(res, result, () => res.status(202).json(result.delivery));
+  }));
+
+  // ---------- /webhooks/:id ----------
+  router.get("/:id", (req, res) => {
+    const hook = webhooks.get(req.params.id);
+    if (!hook) return res.status(404).json({ error: "Webhook not found" });
+    res.json(hook);
+  });
+
+  const update = asyncRoute(async (req, res) => {
+    const result = await webhooks.update(req.params.id, req.body);
+    sendResult(res, result, () => res.json(result.webhook));
+  });
+  router.put("/:id", update);
+  router.patch("/:id", update);
+
+  router.delete("/:id", asyncRoute(async (req, res) => {
+    const result = await webhooks.remove(req.params.id);
+    sendResult(res, result, () => {
+      req.log.info("webhook deleted", { webhook_id: req.params.id });
+      res.json({ status: "ok" });
+    });
+  }));
+
+  router.post("/:id/rotate-secret", asyncRoute(async (req, res) => {
+    const result = await webhooks.rotateSecret(req.params.id);
+    sendResult(res, result, () => res.json({ id: req.params.id, secret: result.secret }));
+  }));
+
+  router.post("/:id/ping", asyncRoute(async (req, res) => {
+    const result = await webhooks.ping(req.params.id);
+    sendResult(res, result, () => res.status(202).json(result.delivery));
+  }));
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// scripts/simulate.js – Virtual fleet for demos and load tests
+//
+//   npm run simulate -- --devices 10 --center 12.9716,77.5946
+//   npm run simulate -- --gpx patrol.gpx --gpx river.gpx --devices 4 --interval 2
+//   npm run simulate -- --transport mqtt --mqtt-url mqtt://localhost:1883
+//
+// Run with --help for every option. Stops after --duration seconds or on Ctrl+C.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { loadShared } = require("../lib/shared");
+
+const HELP = `Usage: node scripts/simulate.js [options]
+
+Fleet
+  --devices <n>          virtual units (default 5)
+  --prefix <text>        device id prefix (default SIM_)
+  --gpx <file>           replay a GPX track; repeat for more (units share them round-robin)
+  --center <lat,lon>     center of generated patrols (default 12.9716,77.5946)
+  --radius <m>           patrol radius in meters (default 1500)
+  --speed <m/s>          patrol speed, and GPX speed when the file has no times (default 8)
+  --seed <n>             repeatable routes and noise
+
+Reporting
+  --interval <s>         seconds between fixes, at least 1 (default 5)
+  --jitter <0-1>         ± fraction of the interval (default 0.2)
+  --noise <m>            GPS error, standard deviation in meters (default 4)
+  --dropout <0-1>        chance per fix of a dropout (default 0.01)
+  --dropout-sec <s>      dropout length (default 60)
+  --buffer               replay fixes missed during a dropout via /ingest/batch
+  --battery-drain <%/h>  battery drain per hour (default 4)
+  --sos <0-1>            chance per fix of an SOS press (default 0)
+
+Transport
+  --transport <http|mqtt>  (default http)
+  --url <url>              backend for HTTP (default http://localhost:$PORT)
+  --mqtt-url <url>         broker for MQTT (default mqtt://localhost:$MQTT_PORT)
+  --keys <file>            JSON { "<device_id>": "<secret>" } for DEVICE_AUTH=required
+  --duration <s>           stop after this long (default: run until Ctrl+C)
+  --help
+`;
+
+const { values: args } = parseArgs({
+  options: {
+    devices: { type: "string", default: "5" },
+    prefix: { type: "string", default: "SIM_" },
+    gpx: { type: "string", multiple: true, default: [] },
+    center: { type: "string", default: "12.9716,77.5946" },
+    radius: { type: "string", default: "1500" },
+    speed: { type: "string", default: "8" },
+    seed: { type: "string" },
+    interval: { type: "string", default: "5" },
+    jitter: { type: "string", default: "0.2" },
+    noise: { type: "string", default: "4" },
+    dropout: { type: "string", default: "0.01" },
+    "dropout-sec": { type: "string", default: "60" },
+    buffer: { type: "boolean", default: false },
+    "battery-drain": { type: "string", default: "4" },
+    sos: { type: "string", default: "0" },
+    transport: { type: "string", default: "http" },
+    url: { type: "string", default: `http://localhost:${process.env.PORT || 3000}` },
+    "mqtt-url": { type: "string", default: `mqtt://localhost:${process.env.MQTT_PORT || 1883}` },
+    keys: { type: "string" },
+    duration: { type: "string" },
+    help: { type: "boolean", default: false },
+  },
+});
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function number(name, { min = 0, max = Infinity, integer = false } = {}) {
+  const value = Number(args[name]);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    fail(`--${name} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+  }
+  return value;
+}
+
+async function main() {
+  if (args.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  await loadShared();
+  const sim = require("../lib/simulator");
+
+  const count = number("devices", { min: 1, max: 10000, integer: true });
+  const rng = sim.createRng(args.seed);
+  const speedMs = number("speed", { min: 0.1, max: 1000 });
+  const options = {
+    intervalSec: number("interval", { min: 1 }),
+    jitter: number("jitter", { max: 1 }),
+    noiseM: number("noise"),
+    dropoutChance: number("dropout", { max: 1 }),
+    dropoutSec: number("dropout-sec"),
+    bufferDropouts: args.buffer,
+    batteryDrainPerHour: number("battery-drain"),
+    sosChance: number("sos", { max: 1 }),
+  };
+
+  const [lat, lon] = args.center.split(",").map(Number);
+  if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) fail("--center must be <lat>,<lon>");
+  const radiusM = number("radius", { min: 10 });
+
+  const tracks = args.gpx.map((file) => {
+    const points = sim.parseGpx(fs.readFileSync(file, "utf8"));
+    if (points.length < 2) fail(`${file} has fewer than 2 track points`);
+    console.log(`🗺️ ${path.basename(file)}: ${points.length} points`);
+    return sim.buildRoute(points, { speedMs });
+  });
+
+  // GPX tracks are shared round-robin with staggered starts; otherwise every unit gets its own patrol
+  const devices = Array.from({ length: count }, (_, i) => {
+    const route = tracks.length
+      ? tracks[i % tracks.length]
+      : sim.buildRoute(sim.patrolRoute({ center: { lat, lon }, radiusM, rng }), { speedMs, loop: true });
+    return sim.createVirtualDevice({
+      deviceId: `${args.prefix}${String(i + 1).padStart(3, "0")}`,
+      route,
+      startOffsetSec: rng() * route.durationSec,
+      options,
+      rng,
+    });
+  });
+
+  const keys = args.keys ? JSON.parse(fs.readFileSync(args.keys, "utf8")) : {};
+  let transport;
+  try {
+    if (args.transport === "http") transport = sim.createHttpTransport({ baseUrl: args.url, keys });
+    else if (args.transport === "mqtt") transport = sim.createMqttTransport({ url: args["mqtt-url"], keys });
+    else fail("--transport must be http or mqtt");
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const simulator = sim.createSimulator({ devices, transport });
+  console.log(`🚓 Simulating ${count} units (${devices[0].deviceId}…) every ${options.intervalSec}s → ${transport.name}`);
+  await simulator.start();
+
+  const startedAt = Date.now();
+  const report = () => {
+    const { sent, failed, dropped, replayed, sos } = simulator.stats;
+    const elapsed = Math.round((Date.now() - startedAt) / 1000);
+    console.log(`📊 ${elapsed}s – ${sent} sent, ${failed} failed, ${dropped} dropped, ${replayed} replayed, ${sos} SOS`);
+  };
+  const reporter = setInterval(report, Math.max(10, options.intervalSec * 2) * 1000);
+
+  let stopping = false;
+  const stop = async () => {
+    if (stopping) return;
+    stopping = true;
+    clearInterval(reporter);
+    await simulator.stop();
+    report();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+  if (args.duration) setTimeout(stop, number("duration", { min: 1 }) * 1000);
+}
+
+main().catch((err) => fail(err.message));
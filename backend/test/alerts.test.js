@@ -0,0 +1,91 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo, waitFor } = require("./helpers");
+
+describe("device monitor alerts", () => {
+  let api;
+  let age = 600;
+  // each fix is one second newer than the last, so none is a duplicate or late
+  const report = (deviceId, extra = {}) =>
+    api.post("/ingest", { device_id: deviceId, lat: 10, lon: 20, timestamp: secondsAgo((age -= 1)), ...extra });
+  const openAlerts = async (query = "") => (await api.get(`/alerts?device_id=UNIT_1${query}`)).body.alerts;
+
+  before(async () => {
+    api = await startTestApp({ MONITOR_BATTERY_THRESHOLDS: "20,10" });
+  });
+  after(() => api.stop());
+
+  test("a low battery opens a warning that turns critical below the lowest threshold", async () => {
+    await report("UNIT_1", { battery: 50 });
+    await report("UNIT_1", { battery: 15 });
+    const [warning] = await waitFor(() => openAlerts("&type=battery_low"));
+    assert.equal(warning.severity, "warning");
+    assert.equal(warning.threshold, 20);
+    assert.equal(warning.value, 15);
+
+    await report("UNIT_1", { battery: 8 });
+    const [critical] = await waitFor(async () => (await openAlerts()).filter((a) => a.severity === "critical"));
+    assert.equal(critical.id, warning.id);
+    assert.equal(critical.threshold, 10);
+  });
+
+  test("the battery alert closes only once the level is clear of the hysteresis", async () => {
+    await report("UNIT_1", { battery: 22 });
+    await report("UNIT_1", { battery: 26 });
+    await waitFor(async () => (await openAlerts()).length === 0);
+
+    const [closed] = (await api.get("/alerts?device_id=UNIT_1&status=closed")).body.alerts;
+    assert.equal(closed.close_reason, "recovered");
+    const history = await api.get(`/alerts/${closed.id}`);
+    assert.equal(history.body.status, "closed");
+  });
+
+  test("an operator can close an open alert by hand", async () => {
+    await report("UNIT_1", { battery: 12 });
+    const [alert] = await waitFor(() => openAlerts());
+
+    const res = await api.post(`/alerts/${alert.id}/close`, {});
+    assert.equal(res.status, 200);
+    assert.equal(res.body.close_reason, "manual");
+    assert.equal((await api.post(`/alerts/${alert.id}/close`, {})).status, 409);
+    assert.equal((await api.post("/alerts/nope/close", {})).status, 404);
+
+    // the condition has not cleared, so a further low reading does not reopen it
+    await report("UNIT_1", { battery: 11 });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(await openAlerts(), []);
+  });
+
+  test("per-device settings change the thresholds and the expected interval", async () => {
+    const bad = await api.request("PUT", "/alerts/settings/UNIT_2", { body: { battery_thresholds: [120] } });
+    assert.equal(bad.status, 400);
+
+    const res = await api.request("PUT", "/alerts/settings/UNIT_2", { body: { interval_sec: 0.05, battery_thresholds: [30] } });
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.interval_sec, res.body.battery_thresholds], [0.05, [30]]);
+    assert.deepEqual((await api.get("/alerts/settings/UNIT_2")).body, res.body);
+
+    await report("UNIT_2", { battery: 25 });
+    const [battery] = await waitFor(async () => (await api.get("/alerts?device_id=UNIT_2&type=battery_low")).body.alerts);
+    assert.equal(battery.threshold, 30);
+  });
+
+  test("a silent device turns stale, raises no_fix and recovers on its next fix", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await api.monitor.checkAll();
+
+    const status = (await api.get("/alerts/status")).body.devices.find((d) => d.device_id === "UNIT_2");
+    assert.notEqual(status.status, "online");
+    const [noFix] = (await api.get("/alerts?device_id=UNIT_2&type=no_fix")).body.alerts;
+    assert.ok(noFix);
+
+    await report("UNIT_2", { battery: 25 });
+    await waitFor(async () => (await api.get("/alerts?device_id=UNIT_2&type=no_fix")).body.count === 0);
+  });
+
+  test("rejects unknown statuses and alert types", async () => {
+    assert.equal((await api.get("/alerts?status=pending")).status, 400);
+    assert.equal((await api.get("/alerts?type=overheat")).status, 400);
+    assert.equal((await api.get("/alerts/nope")).status, 404);
+  });
+});
@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("GET /debug", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+    await api.post("/ingest", { device_id: "UNIT_2", lat: 1, lon: 2 });
+    await api.post("/ingest", { device_id: "UNIT_1", lat: 3, lon: 4 });
+    await api.post("/ingest", { device_id: "UNIT_1", lat: 3.0001, lon: 4, timestamp: Date.now() + 1000 });
+  });
+  after(() => api.stop());
+
+  test("starts empty", async () => {
+    const empty = await startTestApp();
+    try {
+      const res = await empty.get("/debug");
+      assert.deepEqual(res.body, { storage: "memory", totalDevices: 0, devices: [], latestData: {}, historyCounts: {} });
+    } finally {
+      await empty.stop();
+    }
+  });
+
+  test("reports the storage driver, devices, latest fixes and history counts", async () => {
+    const res = await api.get("/debug");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.storage, "memory");
+    assert.equal(res.body.totalDevices, 2);
+    assert.deepEqual([...res.body.devices].sort(), ["UNIT_1", "UNIT_2"]);
+    assert.deepEqual(res.body.historyCounts, { UNIT_1: 2, UNIT_2: 1 });
+    assert.equal(res.body.latestData.UNIT_1.lat, 3.0001);
+    assert.equal(res.body.latestData.UNIT_2.lat, 1);
+  });
+});
+
+describe("GET /debug with operator auth enforced", () => {
+  let api;
+  const login = async (username, password) => (await api.post("/auth/login", { username, password })).body.token;
+
+  before(async () => {
+    api = await startTestApp({ OPERATOR_AUTH: "required", ADMIN_USERNAME: "root", ADMIN_PASSWORD: "correct-horse-1" });
+    await api.operatorAuth.createOperator({ username: "watcher", password: "battery-staple-2", role: "viewer" });
+  });
+  after(() => api.stop());
+
+  test("is admin-only", async () => {
+    assert.equal((await api.get("/debug")).status, 401);
+
+    const viewer = await login("watcher", "battery-staple-2");
+    const forbidden = await api.get("/debug", { headers: { Authorization: `Bearer ${viewer}` } });
+    assert.equal(forbidden.status, 403);
+
+    const admin = await login("root", "correct-horse-1");
+    const ok = await api.get("/debug", { headers: { Authorization: `Bearer ${admin}` } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.storage, "memory");
+  });
+});
@@ -0,0 +1,68 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo } = require("./helpers");
+
+describe("track export", () => {
+  let api;
+  const t0 = secondsAgo(3600);
+
+  before(async () => {
+    api = await startTestApp();
+    await api.post("/ingest/batch", [0, 1, 2].map((i) => ({
+      device_id: "PATROL_1",
+      lat: 29.86 + i * 0.0001,
+      lon: 77.89,
+      speed: 1.5,
+      battery: 80,
+      sos: i === 2,
+      timestamp: t0 + i * 10,
+    })));
+  });
+  after(() => api.stop());
+
+  const download = (query) => api.get(`/device/PATROL_1/export?${query}`);
+
+  test("GPX is the default, as an attachment", async () => {
+    const res = await download("");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/gpx+xml; charset=utf-8");
+    assert.equal(res.headers.get("content-disposition"), 'attachment; filename="PATROL_1.gpx"');
+    assert.match(res.body, /<gpx version="1.1"/);
+    assert.equal(res.body.match(/<trkpt /g).length, 3);
+    assert.match(res.body, /<mmtt:sos>true<\/mmtt:sos>/);
+  });
+
+  test("KML, GeoJSON and CSV carry every point", async () => {
+    const kml = await download("format=kml");
+    assert.equal(kml.headers.get("content-type"), "application/vnd.google-earth.kml+xml; charset=utf-8");
+    assert.match(kml.body, /<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2"/);
+
+    const geojson = await download("format=GeoJSON");
+    assert.equal(geojson.headers.get("content-type"), "application/geo+json; charset=utf-8");
+    const collection = JSON.parse(geojson.body);
+    assert.equal(collection.type, "FeatureCollection");
+    assert.deepEqual(collection.features[0].geometry.coordinates[0], [77.89, 29.86]);
+
+    const csv = await download("format=csv");
+    assert.equal(csv.headers.get("content-type"), "text/csv; charset=utf-8");
+    const lines = csv.body.trim().split(/\r?\n/);
+    assert.equal(lines[0], "device_id,timestamp,time,lat,lon,speed,battery,sos");
+    assert.equal(lines.length, 4);
+  });
+
+  test("from / to narrow the export and name the file", async () => {
+    const res = await download(`format=csv&from=${t0 + 10}&to=${t0 + 20}`);
+    assert.equal(res.headers.get("content-disposition"), `attachment; filename="PATROL_1_${t0 + 10}-${t0 + 20}.csv"`);
+    assert.equal(res.body.trim().split(/\r?\n/).length, 3);
+  });
+
+  test("rejects an unknown format and an empty window", async () => {
+    const bad = await download("format=shp");
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, "'format' must be one of gpx, kml, geojson, csv");
+
+    const empty = await download(`from=${t0 - 600}&to=${t0 - 300}`);
+    assert.equal(empty.status, 404);
+    assert.equal(empty.body.error, "No points in this time window");
+  });
+});
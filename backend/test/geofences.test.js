@@ -0,0 +1,89 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo, waitFor } = require("./helpers");
+
+const circle = (name, scope) => ({ type: "circle", name, center: { lat: 10, lon: 20 }, radius_m: 100, ...scope });
+
+describe("geofence occupancy", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(() => api.stop());
+
+  test("lists the devices inside each fence until they leave", async () => {
+    const { fence } = await api.geofences.create(circle("depot", {}));
+    const insideOf = async () => (await api.get("/geofences")).body.geofences.find((f) => f.id === fence.id).inside;
+
+    const enteredAt = secondsAgo(30);
+    await api.post("/ingest", { device_id: "UNIT_IN", lat: 10, lon: 20, timestamp: enteredAt });
+    await api.post("/ingest", { device_id: "UNIT_OUT", lat: 11, lon: 20, timestamp: enteredAt });
+    const inside = await waitFor(async () => (await insideOf()).length && insideOf());
+    assert.deepEqual(inside.map((o) => o.device_id), ["UNIT_IN"]);
+    assert.equal(inside[0].since, enteredAt);
+
+    await api.post("/ingest", { device_id: "UNIT_IN", lat: 10.01, lon: 20, timestamp: secondsAgo(10) });
+    await waitFor(async () => (await insideOf()).length === 0);
+    const events = (await api.get(`/geofences/events?fence_id=${fence.id}`)).body.events;
+    assert.deepEqual(events.map((e) => e.type), ["exit", "enter"]);
+  });
+});
+
+describe("geofence visibility with operator auth", () => {
+  let api;
+  let viewer;
+  let operator;
+  const fenceIds = {};
+  const login = async (username, password) => {
+    const { token } = (await api.post("/auth/login", { username, password })).body;
+    return { headers: { Authorization: `Bearer ${token}` } };
+  };
+
+  before(async () => {
+    api = await startTestApp({ OPERATOR_AUTH: "required", ADMIN_USERNAME: "root", ADMIN_PASSWORD: "correct-horse-1" });
+    await api.operatorAuth.createOperator({ username: "watcher", password: "battery-staple-2", role: "viewer", devices: ["UNIT_A"] });
+    await api.operatorAuth.createOperator({
+      username: "dispatch",
+      password: "battery-staple-3",
+      role: "operator",
+      devices: ["UNIT_A"],
+      groups: ["north"],
+    });
+    for (const [name, scope] of [
+      ["everywhere", {}],
+      ["mixed", { devices: ["UNIT_A", "UNIT_SECRET"], groups: ["north", "south"] }],
+      ["secret", { devices: ["UNIT_SECRET"], groups: ["south"] }],
+    ]) {
+      fenceIds[name] = (await api.geofences.create(circle(name, scope))).fence.id;
+    }
+    viewer = await login("watcher", "battery-staple-2");
+    operator = await login("dispatch", "battery-staple-3");
+  });
+  after(() => api.stop());
+
+  test("lists only fences that target something the viewer may see", async () => {
+    const res = await api.get("/geofences", viewer);
+    assert.equal(res.status, 200);
+    const byName = Object.fromEntries(res.body.geofences.map((f) => [f.name, f]));
+    assert.deepEqual(Object.keys(byName).sort(), ["everywhere", "mixed"]);
+    assert.deepEqual(byName.mixed.devices, ["UNIT_A"]);
+    assert.deepEqual(byName.mixed.groups, []);
+
+    assert.equal((await api.get(`/geofences/${fenceIds.secret}`, viewer)).status, 403);
+    assert.deepEqual((await api.get(`/geofences/${fenceIds.mixed}`, operator)).body.groups, ["north"]);
+  });
+
+  test("keeps hidden devices and groups when an operator edits a fence", async () => {
+    const res = await api.request("PUT", `/geofences/${fenceIds.mixed}`, {
+      ...operator,
+      body: { devices: ["UNIT_A", "UNIT_B"], groups: ["north"] },
+    });
+    assert.equal(res.status, 200);
+    const stored = api.geofences.get(fenceIds.mixed);
+    assert.deepEqual(stored.devices.sort(), ["UNIT_A", "UNIT_B", "UNIT_SECRET"]);
+    assert.deepEqual(stored.groups.sort(), ["north", "south"]);
+
+    assert.equal((await api.request("DELETE", `/geofences/${fenceIds.secret}`, operator)).status, 403);
+    assert.ok(api.geofences.get(fenceIds.secret));
+  });
+});
@@ -0,0 +1,91 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createApp } = require("../app");
+const { configureLogger } = require("../lib/logger");
+const { startTestApp } = require("./helpers");
+
+describe("GET /health", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(() => api.stop());
+
+  test("is ready once initialised with the storage backend reachable", async () => {
+    const res = await api.get("/health");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+    assert.equal(res.body.ready, true);
+    assert.equal(res.body.storage.driver, "memory");
+    assert.equal(res.body.storage.ok, true);
+    assert.equal(typeof res.body.storage.latency_ms, "number");
+  });
+
+  test("answers 503 when the storage backend fails its check", async () => {
+    const check = api.store.check;
+    api.store.check = async () => ({ ok: false, error: "EACCES" });
+    try {
+      const res = await api.get("/health");
+      assert.equal(res.status, 503);
+      assert.equal(res.body.status, "unavailable");
+      assert.equal(res.body.storage.ok, false);
+      assert.equal(res.body.storage.error, "EACCES");
+    } finally {
+      api.store.check = check;
+    }
+  });
+
+  test("answers 503 before init() has finished", async () => {
+    const ctx = createApp({ env: { STORAGE_DRIVER: "memory", LOG_LEVEL: "silent" } });
+    await new Promise((resolve) => ctx.server.listen(0, "127.0.0.1", resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${ctx.server.address().port}/health`);
+      assert.equal(res.status, 503);
+      assert.equal((await res.json()).ready, false);
+    } finally {
+      await ctx.close();
+      ctx.server.closeAllConnections();
+    }
+  });
+});
+
+describe("request ids and logging", () => {
+  let api;
+  const lines = [];
+  before(async () => {
+    api = await startTestApp({ LOG_LEVEL: "debug" });
+    configureLogger({ write: (level, line) => lines.push(JSON.parse(line)) });
+  });
+  after(async () => {
+    configureLogger({ level: "silent" });
+    await api.stop();
+  });
+
+  test("every response carries an X-Request-Id", async () => {
+    const res = await api.get("/");
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  test("a well-formed incoming X-Request-Id is kept, anything else replaced", async () => {
+    const kept = await api.get("/", { headers: { "X-Request-Id": "edge-1234" } });
+    assert.equal(kept.headers.get("x-request-id"), "edge-1234");
+    const replaced = await api.get("/", { headers: { "X-Request-Id": "<script>" } });
+    assert.notEqual(replaced.headers.get("x-request-id"), "<script>");
+  });
+
+  test("logs one JSON line per request under its id, without the body", async () => {
+    lines.length = 0;
+    const res = await api.post("/ingest", { device_id: "UNIT_9", lat: 200, lon: 1, note: "do-not-log-me" });
+    assert.equal(res.status, 400);
+    const id = res.headers.get("x-request-id");
+
+    const own = lines.filter((line) => line.request_id === id);
+    const request = own.find((line) => line.msg === "request");
+    assert.equal(request.level, "info");
+    assert.equal(request.method, "POST");
+    assert.equal(request.route, "/ingest");
+    assert.equal(request.status, 400);
+    assert.deepEqual(own.find((line) => line.msg === "validation failed").errors, ["lat: range"]);
+    assert.ok(!JSON.stringify(lines).includes("do-not-log-me"));
+  });
+});
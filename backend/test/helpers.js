@@ -0,0 +1,55 @@
+// test/helpers.js – In-process backend for the API tests
+//
+// startTestApp() builds the app with the memory store and the given env (the
+// real process.env is not read), listens on a random port and returns the
+// services plus small fetch helpers. Call stop() in an after() hook.
+// Logging is off unless the env sets LOG_LEVEL.
+
+const { createApp } = require("../app");
+
+async function startTestApp(env = {}) {
+  const ctx = createApp({ env: { STORAGE_DRIVER: "memory", LOG_LEVEL: "silent", ...env } });
+  await ctx.init();
+  await new Promise((resolve) => ctx.server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${ctx.server.address().port}`;
+
+  // -> { status, headers, body } (body is parsed JSON, or text for other responses)
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: body !== undefined ? { "Content-Type": "application/json", ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  return {
+    ...ctx,
+    base,
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, { ...options, body }),
+    async stop() {
+      await ctx.close();
+      ctx.server.closeAllConnections();
+    },
+  };
+}
+
+// Epoch seconds `secondsAgo` before now
+const secondsAgo = (seconds) => Math.floor(Date.now() / 1000) - seconds;
+
+// Polls check() until it returns something truthy (background work: bus listeners, retries)
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { startTestApp, secondsAgo, waitFor };
@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo } = require("./helpers");
+
+describe("latest and history", () => {
+  let api;
+  const t0 = secondsAgo(3600);
+  // ~11 m apart, 10 s apart: slow enough for the track filter
+  const fix = (i, extra = {}) => ({ device_id: "PATROL_1", lat: 29.86 + i * 0.0001, lon: 77.89, timestamp: t0 + i * 10, ...extra });
+
+  before(async () => {
+    api = await startTestApp();
+    for (const i of [0, 1, 2, 3, 4]) await api.post("/ingest", fix(i));
+  });
+  after(() => api.stop());
+
+  test("latest is 404 for a device that never reported", async () => {
+    const res = await api.get("/device/NOBODY/latest");
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { error: "No data" });
+  });
+
+  test("device ids named like Object.prototype members are just unknown devices", async () => {
+    for (const deviceId of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+      const latest = await api.get(`/device/${deviceId}/latest`);
+      assert.equal(latest.status, 404, deviceId);
+      const history = await api.get(`/device/${deviceId}/history`);
+      assert.equal(history.status, 200, deviceId);
+      assert.equal(history.body.total, 0);
+    }
+    const devices = await api.get("/devices");
+    assert.deepEqual(devices.body.devices.map((d) => d.device_id), ["PATROL_1"]);
+  });
+
+  test("latest is the newest fix", async () => {
+    const res = await api.get("/device/PATROL_1/latest");
+    assert.equal(res.body.timestamp, (t0 + 40) * 1000);
+  });
+
+  test("history is ordered oldest first with totals", async () => {
+    const res = await api.get("/device/PATROL_1/history");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 5);
+    assert.equal(res.body.count, 5);
+    assert.equal(res.body.next_cursor, null);
+    assert.equal(res.body.rejected, 0);
+    const times = res.body.coordinates.map((p) => p.timestamp);
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+  });
+
+  test("a late fix goes into history but does not replace latest", async () => {
+    const late = await api.post("/ingest", fix(0.5, { timestamp: t0 + 5 }));
+    assert.equal(late.status, 200);
+
+    const latest = await api.get("/device/PATROL_1/latest");
+    assert.equal(latest.body.timestamp, (t0 + 40) * 1000);
+
+    const history = await api.get("/device/PATROL_1/history");
+    assert.equal(history.body.total, 6);
+    assert.equal(history.body.coordinates[1].timestamp, (t0 + 5) * 1000);
+  });
+
+  test("from / to select an inclusive window in epoch seconds", async () => {
+    const res = await api.get(`/device/PATROL_1/history?from=${t0 + 10}&to=${t0 + 30}`);
+    assert.deepEqual(
+      res.body.coordinates.map((p) => p.timestamp),
+      [t0 + 10, t0 + 20, t0 + 30].map((s) => s * 1000)
+    );
+  });
+
+  test("limit and next_cursor page through every point once", async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await api.get(`/device/PATROL_1/history?limit=4${cursor ? `&cursor=${cursor}` : ""}`);
+      assert.ok(res.body.count <= 4);
+      seen.push(...res.body.coordinates.map((p) => p.timestamp));
+      cursor = res.body.next_cursor;
+    } while (cursor);
+    assert.equal(seen.length, 6);
+    assert.equal(new Set(seen).size, 6);
+  });
+
+  test("bad query parameters are a 400", async () => {
+    for (const query of ["from=soon", `from=${t0 + 50}&to=${t0}`, "limit=0", "cursor=nope", "filter=dirty"]) {
+      const res = await api.get(`/device/PATROL_1/history?${query}`);
+      assert.equal(res.status, 400, query);
+      assert.equal(typeof res.body.error, "string");
+    }
+  });
+
+  test("a cursor needs a non-negative whole skip count", async () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    for (const skip of [-1, 1.5, 1e300, "2", null]) {
+      const res = await api.get(`/device/PATROL_1/history?cursor=${encode({ ts: t0, skip })}`);
+      assert.equal(res.status, 400, String(skip));
+      assert.equal(res.body.error, "Invalid cursor");
+    }
+    assert.equal((await api.get(`/device/PATROL_1/history?cursor=${encode({ ts: t0, skip: 0 })}`)).status, 200);
+  });
+
+  test("rejected fixes are hidden unless asked for", async () => {
+    await api.post("/ingest", { device_id: "JUMPY", lat: 10, lon: 20, timestamp: secondsAgo(20) });
+    await api.post("/ingest", { device_id: "JUMPY", lat: 40, lon: 20, timestamp: secondsAgo(10) });
+
+    const clean = await api.get("/device/JUMPY/history");
+    assert.equal(clean.body.total, 1);
+    assert.equal(clean.body.rejected, 1);
+
+    const all = await api.get("/device/JUMPY/history?include_rejected=true");
+    assert.equal(all.body.total, 2);
+    assert.equal(all.body.coordinates[1].rejected, "speed_outlier");
+  });
+});
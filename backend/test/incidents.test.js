@@ -0,0 +1,85 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo, waitFor } = require("./helpers");
+
+describe("SOS incidents", () => {
+  let api;
+  let incidentId;
+  const sos = (deviceId, age, extra = {}) => ({ device_id: deviceId, lat: 10, lon: 20, sos: true, timestamp: secondsAgo(age), ...extra });
+  const activeFor = async (deviceId) =>
+    (await api.get(`/incidents?device_id=${deviceId}`)).body.incidents[0] || null;
+
+  before(async () => {
+    api = await startTestApp({ SOS_ESCALATE_AFTER_SEC: "0.05" });
+  });
+  after(() => api.stop());
+
+  test("the first SOS fix opens an incident and later fixes extend its trail", async () => {
+    await api.post("/ingest", sos("UNIT_1", 60));
+    const opened = await waitFor(() => activeFor("UNIT_1"));
+    incidentId = opened.id;
+    assert.equal(opened.status, "open");
+    assert.equal(opened.trail_points, 1);
+
+    await api.post("/ingest", sos("UNIT_1", 50, { sos: false, lat: 10.0001 }));
+    await waitFor(async () => (await activeFor("UNIT_1")).trail_points === 2);
+    assert.equal((await api.get("/incidents")).body.count, 1);
+
+    const details = await api.get(`/incidents/${incidentId}`);
+    assert.deepEqual(details.body.trail.map((fix) => fix.lat), [10, 10.0001]);
+  });
+
+  test("escalates an incident nobody acknowledges", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await api.incidents.checkEscalations();
+    const incident = (await api.get(`/incidents/${incidentId}`)).body;
+    assert.equal(incident.escalation_level, 1);
+    assert.deepEqual(incident.log.map((entry) => entry.action), ["opened", "escalated"]);
+  });
+
+  test("acknowledge, assign and resolve walk the incident through its lifecycle", async () => {
+    const acked = await api.post(`/incidents/${incidentId}/acknowledge`, { note: "on my way" });
+    assert.equal(acked.status, 200);
+    assert.equal(acked.body.status, "acknowledged");
+    assert.equal((await api.post(`/incidents/${incidentId}/acknowledge`, {})).status, 409);
+
+    // acknowledged incidents are no longer escalated
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await api.incidents.checkEscalations();
+    assert.equal((await api.get(`/incidents/${incidentId}`)).body.escalation_level, 1);
+
+    const assigned = await api.post(`/incidents/${incidentId}/assign`, { assignee: "medic-2" });
+    assert.equal(assigned.status, 200);
+    assert.equal(assigned.body.assigned_to, "medic-2");
+    assert.equal((await api.post(`/incidents/${incidentId}/assign`, { assignee: 42 })).status, 400);
+
+    const resolved = await api.post(`/incidents/${incidentId}/resolve`, { note: "false alarm" });
+    assert.equal(resolved.status, 200);
+    assert.equal(resolved.body.status, "resolved");
+    assert.equal(resolved.body.resolution, "false alarm");
+    assert.deepEqual(
+      resolved.body.log.map((entry) => entry.action),
+      ["opened", "escalated", "acknowledged", "assigned", "resolved"]
+    );
+
+    assert.equal((await api.post(`/incidents/${incidentId}/resolve`, {})).status, 409);
+    assert.equal((await api.get("/incidents")).body.count, 0);
+    assert.deepEqual((await api.get("/incidents?status=resolved")).body.incidents.map((i) => i.id), [incidentId]);
+  });
+
+  test("a new SOS after resolving opens a new incident", async () => {
+    await api.post("/ingest", sos("UNIT_1", 40));
+    const reopened = await waitFor(() => activeFor("UNIT_1"));
+    assert.notEqual(reopened.id, incidentId);
+  });
+
+  test("rejects unknown incidents, statuses and oversized notes", async () => {
+    assert.equal((await api.get("/incidents/nope")).status, 404);
+    assert.equal((await api.post("/incidents/nope/acknowledge", {})).status, 404);
+    assert.equal((await api.get("/incidents?status=closed")).status, 400);
+
+    const { id } = await activeFor("UNIT_1");
+    const res = await api.post(`/incidents/${id}/acknowledge`, { note: "x".repeat(2001) });
+    assert.equal(res.status, 400);
+  });
+});
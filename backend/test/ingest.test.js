@@ -0,0 +1,229 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/storage");
+const { startTestApp, secondsAgo } = require("./helpers");
+
+describe("POST /ingest", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+  });
+  after(() => api.stop());
+
+  test("stores a valid v1 point with defaults and a millisecond timestamp", async () => {
+    const ts = secondsAgo(60);
+    const res = await api.post("/ingest", { device_id: "UNIT_A", lat: 29.8659, lon: 77.8903, timestamp: ts });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: "ok" });
+
+    const latest = await api.get("/device/UNIT_A/latest");
+    assert.equal(latest.status, 200);
+    assert.equal(latest.body.timestamp, ts * 1000);
+    assert.equal(latest.body.speed, null);
+    assert.equal(latest.body.battery, null);
+    assert.equal(latest.body.sos, false);
+    assert.equal(typeof latest.body.received_at, "number");
+  });
+
+  test("accepts ISO-8601 timestamps and sos sent as 0 / 1", async () => {
+    const iso = new Date((secondsAgo(30)) * 1000).toISOString();
+    const res = await api.post("/ingest", { device_id: "UNIT_ISO", lat: 1, lon: 2, sos: 1, timestamp: iso });
+    assert.equal(res.status, 200);
+
+    const latest = await api.get("/device/UNIT_ISO/latest");
+    assert.equal(latest.body.timestamp, Date.parse(iso));
+    assert.equal(latest.body.sos, true);
+  });
+
+  test("lists every missing or out-of-range field", async () => {
+    const res = await api.post("/ingest", { device_id: "UNIT_B", lon: 200, battery: 120 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid payload");
+    const codes = Object.fromEntries(res.body.errors.map((e) => [e.field, e.code]));
+    assert.deepEqual(codes, { lat: "required", lon: "range", battery: "range" });
+  });
+
+  test("rejects values of the wrong type", async () => {
+    const res = await api.post("/ingest", { device_id: "UNIT_B", lat: "29.8", lon: 77.8, speed: "fast", sos: "yes" });
+    assert.equal(res.status, 400);
+    const fields = res.body.errors.filter((e) => e.code === "type").map((e) => e.field);
+    assert.deepEqual(fields.sort(), ["lat", "sos", "speed"]);
+  });
+
+  test("rejects malformed device ids and timestamps", async () => {
+    const res = await api.post("/ingest", { device_id: "has spaces", lat: 1, lon: 2, timestamp: "yesterday" });
+    assert.equal(res.status, 400);
+    const codes = Object.fromEntries(res.body.errors.map((e) => [e.field, e.code]));
+    assert.deepEqual(codes, { device_id: "format", timestamp: "type" });
+  });
+
+  test("ignores unknown fields in v1 but rejects them in v2", async () => {
+    const v1 = await api.post("/ingest", { device_id: "UNIT_C", lat: 1, lon: 2, firmware: "1.2" });
+    assert.equal(v1.status, 200);
+    const stored = await api.get("/device/UNIT_C/latest");
+    assert.equal(stored.body.firmware, undefined);
+
+    const v2 = await api.post("/ingest", { v: 2, device_id: "UNIT_C", lat: 1, lon: 2, firmware: "1.2" });
+    assert.equal(v2.status, 400);
+    assert.deepEqual(v2.body.errors, [
+      { field: "firmware", code: "unknown_field", message: "firmware is not part of schema v2" },
+    ]);
+  });
+
+  test("checks the v2 GNSS fields", async () => {
+    const bad = await api.post("/ingest", { v: 2, device_id: "UNIT_D", lat: 1, lon: 2, satellites: 7.5, fix_type: "4d" });
+    assert.equal(bad.status, 400);
+    const codes = Object.fromEntries(bad.body.errors.map((e) => [e.field, e.code]));
+    assert.deepEqual(codes, { satellites: "type", fix_type: "format" });
+
+    const good = await api.post("/ingest", {
+      v: 2,
+      device_id: "UNIT_D",
+      lat: 1,
+      lon: 2,
+      altitude: 250.5,
+      heading: 90,
+      hdop: 0.9,
+      satellites: 11,
+      fix_type: "3d",
+      rssi: -71,
+    });
+    assert.equal(good.status, 200);
+    const latest = await api.get("/device/UNIT_D/latest");
+    assert.equal(latest.body.altitude, 250.5);
+    assert.equal(latest.body.fix_type, "3d");
+  });
+
+  test("rejects unsupported schema versions and non-object bodies", async () => {
+    const version = await api.post("/ingest", { v: 3, device_id: "UNIT_E", lat: 1, lon: 2 });
+    assert.equal(version.status, 400);
+    assert.equal(version.body.errors[0].code, "unsupported_version");
+
+    const array = await api.post("/ingest", [{ device_id: "UNIT_E", lat: 1, lon: 2 }]);
+    assert.equal(array.status, 400);
+    assert.equal(array.body.errors[0].message, "Payload must be a JSON object");
+  });
+
+  test("reports a resent fix as a duplicate and stores it once", async () => {
+    const point = { device_id: "UNIT_F", lat: 10, lon: 20, timestamp: secondsAgo(120) };
+    assert.deepEqual((await api.post("/ingest", point)).body, { status: "ok" });
+    assert.deepEqual((await api.post("/ingest", point)).body, { status: "ok", duplicate: true });
+
+    const history = await api.get("/device/UNIT_F/history");
+    assert.equal(history.body.total, 1);
+  });
+
+  test("stores one copy of a fix posted several times at once", async () => {
+    const point = { device_id: "UNIT_F2", lat: 10, lon: 20, timestamp: secondsAgo(120) };
+    const bodies = (await Promise.all([1, 2, 3, 4].map(() => api.post("/ingest", point)))).map((res) => res.body);
+    assert.equal(bodies.filter((body) => body.duplicate).length, 3);
+    assert.equal((await api.get("/device/UNIT_F2/history")).body.total, 1);
+  });
+
+  test("accepts device ids named like Object.prototype members", async () => {
+    for (const deviceId of ["toString", "constructor", "hasOwnProperty", "__proto__"]) {
+      const point = { device_id: deviceId, lat: 10, lon: 20, timestamp: secondsAgo(60) };
+      assert.deepEqual((await api.post("/ingest", point)).body, { status: "ok" }, deviceId);
+      assert.deepEqual((await api.post("/ingest", point)).body, { status: "ok", duplicate: true }, deviceId);
+      assert.equal((await api.get(`/device/${deviceId}/latest`)).body.lat, 10);
+    }
+  });
+
+  test("stores an impossible jump but flags it as rejected", async () => {
+    await api.post("/ingest", { device_id: "UNIT_G", lat: 10, lon: 20, timestamp: secondsAgo(20) });
+    const jump = await api.post("/ingest", { device_id: "UNIT_G", lat: 40, lon: 20, timestamp: secondsAgo(10) });
+    assert.deepEqual(jump.body, { status: "ok", rejected: "speed_outlier" });
+
+    const latest = await api.get("/device/UNIT_G/latest");
+    assert.equal(latest.body.lat, 10);
+  });
+});
+
+describe("POST /ingest with registry and device auth enforced", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp({ DEVICE_REGISTRY: "required", DEVICE_AUTH: "required" });
+    await api.registry.create({ device_id: "KNOWN_1" });
+    await api.registry.create({ device_id: "KNOWN_2" });
+  });
+  after(() => api.stop());
+
+  test("requires credentials", async () => {
+    const res = await api.post("/ingest", { device_id: "KNOWN_1", lat: 1, lon: 2 });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.reason, "missing_credentials");
+  });
+
+  test("accepts a device's own key and turns away unregistered devices", async () => {
+    const { key } = await api.deviceAuth.registerDevice("KNOWN_1");
+    const ok = await api.post("/ingest", { device_id: "KNOWN_1", lat: 1, lon: 2 }, { headers: { "X-Device-Key": key.secret } });
+    assert.equal(ok.status, 200);
+
+    const wrongDevice = await api.post(
+      "/ingest",
+      { device_id: "KNOWN_2", lat: 1, lon: 2 },
+      { headers: { "X-Device-Key": key.secret } }
+    );
+    assert.equal(wrongDevice.status, 401);
+
+    const { key: strayKey } = await api.deviceAuth.registerDevice("STRAY_1");
+    const stray = await api.post(
+      "/ingest",
+      { device_id: "STRAY_1", lat: 1, lon: 2 },
+      { headers: { "X-Device-Key": strayKey.secret } }
+    );
+    assert.equal(stray.status, 403);
+    assert.equal(stray.body.error, "Unknown device");
+  });
+
+  test("treats device ids named like Object.prototype members as unknown", async () => {
+    for (const deviceId of ["constructor", "toString", "hasOwnProperty"]) {
+      const res = await api.post("/ingest", { device_id: deviceId, lat: 1, lon: 2 }, { headers: { "X-Device-Key": "abc" } });
+      assert.equal(res.status, 401, deviceId);
+      assert.equal(res.body.reason, "unknown_device");
+    }
+    assert.equal(api.deviceAuth.verifyMqtt("constructor", "abc").reason, "unknown_device");
+    assert.equal(api.deviceAuth.getFailure("constructor").count, 2);
+  });
+});
+
+describe("POST /ingest with the jsonl store", () => {
+  let api;
+  let dataDir;
+  before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "mmtt-ingest-"));
+    api = await startTestApp({ STORAGE_DRIVER: "jsonl", DATA_DIR: dataDir });
+  });
+  after(async () => {
+    await api.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test("stores one copy of a fix posted several times at once", async () => {
+    const point = { device_id: "UNIT_J", lat: 10, lon: 20, timestamp: secondsAgo(120) };
+    const bodies = (await Promise.all([1, 2, 3, 4].map(() => api.post("/ingest", point)))).map((res) => res.body);
+    assert.equal(bodies.filter((body) => body.duplicate).length, 3);
+
+    await api.store.close();
+    const lines = fs.readFileSync(path.join(dataDir, "history", "UNIT_J.jsonl"), "utf8").trim().split("\n");
+    assert.equal(lines.length, 1);
+  });
+
+  test("device ids named like Object.prototype members survive a restart", async () => {
+    for (const deviceId of ["__proto__", "constructor"]) {
+      assert.equal((await api.post("/ingest", { device_id: deviceId, lat: 5, lon: 6, timestamp: secondsAgo(30) })).status, 200);
+    }
+    await api.store.close();
+
+    const reloaded = createStore({ driver: "jsonl", dataDir });
+    await reloaded.init();
+    assert.equal((await reloaded.getLatest("__proto__")).lat, 5);
+    assert.equal((await reloaded.getHistory("constructor")).length, 1);
+    assert.equal((await reloaded.getHistoryCounts()).constructor, 1);
+    assert.equal(await reloaded.getLatest("toString"), null);
+    await reloaded.close();
+  });
+});
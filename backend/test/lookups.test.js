@@ -0,0 +1,45 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ADMIN = { headers: { Authorization: "Bearer admin-token-1" } };
+const PROTOTYPE_NAMES = ["constructor", "toString", "__proto__", "hasOwnProperty"];
+
+describe("ids named like Object.prototype members", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp({ ADMIN_TOKEN: "admin-token-1" });
+  });
+  after(() => api.stop());
+
+  test("are not found by the id lookups", async () => {
+    for (const id of PROTOTYPE_NAMES) {
+      assert.equal((await api.get(`/geofences/${id}`)).status, 404, id);
+      assert.equal((await api.get(`/incidents/${id}`)).status, 404, id);
+      assert.equal((await api.get(`/alerts/${id}`)).status, 404, id);
+      assert.equal((await api.get(`/webhooks/${id}`, ADMIN)).status, 404, id);
+      assert.equal((await api.request("DELETE", `/admin/operators/${id}`, ADMIN)).status, 404, id);
+      assert.equal((await api.request("DELETE", `/admin/groups/${id}`, ADMIN)).status, 404, id);
+      assert.equal(api.operatorAuth.getGroupsForDevice(id).length, 0, id);
+    }
+  });
+
+  test("get default settings and policies", () => {
+    const defaults = api.retention.policyFor(null);
+    for (const id of PROTOTYPE_NAMES) {
+      assert.equal(api.monitor.getSettings(id).custom, false, id);
+      assert.deepEqual(api.retention.policyFor(id), defaults, id);
+    }
+  });
+
+  test("can be stored and read back as names", async () => {
+    const group = await api.request("PUT", "/admin/groups/__proto__", { ...ADMIN, body: { devices: ["UNIT_1"] } });
+    assert.equal(group.status, 200);
+    assert.deepEqual(api.operatorAuth.getGroupsForDevice("UNIT_1"), ["__proto__"]);
+    assert.deepEqual(api.operatorAuth.listGroups()["__proto__"], ["UNIT_1"]);
+
+    const settings = await api.request("PUT", "/alerts/settings/constructor", { body: { interval_sec: 120 } });
+    assert.equal(settings.status, 200);
+    assert.equal(api.monitor.getSettings("constructor").interval_sec, 120);
+  });
+});
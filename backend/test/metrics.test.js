@@ -0,0 +1,100 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMetrics } = require("../lib/metrics");
+const { startTestApp } = require("./helpers");
+
+// "name{labels} value" lines of a scrape, without comments
+const samples = (text) => text.split("\n").filter((line) => line && !line.startsWith("#"));
+
+describe("metrics registry", () => {
+  test("renders counters and gauges with labels", async () => {
+    const metrics = createMetrics();
+    const counter = metrics.counter({ name: "jobs_total", help: "Jobs", labelNames: ["kind"] });
+    counter.inc({ kind: "a" });
+    counter.inc({ kind: "a" }, 2);
+    counter.inc({ kind: 'say "hi"\n' });
+    metrics.gauge({ name: "queue_depth", help: "Depth", collect: () => 7 });
+
+    const text = await metrics.render();
+    assert.match(text, /^# HELP jobs_total Jobs\n# TYPE jobs_total counter\n/);
+    assert.deepEqual(samples(text), ['jobs_total{kind="a"} 3', 'jobs_total{kind="say \\"hi\\"\\n"} 1', "queue_depth 7"]);
+    assert.throws(() => counter.inc({ kind: "a" }, -1), /can only go up/);
+  });
+
+  test("histogram buckets are cumulative and end in +Inf", async () => {
+    const metrics = createMetrics();
+    const histogram = metrics.histogram({ name: "latency_seconds", help: "Latency", buckets: [0.1, 1] });
+    for (const value of [0.05, 0.5, 0.7, 3]) histogram.observe({}, value);
+
+    assert.deepEqual(samples(await metrics.render()), [
+      'latency_seconds_bucket{le="0.1"} 1',
+      'latency_seconds_bucket{le="1"} 3',
+      'latency_seconds_bucket{le="+Inf"} 4',
+      "latency_seconds_sum 4.25",
+      "latency_seconds_count 4",
+    ]);
+  });
+
+  test("rejects duplicate and invalid names", () => {
+    const metrics = createMetrics();
+    metrics.counter({ name: "x_total", help: "x" });
+    assert.throws(() => metrics.gauge({ name: "x_total", help: "x" }), /already registered/);
+    assert.throws(() => metrics.gauge({ name: "bad-name", help: "x" }), /Invalid metric name/);
+  });
+});
+
+describe("GET /metrics", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+    await api.post("/ingest", { device_id: "UNIT_1", lat: 29.8659, lon: 77.8903 });
+    await api.post("/ingest", { device_id: "UNIT_1", lat: 29.866, lon: 77.8903, timestamp: Date.now() + 1000 });
+    await api.post("/ingest", { device_id: "UNIT_2", lat: 200, lon: 77.8903 });
+    await api.get("/device/UNIT_1/history");
+  });
+  after(() => api.stop());
+
+  test("serves the Prometheus text format", async () => {
+    const res = await api.get("/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /# TYPE mmtt_ingest_points_total counter/);
+    assert.match(res.body, /# TYPE process_resident_memory_bytes gauge/);
+  });
+
+  test("counts ingest per device and validation failures per field", async () => {
+    const lines = samples((await api.get("/metrics")).body);
+    assert.ok(lines.includes('mmtt_ingest_points_total{device_id="UNIT_1",source="http",result="stored"} 2'));
+    assert.ok(lines.includes('mmtt_ingest_validation_failures_total{source="http",field="lat",code="range"} 1'));
+    assert.ok(lines.includes('mmtt_history_points{device_id="UNIT_1"} 2'));
+    assert.ok(!lines.some((line) => line.startsWith("mmtt_history_points") && line.includes("UNIT_2")));
+  });
+
+  test("records request latency by route template", async () => {
+    const lines = samples((await api.get("/metrics")).body);
+    assert.ok(lines.includes('mmtt_http_request_duration_seconds_count{method="POST",route="/ingest",status="200"} 2'));
+    assert.ok(lines.includes('mmtt_http_request_duration_seconds_count{method="POST",route="/ingest",status="400"} 1'));
+    assert.ok(
+      lines.includes('mmtt_http_request_duration_seconds_count{method="GET",route="/device/:id/history",status="200"} 1')
+    );
+  });
+
+  test("reports open WebSocket connections", async () => {
+    const lines = samples((await api.get("/metrics")).body);
+    assert.ok(lines.includes("mmtt_websocket_connections 0"));
+  });
+});
+
+describe("GET /metrics with METRICS_TOKEN", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp({ METRICS_TOKEN: "scrape-me" });
+  });
+  after(() => api.stop());
+
+  test("requires the bearer token", async () => {
+    assert.equal((await api.get("/metrics")).status, 401);
+    assert.equal((await api.get("/metrics", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+    assert.equal((await api.get("/metrics", { headers: { Authorization: "Bearer scrape-me" } })).status, 200);
+  });
+});
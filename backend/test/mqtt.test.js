@@ -0,0 +1,60 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mqtt = require("mqtt");
+const { startMqttBroker } = require("../lib/mqtt");
+const { startTestApp, secondsAgo, waitFor } = require("./helpers");
+
+describe("MQTT ingest over WebSocket", () => {
+  let api;
+  let broker;
+  let client;
+  const received = []; // { topic, payload }
+
+  before(async () => {
+    api = await startTestApp();
+    broker = startMqttBroker({ ingest: api.ingest, bus: api.bus, httpServer: api.server, retainLatest: true });
+    client = await mqtt.connectAsync(`${api.base.replace("http", "ws")}/mqtt`, { reconnectPeriod: 0 });
+    client.on("message", (topic, payload) => received.push({ topic, payload: JSON.parse(payload.toString("utf8")) }));
+    await client.subscribeAsync(["devices/UNIT_1/errors", "devices/UNIT_1/latest"]);
+  });
+  after(async () => {
+    await client.endAsync();
+    await broker.close();
+    await api.stop();
+  });
+
+  const messagesOn = (topic) => received.filter((m) => m.topic === topic).map((m) => m.payload);
+
+  test("stores telemetry under the device id of the topic", async () => {
+    const timestamp = secondsAgo(60);
+    await client.publishAsync("devices/UNIT_1/telemetry", JSON.stringify({ device_id: "SPOOFED", lat: 10, lon: 20, timestamp }));
+
+    const latest = await waitFor(async () => {
+      const res = await api.get("/device/UNIT_1/latest");
+      return res.status === 200 && res.body;
+    });
+    assert.equal(latest.timestamp, timestamp * 1000);
+    assert.equal(latest.lat, 10);
+    assert.equal((await api.get("/device/SPOOFED/latest")).status, 404);
+
+    const [retained] = await waitFor(() => messagesOn("devices/UNIT_1/latest").length && messagesOn("devices/UNIT_1/latest"));
+    assert.equal(retained.timestamp, timestamp * 1000);
+  });
+
+  test("an array payload replays a buffer of fixes", async () => {
+    const fixes = [50, 40, 30].map((age) => ({ lat: 10, lon: 20, timestamp: secondsAgo(age) }));
+    await client.publishAsync("devices/UNIT_1/telemetry", JSON.stringify(fixes));
+    await waitFor(async () => (await api.get("/device/UNIT_1/history")).body.total === 4);
+  });
+
+  test("invalid payloads are answered on the errors topic", async () => {
+    await client.publishAsync("devices/UNIT_1/telemetry", "not json");
+    await client.publishAsync("devices/UNIT_1/telemetry", JSON.stringify({ lat: 10 }));
+
+    const errors = await waitFor(() => messagesOn("devices/UNIT_1/errors").length === 2 && messagesOn("devices/UNIT_1/errors"));
+    assert.equal(errors[0].error, "Payload is not valid JSON");
+    assert.equal(errors[1].error, "Invalid payload");
+    assert.ok(errors[1].errors.some((e) => e.field === "lon"));
+    assert.equal((await api.get("/device/UNIT_1/history")).body.total, 4);
+  });
+});
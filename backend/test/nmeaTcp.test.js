@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { once } = require("events");
+const { startNmeaListener } = require("../lib/nmeaTcp");
+const { startTestApp } = require("./helpers");
+
+// "$<body>*hh" with a valid checksum
+const sentence = (body) => {
+  let sum = 0;
+  for (const ch of body) sum ^= ch.charCodeAt(0);
+  return `$${body}*${sum.toString(16).toUpperCase().padStart(2, "0")}`;
+};
+
+// An RMC fix for `date` near Munich (48.1173, 11.5167)
+const rmc = (date = new Date()) => {
+  const [yyyy, mm, dd, hh, mi, ss] = date.toISOString().match(/\d+/g);
+  return sentence(`GPRMC,${hh}${mi}${ss},A,4807.038,N,01131.000,E,000.5,084.4,${dd}${mm}${yyyy.slice(2)},003.1,W`);
+};
+
+async function listen(options) {
+  const listener = startNmeaListener({ port: 0, ...options });
+  if (!listener.server.listening) await once(listener.server, "listening");
+  return listener;
+}
+
+// Sends `lines` and resolves with everything the server wrote before closing
+async function session(port, lines) {
+  const socket = net.connect(port, "127.0.0.1");
+  let received = "";
+  socket.setEncoding("ascii");
+  socket.on("data", (chunk) => {
+    received += chunk;
+  });
+  await once(socket, "connect");
+  socket.end(lines.map((line) => `${line}\r\n`).join(""));
+  await once(socket, "close");
+  return received;
+}
+
+describe("NMEA TCP listener with device auth enforced", () => {
+  let api;
+  let listener;
+  let port;
+  before(async () => {
+    api = await startTestApp({ DEVICE_AUTH: "required" });
+    listener = await listen({ ingest: api.ingest, deviceAuth: api.deviceAuth });
+    port = listener.server.address().port;
+  });
+  after(async () => {
+    await listener.close();
+    await api.stop();
+  });
+
+  test("refuses a handshake for a device named like an Object.prototype member", async () => {
+    for (const deviceId of ["constructor", "toString", "__proto__"]) {
+      assert.equal(await session(port, [`DEVICE ${deviceId} abc`]), "ERR No active key registered for this device\r\n");
+    }
+    assert.equal(await session(port, ["DEVICE UNIT_1"]), "ERR Device id and key required\r\n");
+  });
+
+  test("stores fixes from a unit with a valid key", async () => {
+    const { key } = await api.deviceAuth.registerDevice("NMEA_1");
+    assert.equal(await session(port, [`DEVICE NMEA_1 ${key.secret}`, rmc(new Date(Date.now() - 5000))]), "OK\r\n");
+    for (let i = 0; i < 50 && !(await api.store.getLatest("NMEA_1")); i++) await new Promise((r) => setTimeout(r, 20));
+    const latest = await api.store.getLatest("NMEA_1");
+    assert.ok(Math.abs(latest.lat - 48.1173) < 1e-4);
+  });
+});
+
+describe("NMEA TCP listener failures", () => {
+  let listener;
+  let port;
+  before(async () => {
+    const deviceAuth = {
+      verifyKey: (deviceId) => {
+        if (deviceId === "BOOM") throw new TypeError("auth exploded");
+        return { ok: true };
+      },
+    };
+    const ingest = {
+      ingestPoint: async () => {
+        throw new Error("disk full");
+      },
+    };
+    listener = await listen({ ingest, deviceAuth });
+    port = listener.server.address().port;
+  });
+  after(() => listener.close());
+
+  test("an exception in the handshake ends only that session", async () => {
+    assert.equal(await session(port, ["DEVICE BOOM"]), "ERR Internal error\r\n");
+    assert.equal(await session(port, ["DEVICE FINE"]), "OK\r\n");
+  });
+
+  test("a failed ingest ends the session with an error line", async () => {
+    const socket = net.connect(port, "127.0.0.1");
+    let received = "";
+    socket.setEncoding("ascii");
+    socket.on("data", (chunk) => {
+      received += chunk;
+    });
+    await once(socket, "connect");
+    // keep writing so the fix is flushed by the next sentence, not the idle flush
+    socket.write(`DEVICE FAIL\r\n${rmc(new Date(Date.now() - 5000))}\r\n${rmc(new Date(Date.now() - 4000))}\r\n`);
+    await once(socket, "close");
+    assert.match(received, /^OK\r\nERR Internal error\r\n$/);
+    assert.equal(listener.server.listening, true);
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { io } = require("socket.io-client");
+const { startTestApp, secondsAgo, waitFor } = require("./helpers");
+
+describe("live push with operator auth", () => {
+  let api;
+  const login = async (username, password) => (await api.post("/auth/login", { username, password })).body.token;
+
+  // Connected fleet subscriber that records every point it receives
+  async function connect(token) {
+    const socket = io(api.base, { auth: { token }, transports: ["websocket"], reconnection: false });
+    const points = [];
+    socket.on("point", (point) => points.push(point.device_id));
+    await new Promise((resolve, reject) => {
+      socket.once("connect", resolve);
+      socket.once("connect_error", reject);
+    });
+    await socket.emitWithAck("subscribe_fleet");
+    return { socket, points };
+  }
+
+  // a new timestamp each time, so no fix is dropped as a duplicate
+  let age = 600;
+  const ingest = (deviceId) => api.post("/ingest", { device_id: deviceId, lat: 1, lon: 2, timestamp: secondsAgo((age -= 1)) });
+
+  before(async () => {
+    api = await startTestApp({ OPERATOR_AUTH: "required", ADMIN_USERNAME: "root", ADMIN_PASSWORD: "correct-horse-1" });
+  });
+  after(() => api.stop());
+
+  test("rejects a socket without a session", async () => {
+    const socket = io(api.base, { transports: ["websocket"], reconnection: false });
+    const err = await new Promise((resolve) => socket.once("connect_error", resolve));
+    assert.equal(err.message, "Authentication required");
+    socket.close();
+  });
+
+  test("applies a change to the operator's devices to an open socket", async () => {
+    await api.operatorAuth.createOperator({ username: "watcher", password: "battery-staple-2", role: "viewer", devices: ["UNIT_A"] });
+    const { socket, points } = await connect(await login("watcher", "battery-staple-2"));
+    try {
+      await ingest("UNIT_B");
+      await ingest("UNIT_A");
+      await waitFor(() => points.includes("UNIT_A"));
+
+      await api.operatorAuth.updateOperator("watcher", { devices: ["UNIT_B"] });
+      await ingest("UNIT_A");
+      await ingest("UNIT_B");
+      await waitFor(() => points.includes("UNIT_B"));
+      assert.deepEqual(points, ["UNIT_A", "UNIT_B"]);
+    } finally {
+      socket.close();
+    }
+  });
+
+  for (const [what, end] of [
+    ["logs out", (token) => api.post("/auth/logout", {}, { headers: { Authorization: `Bearer ${token}` } })],
+    ["is deleted", () => api.operatorAuth.deleteOperator("leaver")],
+  ]) {
+    test(`disconnects the sockets of an operator who ${what}`, async () => {
+      await api.operatorAuth.createOperator({ username: "leaver", password: "battery-staple-4", role: "viewer", devices: ["*"] });
+      const token = await login("leaver", "battery-staple-4");
+      const { socket, points } = await connect(token);
+      try {
+        await end(token);
+        const disconnected = new Promise((resolve) => socket.once("disconnect", resolve));
+        await ingest("UNIT_A");
+        assert.equal(await disconnected, "io server disconnect");
+        assert.deepEqual(points, []);
+      } finally {
+        socket.close();
+        await api.operatorAuth.deleteOperator("leaver");
+      }
+    });
+  }
+});
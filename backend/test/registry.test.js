@@ -0,0 +1,99 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const ADMIN = { headers: { Authorization: "Bearer admin-token-1" } };
+
+describe("device registry with DEVICE_REGISTRY=required", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp({ DEVICE_REGISTRY: "required" });
+    await api.registry.create({ device_id: "KNOWN_1" });
+  });
+  after(() => api.stop());
+
+  test("does not treat Object.prototype member names as registered", async () => {
+    for (const deviceId of ["constructor", "toString", "__proto__", "hasOwnProperty"]) {
+      assert.equal(api.registry.isAllowed(deviceId), false, deviceId);
+      assert.equal(api.registry.get(deviceId), null, deviceId);
+    }
+    const res = await api.post("/ingest", { device_id: "constructor", lat: 1, lon: 2 });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "Unknown device");
+    assert.equal((await api.post("/ingest", { device_id: "KNOWN_1", lat: 1, lon: 2 })).status, 200);
+  });
+});
+
+describe("registry API access", () => {
+  test("disables registering and removing without ADMIN_TOKEN or operator auth", async () => {
+    const api = await startTestApp();
+    try {
+      assert.equal((await api.post("/registry", { device_id: "UNIT_1" })).status, 503);
+      assert.equal((await api.request("DELETE", "/registry/UNIT_1")).status, 503);
+      assert.equal(api.registry.get("UNIT_1"), null);
+      assert.equal((await api.get("/registry")).status, 200);
+    } finally {
+      await api.stop();
+    }
+  });
+
+  describe("with ADMIN_TOKEN", () => {
+    let api;
+    before(async () => {
+      api = await startTestApp({ ADMIN_TOKEN: "admin-token-1" });
+    });
+    after(() => api.stop());
+
+    test("rejects an unauthenticated register or remove", async () => {
+      assert.equal((await api.post("/registry", { device_id: "UNIT_1" })).status, 401);
+      assert.equal((await api.post("/registry", { device_id: "UNIT_1" }, { headers: { Authorization: "Bearer nope" } })).status, 401);
+      assert.equal(api.registry.get("UNIT_1"), null);
+    });
+
+    test("lets the admin token register and remove a device", async () => {
+      const created = await api.post("/registry", { device_id: "UNIT_2", name: "Two" }, ADMIN);
+      assert.equal(created.status, 201);
+      assert.equal((await api.request("DELETE", "/registry/UNIT_2")).status, 401);
+      assert.equal((await api.request("DELETE", "/registry/UNIT_2", ADMIN)).status, 200);
+      assert.equal(api.registry.get("UNIT_2"), null);
+    });
+  });
+});
+
+describe("registry group changes with operator auth", () => {
+  let api;
+  let operator;
+  let admin;
+  const login = async (username, password) => {
+    const { token } = (await api.post("/auth/login", { username, password })).body;
+    return { headers: { Authorization: `Bearer ${token}` } };
+  };
+
+  before(async () => {
+    api = await startTestApp({ OPERATOR_AUTH: "required", ADMIN_USERNAME: "root", ADMIN_PASSWORD: "correct-horse-1" });
+    await api.operatorAuth.createOperator({ username: "dispatch", password: "battery-staple-3", role: "operator", devices: ["UNIT_A"] });
+    await api.registry.create({ device_id: "UNIT_A", group: "south" });
+    operator = await login("dispatch", "battery-staple-3");
+    admin = await login("root", "correct-horse-1");
+  });
+  after(() => api.stop());
+
+  test("lets an operator edit other fields but not the group", async () => {
+    const renamed = await api.request("PATCH", "/registry/UNIT_A", { ...operator, body: { name: "Alpha", group: "south" } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.name, "Alpha");
+
+    for (const group of ["north", null]) {
+      const res = await api.request("PATCH", "/registry/UNIT_A", { ...operator, body: { group } });
+      assert.equal(res.status, 403, String(group));
+    }
+    assert.equal((await api.request("PUT", "/registry/UNIT_A", { ...operator, body: { group: "north" } })).status, 403);
+    assert.deepEqual(api.registry.groupsFor("UNIT_A"), ["south"]);
+  });
+
+  test("lets an admin move a device to another group", async () => {
+    const res = await api.request("PATCH", "/registry/UNIT_A", { ...admin, body: { group: "north" } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(api.registry.groupsFor("UNIT_A"), ["north"]);
+  });
+});
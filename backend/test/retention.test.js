@@ -0,0 +1,40 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo } = require("./helpers");
+
+const ADMIN = { headers: { Authorization: "Bearer admin-token-1" } };
+
+describe("retention API access", () => {
+  test("is disabled without ADMIN_TOKEN or operator auth", async () => {
+    const api = await startTestApp();
+    try {
+      await api.post("/ingest", { device_id: "UNIT_1", lat: 1, lon: 2, timestamp: secondsAgo(60) });
+      assert.equal((await api.post("/retention/compact", {})).status, 503);
+      assert.equal((await api.request("PUT", "/retention/global", { body: { max_age_days: 1 } })).status, 503);
+      assert.equal((await api.get("/device/UNIT_1/history")).body.total, 1);
+    } finally {
+      await api.stop();
+    }
+  });
+
+  describe("with ADMIN_TOKEN", () => {
+    let api;
+    before(async () => {
+      api = await startTestApp({ ADMIN_TOKEN: "admin-token-1" });
+    });
+    after(() => api.stop());
+
+    test("rejects an unauthenticated compaction or policy change", async () => {
+      assert.equal((await api.post("/retention/compact", {})).status, 401);
+      assert.equal((await api.post("/retention/compact", {}, { headers: { Authorization: "Bearer nope" } })).status, 401);
+      assert.equal((await api.request("PUT", "/retention/global", { body: { max_age_days: 1 } })).status, 401);
+      assert.equal((await api.get("/retention/runs")).status, 401);
+    });
+
+    test("lets the admin token run a dry-run compaction", async () => {
+      const res = await api.post("/retention/compact", { dry_run: true }, ADMIN);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dry_run, true);
+    });
+  });
+});
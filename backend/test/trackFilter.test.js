@@ -0,0 +1,93 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, secondsAgo } = require("./helpers");
+
+// 2008-01-10: before the filter's minimum year
+const TOO_OLD = 1200000000;
+
+describe("track filter at ingest", () => {
+  let api;
+  const t0 = secondsAgo(3600);
+  const fix = (extra) => ({ device_id: "PATROL_1", lat: 10, lon: 20, ...extra });
+
+  before(async () => {
+    api = await startTestApp();
+    await api.post("/ingest", fix({ timestamp: t0 }));
+  });
+  after(() => api.stop());
+
+  test("stores implausible fixes marked with the reject reason", async () => {
+    const cases = [
+      [fix({ timestamp: TOO_OLD }), "invalid_timestamp"],
+      [fix({ timestamp: secondsAgo(-3 * 86400) }), "future_timestamp"],
+      // ~111 km in 10 s
+      [fix({ lat: 11, timestamp: t0 + 10 }), "speed_outlier"],
+    ];
+    for (const [point, reason] of cases) {
+      const res = await api.post("/ingest", point);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { status: "ok", rejected: reason });
+    }
+  });
+
+  test("out-of-range coordinates fail validation before the filter", async () => {
+    const res = await api.post("/ingest", fix({ lat: 95, timestamp: t0 + 15 }));
+    assert.equal(res.status, 400);
+  });
+
+  test("a rejected fix never becomes the latest position", async () => {
+    const latest = await api.get("/device/PATROL_1/latest");
+    assert.equal(latest.body.timestamp, t0 * 1000);
+    assert.equal(latest.body.lat, 10);
+  });
+
+  test("batch results report the reason per item", async () => {
+    const res = await api.post("/ingest/batch", [fix({ timestamp: t0 + 20 }), fix({ lat: 12, timestamp: t0 + 30 })]);
+    assert.equal(res.body.stored, 1);
+    assert.equal(res.body.rejected, 1);
+    assert.deepEqual(res.body.results[1], { index: 1, status: "rejected", reason: "speed_outlier", late: false });
+  });
+
+  test("history hides rejected fixes unless include_rejected=true", async () => {
+    const clean = await api.get("/device/PATROL_1/history");
+    assert.deepEqual(clean.body.coordinates.map((p) => p.timestamp), [t0, t0 + 20].map((s) => s * 1000));
+    assert.equal(clean.body.rejected, 4);
+
+    const all = await api.get("/device/PATROL_1/history?include_rejected=true&filter=raw");
+    const reasons = all.body.coordinates.filter((p) => p.rejected).map((p) => p.rejected).sort();
+    assert.deepEqual(reasons, ["future_timestamp", "invalid_timestamp", "speed_outlier", "speed_outlier"]);
+  });
+
+  test("rejects unknown filter and smoothing modes", async () => {
+    assert.equal((await api.get("/device/PATROL_1/history?filter=smart")).status, 400);
+    assert.equal((await api.get("/device/PATROL_1/history?smooth=spline")).status, 400);
+  });
+});
+
+describe("track filter options", () => {
+  test("TRACK_OUT_OF_ORDER=reject rejects fixes older than the last accepted one", async () => {
+    const api = await startTestApp({ TRACK_OUT_OF_ORDER: "reject" });
+    try {
+      const t0 = secondsAgo(3600);
+      await api.post("/ingest", { device_id: "PATROL_1", lat: 10, lon: 20, timestamp: t0 });
+      const res = await api.post("/ingest", { device_id: "PATROL_1", lat: 10, lon: 20, timestamp: t0 - 60 });
+      assert.deepEqual(res.body, { status: "ok", rejected: "out_of_order" });
+    } finally {
+      await api.stop();
+    }
+  });
+
+  test("TRACK_FILTER=off stores every fix as sent", async () => {
+    const api = await startTestApp({ TRACK_FILTER: "off" });
+    try {
+      const t0 = secondsAgo(3600);
+      await api.post("/ingest", { device_id: "PATROL_1", lat: 10, lon: 20, timestamp: t0 });
+      const jump = await api.post("/ingest", { device_id: "PATROL_1", lat: 11, lon: 20, timestamp: t0 + 10 });
+      assert.deepEqual(jump.body, { status: "ok" });
+      assert.equal((await api.get("/device/PATROL_1/latest")).body.lat, 11);
+      assert.equal((await api.get("/device/PATROL_1/history")).body.total, 2);
+    } finally {
+      await api.stop();
+    }
+  });
+});
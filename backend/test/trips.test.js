@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+// 10:00 UTC yesterday, so the whole track falls on one UTC day
+const DAY = 86400;
+const t0 = Math.floor(Date.now() / 1000 / DAY) * DAY - DAY + 10 * 3600;
+const utcDate = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+
+// 5 min parked at A, ~1 km north at 12 km/h in 5 min, 6 min parked at B
+function parkDriveParkTrack() {
+  const points = [];
+  for (let i = 0; i <= 5; i++) points.push({ lat: 10, lon: 20, speed: 0, timestamp: t0 + i * 60 });
+  for (let i = 1; i <= 10; i++) {
+    points.push({ lat: 10 + 0.0009 * i, lon: 20, speed: i < 10 ? 3.33 : 0, timestamp: t0 + 300 + i * 30 });
+  }
+  for (let i = 1; i <= 6; i++) points.push({ lat: 10.009, lon: 20, speed: 0, timestamp: t0 + 600 + i * 60 });
+  return points.map((p) => ({ device_id: "PATROL_1", ...p }));
+}
+
+describe("trips and stats", () => {
+  let api;
+  before(async () => {
+    api = await startTestApp();
+    const res = await api.post("/ingest/batch", parkDriveParkTrack());
+    assert.equal(res.body.stored, 22);
+  });
+  after(() => api.stop());
+
+  test("splits the track into two stops and the trip between them", async () => {
+    const res = await api.get("/device/PATROL_1/trips");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.device_id, "PATROL_1");
+
+    assert.deepEqual(
+      res.body.stops.map(({ id, lat, lon, arrived_at, departed_at, duration_sec }) => ({ id, lat, lon, arrived_at, departed_at, duration_sec })),
+      [
+        { id: `stop-${t0}`, lat: 10, lon: 20, arrived_at: t0, departed_at: t0 + 300, duration_sec: 300 },
+        { id: `stop-${t0 + 600}`, lat: 10.009, lon: 20, arrived_at: t0 + 600, departed_at: t0 + 960, duration_sec: 360 },
+      ]
+    );
+
+    assert.equal(res.body.trips.length, 1);
+    const [trip] = res.body.trips;
+    assert.equal(trip.id, `trip-${t0 + 300}`);
+    assert.equal(trip.start_time, t0 + 300);
+    assert.equal(trip.end_time, t0 + 600);
+    assert.equal(trip.duration_sec, 300);
+    assert.equal(trip.distance_m, 1001);
+    assert.equal(trip.avg_speed_kmh, 12);
+    assert.deepEqual(trip.start, { lat: 10, lon: 20 });
+    assert.deepEqual(trip.end, { lat: 10.009, lon: 20 });
+    assert.equal(trip.from_stop, `stop-${t0}`);
+    assert.equal(trip.to_stop, `stop-${t0 + 600}`);
+  });
+
+  test("from / to limit the points trips are built from", async () => {
+    const res = await api.get(`/device/PATROL_1/trips?from=${t0 + 600}&to=${t0 + 960}`);
+    assert.equal(res.body.from, t0 + 600);
+    assert.equal(res.body.trips.length, 0);
+    assert.deepEqual(res.body.stops.map((s) => s.id), [`stop-${t0 + 600}`]);
+  });
+
+  test("a device without history has no trips", async () => {
+    const res = await api.get("/device/NOBODY/trips");
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.trips, res.body.stops], [[], []]);
+  });
+
+  test("stats add up distance, moving and idle time", async () => {
+    const res = await api.get("/device/PATROL_1/stats");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.time_zone, "UTC");
+    assert.equal(res.body.points, 22);
+    assert.equal(res.body.distance_m, 1001);
+    assert.equal(res.body.moving_sec, 270);
+    assert.equal(res.body.idle_sec, 690);
+    assert.equal(res.body.avg_speed_kmh, 12);
+    assert.equal(res.body.max_speed_kmh, 12);
+    assert.equal(res.body.first_time, t0);
+    assert.equal(res.body.last_time, t0 + 960);
+    assert.deepEqual(res.body.daily.map((d) => [d.date, d.points, d.distance_m]), [[utcDate(t0), 22, 1001]]);
+  });
+
+  test("daily rows follow the requested time zone", async () => {
+    // 10:00 UTC is already midnight of the next day at UTC+14
+    const res = await api.get("/device/PATROL_1/stats?tz=Pacific/Kiritimati");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.time_zone, "Pacific/Kiritimati");
+    assert.deepEqual(res.body.daily.map((d) => d.date), [utcDate(t0 + DAY)]);
+  });
+
+  test("rejects an unknown time zone", async () => {
+    const res = await api.get("/device/PATROL_1/stats?tz=Mars/Olympus_Mons");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Unknown time zone 'Mars/Olympus_Mons'");
+  });
+});
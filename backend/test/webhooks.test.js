@@ -0,0 +1,147 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { startTestApp, waitFor } = require("./helpers");
+
+const ADMIN = { headers: { Authorization: "Bearer admin-token-1" } };
+const SECRET = "receiver-secret-0123456789";
+
+// Local endpoint that records every POST and answers with the next queued status (default 200)
+async function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ at: Date.now(), headers: req.headers, body });
+      res.writeHead(statuses.length ? statuses.shift() : 200).end("thanks");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    statuses,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("webhook API access", () => {
+  test("is disabled without ADMIN_TOKEN or operator auth", async () => {
+    const api = await startTestApp();
+    try {
+      const res = await api.post("/webhooks", { url: "http://127.0.0.1:1/x", events: ["*"] });
+      assert.equal(res.status, 503);
+      assert.equal((await api.get("/webhooks")).status, 503);
+      assert.equal(api.webhooks.list().length, 0);
+    } finally {
+      await api.stop();
+    }
+  });
+
+  test("requires the admin token when one is set", async () => {
+    const api = await startTestApp({ ADMIN_TOKEN: "admin-token-1" });
+    try {
+      const body = { url: "http://127.0.0.1:1/x", events: ["*"] };
+      assert.equal((await api.post("/webhooks", body)).status, 401);
+      assert.equal((await api.post("/webhooks", body, { headers: { Authorization: "Bearer nope" } })).status, 401);
+      assert.equal((await api.post("/webhooks", body, ADMIN)).status, 201);
+    } finally {
+      await api.stop();
+    }
+  });
+});
+
+describe("webhook deliveries", () => {
+  let api;
+  let receiver;
+  let hook;
+  before(async () => {
+    receiver = await startReceiver();
+    api = await startTestApp({
+      ADMIN_TOKEN: "admin-token-1",
+      WEBHOOK_MAX_ATTEMPTS: "3",
+      WEBHOOK_RETRY_BASE_SEC: "0.1",
+      WEBHOOK_RETRY_MAX_SEC: "10",
+    });
+    hook = (await api.post("/webhooks", { url: receiver.url, events: ["sos.*"], secret: SECRET }, ADMIN)).body;
+  });
+  after(async () => {
+    await api.stop();
+    await receiver.close();
+  });
+  beforeEach(() => {
+    receiver.received.length = 0;
+    receiver.statuses.length = 0;
+  });
+
+  const delivery = async (id) => (await api.get(`/webhooks/deliveries/${id}`, ADMIN)).body;
+
+  test("signs each request with HMAC-SHA256 over timestamp and raw body", async () => {
+    const ping = (await api.post(`/webhooks/${hook.id}/ping`, undefined, ADMIN)).body;
+    const [request] = await waitFor(() => receiver.received.length && receiver.received);
+
+    assert.equal(request.headers["x-webhook-event"], "ping");
+    assert.equal(request.headers["x-webhook-delivery"], ping.id);
+    const timestamp = request.headers["x-webhook-timestamp"];
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    const expected = crypto.createHmac("sha256", SECRET).update(`${timestamp}.${request.body}`).digest("hex");
+    assert.equal(request.headers["x-webhook-signature"], `sha256=${expected}`);
+    assert.equal(JSON.parse(request.body).event, "ping");
+
+    const done = await waitFor(async () => ((await delivery(ping.id)).status === "delivered" ? delivery(ping.id) : null));
+    assert.equal(done.attempts.length, 1);
+    assert.equal(done.attempts[0].status_code, 200);
+  });
+
+  test("retries failures with a doubling backoff", async () => {
+    receiver.statuses.push(500, 503);
+    const ping = (await api.post(`/webhooks/${hook.id}/ping`, undefined, ADMIN)).body;
+    await waitFor(() => receiver.received.length === 3);
+
+    const [first, second, third] = receiver.received.map((r) => r.at);
+    assert.ok(second - first >= 90, `first retry after ${second - first}ms`);
+    assert.ok(third - second >= 190, `second retry after ${third - second}ms`);
+    // retries reuse the delivery id, so receivers can dedupe
+    assert.equal(new Set(receiver.received.map((r) => r.headers["x-webhook-delivery"])).size, 1);
+
+    const done = await waitFor(async () => ((await delivery(ping.id)).status === "delivered" ? delivery(ping.id) : null));
+    assert.deepEqual(done.attempts.map((a) => a.status_code), [500, 503, 200]);
+    assert.equal(done.attempts[0].error, "HTTP 500");
+  });
+
+  test("dead-letters a delivery after the last attempt and can replay it", async () => {
+    receiver.statuses.push(500, 500, 500);
+    const ping = (await api.post(`/webhooks/${hook.id}/ping`, undefined, ADMIN)).body;
+
+    const dead = await waitFor(async () => {
+      const list = (await api.get("/webhooks/dead-letters", ADMIN)).body.deliveries;
+      return list.find((d) => d.id === ping.id);
+    });
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.attempts.length, 3);
+    assert.equal(receiver.received.length, 3);
+
+    const replay = await api.post(`/webhooks/deliveries/${ping.id}/retry`, undefined, ADMIN);
+    assert.equal(replay.status, 202);
+    assert.equal(replay.body.replay_of, ping.id);
+    await waitFor(async () => (await delivery(replay.body.id)).status === "delivered");
+    assert.equal((await delivery(ping.id)).status, "replayed");
+    const deadNow = (await api.get("/webhooks/dead-letters", ADMIN)).body.deliveries;
+    assert.ok(!deadNow.some((d) => d.id === ping.id));
+  });
+
+  test("only subscribed events are sent", async () => {
+    api.bus.emit("alert", { action: "opened", alert: { device_id: "UNIT_1" } });
+    api.bus.emit("incident", { action: "opened", incident: { id: "i1", device_id: "UNIT_1" } });
+    const [request] = await waitFor(() => receiver.received.length && receiver.received);
+    assert.equal(request.headers["x-webhook-event"], "sos.opened");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(receiver.received.length, 1);
+  });
+});
@@ -0,0 +1,89 @@
+// public/sw.js – Service worker: keeps the dashboard usable without a connection
+//
+//   app shell (index.html, /assets/*)   – the page network first, hashed assets cache first
+//   map tiles (OSM, CARTO)              – cache first, the newest MAX_TILES kept
+//   Leaflet CSS / marker icons (unpkg)  – cache first
+//
+// API and Socket.IO traffic is never touched: the track data itself lives in the
+// IndexedDB cache (src/lib/trackCache.js), which knows what's in sync.
+// Bump VERSION to drop every cache on the next activation.
+
+const VERSION = 'v1';
+const SHELL_CACHE = `mmtt-shell-${VERSION}`;
+const TILE_CACHE = `mmtt-tiles-${VERSION}`;
+const STATIC_CACHE = `mmtt-static-${VERSION}`;
+const MAX_TILES = 500;
+
+const SHELL_URLS = ['/', '/index.html'];
+const TILE_HOSTS = /(^|\.)tile\.openstreetmap\.org$|(^|\.)basemaps\.cartocdn\.com$/;
+const STATIC_HOSTS = /^unpkg\.com$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, TILE_CACHE, STATIC_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith('mmtt-') && !current.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Only successful (or opaque cross-origin) responses are worth keeping
+const cacheable = (response) => response && (response.ok || response.type === 'opaque');
+
+async function cacheFirst(request, cacheName, onStored) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (cacheable(response)) {
+    await cache.put(request, response.clone());
+    if (onStored) onStored(cache);
+  }
+  return response;
+}
+
+// Navigations: fresh page when online, the cached shell otherwise
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put('/index.html', response.clone());
+    return response;
+  } catch (err) {
+    const hit = (await cache.match('/index.html')) || (await cache.match('/'));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+// Cache keys come back in insertion order: drop the oldest tiles over the cap
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((key) => cache.delete(key)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (TILE_HOSTS.test(url.hostname)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, (cache) => trimTiles(cache).catch(() => {})));
+  } else if (STATIC_HOSTS.test(url.hostname)) {
+    event.respondWith(cacheFirst(request, STATIC_CACHE));
+  }
+});
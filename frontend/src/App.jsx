@@ -1,163 +1,144 @@
 // src/App.jsx
 import { useState, useEffect, useRef, useMemo } from 'react';
-import {
-  MapContainer,
-  TileLayer,
-  Marker,
-  Popup,
-  Polyline,
-  ScaleControl,
-  useMap,
-} from 'react-leaflet';
+import { MapContainer, TileLayer, Popup, Polyline, ScaleControl } from 'react-leaflet';
 import { Icon } from 'leaflet';
-import { fetchLatestLocation, fetchHistory } from './api/trackingapp.js';
+import {
+  fetchLatestLocation,
+  fetchHistory,
+  fetchDevices,
+  fetchRegistry,
+  downloadTrackExport,
+  fetchTrips,
+  subscribeToDevice,
+  subscribeToFleet,
+  fetchSession,
+  logout,
+  onUnauthorized,
+  fetchGeofences,
+  fetchGeofenceEvents,
+  saveGeofence,
+  deleteGeofence,
+  fetchIncidents,
+  fetchIncident,
+  acknowledgeIncident,
+  assignIncident,
+  resolveIncident,
+  subscribeToIncidents,
+  fetchAlerts,
+  fetchDeviceStatuses,
+  closeAlert,
+  subscribeToMonitor,
+} from './api/trackingapp.js';
+import SmoothMarker from './components/SmoothMarker.jsx';
+import RecenterOnTarget from './components/RecenterOnTarget.jsx';
+import FleetLayer from './components/FleetLayer.jsx';
+import FleetPanel from './components/FleetPanel.jsx';
+import LoginScreen from './components/LoginScreen.jsx';
+import GeofenceLayer from './components/GeofenceLayer.jsx';
+import GeofencePanel, { fenceToDraft, draftToFence, newDraft } from './components/GeofencePanel.jsx';
+import IncidentPanel from './components/IncidentPanel.jsx';
+import IncidentLayer from './components/IncidentLayer.jsx';
+import TripPanel from './components/TripPanel.jsx';
+import TripLayer from './components/TripLayer.jsx';
+import PlaybackPanel from './components/PlaybackPanel.jsx';
+import AlertPanel from './components/AlertPanel.jsx';
+import DevicePicker from './components/DevicePicker.jsx';
+import { positionAt } from './lib/interpolate.js';
+import { startAlarm, stopAlarm } from './lib/alarm.js';
+import {
+  formatHHMMSS,
+  formatAgo,
+  formatDuration,
+  formatDistance,
+  formatDeviceName,
+  formatTelemetry,
+  TELEMETRY_FIELDS,
+} from './lib/format.js';
+import {
+  mergePoints,
+  readPoints,
+  readMeta,
+  saveLatest,
+  markSynced,
+  syncStart,
+  clearDevice,
+  clearCache,
+  claimCache,
+} from './lib/trackCache.js';
+import { useOnlineStatus } from './lib/network.js';
+import { cleanAndSortHistory } from './lib/history.js';
+import { trackStats } from '../../shared/trackStats.js';
 import './App.css';
 import 'leaflet/dist/leaflet.css';
 
 // Base URL fallback (used for server time HEAD request if needed)
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'https://mmtt-web.onrender.com';
 
-// ---------------------- Helpers ----------------------
-
-// Convert epoch seconds -> "HH:MM:SS"
-const formatHHMMSS = (epochSeconds) => {
-  if (!epochSeconds && epochSeconds !== 0) return '--:--:--';
-  const d = new Date(epochSeconds * 1000);
-  const hh = String(d.getHours()).padStart(2, '0');
-  const mm = String(d.getMinutes()).padStart(2, '0');
-  const ss = String(d.getSeconds()).padStart(2, '0');
-  return `${hh}:${mm}:${ss}`;
+// Track export formats offered by /device/:id/export
+const EXPORT_FORMATS = [
+  { key: 'gpx', label: 'GPX' },
+  { key: 'kml', label: 'KML' },
+  { key: 'geojson', label: 'GeoJSON' },
+  { key: 'csv', label: 'CSV' },
+];
+
+// Header chip style per device status (from the backend monitor)
+const STATUS_CHIPS = { online: 'chip success', stale: 'chip warning', offline: 'chip danger' };
+
+// Playback advances (and the marker glides) in steps of this many ms
+const PLAYBACK_TICK_MS = 100;
+
+// ---------------------- Time range helpers ----------------------
+
+// Presets for the history time-range picker (seconds back from now)
+const TIME_RANGES = [
+  { key: '15m', label: '15 min', seconds: 15 * 60 },
+  { key: '1h', label: '1 h', seconds: 3600 },
+  { key: '24h', label: '24 h', seconds: 24 * 3600 },
+  { key: 'all', label: 'All', seconds: null },
+  { key: 'custom', label: 'Custom', seconds: null },
+];
+
+// datetime-local input value ("YYYY-MM-DDTHH:MM") -> epoch seconds
+const localInputToEpoch = (value) => {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
 };
 
-// Optional human readable with timezone (kept for other places if needed)
-const formatServerTimeLong = (epochSeconds) => {
-  if (!epochSeconds && epochSeconds !== 0) return null;
-  const dt = new Date(epochSeconds * 1000);
-  return new Intl.DateTimeFormat('en-IN', {
-    dateStyle: 'medium',
-    timeStyle: 'short',
-    timeZone: 'Asia/Kolkata',
-  }).format(dt);
-};
-
-// ---------------------- localStorage + cleaning helpers ----------
-
-// localStorage key per device
-const localHistoryKey = (deviceId) => `track_history_${deviceId}`;
-
-// Save normalized history to localStorage (array of {lat, lon, ts})
-function saveLocalHistory(deviceId, arr) {
-  try {
-    if (!deviceId) return;
-    localStorage.setItem(localHistoryKey(deviceId), JSON.stringify(arr));
-    console.log('[LS] saved history', deviceId, arr.length);
-  } catch (e) {
-    console.warn('[LS] save error', e);
-  }
-}
-
-// Load history from localStorage (returns array or [])
-function loadLocalHistory(deviceId) {
-  try {
-    if (!deviceId) return [];
-    const raw = localStorage.getItem(localHistoryKey(deviceId));
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed;
-  } catch (e) {
-    console.warn('[LS] load error', e);
-    return [];
+// Resolve the picker state into { from, to } epoch seconds (null = open ended)
+function resolveTimeWindow(rangeKey, customFrom, customTo) {
+  if (rangeKey === 'custom') {
+    return { from: localInputToEpoch(customFrom), to: localInputToEpoch(customTo) };
   }
+  const preset = TIME_RANGES.find((r) => r.key === rangeKey);
+  if (!preset || preset.seconds == null) return { from: null, to: null };
+  return { from: Math.floor(Date.now() / 1000) - preset.seconds, to: null };
 }
 
-/**
- * cleanAndSortHistory(history)
- * - Removes points with no/invalid ts
- * - Filters NaN lat/lon
- * - Removes huge jumps (spikes) using a distance threshold (default 200 km)
- * - Sorts by ts ascending
- */
-function cleanAndSortHistory(history, opts = {}) {
-  if (!Array.isArray(history)) return [];
-  const {
-    minYear = 2009, // timestamps before this year are suspicious
-    jumpKmThreshold = 200, // remove isolated jumps bigger than this (200 km)
-    maxFutureSec = 24 * 3600, // allow timestamps up to 24h in future
-  } = opts;
-
-  const nowSec = Math.floor(Date.now() / 1000);
-
-  // filter valid coordinates and parse ts as number
-  const normalized = history
-    .map((p) => ({
-      lat: Number(p.lat),
-      lon: Number(p.lon),
-      ts: p.ts == null ? null : Number(p.ts),
-    }))
-    .filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
-
-  // remove invalid timestamps
-  const withValidTs = normalized.filter((p) => {
-    if (p.ts == null) return false;
-    // sensible range
-    if (p.ts < minYear * 365 * 24 * 3600) return false;
-    if (p.ts > nowSec + maxFutureSec) return false;
+// Keep only points inside a resolved window
+function filterToWindow(points, { from, to }) {
+  return points.filter((p) => {
+    if (p.ts == null) return from == null && to == null;
+    if (from != null && p.ts < from) return false;
+    if (to != null && p.ts > to) return false;
     return true;
   });
-
-  // sort by ts ascending
-  withValidTs.sort((a, b) => a.ts - b.ts);
-
-  // remove huge isolated jumps: keep a running cleaned array
-  const cleaned = [];
-  const earthKm = (lat1, lon1, lat2, lon2) => {
-    // haversine
-    const toRad = (v) => (v * Math.PI) / 180;
-    const R = 6371; // km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) ** 2 +
-      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-  };
-
-  for (let i = 0; i < withValidTs.length; i += 1) {
-    const p = withValidTs[i];
-    if (cleaned.length === 0) {
-      cleaned.push(p);
-    } else {
-      const prev = cleaned[cleaned.length - 1];
-      const km = earthKm(prev.lat, prev.lon, p.lat, p.lon);
-      const dt = p.ts - prev.ts; // seconds
-      // if jump is huge but dt is very small, it's suspicious
-      if (km > jumpKmThreshold && dt < 60) {
-        console.warn('[CLEAN] Dropping spike point', { prev, p, km, dt });
-        // skip p
-        continue;
-      }
-      cleaned.push(p);
-    }
-  }
-
-  console.log('[CLEAN] before:', history.length, 'after:', cleaned.length);
-  return cleaned;
 }
 
-// Optional helper to append a point client-side and persist
-function appendPointToLocal(deviceId, point) {
-  try {
-    const existing = loadLocalHistory(deviceId);
-    existing.push(point);
-    const cleaned = cleanAndSortHistory(existing);
-    saveLocalHistory(deviceId, cleaned);
-    return cleaned;
-  } catch (e) {
-    console.warn('[LS] append error', e);
-    return [];
-  }
+// Normalize a latest-location payload (REST or live) into the shape the UI renders
+function normalizeLatest(latest, deviceId) {
+  return {
+    device_id: latest.device_id ?? deviceId,
+    lat: Number(latest.lat),
+    lon: Number(latest.lon),
+    speed: latest.speed == null ? null : Number(latest.speed),
+    battery: latest.battery == null ? null : Number(latest.battery),
+    sos: !!latest.sos,
+    timestamp: latest.timestamp ?? Math.floor(Date.now() / 1000),
+    // optional GNSS / radio fields (payload schema v2), null when the unit doesn't send them
+    ...Object.fromEntries(TELEMETRY_FIELDS.map((key) => [key, latest[key] ?? null])),
+  };
 }
 
 // ---------------------- Leaflet icon fix ----------------------
@@ -171,92 +152,9 @@ Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
-// ---------------------- Helper Components ----------------------
-
-// Small helper component to recenter map when target moves — now pans smoothly
-function RecenterOnTarget({ lat, lon }) {
-  const map = useMap();
-
-  useEffect(() => {
-    if (lat || lat === 0) {
-      try {
-        map.panTo([lat, lon], { animate: true, duration: 0.7 });
-      } catch {
-        map.setView([lat, lon]);
-      }
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [lat, lon]);
-
-  return null;
-}
-
-/**
- * SmoothMarker
- * - Interpolates marker position using requestAnimationFrame when coordinates update.
- * - This creates smooth micro-movements for tiny GPS changes.
- */
-function SmoothMarker({ position, children }) {
-  const markerRef = useRef({ lat: position[0], lon: position[1] });
-  const animRef = useRef(null);
-  const leafletRef = useRef(null);
-
-  useEffect(() => {
-    const from = { ...markerRef.current };
-    const to = { lat: position[0], lon: position[1] };
-
-    // If no movement, do nothing
-    if (from.lat === to.lat && from.lon === to.lon) return;
-
-    const duration = 700; // milliseconds for the interpolation
-    const start = performance.now();
-
-    cancelAnimationFrame(animRef.current);
-
-    function step(now) {
-      const t = Math.min(1, (now - start) / duration);
-      // ease in-out cubic
-      const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-      const lat = from.lat + (to.lat - from.lat) * ease;
-      const lon = from.lon + (to.lon - from.lon) * ease;
-
-      markerRef.current = { lat, lon };
-
-      // update leaflet marker position directly to avoid re-render
-      if (leafletRef.current && leafletRef.current.setLatLng) {
-        leafletRef.current.setLatLng([lat, lon]);
-      }
-
-      if (t < 1) {
-        animRef.current = requestAnimationFrame(step);
-      }
-    }
-
-    animRef.current = requestAnimationFrame(step);
-
-    return () => cancelAnimationFrame(animRef.current);
-  }, [position]);
-
-  // initial render - position taken from markerRef so small changes animate
-  return (
-    <Marker
-      position={[markerRef.current.lat, markerRef.current.lon]}
-      ref={(m) => {
-        if (m && m.setLatLng) {
-          leafletRef.current = m;
-        } else if (m && m._leaflet_id) {
-          leafletRef.current = m;
-        }
-      }}
-    >
-      {children}
-    </Marker>
-  );
-}
+// ---------------------- Dashboard ----------------------
 
-// ---------------------- Main App ----------------------
-
-function App() {
+function Dashboard({ user, onLogout }) {
   const [deviceId, setDeviceId] = useState('esp01');
   const [latestLocation, setLatestLocation] = useState(null);
   const [history, setHistory] = useState([]);
@@ -267,76 +165,121 @@ function App() {
   const [followTarget, setFollowTarget] = useState(true);
   const [showPath, setShowPath] = useState(true);
   const [mapStyle, setMapStyle] = useState('standard');
+  const [timeRange, setTimeRange] = useState('24h');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [exportFormat, setExportFormat] = useState('gpx');
+  const [exporting, setExporting] = useState(false);
+  const [trips, setTrips] = useState({ trips: [], stops: [] });
+  const [selectedTripId, setSelectedTripId] = useState(null);
+  const [playback, setPlayback] = useState(null); // null | { time, playing, rate }
+
+  // Socket.IO connection state: 'connecting' | 'live' | 'offline'
+  const [liveStatus, setLiveStatus] = useState('connecting');
+
+  // Offline / stale data: the browser's connectivity, and when the displayed
+  // picture comes from the track cache, when it was last synced (ms, 0 = unknown)
+  const online = useOnlineStatus();
+  const [cachedSince, setCachedSince] = useState(null);
+
+  // Fleet mode: every unit on the map at once
+  const [viewMode, setViewMode] = useState('single'); // 'single' | 'fleet'
+  const [fleet, setFleet] = useState([]);
+  const [fleetTrails, setFleetTrails] = useState({});
+  const [hiddenDevices, setHiddenDevices] = useState([]);
+  const [followDeviceId, setFollowDeviceId] = useState(null);
+  const [focusTarget, setFocusTarget] = useState(null); // { lat, lon, nonce }
+
+  // Geofences
+  const [fences, setFences] = useState([]);
+  const [geofenceEvents, setGeofenceEvents] = useState([]);
+  const [fenceDraft, setFenceDraft] = useState(null);
+  const [fenceSaving, setFenceSaving] = useState(false);
+  const [fenceError, setFenceError] = useState(null);
+
+  // SOS incidents (dashboard-wide, independent of the selected device)
+  const [incidents, setIncidents] = useState([]);
+  const [incidentTrails, setIncidentTrails] = useState({});
+  const [alarmMuted, setAlarmMuted] = useState(false);
+  const [sosCardError, setSosCardError] = useState(null);
+
+  // Battery / silence alerts and online / stale / offline per device
+  const [alerts, setAlerts] = useState([]);
+  const [deviceStatuses, setDeviceStatuses] = useState({});
+
+  // Device registry (names, callsigns, groups) for the picker and labels
+  const [registry, setRegistry] = useState([]);
+  const registryById = useMemo(() => Object.fromEntries(registry.map((d) => [d.device_id, d])), [registry]);
+  const nameOf = (id) => formatDeviceName(registryById[id] || { device_id: id });
+
+  // Operators and admins may edit fences and act on incidents (everyone when auth is off)
+  const canOperate = !user || user.role === 'operator' || user.role === 'admin';
 
   const [toastMessage, setToastMessage] = useState(null);
   const toastTimerRef = useRef(null);
 
   const mountedRef = useRef(true);
-
-  // Fetch data function — clears previous data immediately to avoid stale visuals
+  const deviceIdRef = useRef(deviceId);
+  deviceIdRef.current = deviceId;
+  const timeRangeRef = useRef({ timeRange, customFrom, customTo });
+  timeRangeRef.current = { timeRange, customFrom, customTo };
+
+  // Fetch data function — cache first: the last known picture from IndexedDB is
+  // shown straight away, then only the part of the window the cache doesn't
+  // already match is fetched and merged in by timestamp. When the server can't
+  // be reached the cached picture stays up and is flagged as stale.
+  // (switching devices clears state in selectDevice instead)
   const loadData = async () => {
     if (!deviceId.trim()) {
       setError('Please enter a device ID');
       return;
     }
 
-    // Clear previous data right away so UI removes old points while fetching
-    setLatestLocation(null);
-    setHistory([]);
     setError(null);
     setLoading(true);
 
+    const timeWindow = resolveTimeWindow(timeRange, customFrom, customTo);
+
+    const [cachedPoints, meta] = await Promise.all([
+      readPoints(deviceId, timeWindow).catch(() => []),
+      readMeta(deviceId).catch(() => null),
+    ]);
+    const cached = cleanAndSortHistory(cachedPoints);
+    if (cached.length > 0) setHistory(cached);
+    if (meta?.latest) setLatestLocation((prev) => prev ?? meta.latest);
+
+    const syncFrom = syncStart(meta, timeWindow);
+
     try {
-      const [latest, historyData] = await Promise.all([
+      const [latest, historyData, tripData] = await Promise.all([
         fetchLatestLocation(deviceId),
-        fetchHistory(deviceId),
+        fetchHistory(deviceId, { ...timeWindow, from: syncFrom }),
+        // trips are extra detail; the map still works without them
+        fetchTrips(deviceId, timeWindow).catch((err) => {
+          console.warn('[TRIPS] fetch failed', err);
+          return { trips: [], stops: [] };
+        }),
       ]);
 
-      // Normalize latest
-      if (latest) {
-        const normalizedLatest = {
-          device_id: latest.device_id ?? deviceId,
-          lat: Number(latest.lat),
-          lon: Number(latest.lon),
-          speed: latest.speed == null ? null : Number(latest.speed),
-          battery: latest.battery == null ? null : Number(latest.battery),
-          sos: !!latest.sos,
-          timestamp: latest.timestamp ?? Math.floor(Date.now() / 1000),
-        };
-        setLatestLocation(normalizedLatest);
-      } else {
-        setLatestLocation(null);
-      }
-
-      // Normalize history: array of {lat, lon, ts}
-      let normalizedHistory = [];
-      if (Array.isArray(historyData) && historyData.length > 0) {
-        normalizedHistory = historyData.map((p) => ({
-          lat: p.lat != null ? Number(p.lat) : NaN,
-          lon: p.lon != null ? Number(p.lon) : NaN,
-          ts: p.ts ?? p.timestamp ?? null,
-        }));
-      } else {
-        // API returned empty -> try localStorage fallback
-        const fromLS = loadLocalHistory(deviceId);
-        if (fromLS && fromLS.length > 0) {
-          console.log('[LOAD] Using localStorage fallback', fromLS.length);
-          normalizedHistory = fromLS;
-        } else {
-          normalizedHistory = [];
-        }
-      }
-
-      // Clean + sort the history (removes invalid ts and spikes)
-      const cleaned = cleanAndSortHistory(normalizedHistory);
+      setTrips(tripData);
+      if (!tripData.trips.some((t) => t.id === selectedTripId)) setSelectedTripId(null);
 
-      // Persist cleaned history to localStorage for future runs
-      if (cleaned.length > 0) saveLocalHistory(deviceId, cleaned);
+      // Clean the fetched points (removes invalid ts and spikes), merge them into
+      // the cache and read the whole window back
+      const fetched = cleanAndSortHistory(historyData);
+      await mergePoints(deviceId, fetched);
+      await markSynced(deviceId, syncFrom ?? 0, timeWindow.to ?? Math.floor(Date.now() / 1000));
+      const merged = cleanAndSortHistory(await readPoints(deviceId, timeWindow));
+      // without IndexedDB the cache reads back empty: show what was fetched
+      const cleaned = merged.length > 0 ? merged : fetched;
 
       // If server didn't provide latest but we do have cleaned history, use last point as latest
-      if (!latest && cleaned.length > 0) {
+      let latestNormalized = null;
+      if (latest) {
+        latestNormalized = normalizeLatest(latest, deviceId);
+      } else if (cleaned.length > 0) {
         const last = cleaned[cleaned.length - 1];
-        const lastNormalized = {
+        latestNormalized = {
           device_id: deviceId,
           lat: last.lat,
           lon: last.lon,
@@ -345,35 +288,331 @@ function App() {
           sos: false,
           timestamp: last.ts,
         };
-        setLatestLocation(lastNormalized);
       }
+      setLatestLocation(latestNormalized);
+      if (latestNormalized) saveLatest(deviceId, latestNormalized).catch((e) => console.warn('[CACHE] save error', e));
 
       // update state with cleaned history
       setHistory(cleaned);
+      setCachedSince(null);
     } catch (err) {
-      setError(`Failed to load data: ${err?.message ?? err}`);
       console.error(err);
+      if (cached.length > 0 || meta?.latest) {
+        // keep working on the last known picture
+        setCachedSince(meta?.synced_at ?? 0);
+        return;
+      }
+      setError(`Failed to load data: ${err?.message ?? err}`);
       // keep cleared state on error
       setLatestLocation(null);
       setHistory([]);
+      setTrips({ trips: [], stops: [] });
+    } finally {
+      if (mountedRef.current) setLoading(false);
+    }
+  };
+
+  // Fleet loader — latest fix for every device plus a trail for the selected window
+  const loadFleet = async () => {
+    setError(null);
+    setLoading(true);
+
+    const timeWindow = resolveTimeWindow(timeRange, customFrom, customTo);
+
+    try {
+      const devices = await fetchDevices();
+      const trails = await Promise.all(
+        devices.map((d) =>
+          fetchHistory(d.device_id, { ...timeWindow, maxPages: 5 }).catch((err) => {
+            console.warn('[FLEET] trail fetch failed', d.device_id, err);
+            return [];
+          })
+        )
+      );
+
+      setFleet(devices);
+      setFleetTrails(
+        devices.reduce((acc, d, i) => {
+          acc[d.device_id] = cleanAndSortHistory(trails[i]);
+          return acc;
+        }, {})
+      );
+    } catch (err) {
+      setError(`Failed to load fleet: ${err?.message ?? err}`);
+      console.error(err);
     } finally {
       if (mountedRef.current) setLoading(false);
     }
   };
 
+  const refresh = viewMode === 'fleet' ? loadFleet : loadData;
+
+  // Fleet live point — update that unit's entry and extend its trail
+  const applyFleetPoint = (point) => {
+    setFleet((prev) => {
+      const existing = prev.find((d) => d.device_id === point.device_id);
+      // a back-filled fix only lengthens the trail; the marker stays on the newest one
+      if (existing && point.late) return prev;
+      const entry = {
+        ...existing,
+        ...normalizeLatest(point, point.device_id),
+        last_seen: Math.floor(Date.now() / 1000),
+        points: (existing?.points ?? 0) + 1,
+      };
+      const next = existing
+        ? prev.map((d) => (d.device_id === point.device_id ? entry : d))
+        : [...prev, entry].sort((a, b) => a.device_id.localeCompare(b.device_id));
+      return next;
+    });
+
+    const { timeRange: range, customFrom: cf, customTo: ct } = timeRangeRef.current;
+    const timeWindow = resolveTimeWindow(range, cf, ct);
+    if (timeWindow.to != null && point.timestamp > timeWindow.to) return;
+
+    setFleetTrails((prev) => ({
+      ...prev,
+      [point.device_id]: filterToWindow(
+        cleanAndSortHistory([
+          ...(prev[point.device_id] || []),
+          { lat: point.lat, lon: point.lon, ts: point.timestamp, speed: point.speed, battery: point.battery },
+        ]),
+        timeWindow
+      ),
+    }));
+  };
+
+  const focusDevice = (device) => {
+    setFocusTarget({ lat: device.lat, lon: device.lon, nonce: Date.now() });
+  };
+
+  // ---------- Geofences ----------
+  const loadGeofences = async () => {
+    try {
+      const [list, events] = await Promise.all([fetchGeofences(), fetchGeofenceEvents({ limit: 25 })]);
+      if (!mountedRef.current) return;
+      setFences(list);
+      setGeofenceEvents(events);
+    } catch (err) {
+      console.warn('[GEOFENCE] load failed', err);
+    }
+  };
+
+  // Live breach: prepend it and refresh the "inside" counts
+  const applyGeofenceEvent = (event) => {
+    setGeofenceEvents((prev) => [event, ...prev.filter((e) => e.id !== event.id)].slice(0, 25));
+    fetchGeofences()
+      .then((list) => mountedRef.current && setFences(list))
+      .catch((err) => console.warn('[GEOFENCE] refresh failed', err));
+  };
+
+  const saveFenceDraft = async () => {
+    setFenceSaving(true);
+    setFenceError(null);
+    try {
+      await saveGeofence(draftToFence(fenceDraft));
+      setFenceDraft(null);
+      await loadGeofences();
+    } catch (err) {
+      setFenceError(err.message);
+    } finally {
+      setFenceSaving(false);
+    }
+  };
+
+  const removeFence = async (fence) => {
+    if (!window.confirm(`Delete geofence "${fence.name}"?`)) return;
+    setFenceError(null);
+    try {
+      await deleteGeofence(fence.id);
+      await loadGeofences();
+    } catch (err) {
+      setFenceError(err.message);
+    }
+  };
+
+  const focusFence = (fence) => {
+    const [lat, lon] =
+      fence.type === 'circle'
+        ? [fence.center.lat, fence.center.lon]
+        : [
+            fence.polygon.reduce((sum, p) => sum + p[0], 0) / fence.polygon.length,
+            fence.polygon.reduce((sum, p) => sum + p[1], 0) / fence.polygon.length,
+          ];
+    setFocusTarget({ lat, lon, nonce: Date.now() });
+  };
+
+  // ---------- Device registry ----------
+  const loadRegistry = async () => {
+    try {
+      const devices = await fetchRegistry();
+      if (mountedRef.current) setRegistry(devices);
+    } catch (err) {
+      console.warn('[REGISTRY] load failed', err);
+    }
+  };
+
+  const selectDevice = (id) => {
+    if (id === deviceId) return;
+    setDeviceId(id);
+    // clear previous points immediately when device changes
+    setLatestLocation(null);
+    setHistory([]);
+    setTrips({ trips: [], stops: [] });
+    setSelectedTripId(null);
+    setCachedSince(null);
+  };
+
+  // ---------- Device monitor ----------
+  const loadMonitor = async () => {
+    try {
+      const [openAlerts, statuses] = await Promise.all([fetchAlerts(), fetchDeviceStatuses()]);
+      if (!mountedRef.current) return;
+      setAlerts(openAlerts);
+      setDeviceStatuses(statuses);
+    } catch (err) {
+      console.warn('[MONITOR] load failed', err);
+    }
+  };
+
+  const applyAlertEvent = ({ action, alert }) => {
+    setAlerts((prev) => {
+      const rest = prev.filter((a) => a.id !== alert.id);
+      return action === 'closed' ? rest : [alert, ...rest];
+    });
+  };
+
+  const applyDeviceStatus = ({ device_id: id, status }) => {
+    setDeviceStatuses((prev) => ({ ...prev, [id]: status }));
+  };
+
+  const handleCloseAlert = async (alert) => {
+    await closeAlert(alert.id);
+    setAlerts((prev) => prev.filter((a) => a.id !== alert.id));
+  };
+
+  // ---------- SOS incidents ----------
+  const loadIncidents = async () => {
+    try {
+      const list = await fetchIncidents();
+      const full = await Promise.all(list.map((i) => fetchIncident(i.id).catch(() => null)));
+      if (!mountedRef.current) return;
+      setIncidents(list);
+      setIncidentTrails(
+        Object.fromEntries(full.filter(Boolean).map((i) => [i.id, i.trail.map((p) => ({ lat: p.lat, lon: p.lon }))]))
+      );
+    } catch (err) {
+      console.warn('[SOS] load failed', err);
+    }
+  };
+
+  // Live incident change: upsert / drop it and extend its trail
+  const applyIncidentEvent = ({ action, incident }) => {
+    if (action === 'resolved') {
+      setIncidents((prev) => prev.filter((i) => i.id !== incident.id));
+      setIncidentTrails((prev) => {
+        const { [incident.id]: _dropped, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+
+    setIncidents((prev) =>
+      [incident, ...prev.filter((i) => i.id !== incident.id)].sort((a, b) => b.opened_at - a.opened_at)
+    );
+    if (incident.last_position && (action === 'opened' || action === 'updated')) {
+      const { lat, lon } = incident.last_position;
+      setIncidentTrails((prev) => ({ ...prev, [incident.id]: [...(prev[incident.id] || []), { lat, lon }] }));
+    }
+  };
+
+  const handleIncidentAction = async (action, incident, value) => {
+    if (action === 'acknowledge') await acknowledgeIncident(incident.id);
+    else if (action === 'assign') await assignIncident(incident.id, value);
+    else if (action === 'resolve') await resolveIncident(incident.id, value);
+    await loadIncidents();
+  };
+
+  // Acknowledge from the SOS card; a failure (already acknowledged, no permission,
+  // offline) is shown on the card, as IncidentPanel does for its own actions
+  const acknowledgeFromCard = async (incident) => {
+    setSosCardError(null);
+    try {
+      await handleIncidentAction('acknowledge', incident);
+    } catch (err) {
+      setSosCardError(err.message);
+    }
+  };
+
+  const focusIncident = (incident) => {
+    if (!incident.last_position) return;
+    setFocusTarget({ lat: incident.last_position.lat, lon: incident.last_position.lon, nonce: Date.now() });
+  };
+
+  const toggleHiddenDevice = (id) => {
+    setHiddenDevices((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+    if (followDeviceId === id) setFollowDeviceId(null);
+  };
+
+  // Append a live point pushed over the socket without re-downloading history
+  const applyLivePoint = (point) => {
+    if (point.device_id !== deviceIdRef.current) return;
+
+    // Every pushed fix goes into the track cache, whatever window is displayed
+    const livePoint = { lat: point.lat, lon: point.lon, ts: point.timestamp, speed: point.speed, battery: point.battery };
+    mergePoints(point.device_id, cleanAndSortHistory([livePoint])).catch((e) => console.warn('[CACHE] save error', e));
+
+    if (!point.late) {
+      const latest = normalizeLatest(point, point.device_id);
+      setLatestLocation(latest);
+      saveLatest(point.device_id, latest).catch((e) => console.warn('[CACHE] save error', e));
+    }
+
+    // Only extend the trail if the point falls inside the selected window
+    const { timeRange: range, customFrom: cf, customTo: ct } = timeRangeRef.current;
+    const timeWindow = resolveTimeWindow(range, cf, ct);
+    if (timeWindow.to != null && point.timestamp > timeWindow.to) return;
+
+    setHistory((prev) => filterToWindow(cleanAndSortHistory([...prev, livePoint]), timeWindow));
+  };
+
+  // Download the displayed track (same device + time window) in the chosen format
+  const exportTrack = async () => {
+    const id = deviceId.trim();
+    if (!id) return;
+    setExporting(true);
+    try {
+      const { blob, filename } = await downloadTrackExport(id, {
+        format: exportFormat,
+        ...resolveTimeWindow(timeRange, customFrom, customTo),
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   // Clears frontend-only data (does NOT hit backend)
   const clearLocalData = () => {
     setLatestLocation(null);
     setHistory([]);
+    setTrips({ trips: [], stops: [] });
+    setSelectedTripId(null);
     setError(null);
 
-    // remove stored local history for this device
-    try {
-      localStorage.removeItem(localHistoryKey(deviceId));
-      console.log('[LS] removed history for', deviceId);
-    } catch (e) {
-      console.warn('[LS] remove error', e);
-    }
+    // remove the cached track for this device
+    setCachedSince(null);
+    clearDevice(deviceId)
+      .then(() => console.log('[CACHE] removed history for', deviceId))
+      .catch((e) => console.warn('[CACHE] remove error', e));
 
     // toast: transient cleared message
     if (toastTimerRef.current) {
@@ -390,28 +629,138 @@ function App() {
   useEffect(() => {
     mountedRef.current = true;
     loadData();
+    loadGeofences();
+    loadIncidents();
+    const unsubscribeIncidents = subscribeToIncidents(applyIncidentEvent);
+    loadMonitor();
+    loadRegistry();
+    const unsubscribeMonitor = subscribeToMonitor({ onAlert: applyAlertEvent, onDeviceStatus: applyDeviceStatus });
 
     return () => {
       mountedRef.current = false;
+      unsubscribeIncidents();
+      unsubscribeMonitor();
       if (toastTimerRef.current) clearTimeout(toastTimerRef.current);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Auto-refresh effect
+  // Reload when the device or time range changes (the initial load is handled above);
+  // with a live socket the poller is paused, so nothing else would load a newly picked unit
+  const rangeMountedRef = useRef(false);
   useEffect(() => {
-    if (!autoRefresh) return;
+    if (!rangeMountedRef.current) {
+      rangeMountedRef.current = true;
+      return;
+    }
+    if (timeRange === 'custom' && !customFrom && !customTo) return;
+    refresh();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId, timeRange, customFrom, customTo, viewMode]);
+
+  // Live subscription for the selected device (or the whole fleet)
+  useEffect(() => {
+    const onStatus = (status) => {
+      if (mountedRef.current) setLiveStatus(status);
+    };
+
+    if (viewMode === 'fleet') {
+      return subscribeToFleet({ onPoint: applyFleetPoint, onStatus, onGeofenceEvent: applyGeofenceEvent });
+    }
+
+    const id = deviceId.trim();
+    if (!id) return undefined;
+
+    return subscribeToDevice(id, { onPoint: applyLivePoint, onStatus, onGeofenceEvent: applyGeofenceEvent });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [deviceId, viewMode]);
+
+  // Resync once after a reconnect so points missed while offline are filled in
+  const prevLiveStatusRef = useRef(liveStatus);
+  useEffect(() => {
+    if (liveStatus === 'live' && prevLiveStatusRef.current === 'offline') {
+      refresh();
+      loadIncidents();
+      loadMonitor();
+      loadRegistry();
+    }
+    prevLiveStatusRef.current = liveStatus;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [liveStatus]);
+
+  // Same when the browser gets its connection back (the socket may take a while to notice)
+  const prevOnlineRef = useRef(online);
+  useEffect(() => {
+    if (online && !prevOnlineRef.current) refresh();
+    prevOnlineRef.current = online;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [online]);
+
+  // Audible alarm while any SOS is unacknowledged (higher pitch once escalated)
+  const unacknowledged = incidents.filter((i) => i.status === 'open');
+  const alarmEscalated = unacknowledged.some((i) => i.escalation_level > 0);
+  useEffect(() => {
+    if (unacknowledged.length === 0 || alarmMuted) {
+      stopAlarm();
+      return undefined;
+    }
+    startAlarm({ escalated: alarmEscalated });
+    return stopAlarm;
+  }, [unacknowledged.length, alarmEscalated, alarmMuted]);
+
+  // Auto-refresh effect — polling is only a fallback while the socket is down
+  useEffect(() => {
+    if (!autoRefresh || liveStatus === 'live') return;
 
     const interval = setInterval(() => {
-      loadData();
+      refresh();
     }, refreshInterval);
 
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [autoRefresh, refreshInterval, deviceId]);
+  }, [autoRefresh, refreshInterval, deviceId, liveStatus, viewMode]);
+
+  // A selected trip narrows the displayed track to its time span
+  const selectedTrip = trips.trips.find((t) => t.id === selectedTripId) || null;
+  const displayedTrack = useMemo(
+    () =>
+      selectedTrip ? history.filter((p) => p.ts >= selectedTrip.start_time && p.ts <= selectedTrip.end_time) : history,
+    [history, selectedTrip]
+  );
+  const trackEnd = displayedTrack.length ? displayedTrack[displayedTrack.length - 1].ts : null;
 
-  // Prepare polyline coordinates
-  const polylineCoordinates = history.map((point) => [point.lat, point.lon]);
+  // Playback: advance the clock while playing, stop at the end of the track
+  useEffect(() => {
+    if (!playback?.playing || trackEnd == null) return undefined;
+    const id = setInterval(() => {
+      setPlayback((prev) => {
+        if (!prev?.playing) return prev;
+        const time = Math.min(trackEnd, prev.time + (PLAYBACK_TICK_MS / 1000) * prev.rate);
+        return { ...prev, time, playing: time < trackEnd };
+      });
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(id);
+  }, [playback?.playing, trackEnd]);
+
+  // Another unit, view or trip means another track: leave playback
+  useEffect(() => {
+    setPlayback(null);
+  }, [deviceId, viewMode, selectedTripId]);
+
+  const playbackPosition = playback ? positionAt(displayedTrack, playback.time) : null;
+
+  // Prepare polyline coordinates (during playback only up to the playback time)
+  const polylineCoordinates = (
+    playbackPosition ? [...displayedTrack.slice(0, playbackPosition.index + 1), playbackPosition] : displayedTrack
+  ).map((point) => [point.lat, point.lon]);
+
+  const selectTrip = (tripId) => {
+    setSelectedTripId(tripId);
+    const trip = trips.trips.find((t) => t.id === tripId);
+    if (!trip) return;
+    setFollowTarget(false);
+    setFocusTarget({ lat: trip.start.lat, lon: trip.start.lon, nonce: Date.now() });
+  };
 
   // Calculate map center
   const fallbackCenter = [29.866, 77.8905]; // Roorkee-ish default
@@ -433,21 +782,27 @@ function App() {
     return formatHHMMSS(latestLocation.timestamp);
   }, [latestLocation]);
 
-  const pathDistance = useMemo(() => {
-    // quick-and-light distance approximation for the small hackathon demo
-    let total = 0;
-    for (let i = 1; i < history.length; i += 1) {
-      const a = history[i - 1];
-      const b = history[i];
-      const dx = b.lat - a.lat;
-      const dy = b.lon - a.lon;
-      total += Math.sqrt(dx * dx + dy * dy) * 111; // rough km scale
-    }
-    return total;
-  }, [history]);
+  // Same numbers as GET /device/:id/stats (shared/trackStats.js), kept current as points stream in
+  const stats = useMemo(() => trackStats(history), [history]);
+  const fleetDistance = useMemo(
+    () => Object.values(fleetTrails).reduce((sum, trail) => sum + trackStats(trail).distance_m, 0),
+    [fleetTrails]
+  );
 
   const recentTrail = useMemo(() => history.slice(-6).reverse(), [history]);
 
+  const selectedStatus = deviceStatuses[deviceId.trim()] || null;
+  const statusCounts = Object.values(deviceStatuses).reduce(
+    (acc, status) => ({ ...acc, [status]: (acc[status] || 0) + 1 }),
+    { online: 0, stale: 0, offline: 0 }
+  );
+
+  const followedDevice = fleet.find((d) => d.device_id === followDeviceId) || null;
+  const fleetPointCount = useMemo(
+    () => Object.values(fleetTrails).reduce((sum, trail) => sum + trail.length, 0),
+    [fleetTrails]
+  );
+
   return (
     <div className="app-root">
       <div className="hero-glow" />
@@ -464,33 +819,141 @@ function App() {
 
         <div className="bsf-actions">
           <div className="chip ghost">Render-ready</div>
-          <div className="chip success">
-            <span className="status-dot online" />
-            Backend online
-          </div>
-          <button className="btn outline" onClick={loadData} disabled={loading}>
+          {incidents.length > 0 && (
+            <div className="chip danger" title={`${unacknowledged.length} unacknowledged`}>
+              🆘 {incidents.length} SOS
+            </div>
+          )}
+          {user && (
+            <div className="chip" title={`Role: ${user.role}`}>
+              {user.username} · {user.role}
+            </div>
+          )}
+          {viewMode === 'fleet' ? (
+            <div className={statusCounts.offline ? 'chip danger' : statusCounts.stale ? 'chip warning' : 'chip success'}>
+              <span className={`status-dot ${statusCounts.offline ? 'offline' : statusCounts.stale ? 'stale' : 'online'}`} />
+              {statusCounts.online} online · {statusCounts.stale} stale · {statusCounts.offline} offline
+            </div>
+          ) : (
+            <div className={STATUS_CHIPS[selectedStatus] || 'chip ghost'}>
+              <span className={`status-dot ${selectedStatus || 'unknown'}`} />
+              {nameOf(deviceId.trim()) || 'No unit'} {selectedStatus || 'not reporting'}
+            </div>
+          )}
+          {!online ? (
+            <div className="chip danger" title="The browser reports no network connection">
+              Offline
+            </div>
+          ) : (
+            <div className={liveStatus === 'live' ? 'chip success' : 'chip ghost'}>
+              {liveStatus === 'live' ? 'Live push' : liveStatus === 'connecting' ? 'Connecting…' : 'Polling fallback'}
+            </div>
+          )}
+          {cachedSince != null && viewMode === 'single' && (
+            <div className="chip warning" title="The server could not be reached; the map shows the cached track">
+              Cached data
+            </div>
+          )}
+          <button className="btn outline" onClick={refresh} disabled={loading}>
             {loading ? 'Syncing…' : 'Sync now'}
           </button>
+          {user && (
+            <button className="btn outline" onClick={onLogout}>
+              Log out
+            </button>
+          )}
         </div>
       </header>
 
+      {/* SOS overlay card — every unacknowledged incident, whichever unit is selected */}
+      {unacknowledged.length > 0 && (
+        <div className="sos-floating-card" role="alert">
+          <div className={alarmEscalated ? 'sos-inner escalated' : 'sos-inner'}>
+            <div className="sos-card-head">
+              <h3>⚠ SOS ACTIVE</h3>
+              <button className="btn small" onClick={() => setAlarmMuted((m) => !m)}>
+                {alarmMuted ? '🔇 Unmute' : '🔊 Mute'}
+              </button>
+            </div>
+            {unacknowledged.slice(0, 3).map((incident) => (
+              <div key={incident.id} className="sos-card-row">
+                <p>
+                  Unit <strong>{nameOf(incident.device_id)}</strong> reported SOS
+                  {incident.escalation_level > 0 && <> · escalated ×{incident.escalation_level}</>}
+                  {incident.last_position && (
+                    <>
+                      <br />
+                      {incident.last_position.lat.toFixed(6)}, {incident.last_position.lon.toFixed(6)}
+                    </>
+                  )}
+                </p>
+                <div className="sos-card-actions">
+                  <button className="btn small" onClick={() => focusIncident(incident)} disabled={!incident.last_position}>
+                    Focus
+                  </button>
+                  {canOperate && (
+                    <button className="btn small" onClick={() => acknowledgeFromCard(incident)}>
+                      Acknowledge
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            {unacknowledged.length > 3 && <small>+{unacknowledged.length - 3} more in the SOS panel</small>}
+            {sosCardError && <p className="geofence-error">{sosCardError}</p>}
+          </div>
+        </div>
+      )}
+
       {/* Top stats ribbon */}
       <section className="ribbon">
-        <div className="stat-card">
-          <span className="label">Tracking</span>
-          <strong>{latestLocation ? latestLocation.device_id : '—'}</strong>
-          <small>Device ID</small>
-        </div>
-        <div className="stat-card">
-          <span className="label">Points</span>
-          <strong>{history.length}</strong>
-          <small>Track samples</small>
-        </div>
-        <div className="stat-card">
-          <span className="label">Path length</span>
-          <strong>{pathDistance.toFixed(2)} km</strong>
-          <small>Approx. ground distance</small>
-        </div>
+        {viewMode === 'fleet' ? (
+          <>
+            <div className="stat-card">
+              <span className="label">Tracking</span>
+              <strong>{fleet.length} units</strong>
+              <small>{fleet.filter((d) => d.sos).length} SOS · {hiddenDevices.length} hidden</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Points</span>
+              <strong>{fleetPointCount}</strong>
+              <small>Track samples (all units)</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Path length</span>
+              <strong>{formatDistance(fleetDistance)}</strong>
+              <small>Ground distance (all units)</small>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="stat-card">
+              <span className="label">Tracking</span>
+              <strong>{latestLocation ? latestLocation.device_id : '—'}</strong>
+              <small>Device ID</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Points</span>
+              <strong>{history.length}</strong>
+              <small>Track samples</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Path length</span>
+              <strong>{formatDistance(stats.distance_m)}</strong>
+              <small>Ground distance</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Moving / idle</span>
+              <strong>{formatDuration(stats.moving_sec)}</strong>
+              <small>{formatDuration(stats.idle_sec)} idle</small>
+            </div>
+            <div className="stat-card">
+              <span className="label">Speed</span>
+              <strong>{stats.avg_speed_kmh} km/h</strong>
+              <small>Avg while moving · max {stats.max_speed_kmh} km/h</small>
+            </div>
+          </>
+        )}
         <div className="stat-card">
           <span className="label">Last update</span>
           <strong>{lastUpdate || 'Waiting…'}</strong>
@@ -501,46 +964,70 @@ function App() {
       <div className="layout">
         {/* Left control panel */}
         <aside className="control-panel">
+          {alerts.length > 0 && <AlertPanel alerts={alerts} canAct={canOperate} onClose={handleCloseAlert} />}
+
+          {incidents.length > 0 && (
+            <IncidentPanel incidents={incidents} canAct={canOperate} onAction={handleIncidentAction} onFocus={focusIncident} />
+          )}
+
           <div className="panel-section glass">
             <div className="panel-head">
               <h2>Target Control</h2>
-              <div className="chip">Live</div>
+              <div className="chip">{liveStatus === 'live' ? 'Live' : 'Polling'}</div>
             </div>
-            <label htmlFor="deviceId" className="field-label">
-              Device ID
-            </label>
-            <div className="device-row">
-              <input
-                id="deviceId"
-                type="text"
-                value={deviceId}
-                onChange={(e) => {
-                  setDeviceId(e.target.value);
-                  // clear previous points immediately when device changes
-                  setLatestLocation(null);
-                  setHistory([]);
-                }}
-                placeholder="esp01"
-              />
-              <div style={{ display: 'flex', gap: 8 }}>
-                <button className="btn primary" onClick={loadData} disabled={loading}>
-                  {loading ? 'Loading…' : 'Refresh'}
+
+            <div className="toggle-row view-mode-row">
+              <span>View</span>
+              <div className="map-style-toggle">
+                <button className={viewMode === 'single' ? 'btn small active' : 'btn small'} onClick={() => setViewMode('single')}>
+                  Single unit
                 </button>
-                <button
-                  className="btn outline"
-                  onClick={clearLocalData}
-                  disabled={loading && !latestLocation && history.length === 0}
-                  title="Clear local latest & history"
-                >
-                  Clear data
+                <button className={viewMode === 'fleet' ? 'btn small active' : 'btn small'} onClick={() => setViewMode('fleet')}>
+                  Fleet
                 </button>
               </div>
             </div>
 
+            {viewMode === 'fleet' ? (
+              <div className="device-row fleet-refresh-row">
+                <button className="btn primary" onClick={loadFleet} disabled={loading}>
+                  {loading ? 'Loading…' : 'Refresh fleet'}
+                </button>
+              </div>
+            ) : (
+              <>
+                <label htmlFor="deviceId" className="field-label">
+                  Unit
+                </label>
+                <div className="device-row">
+                  <DevicePicker
+                    devices={registry}
+                    value={deviceId}
+                    statuses={deviceStatuses}
+                    onSelect={selectDevice}
+                    onOpen={loadRegistry}
+                  />
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    <button className="btn primary" onClick={loadData} disabled={loading}>
+                      {loading ? 'Loading…' : 'Refresh'}
+                    </button>
+                    <button
+                      className="btn outline"
+                      onClick={clearLocalData}
+                      disabled={loading && !latestLocation && history.length === 0}
+                      title="Clear local latest & history, including the cached track"
+                    >
+                      Clear data
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+
             <div className="toggle-row">
               <label>
                 <input type="checkbox" checked={autoRefresh} onChange={(e) => setAutoRefresh(e.target.checked)} />{' '}
-                Auto-refresh ({refreshInterval / 1000}s)
+                {liveStatus === 'live' ? 'Fallback polling' : 'Auto-refresh'} ({refreshInterval / 1000}s)
               </label>
               <input
                 type="range"
@@ -563,6 +1050,52 @@ function App() {
               </label>
             </div>
 
+            <div className="toggle-row time-range-row">
+              <span>History</span>
+              <div className="map-style-toggle">
+                {TIME_RANGES.map((r) => (
+                  <button
+                    key={r.key}
+                    className={timeRange === r.key ? 'btn small active' : 'btn small'}
+                    onClick={() => setTimeRange(r.key)}
+                  >
+                    {r.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {timeRange === 'custom' && (
+              <div className="custom-range">
+                <label>
+                  From
+                  <input type="datetime-local" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} />
+                </label>
+                <label>
+                  To
+                  <input type="datetime-local" value={customTo} onChange={(e) => setCustomTo(e.target.value)} />
+                </label>
+              </div>
+            )}
+
+            {viewMode === 'single' && (
+              <div className="toggle-row export-row">
+                <span>Export</span>
+                <div className="export-controls">
+                  <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} aria-label="Export format">
+                    {EXPORT_FORMATS.map((f) => (
+                      <option key={f.key} value={f.key}>
+                        {f.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button className="btn small" onClick={exportTrack} disabled={exporting || history.length === 0}>
+                    {exporting ? 'Exporting…' : 'Download'}
+                  </button>
+                </div>
+              </div>
+            )}
+
             <div className="toggle-row map-style-row">
               <span>Map style</span>
               <div className="map-style-toggle">
@@ -576,13 +1109,25 @@ function App() {
             </div>
           </div>
 
-          {latestLocation && (
+          {viewMode === 'fleet' && (
+            <FleetPanel
+              devices={fleet}
+              statuses={deviceStatuses}
+              hidden={hiddenDevices}
+              followDeviceId={followDeviceId}
+              onFocus={focusDevice}
+              onToggleHidden={toggleHiddenDevice}
+              onFollow={setFollowDeviceId}
+            />
+          )}
+
+          {viewMode === 'single' && latestLocation && (
             <div className="panel-section glass device-info">
               <div className="panel-head">
                 <h2>Unit Snapshot</h2>
                 <div className="chip ghost">Live feed</div>
               </div>
-              <h3>{latestLocation.device_id}</h3>
+              <h3>{nameOf(latestLocation.device_id)}</h3>
               <div className="info-grid">
                 <div>
                   <span className="label">Location</span>
@@ -602,6 +1147,12 @@ function App() {
                     <span>{latestLocation.battery}%</span>
                   </div>
                 )}
+                {formatTelemetry(latestLocation).map(({ key, label, text }) => (
+                  <div key={key}>
+                    <span className="label">{label}</span>
+                    <span>{text}</span>
+                  </div>
+                ))}
                 <div>
                   <span className="label">SOS</span>
                   <span className={latestLocation.sos ? 'sos active' : 'sos'}>{latestLocation.sos ? '⚠ ACTIVE' : 'Normal'}</span>
@@ -618,24 +1169,60 @@ function App() {
             </div>
           )}
 
-          <div className="panel-section glass mini-trail">
-            <div className="panel-head">
-              <h2>Recent trail</h2>
-              <small>Last {recentTrail.length} points</small>
-            </div>
-            {recentTrail.length === 0 && <p className="muted">No trail yet. Ingest data to see it live.</p>}
-            {recentTrail.map((p, idx) => (
-              <div key={`${p.lat}-${p.lon}-${idx}`} className="trail-row">
-                <span className="dot" />
-                <div>
-                  <div className="coords">
-                    {p.lat.toFixed(5)}, {p.lon.toFixed(5)}
+          {viewMode === 'single' && (
+            <div className="panel-section glass mini-trail">
+              <div className="panel-head">
+                <h2>Recent trail</h2>
+                <small>Last {recentTrail.length} points</small>
+              </div>
+              {recentTrail.length === 0 && <p className="muted">No trail yet. Ingest data to see it live.</p>}
+              {recentTrail.map((p, idx) => (
+                <div key={`${p.lat}-${p.lon}-${idx}`} className="trail-row">
+                  <span className="dot" />
+                  <div>
+                    <div className="coords">
+                      {p.lat.toFixed(5)}, {p.lon.toFixed(5)}
+                    </div>
+                    <small>{p.ts ? formatHHMMSS(p.ts) : '--:--:--'}</small>
                   </div>
-                  <small>{p.ts ? formatHHMMSS(p.ts) : '--:--:--'}</small>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
+
+          {viewMode === 'single' && (
+            <PlaybackPanel
+              track={displayedTrack}
+              playback={playback}
+              fix={playbackPosition?.fix}
+              onStart={() => setPlayback({ time: displayedTrack[0].ts, playing: true, rate: 10 })}
+              onChange={(patch) => setPlayback((prev) => (prev ? { ...prev, ...patch } : prev))}
+              onStop={() => setPlayback(null)}
+            />
+          )}
+
+          {viewMode === 'single' && (
+            <TripPanel trips={trips.trips} stops={trips.stops} selectedTripId={selectedTripId} onSelect={selectTrip} />
+          )}
+
+          <GeofencePanel
+            fences={fences}
+            events={geofenceEvents}
+            draft={fenceDraft}
+            canEdit={canOperate}
+            saving={fenceSaving}
+            error={fenceError}
+            onStartDraft={(type) => setFenceDraft(newDraft(type))}
+            onEditFence={(fence) => setFenceDraft(fenceToDraft(fence))}
+            onDraftChange={setFenceDraft}
+            onSaveDraft={saveFenceDraft}
+            onCancelDraft={() => {
+              setFenceDraft(null);
+              setFenceError(null);
+            }}
+            onDeleteFence={removeFence}
+            onFocusFence={focusFence}
+          />
 
           {error && <div className="panel-section glass error-box">{error}</div>}
         </aside>
@@ -646,24 +1233,63 @@ function App() {
             <div className="map-pill">
               <span className="pulse-dot" /> Live ops map
             </div>
-            {latestLocation && (
+            {(!online || (cachedSince != null && viewMode === 'single')) && (
+              <div className="map-pill stale" role="status">
+                {online ? 'Server unreachable' : 'Offline'} —{' '}
+                {cachedSince
+                  ? `showing last known picture from ${formatHHMMSS(cachedSince / 1000)} (${formatAgo(
+                      Math.floor(cachedSince / 1000)
+                    )})`
+                  : cachedSince === 0
+                    ? 'showing the cached track'
+                    : 'showing the last loaded data'}
+              </div>
+            )}
+            {viewMode === 'single' && latestLocation && (
               <div className="map-pill subtle">
-                <strong>{latestLocation.device_id}</strong> · {latestLocation.lat.toFixed(4)},{' '}
+                <strong>{nameOf(latestLocation.device_id)}</strong> · {latestLocation.lat.toFixed(4)},{' '}
                 {latestLocation.lon.toFixed(4)}
               </div>
             )}
+            {viewMode === 'fleet' && (
+              <div className="map-pill subtle">
+                <strong>{fleet.length - hiddenDevices.length}</strong> units on map
+                {followedDevice && <> · following {formatDeviceName(followedDevice)}</>}
+              </div>
+            )}
           </div>
 
           <MapContainer center={mapCenter} zoom={13} zoomControl={true} style={{ height: '100%', width: '100%' }}>
-            <TileLayer attribution="&copy; OpenStreetMap contributors" url={tileUrl} />
+            <TileLayer attribution="&copy; OpenStreetMap contributors" url={tileUrl} crossOrigin="anonymous" />
 
             <ScaleControl position="bottomleft" />
 
+            {/* Geofences (and the one being drawn / edited) */}
+            <GeofenceLayer fences={fences} draft={fenceDraft} onDraftChange={setFenceDraft} />
+            <IncidentLayer incidents={incidents} trails={incidentTrails} />
+            {focusTarget && <RecenterOnTarget key={focusTarget.nonce} lat={focusTarget.lat} lon={focusTarget.lon} />}
+
             {/* Auto-recenter when following target */}
-            {followTarget && latestLocation && <RecenterOnTarget lat={latestLocation.lat} lon={latestLocation.lon} />}
+            {viewMode === 'single' && followTarget && !playbackPosition && latestLocation && (
+              <RecenterOnTarget lat={latestLocation.lat} lon={latestLocation.lon} />
+            )}
+            {viewMode === 'single' && followTarget && playbackPosition && (
+              <RecenterOnTarget lat={playbackPosition.lat} lon={playbackPosition.lon} />
+            )}
+
+            {/* Fleet mode: every visible unit, follow */}
+            {viewMode === 'fleet' && (
+              <>
+                <FleetLayer devices={fleet} trails={fleetTrails} hidden={hiddenDevices} showPaths={showPath} />
+                {followedDevice && <RecenterOnTarget lat={followedDevice.lat} lon={followedDevice.lon} />}
+              </>
+            )}
+
+            {/* Stops of the selected unit (only the selected trip's, if one is picked) */}
+            {viewMode === 'single' && <TripLayer stops={trips.stops} selectedTrip={selectedTrip} />}
 
             {/* Historical path polyline */}
-            {showPath && polylineCoordinates.length > 1 && (
+            {viewMode === 'single' && showPath && polylineCoordinates.length > 1 && (
               <Polyline
                 positions={polylineCoordinates}
                 pathOptions={{
@@ -675,12 +1301,25 @@ function App() {
               />
             )}
 
+            {/* Playback marker: glides between playback ticks */}
+            {viewMode === 'single' && playbackPosition && (
+              <SmoothMarker position={[playbackPosition.lat, playbackPosition.lon]} duration={PLAYBACK_TICK_MS}>
+                <Popup>
+                  <div className="popup-content">
+                    <strong>{nameOf(deviceId)} · playback</strong>
+                    <br />
+                    {formatHHMMSS(playbackPosition.fix.ts)}
+                  </div>
+                </Popup>
+              </SmoothMarker>
+            )}
+
             {/* Latest location marker (smooth) */}
-            {latestLocation && (
+            {viewMode === 'single' && !playbackPosition && latestLocation && (
               <SmoothMarker position={[latestLocation.lat, latestLocation.lon]}>
                 <Popup>
                   <div className="popup-content">
-                    <strong>{latestLocation.device_id}</strong>
+                    <strong>{nameOf(latestLocation.device_id)}</strong>
                     <br />
                     Lat: {latestLocation.lat.toFixed(6)}
                     <br />
@@ -697,6 +1336,12 @@ function App() {
                         Battery: {latestLocation.battery}%
                       </>
                     )}
+                    {formatTelemetry(latestLocation).map(({ key, label, text }) => (
+                      <span key={key}>
+                        <br />
+                        {label}: {text}
+                      </span>
+                    ))}
                     {latestLocation.sos && (
                       <>
                         <br />
@@ -709,20 +1354,6 @@ function App() {
                 </Popup>
               </SmoothMarker>
             )}
-
-            {/* SOS overlay card */}
-            {latestLocation && latestLocation.sos && (
-              <div className="sos-floating-card" aria-hidden>
-                <div className="sos-inner">
-                  <h3>⚠ SOS ACTIVE</h3>
-                  <p>
-                    Unit <strong>{latestLocation.device_id}</strong> reported SOS.
-                    <br />
-                    {latestLocation.lat.toFixed(6)}, {latestLocation.lon.toFixed(6)}
-                  </p>
-                </div>
-              </div>
-            )}
           </MapContainer>
         </main>
       </div>
@@ -737,4 +1368,64 @@ function App() {
   );
 }
 
+// ---------------------- Main App (session gate) ----------------------
+
+function App() {
+  // status: 'checking' | 'login' | 'ready'
+  const [session, setSession] = useState({ status: 'checking', user: null, notice: null });
+
+  // Another operator's cached tracks are dropped before the dashboard reads them
+  const enterDashboard = async (user, isCancelled = () => false) => {
+    await claimCache(user?.username ?? null).catch((err) => console.warn('[CACHE] claim failed', err));
+    if (!isCancelled()) setSession({ status: 'ready', user, notice: null });
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchSession()
+      .then(({ auth, user }) => {
+        if (cancelled) return;
+        if (auth === 'required' && !user) setSession({ status: 'login', user: null, notice: null });
+        else enterDashboard(user, () => cancelled);
+      })
+      .catch((err) => {
+        // Backend unreachable: show the dashboard so it can report errors / retry
+        console.warn('[AUTH] session check failed', err);
+        if (!cancelled) setSession({ status: 'ready', user: null, notice: null });
+      });
+
+    const off = onUnauthorized(() => {
+      setSession({ status: 'login', user: null, notice: 'Your session has expired. Please sign in again.' });
+    });
+
+    return () => {
+      cancelled = true;
+      off();
+    };
+  }, []);
+
+  const handleLogout = async () => {
+    await logout();
+    await clearCache().catch((err) => console.warn('[CACHE] clear failed', err));
+    setSession({ status: 'login', user: null, notice: null });
+  };
+
+  if (session.status === 'checking') {
+    return (
+      <div className="app-root login-shell">
+        <p className="muted">Checking session…</p>
+      </div>
+    );
+  }
+
+  if (session.status === 'login') {
+    return (
+      <LoginScreen notice={session.notice} onLogin={(user) => enterDashboard(user)} />
+    );
+  }
+
+  return <Dashboard user={session.user} onLogout={handleLogout} />;
+}
+
 export default App;
@@ -0,0 +1,189 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, cleanup, within, fireEvent, waitFor } from '@testing-library/react';
+import * as api from './api/trackingapp.js';
+import * as trackCache from './lib/trackCache.js';
+import App from './App.jsx';
+
+// Every call the dashboard makes, answered locally; individual tests override what they need
+vi.mock('./api/trackingapp.js', () => {
+  const unsubscribe = () => {};
+  return {
+    fetchSession: vi.fn(),
+    logout: vi.fn(async () => {}),
+    onUnauthorized: vi.fn(() => unsubscribe),
+    login: vi.fn(),
+    fetchLatestLocation: vi.fn(),
+    fetchHistory: vi.fn(),
+    fetchDevices: vi.fn(async () => []),
+    fetchRegistry: vi.fn(async () => []),
+    downloadTrackExport: vi.fn(),
+    fetchTrips: vi.fn(async () => ({ trips: [], stops: [] })),
+    subscribeToDevice: vi.fn(() => unsubscribe),
+    subscribeToFleet: vi.fn(() => unsubscribe),
+    subscribeToIncidents: vi.fn(() => unsubscribe),
+    subscribeToMonitor: vi.fn(() => unsubscribe),
+    fetchGeofences: vi.fn(async () => []),
+    fetchGeofenceEvents: vi.fn(async () => []),
+    saveGeofence: vi.fn(),
+    deleteGeofence: vi.fn(),
+    fetchIncidents: vi.fn(async () => []),
+    fetchIncident: vi.fn(),
+    acknowledgeIncident: vi.fn(),
+    assignIncident: vi.fn(),
+    resolveIncident: vi.fn(),
+    fetchAlerts: vi.fn(async () => []),
+    fetchDeviceStatuses: vi.fn(async () => ({})),
+    closeAlert: vi.fn(),
+  };
+});
+
+// jsdom has no IndexedDB; only the per-operator clearing is observed here
+vi.mock('./lib/trackCache.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  clearCache: vi.fn(async () => {}),
+  claimCache: vi.fn(async () => {}),
+}));
+
+// jsdom has neither SVG nor canvas rendering for Leaflet: map layers become plain elements
+vi.mock('react-leaflet', () => {
+  const Layer = ({ children }) => <div>{children}</div>;
+  const map = { panTo: vi.fn(), setView: vi.fn(), flyTo: vi.fn(), fitBounds: vi.fn(), distance: () => 0, getZoom: () => 13 };
+  return {
+    MapContainer: Layer,
+    TileLayer: () => null,
+    ScaleControl: () => null,
+    Popup: Layer,
+    Tooltip: Layer,
+    Marker: Layer,
+    CircleMarker: Layer,
+    Circle: Layer,
+    Polygon: Layer,
+    Polyline: () => null,
+    useMap: () => map,
+    useMapEvents: () => map,
+  };
+});
+
+const now = Math.floor(Date.now() / 1000);
+const trail = [0, 1, 2].map((i) => ({ lat: 29.8659 + i * 0.0001, lon: 77.8903, ts: now - 60 + i * 10, speed: 1.5, battery: 90 }));
+
+describe('App', () => {
+  beforeEach(() => {
+    for (const level of ['log', 'warn', 'error']) vi.spyOn(console, level).mockImplementation(() => {});
+    api.fetchSession.mockResolvedValue({ auth: 'off', user: null });
+    api.fetchLatestLocation.mockResolvedValue({
+      device_id: 'esp01',
+      lat: 29.865912,
+      lon: 77.890332,
+      speed: 1.5,
+      battery: 90,
+      sos: false,
+      timestamp: now - 40,
+      satellites: 9,
+    });
+    api.fetchHistory.mockResolvedValue(trail);
+    api.fetchRegistry.mockResolvedValue([{ device_id: 'esp01', name: 'Patrol Alpha' }]);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+  });
+
+  test('shows the selected unit from the API', async () => {
+    render(<App />);
+
+    const snapshot = (await screen.findByRole('heading', { name: 'Unit Snapshot' })).closest('.device-info');
+    expect(await within(snapshot).findByRole('heading', { name: 'Patrol Alpha' })).toBeTruthy();
+    expect(within(snapshot).getByText('29.865912, 77.890332')).toBeTruthy();
+    expect(within(snapshot).getByText('1.50 m/s')).toBeTruthy();
+    expect(within(snapshot).getByText('90%')).toBeTruthy();
+    expect(within(snapshot).getByText('Normal')).toBeTruthy();
+    expect(within(snapshot).getByText('3')).toBeTruthy(); // track points
+
+    expect(api.fetchLatestLocation).toHaveBeenCalledWith('esp01');
+    expect(api.fetchHistory).toHaveBeenCalledWith('esp01', expect.objectContaining({ from: expect.any(Number) }));
+    expect(api.subscribeToDevice).toHaveBeenCalledWith('esp01', expect.any(Object));
+  });
+
+  test('lists the recent trail newest first', async () => {
+    render(<App />);
+
+    const panel = (await screen.findByRole('heading', { name: 'Recent trail' })).closest('.mini-trail');
+    await within(panel).findByText('Last 3 points');
+    const coords = within(panel).getAllByText(/^29\.86\d+, 77\.89030$/).map((el) => el.textContent);
+    expect(coords).toEqual(['29.86610, 77.89030', '29.86600, 77.89030', '29.86590, 77.89030']);
+  });
+
+  test('flags an active SOS', async () => {
+    api.fetchLatestLocation.mockResolvedValue({ device_id: 'esp01', lat: 29.865912, lon: 77.890332, sos: true, timestamp: now });
+    render(<App />);
+
+    expect(await screen.findByText('⚠ ACTIVE')).toBeTruthy();
+  });
+
+  test('reports a backend that cannot be reached', async () => {
+    api.fetchLatestLocation.mockRejectedValue(new Error('fetchLatestLocation HTTP 502'));
+    render(<App />);
+
+    expect(await screen.findByText('Failed to load data: fetchLatestLocation HTTP 502')).toBeTruthy();
+    expect(screen.queryByRole('heading', { name: 'Unit Snapshot' })).toBeNull();
+  });
+
+  test('loads a newly picked unit while the live socket is up', async () => {
+    api.fetchRegistry.mockResolvedValue([
+      { device_id: 'esp01', name: 'Patrol Alpha' },
+      { device_id: 'esp02', name: 'Patrol Bravo' },
+    ]);
+    api.subscribeToDevice.mockImplementation((id, { onStatus }) => {
+      onStatus('live');
+      return () => {};
+    });
+    render(<App />);
+    await screen.findByRole('heading', { name: 'Patrol Alpha' });
+
+    fireEvent.focus(document.getElementById('deviceId'));
+    fireEvent.click(await screen.findByRole('option', { name: /Patrol Bravo/ }));
+
+    await waitFor(() => expect(api.fetchLatestLocation).toHaveBeenCalledWith('esp02'));
+    expect(api.fetchHistory).toHaveBeenCalledWith('esp02', expect.any(Object));
+  });
+
+  test('shows a failed acknowledge on the SOS card', async () => {
+    api.fetchIncidents.mockResolvedValue([
+      { id: 'inc-1', device_id: 'esp01', status: 'open', escalation_level: 0, last_position: { lat: 29.8659, lon: 77.8903 } },
+    ]);
+    api.fetchIncident.mockResolvedValue({ id: 'inc-1', trail: [] });
+    api.acknowledgeIncident.mockRejectedValue(new Error('Incident already acknowledged'));
+    render(<App />);
+
+    const card = (await screen.findByRole('heading', { name: '⚠ SOS ACTIVE' })).closest('.sos-floating-card');
+    fireEvent.click(within(card).getByRole('button', { name: 'Acknowledge' }));
+
+    expect(await within(card).findByText('Incident already acknowledged')).toBeTruthy();
+    expect(api.acknowledgeIncident).toHaveBeenCalledWith('inc-1');
+  });
+
+  test('asks for a login when the backend requires one', async () => {
+    api.fetchSession.mockResolvedValue({ auth: 'required', user: null });
+    render(<App />);
+
+    expect(await screen.findByRole('button', { name: /sign in/i })).toBeTruthy();
+    expect(api.fetchLatestLocation).not.toHaveBeenCalled();
+  });
+
+  test('claims the track cache for the signed-in operator and clears it on logout', async () => {
+    api.fetchSession.mockResolvedValue({
+      auth: 'required',
+      user: { username: 'dispatch', role: 'operator', devices: ['*'], groups: [] },
+    });
+    render(<App />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Log out' }));
+    expect(await screen.findByRole('button', { name: /sign in/i })).toBeTruthy();
+    expect(trackCache.claimCache).toHaveBeenCalledWith('dispatch');
+    expect(api.logout).toHaveBeenCalled();
+    expect(trackCache.clearCache).toHaveBeenCalled();
+  });
+});
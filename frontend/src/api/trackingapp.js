@@ -1,35 +1,90 @@
 // src/api/trackingapp.js
 // Improved, fully-debuggable API client
-// Shows timestamp logs in browser console for debugging.
+// Set VITE_API_DEBUG=true to log every request, response, timestamp decision
+// and live point in the browser console.
+
+import { io } from "socket.io-client";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "https://mmtt-web.onrender.com";
 
+// Per-request and per-point detail is only logged when asked for: a history
+// window is thousands of points
+const DEBUG = import.meta.env.VITE_API_DEBUG === "true";
+const debugLog = (...args) => {
+  if (DEBUG) console.log(...args);
+};
+
+// ---------------------- Operator session ----------------------
+
+const AUTH_TOKEN_KEY = "mmtt_auth_token";
+let unauthorizedHandler = null;
+
+export function getAuthToken() {
+  try {
+    return localStorage.getItem(AUTH_TOKEN_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function setAuthToken(token) {
+  try {
+    if (token) localStorage.setItem(AUTH_TOKEN_KEY, token);
+    else localStorage.removeItem(AUTH_TOKEN_KEY);
+  } catch (e) {
+    console.warn("[AUTH] token storage error", e);
+  }
+}
+
+/**
+ * onUnauthorized()
+ * Registers the callback fired when the server rejects our session (401).
+ * Returns a function that removes it.
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+}
+
 /**
  * safeFetchJson
  * Lightweight wrapper around fetch that supports timeout.
+ * Attaches the operator session token and reports 401s to onUnauthorized().
  */
 async function safeFetchJson(url, opts = {}, timeoutMs = 15000) {
-  console.log("%c[API] Fetch:", "color:#00aaff", url);
+  debugLog("%c[API] Fetch:", "color:#00aaff", url);
 
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
 
+  const { skipAuthHandler, ...fetchOpts } = opts;
+  const token = getAuthToken();
+  const headers = { ...(fetchOpts.headers || {}) };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
   try {
     const res = await fetch(url, {
-      ...opts,
+      ...fetchOpts,
+      headers,
       signal: controller.signal,
       cache: "no-store",
     });
 
     clearTimeout(id);
 
-    console.log("%c[API] Status:", "color:#ffaa00", res.status);
+    debugLog("%c[API] Status:", "color:#ffaa00", res.status);
 
-    if (!res.ok) return { status: res.status, ok: false, res };
+    if (!res.ok) {
+      const errorJson = await res.json().catch(() => null);
+      if (res.status === 401 && !skipAuthHandler) unauthorizedHandler?.(errorJson);
+      return { status: res.status, ok: false, res, json: errorJson };
+    }
 
     const json = await res.json();
-    console.log("%c[API] JSON Response:", "color:#22cc88", json);
+    debugLog("%c[API] JSON Response:", "color:#22cc88", json);
 
     return { status: res.status, ok: true, json, res };
   } catch (err) {
@@ -39,12 +94,71 @@ async function safeFetchJson(url, opts = {}, timeoutMs = 15000) {
   }
 }
 
+/**
+ * login()
+ * Exchanges username/password for a session token (stored for later requests).
+ * Returns the operator { username, role, devices, groups }.
+ */
+export async function login(username, password) {
+  setAuthToken(null);
+
+  const resp = await safeFetchJson(
+    `${API_BASE_URL}/auth/login`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+      skipAuthHandler: true,
+    },
+    12000
+  );
+
+  if (!resp.ok) throw new Error(resp.json?.error || `Login failed (HTTP ${resp.status})`);
+
+  setAuthToken(resp.json.token);
+  resetLiveConnection();
+  return resp.json.user;
+}
+
+/**
+ * logout()
+ * Ends the session on the server (best effort) and forgets the token.
+ */
+export async function logout() {
+  try {
+    await safeFetchJson(`${API_BASE_URL}/auth/logout`, { method: "POST", skipAuthHandler: true }, 8000);
+  } catch (err) {
+    console.warn("[AUTH] logout request failed", err);
+  }
+  setAuthToken(null);
+  resetLiveConnection();
+}
+
+/**
+ * fetchSession()
+ * { auth: "off" | "required", user } — user is null when logged out.
+ */
+export async function fetchSession() {
+  const resp = await safeFetchJson(`${API_BASE_URL}/auth/me`, { method: "GET", skipAuthHandler: true }, 8000);
+
+  if (resp.ok) return { auth: resp.json?.auth ?? "off", user: resp.json?.user ?? null };
+  if (resp.status === 401) {
+    setAuthToken(null);
+    return { auth: "required", user: null };
+  }
+  // Older backends without /auth: treat as open
+  if (resp.status === 404) return { auth: "off", user: null };
+  throw new Error(`fetchSession HTTP ${resp.status}`);
+}
+
 /**
  * parseTimestampCandidate
  * Converts seconds / ms / ISO → epoch seconds
+ * The backend stores epoch milliseconds since payload schema validation, but
+ * points stored before that may still be seconds or ISO strings.
  */
-function parseTimestampCandidate(val) {
-  console.log("%c[TIME] Raw candidate:", "color:#bb00ff", val);
+export function parseTimestampCandidate(val) {
+  debugLog("%c[TIME] Raw candidate:", "color:#bb00ff", val);
 
   if (val == null) return null;
 
@@ -54,12 +168,12 @@ function parseTimestampCandidate(val) {
   if (typeof val === "number") {
     // milliseconds?
     if (val > 1e12) {
-      console.log("%c[TIME] Detected milliseconds", "color:orange");
+      debugLog("%c[TIME] Detected milliseconds", "color:orange");
       return Math.floor(val / 1000);
     }
     // seconds?
     if (val >= 1e9) {
-      console.log("%c[TIME] Detected seconds", "color:orange");
+      debugLog("%c[TIME] Detected seconds", "color:orange");
       return Math.floor(val);
     }
 
@@ -71,7 +185,7 @@ function parseTimestampCandidate(val) {
   if (typeof val === "string") {
     const ms = Date.parse(val);
     if (!Number.isNaN(ms)) {
-      console.log("%c[TIME] Parsed ISO timestamp", "color:orange", ms);
+      debugLog("%c[TIME] Parsed ISO timestamp", "color:orange", ms);
       return Math.floor(ms / 1000);
     }
     console.warn("%c[TIME] Invalid ISO timestamp:", "color:red", val);
@@ -89,7 +203,7 @@ function extractServerDateHeader(res) {
     const header =
       res?.headers?.get?.("Date") || res?.headers?.get?.("date");
 
-    console.log("%c[TIME] Server Date header:", "color:#0088ff", header);
+    debugLog("%c[TIME] Server Date header:", "color:#0088ff", header);
 
     if (!header) return null;
 
@@ -135,7 +249,7 @@ export async function fetchLatestLocation(deviceId) {
     const data = resp.json || null;
     if (!data) return null;
 
-    console.log("%c[LATEST] Raw Data:", "color:#44ff44", data);
+    debugLog("%c[LATEST] Raw Data:", "color:#44ff44", data);
 
     const candidate =
       data.timestamp ??
@@ -145,7 +259,7 @@ export async function fetchLatestLocation(deviceId) {
       data.date ??
       null;
 
-    console.log(
+    debugLog(
       "%c[TIME] Timestamp candidate:",
       "color:#ffaa00",
       candidate
@@ -172,7 +286,7 @@ export async function fetchLatestLocation(deviceId) {
       finalTs = Math.floor(Date.now() / 1000);
     }
 
-    console.log("%c[TIME] FINAL TIMESTAMP:", "color:#00ff00", finalTs);
+    debugLog("%c[TIME] FINAL TIMESTAMP:", "color:#00ff00", finalTs);
 
     return {
       ...data,
@@ -187,86 +301,571 @@ export async function fetchLatestLocation(deviceId) {
 }
 
 /**
- * fetchHistory()
- * Historical location data
+ * fetchDevices()
+ * Every known device with its latest fix: [{device_id, name, callsign, group, icon, color, lat, lon, speed,
+ * battery, sos, timestamp, last_seen, points}] (registry fields are null for unregistered devices).
+ * timestamp is normalized to epoch seconds, last_seen (server receive time) too.
  */
-export async function fetchHistory(deviceId) {
-  if (!deviceId) return [];
+export async function fetchDevices() {
+  const url = `${API_BASE_URL}/devices`;
+
+  const resp = await safeFetchJson(url, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchDevices HTTP ${resp.status}`);
+
+  const list = Array.isArray(resp.json?.devices) ? resp.json.devices : [];
+
+  return list
+    .map((d) => ({
+      ...d,
+      lat: d.lat != null ? Number(d.lat) : NaN,
+      lon: d.lon != null ? Number(d.lon) : NaN,
+      timestamp: parseTimestampCandidate(d.timestamp),
+      last_seen: parseTimestampCandidate(d.last_seen),
+    }))
+    .filter((d) => !Number.isNaN(d.lat) && !Number.isNaN(d.lon));
+}
+
+/**
+ * fetchRegistry()
+ * Registered devices plus the ones that reported without being registered (registered: false):
+ * [{device_id, registered, name, callsign, group, icon, color, interval_sec, notes, last_seen, status}]
+ */
+export async function fetchRegistry() {
+  const resp = await safeFetchJson(`${API_BASE_URL}/registry?include_unregistered=true`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchRegistry HTTP ${resp.status}`);
+  return Array.isArray(resp.json?.devices) ? resp.json.devices : [];
+}
+
+/**
+ * historyQueryString()
+ * Builds ?from=&to=&limit=&cursor= (from/to in epoch seconds).
+ */
+function historyQueryString({ from, to, limit, cursor } = {}) {
+  const params = new URLSearchParams();
+  if (from != null) params.set("from", String(Math.floor(from)));
+  if (to != null) params.set("to", String(Math.floor(to)));
+  if (limit != null) params.set("limit", String(limit));
+  if (cursor) params.set("cursor", cursor);
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+/**
+ * normalizeHistoryPoints()
+ * Accepts every response shape we've seen and returns [{lat, lon, ts, speed, battery}]
+ */
+function normalizeHistoryPoints(data) {
+  let arr = null;
+
+  if (Array.isArray(data)) arr = data;
+  else if (Array.isArray(data.coordinates)) arr = data.coordinates;
+  else if (Array.isArray(data.points)) arr = data.points;
+  else if (Array.isArray(data.data)) arr = data.data;
+  else if (Array.isArray(data.history)) arr = data.history;
+  else arr = [];
+
+  return arr
+    .map((p) => {
+      const tsCandidate =
+        p.ts ?? p.timestamp ?? p.time ?? p.server_time ?? null;
+
+      return {
+        lat: p.lat != null ? Number(p.lat) : NaN,
+        lon: p.lon != null ? Number(p.lon) : NaN,
+        ts: parseTimestampCandidate(tsCandidate),
+        speed: p.speed != null ? Number(p.speed) : null,
+        battery: p.battery != null ? Number(p.battery) : null,
+      };
+    })
+    .filter(
+      (p) => !Number.isNaN(p.lat) && !Number.isNaN(p.lon)
+    );
+}
+
+/**
+ * fetchHistoryPage()
+ * One page of history. Options: { from, to, limit, cursor } (from/to epoch seconds).
+ * Returns { points, nextCursor }.
+ */
+export async function fetchHistoryPage(deviceId, opts = {}) {
+  if (!deviceId) return { points: [], nextCursor: null };
   const url = `${API_BASE_URL}/device/${encodeURIComponent(
     deviceId
-  )}/history`;
+  )}/history${historyQueryString(opts)}`;
+
+  const resp = await safeFetchJson(url, { method: "GET" }, 15000);
+
+  if (!resp.ok) {
+    console.warn(
+      "%c[HISTORY] Non-OK status:",
+      "color:red",
+      resp.status
+    );
+    if (resp.status === 404) return { points: [], nextCursor: null };
+    throw new Error(`fetchHistoryPage HTTP ${resp.status}`);
+  }
+
+  const data = resp.json;
+  if (!data) return { points: [], nextCursor: null };
+
+  return {
+    points: normalizeHistoryPoints(data),
+    nextCursor: data.next_cursor ?? null,
+  };
+}
+
+/**
+ * fetchHistory()
+ * Historical location data for a time window.
+ * Options: { from, to, limit, maxPages } — follows next_cursor until the window
+ * is exhausted or maxPages pages have been read.
+ * Throws when the server can't be reached (an unknown device is just []), so the
+ * caller can tell "no points" from "no connection".
+ */
+export async function fetchHistory(deviceId, opts = {}) {
+  if (!deviceId) return [];
+  const { from, to, limit = 1000, maxPages = 20 } = opts;
 
   console.log(
     "%c[HISTORY] Fetch history for:",
     "color:#00ffaa",
-    deviceId
+    deviceId,
+    { from, to, limit }
   );
 
   try {
-    const resp = await safeFetchJson(url, { method: "GET" }, 15000);
-
-    if (!resp.ok) {
-      console.warn(
-        "%c[HISTORY] Non-OK status:",
-        "color:red",
-        resp.status
-      );
-      return [];
+    const all = [];
+    let cursor = null;
+
+    for (let page = 0; page < maxPages; page += 1) {
+      const { points, nextCursor } = await fetchHistoryPage(deviceId, {
+        from,
+        to,
+        limit,
+        cursor,
+      });
+      all.push(...points);
+      if (!nextCursor) break;
+      cursor = nextCursor;
     }
 
-    const data = resp.json;
-    if (!data) return [];
-
-    console.log("%c[HISTORY] Raw Data:", "color:#77ff77", data);
-
-    let arr = null;
-
-    if (Array.isArray(data)) arr = data;
-    else if (Array.isArray(data.coordinates)) arr = data.coordinates;
-    else if (Array.isArray(data.points)) arr = data.points;
-    else if (Array.isArray(data.data)) arr = data.data;
-    else if (Array.isArray(data.history)) arr = data.history;
-    else arr = [];
-
-    const normalized = arr
-      .map((p, index) => {
-        const tsCandidate =
-          p.ts ?? p.timestamp ?? p.time ?? p.server_time ?? null;
-
-        const parsedTs = parseTimestampCandidate(tsCandidate);
-
-        console.log(
-          `%c[HISTORY] Point ${index}:`,
-          "color:#ffaaee",
-          "lat:",
-          p.lat,
-          "lon:",
-          p.lon,
-          "raw ts:",
-          tsCandidate,
-          "parsed:",
-          parsedTs
-        );
-
-        return {
-          lat: p.lat != null ? Number(p.lat) : NaN,
-          lon: p.lon != null ? Number(p.lon) : NaN,
-          ts: parsedTs,
-        };
-      })
-      .filter(
-        (p) => !Number.isNaN(p.lat) && !Number.isNaN(p.lon)
-      );
-
     console.log(
-      "%c[HISTORY] Final normalized points:",
+      "%c[HISTORY] Normalized points:",
       "color:#00ff99",
-      normalized
+      all.length
     );
 
-    return normalized;
+    return all;
   } catch (err) {
     console.error("%c[HISTORY] ERROR:", "color:red", err);
-    return [];
+    throw err;
+  }
+}
+
+/**
+ * downloadTrackExport()
+ * Fetches /device/:id/export for a time window and returns { blob, filename }.
+ * format: "gpx" | "kml" | "geojson" | "csv"; from/to in epoch seconds.
+ */
+export async function downloadTrackExport(deviceId, { format = "gpx", from, to } = {}) {
+  const params = new URLSearchParams({ format });
+  if (from != null) params.set("from", String(Math.floor(from)));
+  if (to != null) params.set("to", String(Math.floor(to)));
+  const url = `${API_BASE_URL}/device/${encodeURIComponent(deviceId)}/export?${params}`;
+  console.log("%c[API] Export:", "color:#00aaff", url);
+
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), 60000);
+  const token = getAuthToken();
+
+  try {
+    const res = await fetch(url, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      signal: controller.signal,
+      cache: "no-store",
+    });
+
+    if (!res.ok) {
+      const errorJson = await res.json().catch(() => null);
+      if (res.status === 401) unauthorizedHandler?.(errorJson);
+      throw new Error(errorJson?.error || `Export failed (HTTP ${res.status})`);
+    }
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `${deviceId}.${format}`;
+    return { blob: await res.blob(), filename };
+  } finally {
+    clearTimeout(id);
   }
 }
+
+/**
+ * fetchTrips()
+ * Trips and stops of a device for a time window (from/to epoch seconds).
+ * Returns { trips, stops }, both oldest first.
+ */
+export async function fetchTrips(deviceId, { from, to } = {}) {
+  if (!deviceId) return { trips: [], stops: [] };
+  const url = `${API_BASE_URL}/device/${encodeURIComponent(deviceId)}/trips${historyQueryString({ from, to })}`;
+
+  const resp = await safeFetchJson(url, { method: "GET" }, 15000);
+  if (!resp.ok) throw new Error(resp.json?.error || `fetchTrips HTTP ${resp.status}`);
+  return {
+    trips: Array.isArray(resp.json?.trips) ? resp.json.trips : [],
+    stops: Array.isArray(resp.json?.stops) ? resp.json.stops : [],
+  };
+}
+
+// ---------------------- Geofences ----------------------
+
+/**
+ * fetchGeofences()
+ * Every fence: [{id, name, type, center, radius_m, polygon, devices, groups, dwell_seconds, inside}]
+ */
+export async function fetchGeofences() {
+  const resp = await safeFetchJson(`${API_BASE_URL}/geofences`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchGeofences HTTP ${resp.status}`);
+  return Array.isArray(resp.json?.geofences) ? resp.json.geofences : [];
+}
+
+/**
+ * saveGeofence()
+ * Creates the fence, or updates it when it already has an id. Returns the stored fence.
+ */
+export async function saveGeofence(fence) {
+  const { id, inside, created_at, updated_at, created_by, ...body } = fence;
+  const url = id
+    ? `${API_BASE_URL}/geofences/${encodeURIComponent(id)}`
+    : `${API_BASE_URL}/geofences`;
+
+  const resp = await safeFetchJson(
+    url,
+    {
+      method: id ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    },
+    12000
+  );
+  if (!resp.ok) throw new Error(resp.json?.error || `saveGeofence HTTP ${resp.status}`);
+  return resp.json;
+}
+
+/**
+ * deleteGeofence()
+ */
+export async function deleteGeofence(id) {
+  const resp = await safeFetchJson(
+    `${API_BASE_URL}/geofences/${encodeURIComponent(id)}`,
+    { method: "DELETE" },
+    12000
+  );
+  if (!resp.ok) throw new Error(resp.json?.error || `deleteGeofence HTTP ${resp.status}`);
+}
+
+/**
+ * fetchGeofenceEvents()
+ * Newest first. Options: { deviceId, fenceId, type, from, to, limit } (from/to in epoch seconds).
+ */
+export async function fetchGeofenceEvents(opts = {}) {
+  const { deviceId, fenceId, type, from, to, limit } = opts;
+  const params = new URLSearchParams();
+  if (deviceId) params.set("device_id", deviceId);
+  if (fenceId) params.set("fence_id", fenceId);
+  if (type) params.set("type", type);
+  if (from != null) params.set("from", String(Math.floor(from)));
+  if (to != null) params.set("to", String(Math.floor(to)));
+  if (limit != null) params.set("limit", String(limit));
+  const qs = params.toString();
+
+  const resp = await safeFetchJson(`${API_BASE_URL}/geofences/events${qs ? `?${qs}` : ""}`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchGeofenceEvents HTTP ${resp.status}`);
+  return Array.isArray(resp.json?.events) ? resp.json.events : [];
+}
+
+// ---------------------- SOS incidents ----------------------
+
+/**
+ * fetchIncidents()
+ * status: "active" (default) | "open" | "acknowledged" | "resolved" | "all"
+ * Returns incident summaries (trail omitted, last_position included), newest first.
+ */
+export async function fetchIncidents({ status = "active", deviceId } = {}) {
+  const params = new URLSearchParams({ status });
+  if (deviceId) params.set("device_id", deviceId);
+
+  const resp = await safeFetchJson(`${API_BASE_URL}/incidents?${params}`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchIncidents HTTP ${resp.status}`);
+  return Array.isArray(resp.json?.incidents) ? resp.json.incidents : [];
+}
+
+/**
+ * fetchIncident()
+ * Full incident including its trail [{lat, lon, sos, timestamp}] and action log.
+ */
+export async function fetchIncident(id) {
+  const resp = await safeFetchJson(`${API_BASE_URL}/incidents/${encodeURIComponent(id)}`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(resp.json?.error || `fetchIncident HTTP ${resp.status}`);
+  return resp.json;
+}
+
+async function incidentAction(id, action, body) {
+  const resp = await safeFetchJson(
+    `${API_BASE_URL}/incidents/${encodeURIComponent(id)}/${action}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body || {}),
+    },
+    12000
+  );
+  if (!resp.ok) throw new Error(resp.json?.error || `${action} HTTP ${resp.status}`);
+  return resp.json;
+}
+
+export const acknowledgeIncident = (id, note) => incidentAction(id, "acknowledge", { note });
+export const assignIncident = (id, assignee) => incidentAction(id, "assign", { assignee: assignee || null });
+export const resolveIncident = (id, note) => incidentAction(id, "resolve", { note });
+
+// ---------------------- Device monitor / alerts ----------------------
+
+/**
+ * fetchAlerts()
+ * status: "open" (default) | "closed" | "all"
+ * Battery / silence alerts, newest first.
+ */
+export async function fetchAlerts({ status = "open", deviceId } = {}) {
+  const params = new URLSearchParams({ status });
+  if (deviceId) params.set("device_id", deviceId);
+
+  const resp = await safeFetchJson(`${API_BASE_URL}/alerts?${params}`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchAlerts HTTP ${resp.status}`);
+  return Array.isArray(resp.json?.alerts) ? resp.json.alerts : [];
+}
+
+/**
+ * fetchDeviceStatuses()
+ * { [device_id]: "online" | "stale" | "offline" } for every visible device.
+ */
+export async function fetchDeviceStatuses() {
+  const resp = await safeFetchJson(`${API_BASE_URL}/alerts/status`, { method: "GET" }, 12000);
+  if (!resp.ok) throw new Error(`fetchDeviceStatuses HTTP ${resp.status}`);
+  const list = Array.isArray(resp.json?.devices) ? resp.json.devices : [];
+  return Object.fromEntries(list.map((d) => [d.device_id, d.status]));
+}
+
+export async function closeAlert(id) {
+  const resp = await safeFetchJson(
+    `${API_BASE_URL}/alerts/${encodeURIComponent(id)}/close`,
+    { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" },
+    12000
+  );
+  if (!resp.ok) throw new Error(resp.json?.error || `closeAlert HTTP ${resp.status}`);
+  return resp.json;
+}
+
+// ---------------------- Live updates (Socket.IO) ----------------------
+
+let socket = null;
+const deviceSubscribers = new Map(); // deviceId -> Set of listeners
+const fleetSubscribers = new Set(); // listeners for every device
+const incidentSubscribers = new Set(); // SOS incident listeners (pushed to every client)
+const monitorSubscribers = new Set(); // alert / device status listeners (pushed to every client)
+
+/**
+ * getSocket()
+ * One shared Socket.IO connection, created on first subscription.
+ * Re-subscribes to every watched device after each (re)connect.
+ */
+function getSocket() {
+  if (socket) return socket;
+
+  socket = io(API_BASE_URL, {
+    transports: ["websocket", "polling"],
+    reconnectionDelayMax: 10000,
+    // evaluated on every (re)connect so a fresh login is picked up
+    auth: (cb) => cb({ token: getAuthToken() }),
+  });
+
+  socket.on("connect", () => {
+    console.log("%c[LIVE] Connected:", "color:#22cc88", socket.id);
+    for (const deviceId of deviceSubscribers.keys()) {
+      socket.emit("subscribe", deviceId);
+    }
+    if (fleetSubscribers.size > 0) socket.emit("subscribe_fleet");
+    notifyStatus("live");
+  });
+
+  socket.on("disconnect", (reason) => {
+    console.warn("%c[LIVE] Disconnected:", "color:orange", reason);
+    notifyStatus("offline");
+  });
+
+  socket.on("connect_error", (err) => {
+    console.warn("%c[LIVE] Connect error:", "color:red", err?.message ?? err);
+    notifyStatus("offline");
+  });
+
+  socket.on("point", (raw) => {
+    const listeners = deviceSubscribers.get(raw?.device_id);
+    if (!listeners && fleetSubscribers.size === 0) return;
+
+    const point = normalizeLivePoint(raw);
+    if (!point) return;
+
+    debugLog("%c[LIVE] Point:", "color:#00ddff", point);
+    listeners?.forEach((l) => l.onPoint?.(point));
+    fleetSubscribers.forEach((l) => l.onPoint?.(point));
+  });
+
+  socket.on("incident", (event) => {
+    if (!event?.incident) return;
+    console.log("%c[LIVE] Incident:", "color:#ff4b4b", event.action, event.incident.device_id);
+    incidentSubscribers.forEach((l) => l(event));
+  });
+
+  socket.on("alert", (event) => {
+    if (!event?.alert) return;
+    console.log("%c[LIVE] Alert:", "color:#facc15", event.action, event.alert.type, event.alert.device_id);
+    monitorSubscribers.forEach((l) => l.onAlert?.(event));
+  });
+
+  socket.on("device_status", (event) => {
+    if (!event?.device_id) return;
+    monitorSubscribers.forEach((l) => l.onDeviceStatus?.(event));
+  });
+
+  socket.on("geofence_event", (event) => {
+    if (!event?.device_id) return;
+    console.log("%c[LIVE] Geofence:", "color:#ffcc00", event);
+    deviceSubscribers.get(event.device_id)?.forEach((l) => l.onGeofenceEvent?.(event));
+    fleetSubscribers.forEach((l) => l.onGeofenceEvent?.(event));
+  });
+
+  return socket;
+}
+
+/**
+ * resetLiveConnection()
+ * Drops the socket and reconnects with the current session token.
+ */
+function resetLiveConnection() {
+  if (!socket) return;
+  socket.disconnect();
+  socket = null;
+  if (deviceSubscribers.size > 0 || fleetSubscribers.size > 0 || incidentSubscribers.size > 0 || monitorSubscribers.size > 0) {
+    getSocket();
+  }
+}
+
+function notifyStatus(status) {
+  deviceSubscribers.forEach((listeners) =>
+    listeners.forEach((l) => l.onStatus?.(status))
+  );
+  fleetSubscribers.forEach((l) => l.onStatus?.(status));
+}
+
+/**
+ * normalizeLivePoint()
+ * Same shape as fetchLatestLocation() output: numeric lat/lon, epoch-second timestamp.
+ */
+export function normalizeLivePoint(raw) {
+  if (!raw) return null;
+
+  const lat = raw.lat != null ? Number(raw.lat) : NaN;
+  const lon = raw.lon != null ? Number(raw.lon) : NaN;
+  if (Number.isNaN(lat) || Number.isNaN(lon)) return null;
+
+  const ts = parseTimestampCandidate(
+    raw.timestamp ?? raw.ts ?? raw.time ?? raw.server_time ?? null
+  );
+
+  return {
+    ...raw,
+    lat,
+    lon,
+    timestamp: ts ?? Math.floor(Date.now() / 1000),
+  };
+}
+
+/**
+ * subscribeToDevice()
+ * Streams newly stored points for a device.
+ *   onPoint(point)          – called for every live point
+ *   onStatus(status)        – "connecting" | "live" | "offline"
+ *   onGeofenceEvent(event)  – enter / exit / dwell transitions
+ * Returns an unsubscribe function.
+ */
+export function subscribeToDevice(deviceId, { onPoint, onStatus, onGeofenceEvent } = {}) {
+  if (!deviceId) return () => {};
+
+  const listener = { onPoint, onStatus, onGeofenceEvent };
+  const s = getSocket();
+
+  let listeners = deviceSubscribers.get(deviceId);
+  if (!listeners) {
+    listeners = new Set();
+    deviceSubscribers.set(deviceId, listeners);
+    if (s.connected) s.emit("subscribe", deviceId);
+  }
+  listeners.add(listener);
+
+  onStatus?.(s.connected ? "live" : "connecting");
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      deviceSubscribers.delete(deviceId);
+      // the socket may have been replaced since (login / logout)
+      if (socket?.connected) socket.emit("unsubscribe", deviceId);
+    }
+  };
+}
+
+/**
+ * subscribeToFleet()
+ * Streams newly stored points for every device. Same callbacks as subscribeToDevice().
+ * Returns an unsubscribe function.
+ */
+export function subscribeToFleet({ onPoint, onStatus, onGeofenceEvent } = {}) {
+  const listener = { onPoint, onStatus, onGeofenceEvent };
+  const s = getSocket();
+
+  if (fleetSubscribers.size === 0 && s.connected) s.emit("subscribe_fleet");
+  fleetSubscribers.add(listener);
+
+  onStatus?.(s.connected ? "live" : "connecting");
+
+  return () => {
+    fleetSubscribers.delete(listener);
+    if (fleetSubscribers.size === 0 && socket?.connected) socket.emit("unsubscribe_fleet");
+  };
+}
+
+/**
+ * subscribeToIncidents()
+ * onIncident({ action, incident }) for every SOS incident change the operator
+ * may see, whichever device or fleet view is open. Returns an unsubscribe function.
+ */
+export function subscribeToIncidents(onIncident) {
+  getSocket();
+  incidentSubscribers.add(onIncident);
+  return () => {
+    incidentSubscribers.delete(onIncident);
+  };
+}
+
+/**
+ * subscribeToMonitor()
+ *   onAlert({ action, alert })                      – alert opened / updated / closed
+ *   onDeviceStatus({ device_id, status, previous }) – online / stale / offline changes
+ * Pushed for every device the operator may see. Returns an unsubscribe function.
+ */
+export function subscribeToMonitor({ onAlert, onDeviceStatus } = {}) {
+  const listener = { onAlert, onDeviceStatus };
+  getSocket();
+  monitorSubscribers.add(listener);
+  return () => {
+    monitorSubscribers.delete(listener);
+  };
+}
@@ -0,0 +1,136 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { parseTimestampCandidate, fetchHistory } from "./trackingapp.js";
+
+// the client still logs a summary per call; the per-point detail needs VITE_API_DEBUG
+beforeEach(() => {
+  for (const level of ["log", "warn", "error"]) vi.spyOn(console, level).mockImplementation(() => {});
+});
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("parseTimestampCandidate", () => {
+  test("keeps epoch seconds", () => {
+    expect(parseTimestampCandidate(1733847391)).toBe(1733847391);
+    expect(parseTimestampCandidate(1733847391.9)).toBe(1733847391);
+  });
+
+  test("converts epoch milliseconds to seconds", () => {
+    expect(parseTimestampCandidate(1733847391123)).toBe(1733847391);
+  });
+
+  test("accepts numeric strings", () => {
+    expect(parseTimestampCandidate("1733847391")).toBe(1733847391);
+    expect(parseTimestampCandidate("1733847391123")).toBe(1733847391);
+  });
+
+  test("parses ISO-8601", () => {
+    expect(parseTimestampCandidate("2024-12-10T16:16:31Z")).toBe(1733847391);
+    expect(parseTimestampCandidate("2024-12-10T21:46:31+05:30")).toBe(1733847391);
+  });
+
+  test("returns null for anything else", () => {
+    expect(parseTimestampCandidate(null)).toBeNull();
+    expect(parseTimestampCandidate(undefined)).toBeNull();
+    expect(parseTimestampCandidate(12345)).toBeNull();
+    expect(parseTimestampCandidate("yesterday")).toBeNull();
+    expect(parseTimestampCandidate({ ts: 1733847391 })).toBeNull();
+  });
+});
+
+describe("fetchHistory", () => {
+  const point = (i, extra = {}) => ({ lat: 29.86 + i * 0.0001, lon: 77.89, speed: 1.5, battery: 90, ...extra });
+  const normalized = (i, ts) => ({ lat: 29.86 + i * 0.0001, lon: 77.89, ts, speed: 1.5, battery: 90 });
+
+  let responses;
+  const respond = (body, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+  beforeEach(() => {
+    responses = [];
+    vi.stubGlobal("fetch", vi.fn(async () => responses.shift() ?? respond({ coordinates: [] })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test.each([
+    ["a paginated { coordinates } page", (pts) => ({ coordinates: pts, count: pts.length, next_cursor: null })],
+    ["a bare array", (pts) => pts],
+    ["{ points }", (pts) => ({ points: pts })],
+    ["{ data }", (pts) => ({ data: pts })],
+    ["{ history }", (pts) => ({ history: pts })],
+  ])("normalizes %s", async (_, shape) => {
+    responses.push(respond(shape([point(0, { timestamp: 1733847391000 }), point(1, { timestamp: 1733847401000 })])));
+    expect(await fetchHistory("esp01")).toEqual([normalized(0, 1733847391), normalized(1, 1733847401)]);
+  });
+
+  test("reads the time from ts, timestamp, time or server_time", async () => {
+    responses.push(
+      respond([
+        point(0, { ts: 1733847391 }),
+        point(1, { timestamp: "2024-12-10T16:16:41Z" }),
+        point(2, { time: "1733847411" }),
+        point(3, { server_time: 1733847421000 }),
+      ])
+    );
+    const points = await fetchHistory("esp01");
+    expect(points.map((p) => p.ts)).toEqual([1733847391, 1733847401, 1733847411, 1733847421]);
+  });
+
+  test("drops points without coordinates and returns [] for unknown shapes", async () => {
+    responses.push(respond([point(0, { ts: 1733847391 }), { ts: 1733847401 }, { lat: "x", lon: 1, ts: 1733847411 }]));
+    expect(await fetchHistory("esp01")).toEqual([normalized(0, 1733847391)]);
+
+    responses.push(respond({ something: "else" }));
+    expect(await fetchHistory("esp01")).toEqual([]);
+  });
+
+  test("follows next_cursor and passes the window", async () => {
+    responses.push(respond({ coordinates: [point(0, { ts: 1733847391 })], next_cursor: "page2" }));
+    responses.push(respond({ coordinates: [point(1, { ts: 1733847401 })], next_cursor: null }));
+
+    const points = await fetchHistory("unit 7", { from: 1733840000.5, to: 1733850000, limit: 1 });
+    expect(points).toHaveLength(2);
+
+    const urls = fetch.mock.calls.map(([url]) => new URL(url));
+    expect(urls[0].pathname).toBe("/device/unit%207/history");
+    expect(Object.fromEntries(urls[0].searchParams)).toEqual({ from: "1733840000", to: "1733850000", limit: "1" });
+    expect(urls[1].searchParams.get("cursor")).toBe("page2");
+  });
+
+  test("stops after maxPages", async () => {
+    for (let i = 0; i < 5; i += 1) {
+      responses.push(respond({ coordinates: [point(i, { ts: 1733847391 + i })], next_cursor: `c${i}` }));
+    }
+    expect(await fetchHistory("esp01", { maxPages: 3 })).toHaveLength(3);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("treats an unknown device (404) as no points but throws on other errors", async () => {
+    responses.push(respond({ error: "No data" }, 404));
+    expect(await fetchHistory("ghost")).toEqual([]);
+
+    responses.push(respond({ error: "Internal error" }, 500));
+    await expect(fetchHistory("esp01")).rejects.toThrow("HTTP 500");
+
+    fetch.mockRejectedValueOnce(new TypeError("Failed to fetch"));
+    await expect(fetchHistory("esp01")).rejects.toThrow("Failed to fetch");
+  });
+
+  test("does not log per point or per page unless VITE_API_DEBUG is set", async () => {
+    const pts = Array.from({ length: 500 }, (_, i) => point(i, { ts: 1733847391 + i }));
+    responses.push(respond({ coordinates: pts.slice(0, 250), next_cursor: "page2" }));
+    responses.push(respond({ coordinates: pts.slice(250), next_cursor: null }));
+
+    expect(await fetchHistory("esp01")).toHaveLength(500);
+    // one line when the fetch starts and one with the point count
+    expect(console.log).toHaveBeenCalledTimes(2);
+  });
+
+  test("returns [] without a device id and makes no request", async () => {
+    expect(await fetchHistory("")).toEqual([]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
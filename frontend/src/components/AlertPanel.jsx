@@ -0,0 +1,61 @@
+// src/components/AlertPanel.jsx
+import { useState } from 'react';
+import { formatAgo } from '../lib/format.js';
+
+const TYPE_LABELS = { battery_low: 'Low battery', no_fix: 'No fix' };
+
+const toSeconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+
+/**
+ * AlertPanel
+ * Open battery / silence alerts. Operators can close one by hand; it opens
+ * again only once the condition has cleared and come back.
+ */
+export default function AlertPanel({ alerts, canAct, onClose }) {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const close = async (alert) => {
+    setBusyId(alert.id);
+    setError(null);
+    try {
+      await onClose(alert);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="panel-section glass alert-panel">
+      <div className="panel-head">
+        <h2>Alerts</h2>
+        <small>{alerts.length} open</small>
+      </div>
+
+      {error && <p className="geofence-error">{error}</p>}
+
+      {alerts.map((alert) => (
+        <div key={alert.id} className={`alert-row ${alert.severity}`}>
+          <div className="fleet-meta">
+            <div className="fleet-name">
+              {alert.device_id}
+              <span className={`alert-badge ${alert.severity}`}>{TYPE_LABELS[alert.type] || alert.type}</span>
+            </div>
+            <small>
+              {alert.message} · {formatAgo(toSeconds(alert.opened_at))}
+            </small>
+          </div>
+          {canAct && (
+            <div className="fleet-actions">
+              <button className="btn small" onClick={() => close(alert)} disabled={busyId === alert.id}>
+                Close
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
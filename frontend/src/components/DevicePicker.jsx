@@ -0,0 +1,143 @@
+// src/components/DevicePicker.jsx
+import { useMemo, useRef, useState } from 'react';
+import { colorForDevice } from './FleetLayer.jsx';
+import { formatDeviceName } from '../lib/format.js';
+
+// Every word of the query must appear in the id, name, callsign or group
+function matches(device, query) {
+  const haystack = [device.device_id, device.name, device.callsign, device.group].filter(Boolean).join(' ').toLowerCase();
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+}
+
+/**
+ * DevicePicker
+ * Searchable unit selector grouped by registry group.
+ *   devices  – registry entries (unregistered units have only device_id)
+ *   value    – selected device id
+ *   statuses – { [device_id]: "online" | "stale" | "offline" }
+ *   onSelect – called with a device id; a typed id that isn't listed can be used too
+ *   onOpen   – called when the list opens (e.g. to refresh the registry)
+ */
+export default function DevicePicker({ devices, value, statuses = {}, onSelect, onOpen }) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [highlight, setHighlight] = useState(0);
+  const inputRef = useRef(null);
+
+  const selected = devices.find((d) => d.device_id === value) || { device_id: value };
+  const trimmed = query.trim();
+
+  // Grouped (ungrouped last), then by name; a raw id option when nothing matches it exactly
+  const options = useMemo(() => {
+    const list = devices
+      .filter((d) => matches(d, trimmed))
+      .sort(
+        (a, b) =>
+          (a.group ? 0 : 1) - (b.group ? 0 : 1) ||
+          (a.group || '').localeCompare(b.group || '') ||
+          formatDeviceName(a).localeCompare(formatDeviceName(b))
+      );
+    if (trimmed && !devices.some((d) => d.device_id === trimmed)) list.push({ device_id: trimmed, raw: true });
+    return list;
+  }, [devices, trimmed]);
+
+  const choose = (device) => {
+    if (!device) return;
+    onSelect(device.device_id);
+    setQuery('');
+    setOpen(false);
+    inputRef.current?.blur();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setHighlight((h) => Math.min(h + 1, options.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight((h) => Math.max(h - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(options[highlight]);
+    } else if (e.key === 'Escape') {
+      setQuery('');
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="device-picker">
+      <input
+        id="deviceId"
+        ref={inputRef}
+        type="text"
+        role="combobox"
+        aria-expanded={open}
+        aria-controls="device-picker-list"
+        autoComplete="off"
+        value={open ? query : formatDeviceName(selected)}
+        placeholder={open ? formatDeviceName(selected) || 'Search units' : 'Pick a unit'}
+        onFocus={() => {
+          setOpen(true);
+          setHighlight(0);
+          onOpen?.();
+        }}
+        // delayed so a click on an option lands first
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlight(0);
+          setOpen(true);
+        }}
+        onKeyDown={onKeyDown}
+      />
+
+      {open && (
+        <ul className="device-picker-list" id="device-picker-list" role="listbox">
+          {options.length === 0 && <li className="device-picker-empty muted">No units match.</li>}
+          {options.map((d, i) => {
+            const showGroup = !d.raw && d.group && d.group !== options[i - 1]?.group;
+            const status = statuses[d.device_id] || d.status;
+            return (
+              <li key={`${d.raw ? 'raw' : 'dev'}-${d.device_id}`} role="presentation">
+                {showGroup && <div className="device-picker-group">{d.group}</div>}
+                <button
+                  type="button"
+                  role="option"
+                  aria-selected={d.device_id === value}
+                  className={i === highlight ? 'device-picker-option active' : 'device-picker-option'}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setHighlight(i)}
+                  onClick={() => choose(d)}
+                >
+                  {d.raw ? (
+                    <span className="device-picker-name">Use “{d.device_id}”</span>
+                  ) : (
+                    <>
+                      <span className="fleet-swatch" style={{ background: d.color || colorForDevice(d.device_id) }} />
+                      {d.icon && <span className="device-picker-icon">{d.icon}</span>}
+                      <span className="device-picker-name">
+                        {formatDeviceName(d)}
+                        <small>
+                          {[d.callsign, d.name ? d.device_id : null, d.registered === false ? 'not registered' : null]
+                            .filter(Boolean)
+                            .join(' · ')}
+                        </small>
+                      </span>
+                      <span className={`status-dot ${status || 'unknown'}`} title={status || 'not reporting'} />
+                    </>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
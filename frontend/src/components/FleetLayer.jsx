@@ -0,0 +1,107 @@
+// src/components/FleetLayer.jsx
+import { Polyline, Popup } from 'react-leaflet';
+import { divIcon } from 'leaflet';
+import SmoothMarker from './SmoothMarker.jsx';
+import { formatDeviceName, formatHHMMSS } from '../lib/format.js';
+
+// Distinct, dark-map friendly colors; each device hashes onto one
+const FLEET_PALETTE = [
+  '#ff9b31',
+  '#5eead4',
+  '#60a5fa',
+  '#f472b6',
+  '#a3e635',
+  '#facc15',
+  '#c084fc',
+  '#fb7185',
+  '#38bdf8',
+  '#34d399',
+];
+
+// Stable color per device id (same id -> same color across reloads)
+export function colorForDevice(deviceId) {
+  let hash = 0;
+  for (let i = 0; i < deviceId.length; i += 1) {
+    hash = (hash * 31 + deviceId.charCodeAt(i)) | 0;
+  }
+  return FLEET_PALETTE[Math.abs(hash) % FLEET_PALETTE.length];
+}
+
+// divIcons are cached so markers don't get a new icon object on every render
+const iconCache = new Map();
+function fleetIcon(color, sos) {
+  const key = `${color}-${sos ? 'sos' : 'ok'}`;
+  if (!iconCache.has(key)) {
+    iconCache.set(
+      key,
+      divIcon({
+        className: 'fleet-marker',
+        html: `<span class="fleet-marker-dot${sos ? ' sos' : ''}" style="background:${color}"></span>`,
+        iconSize: [18, 18],
+        iconAnchor: [9, 9],
+        popupAnchor: [0, -10],
+      })
+    );
+  }
+  return iconCache.get(key);
+}
+
+/**
+ * FleetLayer
+ * Colored marker + trail for every visible device.
+ *   devices  – [{device_id, name, callsign, color, lat, lon, speed, battery, sos, timestamp}]
+ *   trails   – { [device_id]: [{lat, lon, ts}] }
+ *   hidden   – array of hidden device ids
+ */
+export default function FleetLayer({ devices, trails, hidden, showPaths }) {
+  return devices
+    .filter((d) => !hidden.includes(d.device_id))
+    .map((d) => {
+      const color = d.color || colorForDevice(d.device_id);
+      const trail = (trails[d.device_id] || []).map((p) => [p.lat, p.lon]);
+
+      return (
+        <FleetUnit key={d.device_id} device={d} color={color} trail={showPaths ? trail : []} />
+      );
+    });
+}
+
+function FleetUnit({ device, color, trail }) {
+  return (
+    <>
+      {trail.length > 1 && (
+        <Polyline positions={trail} pathOptions={{ color, weight: 3, opacity: 0.8, smoothFactor: 1.5 }} />
+      )}
+      <SmoothMarker position={[device.lat, device.lon]} icon={fleetIcon(color, device.sos)}>
+        <Popup>
+          <div className="popup-content">
+            <strong>{formatDeviceName(device)}</strong>
+            {device.callsign && <> · {device.callsign}</>}
+            <br />
+            {device.lat.toFixed(6)}, {device.lon.toFixed(6)}
+            {device.speed != null && (
+              <>
+                <br />
+                Speed: {Number(device.speed).toFixed(2)} m/s
+              </>
+            )}
+            {device.battery != null && (
+              <>
+                <br />
+                Battery: {device.battery}%
+              </>
+            )}
+            {device.sos && (
+              <>
+                <br />
+                <strong style={{ color: 'red' }}>⚠ SOS ACTIVE</strong>
+              </>
+            )}
+            <br />
+            <small>{formatHHMMSS(device.timestamp)}</small>
+          </div>
+        </Popup>
+      </SmoothMarker>
+    </>
+  );
+}
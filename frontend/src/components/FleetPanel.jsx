@@ -0,0 +1,64 @@
+// src/components/FleetPanel.jsx
+import { colorForDevice } from './FleetLayer.jsx';
+import { formatAgo, formatDeviceName } from '../lib/format.js';
+
+/**
+ * FleetPanel
+ * Sidebar list of every known unit with focus / hide / follow controls.
+ * statuses – { [device_id]: "online" | "stale" | "offline" } from the backend monitor
+ */
+export default function FleetPanel({ devices, statuses = {}, hidden, followDeviceId, onFocus, onToggleHidden, onFollow }) {
+  return (
+    <div className="panel-section glass fleet-panel">
+      <div className="panel-head">
+        <h2>Fleet</h2>
+        <small>
+          {devices.length - hidden.filter((id) => devices.some((d) => d.device_id === id)).length}/{devices.length}{' '}
+          visible
+        </small>
+      </div>
+
+      {devices.length === 0 && <p className="muted">No units have reported yet.</p>}
+
+      {devices.map((d) => {
+        const isHidden = hidden.includes(d.device_id);
+        const isFollowed = followDeviceId === d.device_id;
+
+        return (
+          <div key={d.device_id} className={isHidden ? 'fleet-row hidden' : 'fleet-row'}>
+            <span className="fleet-swatch" style={{ background: d.color || colorForDevice(d.device_id) }} />
+            <div className="fleet-meta">
+              <div className="fleet-name">
+                <span className={`status-dot ${statuses[d.device_id] || d.status || 'unknown'}`} title={statuses[d.device_id] || d.status || 'unknown'} />
+                {d.icon && <span>{d.icon}</span>}
+                {formatDeviceName(d)}
+                {d.sos && <span className="sos active">SOS</span>}
+              </div>
+              <small>
+                {[d.callsign, d.group].filter(Boolean).map((text) => `${text} · `)}
+                {d.battery != null ? `${d.battery}% · ` : ''}
+                {formatAgo(d.last_seen ?? d.timestamp)}
+              </small>
+            </div>
+            <div className="fleet-actions">
+              <button className="btn small" onClick={() => onFocus(d)} disabled={isHidden} title="Center map on unit">
+                Focus
+              </button>
+              <button className="btn small" onClick={() => onToggleHidden(d.device_id)} title="Show / hide on map">
+                {isHidden ? 'Show' : 'Hide'}
+              </button>
+              <button
+                className={isFollowed ? 'btn small active' : 'btn small'}
+                onClick={() => onFollow(isFollowed ? null : d.device_id)}
+                disabled={isHidden}
+                title="Keep map centered on unit"
+              >
+                Follow
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
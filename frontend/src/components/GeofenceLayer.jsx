@@ -0,0 +1,140 @@
+// src/components/GeofenceLayer.jsx
+import { Circle, Polygon, Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import { divIcon } from 'leaflet';
+
+const FENCE_STYLE = { color: '#facc15', weight: 2, opacity: 0.9, fillOpacity: 0.08, dashArray: '6 6' };
+const OCCUPIED_STYLE = { ...FENCE_STYLE, color: '#fb7185', fillOpacity: 0.14 };
+const DRAFT_STYLE = { color: '#5eead4', weight: 2, opacity: 1, fillOpacity: 0.15 };
+
+const handleIcon = divIcon({
+  className: 'geofence-handle',
+  html: '<span class="geofence-handle-dot"></span>',
+  iconSize: [14, 14],
+  iconAnchor: [7, 7],
+});
+
+// Point `meters` due east of a center (good enough to place the radius handle)
+function eastOf(center, meters) {
+  const dLon = meters / (111320 * Math.cos((center.lat * Math.PI) / 180));
+  return [center.lat, center.lon + dLon];
+}
+
+/**
+ * GeofenceLayer
+ * Saved fences plus the fence being drawn / edited.
+ *   fences        – [{id, name, type, center, radius_m, polygon, inside}]
+ *   draft         – fence being edited (null when not editing); its saved copy is hidden
+ *   onDraftChange – (draft) => void; map clicks and handle drags update the draft
+ */
+export default function GeofenceLayer({ fences, draft, onDraftChange }) {
+  return (
+    <>
+      {fences
+        .filter((f) => f.id !== draft?.id)
+        .map((f) => (
+          <FenceShape key={f.id} fence={f} pathOptions={f.inside?.length ? OCCUPIED_STYLE : FENCE_STYLE}>
+            <Tooltip sticky>
+              {f.name}
+              {f.inside?.length ? ` · ${f.inside.length} inside` : ''}
+            </Tooltip>
+          </FenceShape>
+        ))}
+
+      {draft && <DraftEditor draft={draft} onChange={onDraftChange} />}
+    </>
+  );
+}
+
+function FenceShape({ fence, pathOptions, children }) {
+  if (fence.type === 'circle' && fence.center) {
+    return (
+      <Circle center={[fence.center.lat, fence.center.lon]} radius={fence.radius_m} pathOptions={pathOptions}>
+        {children}
+      </Circle>
+    );
+  }
+  if (fence.type === 'polygon' && fence.polygon?.length >= 3) {
+    return (
+      <Polygon positions={fence.polygon} pathOptions={pathOptions}>
+        {children}
+      </Polygon>
+    );
+  }
+  return null;
+}
+
+/**
+ * DraftEditor
+ * Circle: click sets the center, drag the center / edge handles.
+ * Polygon: each click adds a vertex, drag vertices to adjust.
+ */
+function DraftEditor({ draft, onChange }) {
+  const map = useMap();
+
+  useMapEvents({
+    click(e) {
+      const { lat, lng } = e.latlng;
+      if (draft.type === 'circle') {
+        onChange({ ...draft, center: { lat, lon: lng } });
+      } else {
+        onChange({ ...draft, polygon: [...(draft.polygon || []), [lat, lng]] });
+      }
+    },
+  });
+
+  if (draft.type === 'circle') {
+    if (!draft.center) return null;
+    const center = draft.center;
+
+    return (
+      <>
+        <Circle center={[center.lat, center.lon]} radius={draft.radius_m} pathOptions={DRAFT_STYLE} />
+        <Marker
+          position={[center.lat, center.lon]}
+          icon={handleIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              onChange({ ...draft, center: { lat, lon: lng } });
+            },
+          }}
+        />
+        <Marker
+          position={eastOf(center, draft.radius_m)}
+          icon={handleIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => {
+              const radius = map.distance([center.lat, center.lon], e.target.getLatLng());
+              onChange({ ...draft, radius_m: Math.max(10, Math.round(radius)) });
+            },
+          }}
+        />
+      </>
+    );
+  }
+
+  const vertices = draft.polygon || [];
+  return (
+    <>
+      {vertices.length >= 2 && <Polygon positions={vertices} pathOptions={DRAFT_STYLE} />}
+      {vertices.map((v, idx) => (
+        <Marker
+          key={idx}
+          position={v}
+          icon={handleIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => {
+              const { lat, lng } = e.target.getLatLng();
+              onChange({ ...draft, polygon: vertices.map((p, i) => (i === idx ? [lat, lng] : p)) });
+            },
+            // right click / long press removes a vertex
+            contextmenu: () => onChange({ ...draft, polygon: vertices.filter((_, i) => i !== idx) }),
+          }}
+        />
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,194 @@
+// src/components/GeofencePanel.jsx
+import { formatHHMMSS, formatAgo } from '../lib/format.js';
+
+const EVENT_LABELS = { enter: 'entered', exit: 'left', dwell: 'dwelling in' };
+
+// "a, b ,c" <-> ['a', 'b', 'c']
+const listToText = (list) => (list || []).join(', ');
+const textToList = (text) =>
+  text
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * GeofencePanel
+ * Fence list with create / edit / delete (operators only) and the latest breaches.
+ *   fences, events – from the API (events newest first)
+ *   draft          – fence being drawn / edited, or null
+ *   canEdit        – false for viewers
+ */
+export default function GeofencePanel({
+  fences,
+  events,
+  draft,
+  canEdit,
+  saving,
+  error,
+  onStartDraft,
+  onEditFence,
+  onDraftChange,
+  onSaveDraft,
+  onCancelDraft,
+  onDeleteFence,
+  onFocusFence,
+}) {
+  const draftReady =
+    draft &&
+    draft.name.trim() &&
+    (draft.type === 'circle' ? Boolean(draft.center) : (draft.polygon || []).length >= 3);
+
+  return (
+    <div className="panel-section glass geofence-panel">
+      <div className="panel-head">
+        <h2>Geofences</h2>
+        {canEdit && !draft && (
+          <div className="geofence-new">
+            <button className="btn small" onClick={() => onStartDraft('circle')}>
+              + Circle
+            </button>
+            <button className="btn small" onClick={() => onStartDraft('polygon')}>
+              + Polygon
+            </button>
+          </div>
+        )}
+      </div>
+
+      {draft && (
+        <div className="geofence-draft">
+          <p className="muted">
+            {draft.type === 'circle'
+              ? 'Click the map to place the center, drag the edge handle to resize.'
+              : 'Click the map to add vertices, drag to move, right-click a vertex to remove it.'}
+          </p>
+          <label className="field">
+            <span>Name</span>
+            <input value={draft.name} onChange={(e) => onDraftChange({ ...draft, name: e.target.value })} placeholder="Depot" />
+          </label>
+          <label className="field">
+            <span>Devices (comma separated, empty = all)</span>
+            <input
+              value={draft.devicesText}
+              onChange={(e) => onDraftChange({ ...draft, devicesText: e.target.value })}
+              placeholder="esp01, esp02"
+            />
+          </label>
+          <label className="field">
+            <span>Groups</span>
+            <input
+              value={draft.groupsText}
+              onChange={(e) => onDraftChange({ ...draft, groupsText: e.target.value })}
+              placeholder="north-team"
+            />
+          </label>
+          <div className="geofence-draft-row">
+            {draft.type === 'circle' && (
+              <label className="field">
+                <span>Radius (m)</span>
+                <input
+                  type="number"
+                  min="10"
+                  value={draft.radius_m}
+                  onChange={(e) => onDraftChange({ ...draft, radius_m: Number(e.target.value) || 0 })}
+                />
+              </label>
+            )}
+            <label className="field">
+              <span>Dwell alert (s)</span>
+              <input
+                type="number"
+                min="0"
+                value={draft.dwell_seconds}
+                onChange={(e) => onDraftChange({ ...draft, dwell_seconds: Number(e.target.value) || 0 })}
+              />
+            </label>
+          </div>
+          <div className="geofence-draft-actions">
+            <button className="btn primary small" onClick={onSaveDraft} disabled={!draftReady || saving}>
+              {saving ? 'Saving…' : 'Save fence'}
+            </button>
+            <button className="btn small" onClick={onCancelDraft} disabled={saving}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="geofence-error">{error}</p>}
+
+      {fences.length === 0 && !draft && <p className="muted">No geofences yet.</p>}
+
+      {fences.map((f) => (
+        <div key={f.id} className={draft?.id === f.id ? 'geofence-row editing' : 'geofence-row'}>
+          <div className="fleet-meta">
+            <div className="fleet-name">
+              {f.name}
+              {f.inside?.length > 0 && <span className="geofence-count">{f.inside.length} inside</span>}
+            </div>
+            <small>
+              {f.type === 'circle' ? `Circle · ${Math.round(f.radius_m)} m` : `Polygon · ${f.polygon.length} pts`}
+              {' · '}
+              {f.devices.length || f.groups.length
+                ? [...f.devices, ...f.groups.map((g) => `#${g}`)].join(', ')
+                : 'all units'}
+            </small>
+          </div>
+          <div className="fleet-actions">
+            <button className="btn small" onClick={() => onFocusFence(f)} title="Center map on fence">
+              Focus
+            </button>
+            {canEdit && (
+              <>
+                <button className="btn small" onClick={() => onEditFence(f)} disabled={Boolean(draft)}>
+                  Edit
+                </button>
+                <button className="btn small" onClick={() => onDeleteFence(f)} disabled={Boolean(draft)}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <div className="panel-head geofence-events-head">
+        <h2>Breaches</h2>
+        <small>Last {events.length}</small>
+      </div>
+      {events.length === 0 && <p className="muted">No entry / exit events yet.</p>}
+      {events.map((e) => (
+        <div key={e.id} className={`geofence-event ${e.type}`}>
+          <span className="geofence-event-type">{e.type}</span>
+          <div>
+            <div>
+              <strong>{e.device_id}</strong> {EVENT_LABELS[e.type] || e.type} {e.fence_name}
+            </div>
+            <small title={formatHHMMSS(e.timestamp)}>{formatAgo(e.timestamp)}</small>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Editor state <-> API shape
+export function fenceToDraft(fence) {
+  return {
+    ...fence,
+    devicesText: listToText(fence.devices),
+    groupsText: listToText(fence.groups),
+  };
+}
+
+export function draftToFence(draft) {
+  const { devicesText, groupsText, ...rest } = draft;
+  return { ...rest, devices: textToList(devicesText), groups: textToList(groupsText) };
+}
+
+export function newDraft(type) {
+  return fenceToDraft(
+    type === 'circle'
+      ? { type, name: '', center: null, radius_m: 200, dwell_seconds: 300, devices: [], groups: [] }
+      : { type, name: '', polygon: [], dwell_seconds: 300, devices: [], groups: [] }
+  );
+}
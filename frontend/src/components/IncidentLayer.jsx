@@ -0,0 +1,36 @@
+// src/components/IncidentLayer.jsx
+import { Fragment } from 'react';
+import { Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+
+/**
+ * IncidentLayer
+ * Trail and last known position of every active SOS incident.
+ *   incidents – summaries (last_position) from the API
+ *   trails    – { [incident id]: [{lat, lon}] }
+ */
+export default function IncidentLayer({ incidents, trails }) {
+  return incidents.map((incident) => {
+    const trail = (trails[incident.id] || []).map((p) => [p.lat, p.lon]);
+    const last = incident.last_position;
+    const open = incident.status === 'open';
+
+    return (
+      <Fragment key={incident.id}>
+        {trail.length > 1 && (
+          <Polyline positions={trail} pathOptions={{ color: '#ff4b4b', weight: 3, opacity: 0.9, dashArray: '4 6' }} />
+        )}
+        {last && (
+          <CircleMarker
+            center={[last.lat, last.lon]}
+            radius={open ? 12 : 9}
+            pathOptions={{ color: '#ff4b4b', weight: 3, fillColor: '#ff4b4b', fillOpacity: open ? 0.45 : 0.2 }}
+          >
+            <Tooltip direction="top" offset={[0, -10]} permanent={open}>
+              SOS · {incident.device_id}
+            </Tooltip>
+          </CircleMarker>
+        )}
+      </Fragment>
+    );
+  });
+}
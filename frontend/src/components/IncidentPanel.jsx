@@ -0,0 +1,112 @@
+// src/components/IncidentPanel.jsx
+import { useState } from 'react';
+import { formatAgo } from '../lib/format.js';
+
+const STATUS_LABELS = { open: 'Unacknowledged', acknowledged: 'Acknowledged', resolved: 'Resolved' };
+
+const toSeconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+
+/**
+ * IncidentPanel
+ * Active SOS incidents with acknowledge / assign / resolve (operators only).
+ *   incidents – summaries from the API, newest first
+ *   onAction  – (action, incident, value) => Promise; action: "acknowledge" | "assign" | "resolve"
+ */
+export default function IncidentPanel({ incidents, canAct, onAction, onFocus }) {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [assignDraft, setAssignDraft] = useState({}); // incident id -> assignee input
+
+  const run = async (action, incident, value) => {
+    setBusyId(incident.id);
+    setError(null);
+    try {
+      await onAction(action, incident, value);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className={incidents.some((i) => i.status === 'open') ? 'panel-section glass incident-panel alarm' : 'panel-section glass incident-panel'}>
+      <div className="panel-head">
+        <h2>SOS incidents</h2>
+        <small>{incidents.length} active</small>
+      </div>
+
+      {incidents.length === 0 && <p className="muted">No active SOS incidents.</p>}
+      {error && <p className="geofence-error">{error}</p>}
+
+      {incidents.map((incident) => {
+        const busy = busyId === incident.id;
+        const assignee = assignDraft[incident.id] ?? incident.assigned_to ?? '';
+
+        return (
+          <div key={incident.id} className={`incident-row ${incident.status}`}>
+            <div className="fleet-meta">
+              <div className="fleet-name">
+                {incident.device_id}
+                <span className={`incident-status ${incident.status}`}>{STATUS_LABELS[incident.status]}</span>
+                {incident.escalation_level > 0 && (
+                  <span className="incident-escalated" title="Escalation level">
+                    ⬆ {incident.escalation_level}
+                  </span>
+                )}
+              </div>
+              <small>
+                Opened {formatAgo(toSeconds(incident.opened_at))}
+                {incident.acknowledged_by && ` · ack by ${incident.acknowledged_by}`}
+                {incident.assigned_to && ` · assigned to ${incident.assigned_to}`}
+                {` · ${incident.trail_points} pts`}
+              </small>
+            </div>
+
+            <div className="incident-actions">
+              <button className="btn small" onClick={() => onFocus(incident)} disabled={!incident.last_position}>
+                Focus
+              </button>
+              {canAct && (
+                <>
+                  {incident.status === 'open' && (
+                    <button className="btn small primary" onClick={() => run('acknowledge', incident)} disabled={busy}>
+                      Acknowledge
+                    </button>
+                  )}
+                  <button
+                    className="btn small"
+                    onClick={() => {
+                      const note = window.prompt(`Resolve SOS for ${incident.device_id}. Resolution note (optional):`, '');
+                      if (note !== null) run('resolve', incident, note);
+                    }}
+                    disabled={busy}
+                  >
+                    Resolve
+                  </button>
+                </>
+              )}
+            </div>
+
+            {canAct && (
+              <div className="incident-assign">
+                <input
+                  value={assignee}
+                  placeholder="Assign to operator"
+                  onChange={(e) => setAssignDraft((prev) => ({ ...prev, [incident.id]: e.target.value }))}
+                />
+                <button
+                  className="btn small"
+                  onClick={() => run('assign', incident, assignee.trim())}
+                  disabled={busy || assignee.trim() === (incident.assigned_to ?? '')}
+                >
+                  Assign
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// src/components/LoginScreen.jsx
+import { useState } from 'react';
+import { login } from '../api/trackingapp.js';
+
+/**
+ * LoginScreen
+ * Operator sign-in shown when the backend runs with OPERATOR_AUTH=required.
+ */
+export default function LoginScreen({ onLogin, notice }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const user = await login(username.trim(), password);
+      onLogin(user);
+    } catch (err) {
+      setError(err?.message ?? String(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="app-root login-shell">
+      <div className="hero-glow" />
+      <form className="panel-section glass login-card" onSubmit={submit}>
+        <div className="bsf-title">
+          <span className="bsf-badge">BSF</span>
+          <div>
+            <h1>Multi-Mode Tactical Tracker</h1>
+            <p>Operator sign-in</p>
+          </div>
+        </div>
+
+        {notice && <p className="muted">{notice}</p>}
+
+        <label htmlFor="username" className="field-label">
+          Username
+        </label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoFocus
+        />
+
+        <label htmlFor="password" className="field-label">
+          Password
+        </label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+
+        {error && <div className="error-box login-error">{error}</div>}
+
+        <button className="btn primary" type="submit" disabled={busy || !username.trim() || !password}>
+          {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
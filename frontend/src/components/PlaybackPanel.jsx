@@ -0,0 +1,95 @@
+// src/components/PlaybackPanel.jsx
+import { formatHHMMSS, formatServerTimeLong } from '../lib/format.js';
+
+export const PLAYBACK_RATES = [1, 5, 10, 30, 60];
+
+/**
+ * PlaybackPanel
+ * Timeline scrubber for replaying the displayed track.
+ *   track    – time-ordered [{lat, lon, ts, speed, battery}]
+ *   playback – null (off) or { time, playing, rate }
+ *   fix      – last fix at or before the playback time
+ */
+export default function PlaybackPanel({ track, playback, fix, onStart, onChange, onStop }) {
+  const start = track[0]?.ts;
+  const end = track[track.length - 1]?.ts;
+  const canPlay = track.length > 1 && end > start;
+
+  return (
+    <div className="panel-section glass playback-panel">
+      <div className="panel-head">
+        <h2>Playback</h2>
+        {playback && <small>{formatServerTimeLong(Math.floor(playback.time))}</small>}
+      </div>
+
+      {!playback && (
+        <>
+          {!canPlay && <p className="muted">Load a track with at least two points to replay it.</p>}
+          <button className="btn small" onClick={onStart} disabled={!canPlay}>
+            ▶ Replay track
+          </button>
+        </>
+      )}
+
+      {playback && (
+        <>
+          <input
+            type="range"
+            className="playback-slider"
+            min={start}
+            max={end}
+            step={1}
+            value={Math.floor(playback.time)}
+            onChange={(e) => onChange({ time: Number(e.target.value) })}
+            aria-label="Playback time"
+          />
+          <div className="playback-times">
+            <small>{formatHHMMSS(start)}</small>
+            <strong>{formatHHMMSS(Math.floor(playback.time))}</strong>
+            <small>{formatHHMMSS(end)}</small>
+          </div>
+
+          <div className="playback-controls">
+            <button
+              className="btn small primary"
+              onClick={() => onChange({ playing: !playback.playing, ...(playback.time >= end ? { time: start } : {}) })}
+            >
+              {playback.playing ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <div className="map-style-toggle">
+              {PLAYBACK_RATES.map((rate) => (
+                <button
+                  key={rate}
+                  className={playback.rate === rate ? 'btn small active' : 'btn small'}
+                  onClick={() => onChange({ rate })}
+                >
+                  {rate}×
+                </button>
+              ))}
+            </div>
+            <button className="btn small" onClick={onStop}>
+              Exit
+            </button>
+          </div>
+
+          {fix && (
+            <div className="info-grid">
+              <div>
+                <span className="label">Fix time</span>
+                <span>{formatHHMMSS(fix.ts)}</span>
+              </div>
+              <div>
+                <span className="label">Speed</span>
+                <span>{fix.speed != null ? `${Number(fix.speed).toFixed(2)} m/s` : '—'}</span>
+              </div>
+              <div>
+                <span className="label">Battery</span>
+                <span>{fix.battery != null ? `${fix.battery}%` : '—'}</span>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// src/components/RecenterOnTarget.jsx
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+// Small helper component to recenter map when target moves — now pans smoothly
+export default function RecenterOnTarget({ lat, lon }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (lat || lat === 0) {
+      try {
+        map.panTo([lat, lon], { animate: true, duration: 0.7 });
+      } catch {
+        map.setView([lat, lon]);
+      }
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lat, lon]);
+
+  return null;
+}
@@ -0,0 +1,66 @@
+// src/components/SmoothMarker.jsx
+import { useEffect, useRef } from 'react';
+import { Marker } from 'react-leaflet';
+import { easeInOutCubic, lerpLatLon } from '../lib/interpolate.js';
+
+/**
+ * SmoothMarker
+ * - Interpolates marker position using requestAnimationFrame when coordinates update.
+ * - This creates smooth micro-movements for tiny GPS changes.
+ * - Optional `icon` replaces the default Leaflet pin.
+ * - `duration` is the interpolation time in ms (playback uses its tick length).
+ */
+export default function SmoothMarker({ position, icon, duration = 700, children }) {
+  const markerRef = useRef({ lat: position[0], lon: position[1] });
+  const animRef = useRef(null);
+  const leafletRef = useRef(null);
+
+  useEffect(() => {
+    const from = { ...markerRef.current };
+    const to = { lat: position[0], lon: position[1] };
+
+    // If no movement, do nothing
+    if (from.lat === to.lat && from.lon === to.lon) return;
+
+    const start = performance.now();
+
+    cancelAnimationFrame(animRef.current);
+
+    function step(now) {
+      const t = Math.min(1, (now - start) / duration);
+      const { lat, lon } = lerpLatLon(from, to, easeInOutCubic(t));
+
+      markerRef.current = { lat, lon };
+
+      // update leaflet marker position directly to avoid re-render
+      if (leafletRef.current && leafletRef.current.setLatLng) {
+        leafletRef.current.setLatLng([lat, lon]);
+      }
+
+      if (t < 1) {
+        animRef.current = requestAnimationFrame(step);
+      }
+    }
+
+    animRef.current = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(animRef.current);
+  }, [position, duration]);
+
+  // initial render - position taken from markerRef so small changes animate
+  return (
+    <Marker
+      position={[markerRef.current.lat, markerRef.current.lon]}
+      {...(icon ? { icon } : {})}
+      ref={(m) => {
+        if (m && m.setLatLng) {
+          leafletRef.current = m;
+        } else if (m && m._leaflet_id) {
+          leafletRef.current = m;
+        }
+      }}
+    >
+      {children}
+    </Marker>
+  );
+}
@@ -0,0 +1,29 @@
+// src/components/TripLayer.jsx
+import { CircleMarker, Tooltip } from 'react-leaflet';
+import { formatHHMMSS, formatDuration } from '../lib/format.js';
+
+/**
+ * TripLayer
+ * Stop markers for the selected unit. With a trip selected, only the stops it
+ * leaves and reaches are drawn.
+ */
+export default function TripLayer({ stops, selectedTrip }) {
+  const visible = selectedTrip
+    ? stops.filter((s) => s.id === selectedTrip.from_stop || s.id === selectedTrip.to_stop)
+    : stops;
+
+  return visible.map((stop) => (
+    <CircleMarker
+      key={stop.id}
+      center={[stop.lat, stop.lon]}
+      radius={8}
+      pathOptions={{ color: '#38bdf8', weight: 2, fillColor: '#0ea5e9', fillOpacity: 0.5 }}
+    >
+      <Tooltip direction="top" offset={[0, -8]}>
+        Stop · {formatDuration(stop.duration_sec)}
+        <br />
+        {formatHHMMSS(stop.arrived_at)} – {formatHHMMSS(stop.departed_at)}
+      </Tooltip>
+    </CircleMarker>
+  ));
+}
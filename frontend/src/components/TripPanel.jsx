@@ -0,0 +1,51 @@
+// src/components/TripPanel.jsx
+import { formatHHMMSS, formatDuration, formatDistance } from '../lib/format.js';
+
+/**
+ * TripPanel
+ * Trips of the selected unit (newest first). Picking one shows only that trip on the map.
+ *   trips          – from the trips API, oldest first
+ *   stops          – stop count is shown in the header
+ *   selectedTripId – null shows the whole window
+ */
+export default function TripPanel({ trips, stops, selectedTripId, onSelect }) {
+  const newestFirst = [...trips].reverse();
+
+  return (
+    <div className="panel-section glass trip-panel">
+      <div className="panel-head">
+        <h2>Trips</h2>
+        <small>
+          {trips.length} trips · {stops.length} stops
+        </small>
+      </div>
+
+      {trips.length === 0 && <p className="muted">No trips in this window.</p>}
+
+      {trips.length > 0 && (
+        <button className={selectedTripId ? 'btn small' : 'btn small active'} onClick={() => onSelect(null)}>
+          Whole window
+        </button>
+      )}
+
+      {newestFirst.map((trip) => {
+        const selected = trip.id === selectedTripId;
+        return (
+          <button
+            key={trip.id}
+            className={selected ? 'trip-row selected' : 'trip-row'}
+            onClick={() => onSelect(selected ? null : trip.id)}
+          >
+            <div className="fleet-name">
+              {formatHHMMSS(trip.start_time)} → {formatHHMMSS(trip.end_time)}
+            </div>
+            <small>
+              {formatDistance(trip.distance_m)} · {formatDuration(trip.duration_sec)} · avg {trip.avg_speed_kmh} km/h · max{' '}
+              {trip.max_speed_kmh} km/h
+            </small>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+// src/lib/alarm.js
+// Two-tone SOS siren generated with the Web Audio API (no audio assets needed)
+
+let ctx = null;
+let timer = null;
+
+// Browsers only allow audio after a user gesture; the first click unlocks it
+function getContext() {
+  if (ctx) return ctx;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return null;
+  ctx = new AudioCtx();
+  if (ctx.state === 'suspended') {
+    const unlock = () => {
+      ctx.resume().catch(() => {});
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+  }
+  return ctx;
+}
+
+function beep(audio, freq, startAt, duration) {
+  const osc = audio.createOscillator();
+  const gain = audio.createGain();
+  osc.type = 'square';
+  osc.frequency.value = freq;
+  gain.gain.setValueAtTime(0.0001, startAt);
+  gain.gain.exponentialRampToValueAtTime(0.15, startAt + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.0001, startAt + duration);
+  osc.connect(gain).connect(audio.destination);
+  osc.start(startAt);
+  osc.stop(startAt + duration + 0.02);
+}
+
+/**
+ * startAlarm()
+ * Plays the siren every `intervalMs` until stopAlarm(). Escalated alarms use a
+ * higher pitch. Calling it again just updates the pitch / interval.
+ */
+export function startAlarm({ escalated = false, intervalMs = 2000 } = {}) {
+  stopAlarm();
+  const audio = getContext();
+  if (!audio) return;
+
+  const [lo, hi] = escalated ? [880, 1320] : [660, 990];
+  const play = () => {
+    if (audio.state !== 'running') return;
+    const t = audio.currentTime;
+    beep(audio, hi, t, 0.25);
+    beep(audio, lo, t + 0.3, 0.25);
+  };
+  play();
+  timer = setInterval(play, intervalMs);
+}
+
+export function stopAlarm() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,86 @@
+// src/lib/format.js
+// Time, distance and telemetry formatting helpers shared by the dashboard components
+
+// Convert epoch seconds -> "HH:MM:SS"
+export const formatHHMMSS = (epochSeconds) => {
+  if (!epochSeconds && epochSeconds !== 0) return '--:--:--';
+  const d = new Date(epochSeconds * 1000);
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mm = String(d.getMinutes()).padStart(2, '0');
+  const ss = String(d.getSeconds()).padStart(2, '0');
+  return `${hh}:${mm}:${ss}`;
+};
+
+// Optional human readable with timezone (kept for other places if needed)
+export const formatServerTimeLong = (epochSeconds) => {
+  if (!epochSeconds && epochSeconds !== 0) return null;
+  const dt = new Date(epochSeconds * 1000);
+  return new Intl.DateTimeFormat('en-IN', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: 'Asia/Kolkata',
+  }).format(dt);
+};
+
+// Seconds elapsed -> "12s ago" / "5m ago" / "3h ago"
+export const formatAgo = (epochSeconds, nowSec = Math.floor(Date.now() / 1000)) => {
+  if (!epochSeconds && epochSeconds !== 0) return 'never';
+  const diff = Math.max(0, nowSec - epochSeconds);
+  if (diff < 60) return `${diff}s ago`;
+  if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
+  if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
+  return `${Math.floor(diff / 86400)}d ago`;
+};
+
+// Seconds -> "45s" / "12m" / "1h 05m"
+export const formatDuration = (seconds) => {
+  if (seconds == null || !Number.isFinite(seconds)) return '--';
+  const s = Math.max(0, Math.round(seconds));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m`;
+  return `${Math.floor(s / 3600)}h ${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`;
+};
+
+// Meters -> "850 m" / "12.4 km"
+export const formatDistance = (meters) => {
+  if (meters == null || !Number.isFinite(meters)) return '--';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+// Registry name if the unit has one, else its raw id
+export const formatDeviceName = (device) => device?.name || device?.device_id || '';
+
+// Optional GNSS / radio fields a unit may send (payload schema v2)
+export const TELEMETRY_FIELDS = ['altitude', 'heading', 'fix_type', 'satellites', 'hdop', 'rssi'];
+
+const FIX_LABELS = {
+  none: 'No fix',
+  '2d': '2D',
+  '3d': '3D',
+  dgps: 'DGPS',
+  rtk_float: 'RTK float',
+  rtk_fixed: 'RTK fixed',
+  estimated: 'Dead reckoning',
+};
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Point -> [{ key, label, text }] for the telemetry fields it carries
+export const formatTelemetry = (point) => {
+  if (!point) return [];
+  const rows = [];
+  const add = (key, label, text) => rows.push({ key, label, text });
+  if (point.altitude != null) add('altitude', 'Altitude', `${Math.round(point.altitude)} m`);
+  if (point.heading != null) {
+    add('heading', 'Heading', `${Math.round(point.heading)}° ${COMPASS[Math.round(point.heading / 45) % 8]}`);
+  }
+  if (point.fix_type != null) add('fix_type', 'Fix', FIX_LABELS[point.fix_type] || point.fix_type);
+  if (point.satellites != null || point.hdop != null) {
+    const parts = [];
+    if (point.satellites != null) parts.push(`${point.satellites} sats`);
+    if (point.hdop != null) parts.push(`HDOP ${Number(point.hdop).toFixed(1)}`);
+    add('gnss', 'Satellites', parts.join(' · '));
+  }
+  if (point.rssi != null) add('rssi', 'Signal', `${point.rssi} dBm`);
+  return rows;
+};
@@ -0,0 +1,24 @@
+// src/lib/history.js
+// Track cleaning for history, cached and live points before they reach the map
+
+import { filterTrack, pointTime } from '../../../shared/trackFilter.js';
+
+/**
+ * cleanAndSortHistory(history)
+ * Runs the shared track pipeline (shared/trackFilter.js, the same rules the
+ * backend applies): invalid timestamps, duplicates and speed outliers are
+ * rejected, the rest is returned as [{lat, lon, ts, speed, battery}] sorted by ts.
+ */
+export function cleanAndSortHistory(history) {
+  const { accepted, rejected } = filterTrack(history);
+  if (rejected.length > 0) {
+    console.warn('[CLEAN] Rejected points', rejected.map((p) => p.rejected));
+  }
+  return accepted.map((p) => ({
+    lat: Number(p.lat),
+    lon: Number(p.lon),
+    ts: pointTime(p),
+    speed: p.speed ?? null,
+    battery: p.battery ?? null,
+  }));
+}
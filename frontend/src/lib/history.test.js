@@ -0,0 +1,67 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { cleanAndSortHistory } from './history.js';
+
+describe('cleanAndSortHistory', () => {
+  const base = 1733847391; // epoch seconds
+  // ~11 m apart per step: well under the speed limit at 10 s spacing
+  const fix = (i, extra = {}) => ({ lat: 29.86 + i * 0.0001, lon: 77.89, ts: base + i * 10, ...extra });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('sorts by time and returns {lat, lon, ts, speed, battery}', () => {
+    const cleaned = cleanAndSortHistory([fix(2, { speed: 1.5 }), fix(0, { battery: 80 }), fix(1)]);
+    expect(cleaned).toEqual([
+      { lat: 29.86, lon: 77.89, ts: base, speed: null, battery: 80 },
+      { lat: 29.8601, lon: 77.89, ts: base + 10, speed: null, battery: null },
+      { lat: 29.8602, lon: 77.89, ts: base + 20, speed: 1.5, battery: null },
+    ]);
+  });
+
+  test('normalizes millisecond, string and ISO timestamps to seconds', () => {
+    const cleaned = cleanAndSortHistory([
+      { lat: '29.86', lon: '77.89', timestamp: (base + 20) * 1000 },
+      { lat: 29.8601, lon: 77.89, timestamp: new Date((base + 10) * 1000).toISOString() },
+      { lat: 29.8602, lon: 77.89, ts: String(base) },
+    ]);
+    expect(cleaned.map((p) => p.ts)).toEqual([base, base + 10, base + 20]);
+    expect(cleaned[2].lat).toBe(29.86);
+  });
+
+  test('drops invalid coordinates and timestamps', () => {
+    const cleaned = cleanAndSortHistory([
+      fix(0),
+      fix(1, { lat: 91 }),
+      fix(2, { lon: 'east' }),
+      fix(3, { ts: null }),
+      fix(4, { ts: 1000 }), // 1970
+      fix(5, { ts: Math.floor(Date.now() / 1000) + 7 * 86400 }), // a week ahead
+      fix(6),
+    ]);
+    expect(cleaned.map((p) => p.ts)).toEqual([base, base + 60]);
+    expect(console.warn).toHaveBeenCalledWith('[CLEAN] Rejected points', expect.any(Array));
+  });
+
+  test('drops duplicates and speed outliers', () => {
+    const cleaned = cleanAndSortHistory([
+      fix(0),
+      fix(0, { lat: 29.86001 }), // same second, ~1 m away
+      fix(1, { lat: 30.5 }), // ~70 km in 10 s
+      fix(2),
+    ]);
+    expect(cleaned.map((p) => p.ts)).toEqual([base, base + 20]);
+  });
+
+  test('skips points the server already rejected', () => {
+    expect(cleanAndSortHistory([fix(0), fix(1, { rejected: 'speed_outlier' })])).toHaveLength(1);
+  });
+
+  test('handles empty and missing input', () => {
+    expect(cleanAndSortHistory([])).toEqual([]);
+    expect(cleanAndSortHistory(undefined)).toEqual([]);
+  });
+});
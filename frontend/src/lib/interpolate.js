@@ -0,0 +1,36 @@
+// src/lib/interpolate.js
+// Position interpolation shared by SmoothMarker and track playback
+
+// ease in-out cubic, t in [0, 1]
+export const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+// Point `t` (0..1) of the way from `from` to `to` ({lat, lon})
+export const lerpLatLon = (from, to, t) => ({
+  lat: from.lat + (to.lat - from.lat) * t,
+  lon: from.lon + (to.lon - from.lon) * t,
+});
+
+/**
+ * positionAt
+ * Where a time-ordered track [{lat, lon, ts}] was at `time` (epoch seconds,
+ * fractional allowed), interpolated between the fixes around it.
+ * Returns { lat, lon, index, fix } where fix = track[index] is the last fix at
+ * or before `time`, or null for an empty track.
+ */
+export function positionAt(track, time) {
+  if (!track.length) return null;
+  if (time <= track[0].ts) return { lat: track[0].lat, lon: track[0].lon, index: 0, fix: track[0] };
+
+  let lo = 0;
+  let hi = track.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (track[mid].ts <= time) lo = mid;
+    else hi = mid - 1;
+  }
+
+  const a = track[lo];
+  const b = track[lo + 1];
+  if (!b || b.ts <= a.ts) return { lat: a.lat, lon: a.lon, index: lo, fix: a };
+  return { ...lerpLatLon(a, b, (time - a.ts) / (b.ts - a.ts)), index: lo, fix: a };
+}
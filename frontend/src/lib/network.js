@@ -0,0 +1,21 @@
+// src/lib/network.js
+// Browser connectivity: navigator.onLine plus the online / offline events
+
+import { useEffect, useState } from 'react';
+
+// true while the browser believes it has a network connection
+export function useOnlineStatus() {
+  const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
@@ -0,0 +1,237 @@
+// src/lib/trackCache.js
+// IndexedDB cache of every device's track, so the dashboard can show the last
+// known picture while the backend is unreachable.
+//
+// Stores:
+//   points – { device_id, ts, lat, lon, speed, battery }, key [device_id, ts]:
+//            a point the server sends again for the same time replaces the cached one
+//   meta   – { device_id, latest, synced_from, synced_to, synced_at }: the latest
+//            fix, the time range (epoch s) known to match the server, and when
+//            it was last synced (ms)
+//
+// The cache belongs to the operator it was filled for (localStorage OWNER_KEY):
+// it is emptied on logout and before another operator's dashboard opens.
+//
+// Without IndexedDB (private windows in some browsers) every call is a no-op.
+
+const DB_NAME = 'mmtt-track-cache';
+const DB_VERSION = 1;
+const MAX_AGE_SEC = 30 * 86400; // cached points older than this are pruned on open
+const LEGACY_PREFIX = 'track_history_'; // the old one-blob-per-device localStorage cache
+const OWNER_KEY = 'mmtt-track-cache-owner'; // username ('' with auth off)
+
+let dbPromise = null;
+
+// IDBRequest -> Promise
+const done = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Resolves when the transaction commits
+const committed = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+const rangeFor = (deviceId, from, to) =>
+  IDBKeyRange.bound([deviceId, from ?? -Infinity], [deviceId, to ?? Infinity]);
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') return (dbPromise = Promise.resolve(null));
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('points')) db.createObjectStore('points', { keyPath: ['device_id', 'ts'] });
+      if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'device_id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('[CACHE] IndexedDB unavailable', request.error);
+      resolve(null);
+    };
+  }).then(async (db) => {
+    if (db) {
+      await importLegacy(db).catch((err) => console.warn('[CACHE] legacy import failed', err));
+      await prune(db).catch((err) => console.warn('[CACHE] prune failed', err));
+    }
+    return db;
+  });
+  return dbPromise;
+}
+
+// Moves the old localStorage blobs into IndexedDB once, then frees the quota
+async function importLegacy(db) {
+  if (typeof localStorage === 'undefined') return;
+  const keys = Object.keys(localStorage).filter((k) => k.startsWith(LEGACY_PREFIX));
+  for (const key of keys) {
+    try {
+      const points = JSON.parse(localStorage.getItem(key));
+      if (Array.isArray(points)) await writePoints(db, key.slice(LEGACY_PREFIX.length), points);
+    } catch {
+      // unreadable blob: nothing worth keeping
+    }
+    localStorage.removeItem(key);
+  }
+  if (keys.length) console.log('[CACHE] imported legacy localStorage history', keys.length);
+}
+
+// Drops old points and shrinks the synced ranges to match, so a long window
+// is fetched from the server again instead of trusting what's left
+function prune(db) {
+  const cutoff = Math.floor(Date.now() / 1000) - MAX_AGE_SEC;
+  const tx = db.transaction(['points', 'meta'], 'readwrite');
+  tx.objectStore('points').openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (cursor.value.ts < cutoff) cursor.delete();
+    cursor.continue();
+  };
+  tx.objectStore('meta').openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const meta = cursor.value;
+    if (meta.synced_from != null && meta.synced_from < cutoff) {
+      cursor.update(
+        meta.synced_to < cutoff
+          ? { ...meta, synced_from: null, synced_to: null }
+          : { ...meta, synced_from: cutoff }
+      );
+    }
+    cursor.continue();
+  };
+  return committed(tx);
+}
+
+async function writePoints(db, deviceId, points) {
+  const tx = db.transaction('points', 'readwrite');
+  const store = tx.objectStore('points');
+  let written = 0;
+  for (const p of points) {
+    if (p.ts == null || !Number.isFinite(p.lat) || !Number.isFinite(p.lon)) continue;
+    store.put({
+      device_id: deviceId,
+      ts: p.ts,
+      lat: p.lat,
+      lon: p.lon,
+      speed: p.speed ?? null,
+      battery: p.battery ?? null,
+    });
+    written += 1;
+  }
+  await committed(tx);
+  return written;
+}
+
+/**
+ * mergePoints(deviceId, points)
+ * Adds / replaces points ({lat, lon, ts, speed, battery}) by timestamp. Returns how many were written.
+ */
+export async function mergePoints(deviceId, points) {
+  const db = await openDb();
+  if (!db || !deviceId || points.length === 0) return 0;
+  return writePoints(db, deviceId, points);
+}
+
+/**
+ * readPoints(deviceId, { from, to })
+ * Cached points in the window (epoch seconds, inclusive), oldest first.
+ */
+export async function readPoints(deviceId, { from, to } = {}) {
+  const db = await openDb();
+  if (!db || !deviceId) return [];
+  const tx = db.transaction('points', 'readonly');
+  return done(tx.objectStore('points').getAll(rangeFor(deviceId, from, to)));
+}
+
+// { latest, synced_from, synced_to, synced_at } or null
+export async function readMeta(deviceId) {
+  const db = await openDb();
+  if (!db || !deviceId) return null;
+  const tx = db.transaction('meta', 'readonly');
+  return (await done(tx.objectStore('meta').get(deviceId))) || null;
+}
+
+async function updateMeta(deviceId, update) {
+  const db = await openDb();
+  if (!db || !deviceId) return null;
+  const tx = db.transaction('meta', 'readwrite');
+  const store = tx.objectStore('meta');
+  const current = (await done(store.get(deviceId))) || { device_id: deviceId };
+  const next = { ...current, ...update(current), device_id: deviceId };
+  store.put(next);
+  await committed(tx);
+  return next;
+}
+
+export const saveLatest = (deviceId, latest) => updateMeta(deviceId, () => ({ latest }));
+
+/**
+ * markSynced(deviceId, from, to)
+ * Records that the cache matches the server over [from, to] (epoch s). Joins
+ * the range already synced when the two touch; otherwise the new one replaces it.
+ */
+export const markSynced = (deviceId, from, to) =>
+  updateMeta(deviceId, (current) => {
+    const touches =
+      current.synced_from != null && from <= current.synced_to && to >= current.synced_from;
+    return {
+      synced_from: touches ? Math.min(from, current.synced_from) : from,
+      synced_to: touches ? Math.max(to, current.synced_to) : to,
+      synced_at: Date.now(),
+    };
+  });
+
+/**
+ * syncStart(meta, { from, to })
+ * Where a server fetch for the window can start: just before the end of the
+ * synced range (`overlapSec` catches late points) when that range already covers
+ * the window's start, else the window's start.
+ */
+export function syncStart(meta, { from, to }, overlapSec = 900) {
+  const start = from ?? 0;
+  if (!meta || meta.synced_from == null || meta.synced_from > start) return from;
+  if (to != null && meta.synced_to >= to) return Math.max(start, to - overlapSec);
+  return Math.max(start, meta.synced_to - overlapSec);
+}
+
+export async function clearDevice(deviceId) {
+  const db = await openDb();
+  if (!db || !deviceId) return;
+  const tx = db.transaction(['points', 'meta'], 'readwrite');
+  tx.objectStore('points').delete(rangeFor(deviceId));
+  tx.objectStore('meta').delete(deviceId);
+  await committed(tx);
+}
+
+/**
+ * clearCache()
+ * Empties both stores and forgets the owner (on logout).
+ */
+export async function clearCache() {
+  if (typeof localStorage !== 'undefined') localStorage.removeItem(OWNER_KEY);
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction(['points', 'meta'], 'readwrite');
+  tx.objectStore('points').clear();
+  tx.objectStore('meta').clear();
+  await committed(tx);
+}
+
+/**
+ * claimCache(username)
+ * Empties the cache unless it was filled for `username` (null with auth off),
+ * then records that user as its owner.
+ */
+export async function claimCache(username) {
+  if (typeof localStorage === 'undefined') return;
+  const owner = username ?? '';
+  if (localStorage.getItem(OWNER_KEY) !== owner) await clearCache();
+  localStorage.setItem(OWNER_KEY, owner);
+}
@@ -9,3 +9,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   </React.StrictMode>,
 )
 
+// Offline support (public/sw.js); skipped in dev so Vite's hot reload isn't cached
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.warn('[SW] registration failed', err))
+  })
+}
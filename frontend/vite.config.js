@@ -4,5 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // ../shared holds code used by both the dashboard and the backend
+    fs: { allow: ['..'] },
+  },
+  // `npm test` – unit tests and App rendered against a mocked API (src/**/*.test.{js,jsx})
+  test: {
+    environment: 'jsdom',
+  },
 })
 
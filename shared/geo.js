@@ -0,0 +1,101 @@
+// shared/geo.js – Geodesy helpers shared by the backend and the dashboard
+//
+// Spherical earth (mean radius), which is well within GPS error at the
+// distances a unit covers between two fixes.
+
+export const EARTH_RADIUS_M = 6371000;
+const toRad = (v) => (v * Math.PI) / 180;
+
+/**
+ * haversineMeters
+ * Great-circle distance between two lat/lon points in meters.
+ */
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Same, for two { lat, lon } points
+export const distanceMeters = (a, b) => haversineMeters(a.lat, a.lon, b.lat, b.lon);
+
+/**
+ * pathLengthMeters
+ * Sum of the distances between consecutive points (already in order).
+ */
+export function pathLengthMeters(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) total += distanceMeters(points[i - 1], points[i]);
+  return total;
+}
+
+// Average speed in km/h for `meters` covered in `seconds` (0 when no time passed)
+export const speedKmh = (meters, seconds) => (seconds > 0 ? (meters / seconds) * 3.6 : 0);
+
+/**
+ * pointInPolygon
+ * Ray casting on raw lat/lon; fine for fences a few km across.
+ * polygon: [[lat, lon], …] (closing vertex optional)
+ */
+export function pointInPolygon(lat, lon, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses = lonI > lon !== lonJ > lon;
+    if (crosses && lat < ((latJ - latI) * (lon - lonI)) / (lonJ - lonI) + latI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export const isLat = (v) => typeof v === "number" && Number.isFinite(v) && v >= -90 && v <= 90;
+export const isLon = (v) => typeof v === "number" && Number.isFinite(v) && v >= -180 && v <= 180;
+
+// Distance in meters from p to the segment a–b, on a local flat projection around a
+function segmentDistanceMeters(p, a, b) {
+  const kx = toRad(1) * EARTH_RADIUS_M * Math.cos(toRad(a.lat));
+  const ky = toRad(1) * EARTH_RADIUS_M;
+  const px = (p.lon - a.lon) * kx;
+  const py = (p.lat - a.lat) * ky;
+  const bx = (b.lon - a.lon) * kx;
+  const by = (b.lat - a.lat) * ky;
+  const len2 = bx * bx + by * by;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+/**
+ * simplifyPath
+ * Douglas-Peucker: drops points that lie within `toleranceM` of the line
+ * through their kept neighbours. Endpoints always survive; order is kept.
+ */
+export function simplifyPath(points, toleranceM) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // explicit stack: long tracks would overflow recursion
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i += 1) {
+      const d = segmentDistanceMeters(points[i], points[first], points[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDist > toleranceM) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
@@ -0,0 +1,209 @@
+// shared/trackFilter.js – Track cleaning pipeline shared by the backend and the dashboard
+//
+// Stages, in order:
+//   1. validity   – coordinates in range, timestamp after minYear and not too far in the future
+//   2. ordering   – points are checked in time order; late arrivals are either
+//                   accepted ("accept") or rejected ("reject") in streaming mode
+//   3. duplicates – same second and within duplicateMeters of the previous fix
+//   4. speed      – implied speed from the previous accepted fix above maxSpeedKmh
+//   5. smoothing  – optional "median" or "kalman" pass over the accepted points
+//
+// Rejected points are never dropped silently: they come back with a `rejected`
+// reason (see REJECT_REASONS) so callers can store, show or count them.
+//
+// Points only need { lat, lon } and a time in `ts` or `timestamp`
+// (epoch seconds, epoch milliseconds or ISO-8601).
+
+import { distanceMeters } from "./geo.js";
+
+export const REJECT_REASONS = {
+  INVALID_COORDINATES: "invalid_coordinates",
+  INVALID_TIMESTAMP: "invalid_timestamp",
+  FUTURE_TIMESTAMP: "future_timestamp",
+  OUT_OF_ORDER: "out_of_order",
+  DUPLICATE: "duplicate",
+  SPEED_OUTLIER: "speed_outlier",
+};
+
+export const DEFAULT_TRACK_FILTER = {
+  minYear: 2009, // timestamps before this year are suspicious
+  maxFutureSec: 24 * 3600, // allow device clocks up to 24 h ahead
+  maxSpeedKmh: 300, // faster than this between two fixes = outlier
+  duplicateMeters: 5, // same second and closer than this = duplicate
+  outOfOrder: "accept", // "accept" | "reject" – late points in streaming mode
+  reanchorAfter: 3, // accept after this many consecutive speed outliers (the anchor was the bad fix)
+  smoothing: "off", // "off" | "median" | "kalman"
+  medianWindow: 5, // odd number of points
+  kalmanProcessNoise: 3, // m/s – how fast the true position may drift
+  kalmanMeasurementNoise: 10, // m – GPS error when the point has no `accuracy`
+};
+
+/**
+ * pointTime
+ * Epoch seconds of a point (`ts` or `timestamp`), or null.
+ */
+export function pointTime(point) {
+  let val = point?.ts ?? point?.timestamp;
+  if (val == null || val === "") return null;
+  if (typeof val === "string" && /^\d+(\.\d+)?$/.test(val)) val = Number(val);
+  if (typeof val === "number") {
+    if (!Number.isFinite(val)) return null;
+    return val > 1e12 ? Math.floor(val / 1000) : Math.floor(val);
+  }
+  if (typeof val === "string") {
+    const ms = Date.parse(val);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+  return null;
+}
+
+/**
+ * resolveTrackFilterOptions
+ * Defaults merged with overrides (undefined / null overrides are ignored).
+ */
+export function resolveTrackFilterOptions(overrides = {}) {
+  const opts = { ...DEFAULT_TRACK_FILTER };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value != null && key in DEFAULT_TRACK_FILTER) opts[key] = value;
+  }
+  return opts;
+}
+
+// Stage 1: a point on its own
+function validityReason(point, ts, opts, nowSec) {
+  const lat = Number(point.lat);
+  const lon = Number(point.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return REJECT_REASONS.INVALID_COORDINATES;
+  }
+  if (ts == null || ts < Date.UTC(opts.minYear, 0, 1) / 1000) return REJECT_REASONS.INVALID_TIMESTAMP;
+  if (ts > nowSec + opts.maxFutureSec) return REJECT_REASONS.FUTURE_TIMESTAMP;
+  return null;
+}
+
+/**
+ * checkPoint
+ * Streaming check of one point against the device's filter state
+ * ({ last: { lat, lon, ts } | null, streak }). Returns { reason, state }:
+ * reason is null when the point is accepted; state is the state for the next point.
+ */
+export function checkPoint(point, state = { last: null, streak: 0 }, options = {}, nowSec = Math.floor(Date.now() / 1000)) {
+  const opts = resolveTrackFilterOptions(options);
+  const ts = pointTime(point);
+  const reject = (reason, nextState = state) => ({ reason, state: nextState });
+
+  const invalid = validityReason(point, ts, opts, nowSec);
+  if (invalid) return reject(invalid);
+
+  const fix = { lat: Number(point.lat), lon: Number(point.lon), ts };
+  const { last } = state;
+  if (!last) return { reason: null, state: { last: fix, streak: 0 } };
+
+  const dt = ts - last.ts;
+  if (dt < 0) {
+    // late data can't be speed-checked against a newer anchor
+    if (opts.outOfOrder === "reject") return reject(REJECT_REASONS.OUT_OF_ORDER);
+    return { reason: null, state };
+  }
+
+  const meters = distanceMeters(last, fix);
+  if (dt === 0 && meters <= opts.duplicateMeters) return reject(REJECT_REASONS.DUPLICATE);
+
+  const kmh = dt === 0 ? Infinity : (meters / dt) * 3.6;
+  if (opts.maxSpeedKmh > 0 && kmh > opts.maxSpeedKmh) {
+    const streak = state.streak + 1;
+    // the unit keeps reporting from "impossibly far away": the anchor was the outlier
+    if (opts.reanchorAfter > 0 && streak >= opts.reanchorAfter) {
+      return { reason: null, state: { last: fix, streak: 0 } };
+    }
+    return reject(REJECT_REASONS.SPEED_OUTLIER, { last, streak });
+  }
+
+  return { reason: null, state: { last: fix, streak: 0 } };
+}
+
+// Centered running median of lat / lon
+function medianSmooth(points, windowSize) {
+  const half = Math.max(1, Math.floor(windowSize / 2));
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+
+  return points.map((p, i) => {
+    const slice = points.slice(Math.max(0, i - half), i + half + 1);
+    return { ...p, lat: median(slice.map((q) => q.lat)), lon: median(slice.map((q) => q.lon)), smoothed: true };
+  });
+}
+
+// Constant-position Kalman filter; uncertainty grows with time between fixes
+function kalmanSmooth(points, processNoise, measurementNoise) {
+  let lat = null;
+  let lon = null;
+  let variance = 0;
+  let lastTs = null;
+
+  return points.map((p) => {
+    const accuracy = Number(p.accuracy) > 0 ? Number(p.accuracy) : measurementNoise;
+    const ts = pointTime(p);
+    if (lat == null) {
+      lat = p.lat;
+      lon = p.lon;
+      variance = accuracy * accuracy;
+    } else {
+      variance += Math.max(0, ts - lastTs) * processNoise * processNoise;
+      const gain = variance / (variance + accuracy * accuracy);
+      lat += gain * (p.lat - lat);
+      lon += gain * (p.lon - lon);
+      variance *= 1 - gain;
+    }
+    lastTs = ts;
+    return { ...p, lat, lon, smoothed: true };
+  });
+}
+
+/**
+ * smoothTrack
+ * Applies the configured smoothing stage to already accepted, time-ordered points.
+ */
+export function smoothTrack(points, options = {}) {
+  const opts = resolveTrackFilterOptions(options);
+  if (opts.smoothing === "median") return medianSmooth(points, opts.medianWindow);
+  if (opts.smoothing === "kalman") return kalmanSmooth(points, opts.kalmanProcessNoise, opts.kalmanMeasurementNoise);
+  return points;
+}
+
+/**
+ * filterTrack
+ * Runs the whole pipeline over a batch of points (any order).
+ * Returns { accepted, rejected }: accepted is time-ordered (and smoothed if
+ * configured); rejected points carry `rejected: <reason>`. Points that already
+ * have a `rejected` reason (e.g. marked at ingest) stay rejected.
+ */
+export function filterTrack(points, options = {}, nowSec = Math.floor(Date.now() / 1000)) {
+  if (!Array.isArray(points)) return { accepted: [], rejected: [] };
+  const opts = resolveTrackFilterOptions(options);
+
+  const ordered = points
+    .map((point, index) => ({ point, index, ts: pointTime(point) }))
+    .sort((a, b) => (a.ts ?? -Infinity) - (b.ts ?? -Infinity) || a.index - b.index);
+
+  const accepted = [];
+  const rejected = [];
+  let state = { last: null, streak: 0 };
+
+  for (const { point } of ordered) {
+    if (point.rejected) {
+      rejected.push(point);
+      continue;
+    }
+    // the batch is sorted, so late arrivals are simply re-ordered
+    const result = checkPoint(point, state, { ...opts, outOfOrder: "accept" }, nowSec);
+    state = result.state;
+    if (result.reason) rejected.push({ ...point, rejected: result.reason });
+    else accepted.push(point);
+  }
+
+  return { accepted: smoothTrack(accepted, opts), rejected };
+}
@@ -0,0 +1,97 @@
+// shared/trackStats.js – Distance, moving / idle time and speed statistics for a track
+//
+// Between two consecutive fixes the unit counts as moving when its speed is
+// at least `movingSpeedKmh`. The speed is the one the device reported (m/s) at
+// the later fix, or the implied speed (distance / time) when it sent none.
+// A silence longer than `maxGapSec` adds its distance but no moving or idle
+// time, since we don't know what the unit did meanwhile.
+//
+// Daily rollups use the calendar day of the later fix in `timeZone`.
+
+import { distanceMeters, speedKmh } from "./geo.js";
+import { pointTime } from "./trackFilter.js";
+
+export const DEFAULT_STATS_OPTIONS = {
+  movingSpeedKmh: 3, // at or above this the unit is moving
+  maxGapSec: 900, // longer silences count as neither moving nor idle
+  timeZone: "UTC", // IANA zone for daily rollups
+};
+
+const emptyBucket = () => ({ points: 0, distance: 0, movingDistance: 0, moving: 0, idle: 0, maxKmh: 0 });
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+function finish(bucket) {
+  return {
+    points: bucket.points,
+    distance_m: Math.round(bucket.distance),
+    moving_sec: bucket.moving,
+    idle_sec: bucket.idle,
+    avg_speed_kmh: round1(speedKmh(bucket.movingDistance, bucket.moving)),
+    max_speed_kmh: round1(bucket.maxKmh),
+  };
+}
+
+/**
+ * trackStats
+ * points – [{ lat, lon, ts | timestamp, speed? }] in any order
+ * Returns totals (distance_m, moving_sec, idle_sec, avg_speed_kmh over moving
+ * time, max_speed_kmh, first_time, last_time) plus `daily` rollups, oldest first.
+ */
+export function trackStats(points, options = {}) {
+  const opts = { ...DEFAULT_STATS_OPTIONS };
+  for (const [key, value] of Object.entries(options || {})) {
+    if (value != null && key in DEFAULT_STATS_OPTIONS) opts[key] = value;
+  }
+
+  const dayOf = new Intl.DateTimeFormat("en-CA", {
+    timeZone: opts.timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  });
+
+  const fixes = (Array.isArray(points) ? points : [])
+    .map((p) => ({ lat: Number(p.lat), lon: Number(p.lon), ts: pointTime(p), speed: p.speed }))
+    .filter((p) => p.ts != null && Number.isFinite(p.lat) && Number.isFinite(p.lon))
+    .sort((a, b) => a.ts - b.ts);
+
+  const total = emptyBucket();
+  const days = new Map();
+
+  fixes.forEach((fix, i) => {
+    const date = dayOf.format(new Date(fix.ts * 1000));
+    if (!days.has(date)) days.set(date, emptyBucket());
+    const buckets = [total, days.get(date)];
+    buckets.forEach((b) => (b.points += 1));
+    if (i === 0) return;
+
+    const prev = fixes[i - 1];
+    const dt = fix.ts - prev.ts;
+    const meters = distanceMeters(prev, fix);
+    buckets.forEach((b) => (b.distance += meters));
+    if (dt <= 0 || dt > opts.maxGapSec) return;
+
+    const reported = typeof fix.speed === "number" && Number.isFinite(fix.speed) ? fix.speed * 3.6 : null;
+    const kmh = reported ?? speedKmh(meters, dt);
+    const moving = kmh >= opts.movingSpeedKmh;
+
+    for (const b of buckets) {
+      if (moving) {
+        b.moving += dt;
+        b.movingDistance += meters;
+      } else {
+        b.idle += dt;
+      }
+      // an implied speed over a single second is mostly GPS noise
+      if (reported != null || dt > 1) b.maxKmh = Math.max(b.maxKmh, kmh);
+    }
+  });
+
+  return {
+    ...finish(total),
+    first_time: fixes.length ? fixes[0].ts : null,
+    last_time: fixes.length ? fixes[fixes.length - 1].ts : null,
+    daily: [...days].map(([date, bucket]) => ({ date, ...finish(bucket) })),
+  };
+}